@@ -0,0 +1,124 @@
+/**
+ * Visual Change Impact Platform - команда baseline: принятые влияния
+ * create снимает влияния сравнения в файл baseline, который коммитится
+ * в репозиторий; list показывает записи, их причины и сроки
+ */
+
+const fs = require('fs');
+const { compareDocuments } = require('../lib/compare');
+const { loadDocuments } = require('../lib/loader');
+const { isFileSet, pairFileSets } = require('../lib/files');
+const { analyzeChanges } = require('../lib/analysis');
+const {
+    DEFAULT_EXPIRES,
+    parseExpires,
+    isExpired,
+    baselinePath,
+    loadBaseline,
+    snapshotEntries,
+    writeBaseline,
+} = require('../lib/baseline');
+const { colorize, icon } = require('../lib/terminal');
+
+const BASELINE_FORMATS = ['console', 'json'];
+
+// ===== СОЗДАНИЕ =====
+// Пары файлов для снимка: два файла или наборы файлов (каталоги, glob-шаблоны)
+function collectPairs(inputA, inputB) {
+    if (!isFileSet(inputA) && !isFileSet(inputB)) return [{ pathA: inputA, pathB: inputB }];
+    if (!isFileSet(inputA) || !isFileSet(inputB)) {
+        throw new Error('Каталог можно сравнить только с каталогом или glob-шаблоном');
+    }
+    return pairFileSets(inputA, inputB).filter(pair => pair.status === 'common');
+}
+
+/**
+ * baseline create <A> <B> --reason=<текст> [--expires=90d|ГГГГ-ММ-ДД]: записывает
+ * все текущие влияния сравнения в baseline. Записи, которые уже были в файле
+ * и не истекли, сохраняют свои причину и срок; остальные прежние записи удаляются
+ */
+function runCreate(options) {
+    const [, inputA, inputB] = options.patterns;
+    if (!inputA || !inputB) throw new Error('Не хватает аргументов: baseline create <файл-A> <файл-B> --reason=<причина>');
+    const reason = (options.reason || '').trim();
+    if (!reason) throw new Error('baseline create: укажите причину, по которой влияния принимаются: --reason="…"');
+    const expires = parseExpires(options.expires || DEFAULT_EXPIRES);
+
+    const file = baselinePath(options.baselinePath);
+    const previous = fs.existsSync(file) ? loadBaseline(file) : null;
+    const { formatA, formatB, compareOptions } = options;
+    const runs = collectPairs(inputA, inputB).map(({ pathA, pathB }) => {
+        const docsA = loadDocuments(pathA, formatA);
+        const docsB = loadDocuments(pathB, formatB);
+        const rawChanges = compareDocuments(docsA, docsB, compareOptions);
+        return { rawChanges, impacts: analyzeChanges(rawChanges, options, { docsA, docsB }).impacts };
+    });
+
+    const entries = snapshotEntries(runs, { reason, expires, previous });
+    writeBaseline(file, entries);
+
+    const before = new Set(previous ? previous.entries : []);
+    const kept = entries.filter(entry => before.has(entry)).length;
+    const result = { file, entries: entries.length, added: entries.length - kept, kept, removed: before.size - kept };
+    if (options.outputFormat === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log(colorize(`\n  ${icon('success')} Baseline: ${file}`, 'green'));
+    console.log(colorize(`  Записей: ${result.entries} (новых: ${result.added}, сохранено прежних: ${kept}, удалено: ${result.removed})`, 'white'));
+    if (result.added > 0) console.log(colorize(`  Новые записи действуют до ${expires}: «${reason}»`, 'gray'));
+    console.log('');
+}
+
+// ===== СПИСОК =====
+function runList(options) {
+    const baseline = loadBaseline(options.baselinePath);
+    if (!baseline) {
+        throw new Error(`Файл baseline не найден: ${baselinePath()}. Создайте его: impact baseline create <файл-A> <файл-B> --reason="…"`);
+    }
+    const entries = baseline.entries.map(entry => ({ ...entry, expired: isExpired(entry) }));
+
+    if (options.outputFormat === 'json') {
+        console.log(JSON.stringify({ file: baseline.file, entries }, null, 2));
+        return;
+    }
+    console.log(colorize(`\n  Baseline: ${baseline.file}`, 'gray'));
+    console.log(colorize('\n━━━ ПРИНЯТЫЕ ВЛИЯНИЯ ━━━', 'bold'));
+    console.log('');
+    if (entries.length === 0) console.log(colorize('  Записей нет', 'gray'));
+    entries.forEach(entry => {
+        const level = entry.level ? `${icon(entry.level)} ` : '';
+        console.log(`  ${level}${entry.title || entry.path}  ${colorize(`${entry.path} · ${entry.changeType}`, 'gray')}`);
+        console.log(colorize(`    ${entry.reason}`, 'white'));
+        console.log(entry.expired
+            ? colorize(`    срок истёк ${entry.expires} — влияние снова учитывается`, 'yellow')
+            : colorize(`    до ${entry.expires}`, 'gray'));
+    });
+    const expired = entries.filter(entry => entry.expired).length;
+    console.log(colorize(`\n  Записей: ${entries.length}${expired ? `, истёкших: ${expired}` : ''}\n`, expired ? 'yellow' : 'gray'));
+}
+
+// ===== КОМАНДА =====
+const SUBCOMMANDS = {
+    create: runCreate,
+    list: runList,
+};
+
+/**
+ * baseline [create|list]: снимок принятых влияний и просмотр записей.
+ * Файл — --baseline или .impact-baseline.json в корне проекта
+ */
+function runBaseline(options) {
+    if (!BASELINE_FORMATS.includes(options.outputFormat)) {
+        throw new Error(`Команда baseline выводится в форматах: ${BASELINE_FORMATS.join(', ')}`);
+    }
+    const [subcommand = 'list'] = options.patterns;
+    if (!SUBCOMMANDS[subcommand]) {
+        throw new Error(`Неизвестная подкоманда baseline: ${subcommand}. Доступны: ${Object.keys(SUBCOMMANDS).join(', ')}`);
+    }
+    SUBCOMMANDS[subcommand](options);
+}
+
+module.exports = {
+    runBaseline,
+};
@@ -0,0 +1,166 @@
+/**
+ * Visual Change Impact Platform - общее для команд CLI
+ * Правила, схема и политика запуска, пути в отчётах и запись отчётов
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeImpact, loadRules } = require('../lib/rules');
+const { protectDocuments } = require('../lib/secrets');
+const { EXIT_CODES, createPolicy, isActive, evaluatePolicy } = require('../lib/policy');
+const { compileSchema } = require('../lib/schema');
+const { loadBaseline } = require('../lib/baseline');
+const { detectFormat, normalizeFormat } = require('../lib/loader');
+const { parseRevisionSpec } = require('../lib/git');
+const { REPORTERS } = require('../lib/reporters');
+const { summarize } = require('../lib/analysis');
+const { colorize, riskLevel } = require('../lib/terminal');
+const { version } = require('../../../package.json');
+
+// ===== НАСТРОЙКИ ЗАПУСКА =====
+/**
+ * Загружает правила (--rules или .impactrc), политику, схему (--schema) и baseline
+ * (--baseline или .impact-baseline.json) в options. Вызывается при запуске и в режиме
+ * --watch после правки файла правил, схемы или baseline — при каждом запуске, пока не пройдёт
+ */
+function loadSettings(options) {
+    options.ruleSet = loadRules({ rulesPath: options.rulesPath });
+    options.policy = createPolicy(options.ruleSet.policy, {
+        origin: options.ruleSet.file || 'политика',
+        failOn: options.failOn,
+        maxChanges: options.maxChanges,
+        labels: options.labels,
+    });
+    options.schema = options.schemaPath ? compileSchema(options.schemaPath) : null;
+    // Команда baseline сама читает и пишет свой файл: её запуски не должны принимать влияния
+    options.baseline = options.command === 'baseline' ? null : loadBaseline(options.baselinePath);
+    return options;
+}
+
+// ===== ЛОКАЛЬНЫЙ АНАЛИЗ ВЛИЯНИЯ (БЕЗ AI) =====
+/**
+ * Оценка риска по правилам: ruleSet из --rules=/.impactrc или правила по умолчанию.
+ * schemaHints — аннотации схемы из --schema (lib/schema-impact.js)
+ */
+function analyzeImpactLocal(changes, ruleSet, schemaHints) {
+    return analyzeImpact(changes, ruleSet, schemaHints);
+}
+
+// ===== ЭКСПОРТ В JSON =====
+/**
+ * Сохраняет отчёт в JSON. files — разбивка по файлам при сравнении каталогов,
+ * sources — сравниваемые файлы пары ({ fileA, fileB }) для команды report
+ */
+function exportReport(changes, impacts, outputPath, files, sources = {}) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        ...sources,
+        summary: summarize(changes, impacts),
+        changes,
+        impacts,
+    };
+    if (files) {
+        report.summary.files = files.length;
+        report.summary.risk = riskLevel(impacts).label;
+        report.files = files.map(fileSummary);
+    }
+    
+    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+    console.log(colorize(`\n  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
+}
+
+// ===== СВОДКА ПО ФАЙЛАМ =====
+function fileSummary(entry) {
+    return {
+        file: entry.file,
+        status: entry.status,
+        pathA: entry.pathA,
+        pathB: entry.pathB,
+        error: entry.error,
+        risk: entry.error ? undefined : riskLevel(entry.impacts).label,
+        changes: entry.changes,
+        impacts: entry.impacts,
+    };
+}
+
+// ===== ПОЛИТИКА =====
+/**
+ * Проверяет политику (если она задана) и выставляет код выхода.
+ * Возвращает список нарушений или null, если политика не настроена
+ */
+function applyPolicy(options, entries) {
+    if (!isActive(options.policy)) return null;
+    // Влияния, принятые в baseline, политику не нарушают
+    const active = entries.map(entry => ({ ...entry, impacts: entry.impacts.filter(impact => !impact.acknowledged) }));
+    const violations = evaluatePolicy(options.policy, active);
+    // Неразобранный файл — ошибка, а не нарушение политики: его изменения не проверены
+    if (violations.some(violation => violation.type === 'error')) process.exitCode = EXIT_CODES.error;
+    else if (violations.length > 0) process.exitCode = EXIT_CODES.policy;
+    return violations;
+}
+
+function policyResult(violations) {
+    return violations ? { passed: violations.length === 0, violations } : undefined;
+}
+
+// ===== ФАЙЛЫ =====
+// Формат, в котором записывается результат: --from-format или формат исходного файла
+function sourceFormat(filePath, format) {
+    if (format) return normalizeFormat(format);
+    return detectFormat(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '');
+}
+
+// ===== ФОРМАТЫ ОТЧЁТОВ =====
+// Путь в отчёте: относительно текущего каталога через «/», для «ревизия:путь» — путь в репозитории
+function reportPath(input) {
+    const revision = !fs.existsSync(input) && parseRevisionSpec(input);
+    if (revision) return revision.path;
+    const relative = path.isAbsolute(input) ? path.relative(process.cwd(), input) : path.normalize(input);
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Данные файла для отчёта: file — путь для ссылок на строки, source — имя файла
+ * в нарушениях политики. Документы маскируются так же, как изменения; влияния,
+ * принятые в baseline, в отчёт не попадают
+ */
+function reportEntry(options, entry, file, source) {
+    const secrets = { showSecrets: options.showSecrets, matcher: options.ruleSet.secrets };
+    return {
+        file,
+        source,
+        status: entry.status,
+        error: entry.error,
+        changes: entry.changes,
+        impacts: entry.impacts.filter(impact => !impact.acknowledged),
+        docsA: entry.docsA && protectDocuments(entry.docsA, secrets),
+        docsB: entry.docsB && protectDocuments(entry.docsB, secrets),
+    };
+}
+
+/**
+ * Выводит отчёт (html, markdown, sarif, junit, github, gitlab) в консоль или в --output
+ */
+function emitReport(options, entries, violations, title) {
+    const { outputFormat, outputPath } = options;
+    const report = REPORTERS[outputFormat](entries, violations, { version, title, maxLength: options.maxLength });
+    if (outputPath) {
+        fs.writeFileSync(outputPath, `${report}\n`);
+        console.log(colorize(`\n  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
+    } else {
+        console.log(report);
+    }
+}
+
+module.exports = {
+    loadSettings,
+    analyzeImpactLocal,
+    exportReport,
+    fileSummary,
+    applyPolicy,
+    policyResult,
+    sourceFormat,
+    reportPath,
+    reportEntry,
+    emitReport,
+};
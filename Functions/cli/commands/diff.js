@@ -0,0 +1,406 @@
+/**
+ * Visual Change Impact Platform - команда diff (по умолчанию)
+ * Сравнение пары файлов, наборов файлов (каталоги, glob-шаблоны) и версий
+ * из диапазона коммитов git. С --schema — проверка и оценка по схеме,
+ * с --save — запись в историю, с --watch — пересчёт после каждого сохранения
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareDocuments, documentChange } = require('../lib/compare');
+const { loadDocuments, parseDocuments, formatFromPath } = require('../lib/loader');
+const { collectRangeRevisions } = require('../lib/git');
+const { isFileSet, pairFileSets } = require('../lib/files');
+const { REPORTERS } = require('../lib/reporters');
+const { validatePair } = require('../lib/schema');
+const { saveToHistory, createRecord } = require('../lib/history');
+const {
+    colorize,
+    icon,
+    riskLevel,
+    printHeader,
+    printChanges,
+    printImpacts,
+    printSummary,
+    printViolations,
+    printBaseline,
+} = require('../lib/terminal');
+const { analyzeChanges } = require('../lib/analysis');
+const {
+    exportReport,
+    fileSummary,
+    applyPolicy,
+    policyResult,
+    reportPath,
+    reportEntry,
+    emitReport,
+} = require('./common');
+const { PATCH_FORMATS, runPatchDiff } = require('./patch');
+const { printValidation } = require('./validate');
+const { runWatch } = require('./watch');
+
+// Итог по baseline для отчёта: принято, истёкшие и устаревшие записи
+function baselineResult(options) {
+    return options.baseline ? options.baseline.report() : undefined;
+}
+
+// Сводка по уровням без влияний, принятых в baseline
+function levelCounts(impacts) {
+    const active = impacts.filter(i => !i.acknowledged);
+    return {
+        critical: active.filter(i => i.level === 'critical').length,
+        high: active.filter(i => i.level === 'high').length,
+        medium: active.filter(i => i.level === 'medium').length,
+        low: active.filter(i => i.level === 'low').length,
+        acknowledged: impacts.length - active.length,
+    };
+}
+
+// ===== ПАРА ФАЙЛОВ =====
+function runPair(options) {
+    const { fileA, fileB, formatA, formatB, outputFormat, outputPath, compareOptions } = options;
+
+    // Ход работы выводим только в консольном режиме, чтобы JSON оставался валидным
+    const progress = message => {
+        if (outputFormat === 'console') console.log(message);
+    };
+
+    if (outputFormat === 'console') printHeader();
+
+    progress(colorize('Загрузка файлов...', 'gray'));
+    const docsA = loadDocuments(fileA, formatA);
+    const docsB = loadDocuments(fileB, formatB);
+    progress(colorize(`  ✓ Версия A: ${path.basename(fileA)}`, 'green'));
+    progress(colorize(`  ✓ Версия B: ${path.basename(fileB)}`, 'green'));
+    if (options.ruleSet.file) {
+        progress(colorize(`  ✓ Правила: ${options.ruleSet.file}`, 'green'));
+    }
+
+    progress(colorize('\nСравнение структур...', 'gray'));
+    const rawChanges = compareDocuments(docsA, docsB, compareOptions);
+    progress(colorize(`  ✓ Обнаружено изменений: ${rawChanges.length}`, 'green'));
+
+    progress(colorize('\nАнализ влияния...', 'gray'));
+    const { changes, impacts } = analyzeChanges(rawChanges, options, { docsA, docsB });
+    progress(colorize(`  ✓ Проанализировано рисков: ${impacts.length}`, 'green'));
+
+    const validation = options.schema ? validatePair(options.schema, docsA, docsB) : null;
+    const violations = applyPolicy(options, [{ changes, impacts }]);
+
+    if (options.saveName !== null) {
+        saveToHistory(createRecord({ name: options.saveName, fileA, fileB, options: { formatA, formatB, ...compareOptions }, changes, impacts }), {
+            retention: options.retention,
+        });
+    }
+
+    if (REPORTERS[outputFormat]) {
+        const entry = reportEntry(options, { changes, impacts, docsA, docsB }, reportPath(fileB), reportPath(fileB));
+        emitReport(options, [entry], violations, `${fileA} → ${fileB}`);
+        return;
+    }
+
+    if (outputFormat === 'json') {
+        const result = {
+            fileA: reportPath(fileA),
+            fileB: reportPath(fileB),
+            summary: {
+                total: changes.length,
+                added: changes.filter(c => c.type === 'added').length,
+                removed: changes.filter(c => c.type === 'removed').length,
+                modified: changes.filter(c => c.type === 'modified').length,
+                moved: changes.filter(c => c.type === 'moved').length,
+            },
+            changes,
+            impacts,
+            schema: validation || undefined,
+            baseline: baselineResult(options),
+            policy: policyResult(violations),
+        };
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        if (validation) printValidation(validation, { fileA, fileB }, options.newViolations);
+        printChanges(changes);
+        printImpacts(impacts);
+        printSummary(changes, impacts);
+        printBaseline(baselineResult(options), impacts);
+        printViolations(violations);
+    }
+
+    if (outputPath) {
+        exportReport(changes, impacts, outputPath, undefined, { fileA: reportPath(fileA), fileB: reportPath(fileB) });
+    }
+}
+
+// ===== СРАВНЕНИЕ КАТАЛОГОВ =====
+/**
+ * Сравнивает наборы файлов (каталоги или glob-шаблоны) попарно по относительному пути
+ */
+function analyzeFileSets(inputA, inputB, options = {}) {
+    const { formatA, formatB, compareOptions } = options;
+    
+    return pairFileSets(inputA, inputB).map(pair => {
+        const entry = { ...pair, changes: [], impacts: [] };
+        try {
+            entry.docsA = pair.pathA ? loadDocuments(pair.pathA, formatA) : [];
+            entry.docsB = pair.pathB ? loadDocuments(pair.pathB, formatB) : [];
+            // Новый или удалённый файл — одно изменение всего документа, а не разбор по ключам
+            const changes = pair.status === 'common'
+                ? compareDocuments(entry.docsA, entry.docsB, compareOptions)
+                : [documentChange(pair.status, pair.status === 'added' ? entry.docsB : entry.docsA)];
+            Object.assign(entry, analyzeChanges(changes, options, entry));
+        } catch (error) {
+            // Ошибка в одном файле не должна прерывать сравнение остальных
+            entry.error = error.message;
+        }
+        return entry;
+    });
+}
+
+function runFileSets(options) {
+    const { fileA, fileB, outputFormat, outputPath } = options;
+    const files = analyzeFileSets(fileA, fileB, options);
+    const changes = files.flatMap(entry => entry.changes);
+    const impacts = files.flatMap(entry => entry.impacts);
+    
+    if (files.length === 0) {
+        throw new Error(`Конфигурационные файлы не найдены: ${fileA}, ${fileB}`);
+    }
+    
+    const violations = applyPolicy(options, files);
+    
+    if (REPORTERS[outputFormat]) {
+        const entries = files.map(entry => reportEntry(options, entry, reportPath(entry.pathB || entry.pathA), entry.file));
+        emitReport(options, entries, violations, `${fileA} → ${fileB}`);
+        return;
+    }
+    
+    if (outputFormat === 'json') {
+        const result = {
+            summary: {
+                files: files.length,
+                filesAdded: files.filter(f => f.status === 'added').length,
+                filesRemoved: files.filter(f => f.status === 'removed').length,
+                total: changes.length,
+                added: changes.filter(c => c.type === 'added').length,
+                removed: changes.filter(c => c.type === 'removed').length,
+                modified: changes.filter(c => c.type === 'modified').length,
+                moved: changes.filter(c => c.type === 'moved').length,
+                ...levelCounts(impacts),
+                risk: riskLevel(impacts).label,
+            },
+            files: files.map(fileSummary),
+            baseline: baselineResult(options),
+            policy: policyResult(violations),
+        };
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printHeader();
+        files.filter(entry => entry.changes.length > 0).forEach(entry => {
+            console.log(colorize(`\n📄 ${entry.file}`, 'cyan') + colorize(`  ${entry.pathA || '—'} → ${entry.pathB || '—'}`, 'gray'));
+            printChanges(entry.changes);
+            printImpacts(entry.impacts);
+        });
+        printSummary(changes, impacts, files);
+        printBaseline(baselineResult(options), impacts);
+        printViolations(violations);
+    }
+    
+    if (outputPath) {
+        exportReport(changes, impacts, outputPath, files);
+    }
+}
+
+// ===== СРАВНЕНИЕ ПО ИСТОРИИ GIT =====
+const GIT_STATUS_LABELS = {
+    A: 'добавлен',
+    D: 'удалён',
+    M: 'изменён',
+    R: 'переименован',
+    C: 'скопирован',
+    T: 'изменён тип',
+};
+
+/**
+ * Анализирует каждое изменение конфигурационных файлов в диапазоне коммитов.
+ * Без шаблонов берутся только файлы известных форматов
+ */
+function analyzeGitRange(range, patterns, options = {}) {
+    const { formatA, formatB, compareOptions } = options;
+    const filter = patterns.length ? () => true : filePath => !!formatFromPath(filePath);
+    const revisions = collectRangeRevisions(range, patterns, { filter });
+    
+    return revisions.map(revision => {
+        const entry = {
+            file: revision.file,
+            oldFile: revision.oldFile !== revision.file ? revision.oldFile : undefined,
+            commit: revision.commit,
+            status: revision.status,
+            changes: [],
+            impacts: [],
+        };
+        try {
+            entry.docsA = revision.contentA === null ? [] : parseDocuments(revision.contentA, revision.oldFile, formatA);
+            entry.docsB = revision.contentB === null ? [] : parseDocuments(revision.contentB, revision.file, formatB);
+            Object.assign(entry, analyzeChanges(compareDocuments(entry.docsA, entry.docsB, compareOptions), options, entry));
+        } catch (error) {
+            // Неразбираемая версия не должна прерывать анализ всего диапазона
+            entry.error = `${revision.commit.shortSha}: ${error.message}`;
+        }
+        return entry;
+    });
+}
+
+// Группировка: файл → коммиты в хронологическом порядке
+function groupByFile(entries) {
+    const files = new Map();
+    for (const entry of entries) {
+        if (!files.has(entry.file)) files.set(entry.file, []);
+        files.get(entry.file).push(entry);
+    }
+    return files;
+}
+
+function printGitRange(range, entries) {
+    console.log(colorize(`\n━━━ ИЗМЕНЕНИЯ В ДИАПАЗОНЕ ${range} ━━━`, 'bold'));
+    
+    if (entries.length === 0) {
+        console.log(colorize('\n  ✓ Конфигурационные файлы не изменялись\n', 'green'));
+        return;
+    }
+    
+    for (const [file, commits] of groupByFile(entries)) {
+        const changeCount = commits.reduce((sum, entry) => sum + entry.changes.length, 0);
+        console.log('');
+        console.log(colorize(`📄 ${file}`, 'cyan') + colorize(` (коммитов: ${commits.length}, изменений: ${changeCount})`, 'gray'));
+        
+        for (const entry of commits) {
+            const { commit } = entry;
+            const risk = riskLevel(entry.impacts);
+            const status = GIT_STATUS_LABELS[entry.status] || entry.status;
+            const renamed = entry.oldFile ? ` из ${entry.oldFile}` : '';
+            
+            console.log('');
+            console.log(`  ${colorize(commit.shortSha, 'yellow')} ${colorize(commit.subject, 'bold')}`);
+            console.log(colorize(`    ${commit.author}, ${commit.date.slice(0, 10)} · файл ${status}${renamed}`, 'gray'));
+            
+            if (entry.error) {
+                console.log(colorize(`    ✗ ${entry.error}`, 'red'));
+                continue;
+            }
+            console.log(`    Изменений: ${colorize(entry.changes.length, 'bold')}, риск: ${colorize(risk.label, risk.color)}`);
+            entry.impacts.filter(impact => !impact.acknowledged).forEach(impact => {
+                console.log(`    ${icon(impact.level)} ${impact.title} ${colorize(impact.path, 'gray')}`);
+            });
+        }
+    }
+}
+
+function gitRangeReport(range, entries) {
+    const changes = entries.flatMap(entry => entry.changes);
+    const impacts = entries.flatMap(entry => entry.impacts);
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        range,
+        summary: {
+            files: groupByFile(entries).size,
+            commits: new Set(entries.map(entry => entry.commit.sha)).size,
+            total: changes.length,
+            added: changes.filter(c => c.type === 'added').length,
+            removed: changes.filter(c => c.type === 'removed').length,
+            modified: changes.filter(c => c.type === 'modified').length,
+            moved: changes.filter(c => c.type === 'moved').length,
+            ...levelCounts(impacts),
+        },
+        files: [...groupByFile(entries)].map(([file, commits]) => ({
+            file,
+            commits: commits.map(entry => ({
+                sha: entry.commit.sha,
+                subject: entry.commit.subject,
+                author: entry.commit.author,
+                date: entry.commit.date,
+                status: entry.status,
+                oldFile: entry.oldFile,
+                error: entry.error,
+                changes: entry.changes,
+                impacts: entry.impacts,
+            })),
+        })),
+    };
+}
+
+function runGitRange(options) {
+    const { gitRange, patterns, outputFormat, outputPath } = options;
+    const entries = analyzeGitRange(gitRange, patterns, options);
+    const report = gitRangeReport(gitRange, entries);
+    const violations = applyPolicy(options, entries.map(entry => ({ ...entry, file: `${entry.file}@${entry.commit.shortSha}` })));
+    report.baseline = baselineResult(options);
+    report.policy = policyResult(violations);
+    
+    if (REPORTERS[outputFormat]) {
+        const reportEntries = entries.map(entry => reportEntry(options, entry, entry.file, `${entry.file}@${entry.commit.shortSha}`));
+        emitReport(options, reportEntries, violations, gitRange);
+        return;
+    }
+    
+    if (outputFormat === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printHeader();
+        printGitRange(gitRange, entries);
+        printSummary(entries.flatMap(entry => entry.changes), entries.flatMap(entry => entry.impacts));
+        printBaseline(baselineResult(options), entries.flatMap(entry => entry.impacts));
+        printViolations(violations);
+    }
+    
+    if (outputPath) {
+        fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+        console.log(colorize(`\n  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
+    }
+}
+
+// ===== КОМАНДА =====
+/**
+ * diff <A> <B>: пара файлов, каталоги и glob-шаблоны или --git-range.
+ * С --format=json-patch|merge-patch вместо отчёта выводится патч от A к B
+ */
+function runDiff(options) {
+    const { fileA, fileB, outputFormat } = options;
+
+    if (options.watch) {
+        if (options.gitRange || isFileSet(fileA) || isFileSet(fileB) || outputFormat !== 'console'
+            || options.outputPath || options.saveName !== null) {
+            throw new Error('--watch работает для пары файлов с выводом в консоль, без --output и --save');
+        }
+        runWatch(options);
+        return;
+    }
+
+    if (PATCH_FORMATS[outputFormat]) {
+        if (options.gitRange || isFileSet(fileA) || isFileSet(fileB)) {
+            throw new Error(`Формат ${outputFormat} строится только для пары файлов`);
+        }
+        runPatchDiff(options);
+        return;
+    }
+
+    if (options.gitRange) {
+        runGitRange(options);
+        return;
+    }
+
+    // Каталоги или glob-шаблоны: config/staging/ config/prod/
+    if (isFileSet(fileA) || isFileSet(fileB)) {
+        if (!isFileSet(fileA) || !isFileSet(fileB)) {
+            throw new Error('Каталог можно сравнить только с каталогом или glob-шаблоном');
+        }
+        runFileSets(options);
+        return;
+    }
+
+    runPair(options);
+}
+
+module.exports = {
+    runDiff,
+};
@@ -0,0 +1,342 @@
+/**
+ * Visual Change Impact Platform - команда history: сохранённые сравнения
+ * (diff --save) с отбором по файлу, пути, риску и датам, просмотр записи,
+ * повтор сравнения на текущих версиях файлов, статистика, сжатие, экспорт и импорт
+ */
+
+const fs = require('fs');
+const { compareDocuments } = require('../lib/compare');
+const { loadDocuments } = require('../lib/loader');
+const { analyzeChanges, summarize, diffRuns } = require('../lib/analysis');
+const {
+    historyLocation,
+    resolveRecordPath,
+    readHistory,
+    saveToHistory,
+    pruneHistory,
+    importHistory,
+    createRecord,
+    findRecord,
+    filterHistory,
+    analyzeHistory,
+} = require('../lib/history');
+const { computeHistoryStats, formatInterval } = require('../lib/history-stats');
+const { toHistoryStatsHtml } = require('../lib/html-report');
+const { colorize, icon, formatValue, printHeader, printChanges, printImpacts, printSummary, printDelta } = require('../lib/terminal');
+
+const { version } = require('../../../package.json');
+
+const HISTORY_FORMATS = ['console', 'json'];
+// history stats дополнительно строит HTML-отчёт
+const STATS_FORMATS = [...HISTORY_FORMATS, 'html'];
+// Сколько последних записей выводится в консоль
+const HISTORY_SHOWN = 20;
+// Сколько строк каждого раздела статистики и точек хронологии выводится в консоль
+const STATS_SHOWN = 10;
+const TIMELINE_SHOWN = 40;
+const LEVEL_COLORS = { critical: 'red', high: 'yellow', medium: 'blue', low: 'gray', none: 'green' };
+
+// ===== СПИСОК =====
+function printHistory(history, location, corrupt) {
+    console.log(colorize(`\n  История: ${location.file}`, 'gray'));
+    if (corrupt.length > 0) {
+        console.log(colorize(`  ${icon('error')} Пропущено повреждённых строк: ${corrupt.length} (${corrupt.map(entry => entry.line).join(', ')}); `
+            + 'history prune перенесёт их в отдельный файл', 'yellow'));
+    }
+    if (history.length === 0) {
+        console.log(colorize('\n  Записей нет\n', 'gray'));
+        return;
+    }
+
+    console.log(colorize('\n━━━ ИСТОРИЯ СРАВНЕНИЙ ━━━', 'bold'));
+    console.log('');
+
+    history.slice(0, HISTORY_SHOWN).forEach((record, idx) => {
+        const date = new Date(record.timestamp).toLocaleString('ru-RU');
+        console.log(colorize(`${idx + 1}. ${record.name || 'Без названия'}`, 'bold') + colorize(`  ${record.id}`, 'gray'));
+        console.log(colorize(`   ${date}`, 'gray'));
+        console.log(colorize(`   ${record.fileA} → ${record.fileB}`, 'dim'));
+        console.log(colorize(`   Изменений: ${record.summary.total} | Риск: ${record.riskLevel}`, 'cyan'));
+        console.log('');
+    });
+    if (history.length > HISTORY_SHOWN) {
+        console.log(colorize(`  … и ещё ${history.length - HISTORY_SHOWN}; все записи — --format=json\n`, 'gray'));
+    }
+}
+
+function printHistoryInsights(insights) {
+    if (insights.length === 0) return;
+
+    console.log(colorize('\n━━━ АНАЛИТИКА ПО ИСТОРИИ ━━━', 'bold'));
+    console.log('');
+
+    insights.forEach(insight => {
+        if (insight.type === 'frequent_changes') {
+            console.log(colorize('  Часто изменяемые поля:', 'cyan'));
+            insight.paths.forEach(p => {
+                console.log(colorize(`    • ${p}`, 'white'));
+            });
+        }
+    });
+    console.log('');
+}
+
+function runList(options, { records: history, corrupt }, location) {
+    const records = filterHistory(history, options.historyFilter);
+    const insights = analyzeHistory(records);
+
+    if (options.outputFormat === 'json') {
+        console.log(JSON.stringify({ file: location.file, total: records.length, corrupt: corrupt.length, insights, records }, null, 2));
+        return;
+    }
+    printHistory(records, location, corrupt);
+    printHistoryInsights(insights);
+}
+
+// ===== ЗАПИСЬ =====
+function printRecordHeader(record, title) {
+    console.log(colorize(`━━━ ${title} ━━━`, 'bold'));
+    console.log('');
+    console.log(`  ${colorize(record.name, 'bold')}  ${colorize(record.id, 'gray')}`);
+    console.log(colorize(`  ${new Date(record.timestamp).toLocaleString('ru-RU')}`, 'gray'));
+    console.log(colorize(`  ${record.fileA} → ${record.fileB}`, 'dim'));
+}
+
+function runShow(options, { records: history }) {
+    const record = findRecord(history, requireRef(options, 'show'));
+
+    if (options.outputFormat === 'json') {
+        console.log(JSON.stringify(record, null, 2));
+        return;
+    }
+    printHeader();
+    printRecordHeader(record, 'ЗАПИСЬ ИСТОРИИ');
+    printChanges(record.changes);
+    printImpacts(record.impacts);
+    printSummary(record.changes, record.impacts);
+}
+
+// ===== ПОВТОР =====
+/**
+ * history replay <запись>: сравнивает файлы записи в их текущем виде и показывает,
+ * чем результат отличается от сохранённого. С --save результат записывается в историю
+ */
+function runReplay(options, { records: history }, location) {
+    const record = findRecord(history, requireRef(options, 'replay'));
+    const saved = record.options || {};
+    const fileA = resolveRecordPath(record.fileA, location);
+    const fileB = resolveRecordPath(record.fileB, location);
+    const formatA = options.formatA || saved.formatA;
+    const formatB = options.formatB || saved.formatB;
+    const compareOptions = { arrayKeys: saved.arrayKeys, arrayByIndex: saved.arrayByIndex, ...options.compareOptions };
+
+    const docsA = loadDocuments(fileA, formatA);
+    const docsB = loadDocuments(fileB, formatB);
+    const rawChanges = compareDocuments(docsA, docsB, compareOptions);
+    const { changes, impacts } = analyzeChanges(rawChanges, options, { docsA, docsB });
+    const delta = diffRuns(record, { changes, impacts });
+
+    if (options.saveName !== null) {
+        saveToHistory(createRecord({
+            name: options.saveName || record.name,
+            fileA,
+            fileB,
+            options: { formatA, formatB, ...compareOptions },
+            changes,
+            impacts,
+        }, location), { location, retention: options.retention });
+    }
+
+    if (options.outputFormat === 'json') {
+        const { id, name, timestamp } = record;
+        console.log(JSON.stringify({
+            record: { id, name, timestamp, fileA: record.fileA, fileB: record.fileB, summary: summarize(record.changes, record.impacts) },
+            current: { summary: summarize(changes, impacts), changes, impacts },
+            delta,
+        }, null, 2));
+        return;
+    }
+    printHeader();
+    printRecordHeader(record, 'ПОВТОР СРАВНЕНИЯ');
+    console.log(colorize(`  Различий при записи: ${record.changes.length}, сейчас: ${changes.length}`, 'cyan'));
+    printDelta(delta, 'ЧТО ИЗМЕНИЛОСЬ С МОМЕНТА ЗАПИСИ', 'Различия между файлами те же, что и при записи');
+}
+
+// ===== СТАТИСТИКА =====
+function printStatsSection(title, items, line, empty) {
+    console.log(colorize(`\n${title}`, 'cyan'));
+    if (items.length === 0) {
+        console.log(colorize(`  ${empty}`, 'gray'));
+        return;
+    }
+    items.slice(0, STATS_SHOWN).forEach(item => console.log(`  ${line(item)}`));
+    if (items.length > STATS_SHOWN) console.log(colorize(`  … и ещё ${items.length - STATS_SHOWN}`, 'gray'));
+}
+
+function formatState(state) {
+    return state.absent ? '(нет)' : formatValue(state.value);
+}
+
+// Путь вместе с файлом B: одинаковые пути разных файлов считаются отдельно
+function statsPath(entry) {
+    return `${entry.file}: ${entry.path || '(корень)'}`;
+}
+
+function printStats(stats, location) {
+    console.log(colorize(`\n  История: ${location.file}`, 'gray'));
+    console.log(colorize('\n━━━ СТАТИСТИКА ИСТОРИИ ━━━', 'bold'));
+    if (stats.records === 0) {
+        console.log(colorize('\n  Записей нет\n', 'gray'));
+        return;
+    }
+    const date = timestamp => new Date(timestamp).toLocaleString('ru-RU');
+    console.log(colorize(`\n  Сравнений: ${stats.records}, ${date(stats.from)} — ${date(stats.to)}`, 'white'));
+
+    const width = Math.min(64, Math.max(...stats.churn.slice(0, STATS_SHOWN).map(entry => statsPath(entry).length), 4));
+    printStatsSection(`Частота изменений (${stats.windows.join(' / ')} / всего)`, stats.churn,
+        entry => `${statsPath(entry).padEnd(width)}  ${colorize([...stats.windows.map(name => entry.windows[name]), entry.total].join(' / '), 'white')}`,
+        'Изменений нет');
+
+    printStatsSection('Мигающие значения', stats.flapping,
+        entry => `${icon('modified')} ${statsPath(entry)}  ${colorize(`возвратов: ${entry.flips}`, 'yellow')}  `
+            + colorize(entry.values.slice(-8).map(formatState).join(' → '), 'gray'),
+        'Значения не возвращались к прежним');
+
+    printStatsSection('Риск по файлам', stats.timeline,
+        entry => `${entry.file}  ${entry.points.slice(-TIMELINE_SHOWN).map(point => colorize(point.level === 'none' ? '·' : icon(point.level), LEVEL_COLORS[point.level])).join('')}`,
+        'Записей нет');
+
+    const { critical } = stats;
+    printStatsSection('Критические изменения', critical.files,
+        entry => `${entry.file}  ${colorize(`${entry.count}, в среднем раз в ${formatInterval(entry.meanInterval)}`, 'red')}`,
+        'Критических изменений не было');
+    if (critical.count > 0) {
+        console.log(colorize(`  Всего: ${critical.count}, последнее: ${date(critical.last)}, в среднем раз в ${formatInterval(critical.meanInterval)}`, 'gray'));
+    }
+
+    printStatsSection('Меняются вместе', stats.clusters,
+        cluster => `${colorize(`×${cluster.occurrences}`, 'cyan')}  ${cluster.file}: ${cluster.paths.join(', ')}`,
+        'Устойчивых групп нет');
+    console.log('');
+}
+
+/**
+ * history stats: частота изменений путей за 7, 30 и 90 дней, мигающие значения,
+ * хронология риска по файлам, интервалы между критическими изменениями и пути,
+ * которые меняются вместе. Отбор — как у списка; --format=html пишет отчёт в --output
+ */
+function runStats(options, { records: history }, location) {
+    const stats = computeHistoryStats(filterHistory(history, options.historyFilter));
+    const { outputFormat, outputPath } = options;
+
+    if (outputFormat === 'console') {
+        printStats(stats, location);
+        return;
+    }
+    const report = outputFormat === 'html'
+        ? toHistoryStatsHtml(stats, { version, file: location.file })
+        : JSON.stringify({ file: location.file, ...stats }, null, 2);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, `${report}\n`);
+        console.log(colorize(`\n  ${icon('success')} Отчёт сохранён: ${outputPath}\n`, 'green'));
+        return;
+    }
+    console.log(report);
+}
+
+// ===== ХРАНЕНИЕ =====
+function printResult(options, result, lines) {
+    if (options.outputFormat === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log('');
+    lines.filter(Boolean).forEach(([text, color]) => console.log(colorize(`  ${text}`, color)));
+    console.log('');
+}
+
+/**
+ * history prune: сжимает журнал по политике хранения (секция history файла правил,
+ * --max-records, --max-age, --max-size). Повреждённые строки переносятся в <журнал>.corrupt
+ */
+function runPrune(options, history, location) {
+    const result = pruneHistory({ location, retention: options.retention });
+    printResult(options, { file: location.file, ...result }, [
+        [`${icon('success')} История: ${location.file}`, 'green'],
+        [`Осталось записей: ${result.kept}, удалено по политике хранения: ${result.removed}`, 'white'],
+        result.corrupt > 0 && [`Повреждённых строк: ${result.corrupt} — сохранены в ${location.file}.corrupt`, 'yellow'],
+    ]);
+}
+
+/**
+ * history export: записи (с отбором, как у списка) в JSON-массив — в консоль
+ * или в --output; файл с расширением .jsonl записывается как журнал
+ */
+function runExport(options, { records: history }) {
+    const records = filterHistory(history, options.historyFilter);
+    const { outputPath } = options;
+    if (!outputPath) {
+        console.log(JSON.stringify(records, null, 2));
+        return;
+    }
+    const content = outputPath.endsWith('.jsonl')
+        ? records.slice().reverse().map(record => `${JSON.stringify(record)}\n`).join('')
+        : `${JSON.stringify(records, null, 2)}\n`;
+    fs.writeFileSync(outputPath, content);
+    console.log(colorize(`\n  ${icon('success')} Экспортировано записей: ${records.length} → ${outputPath}\n`, 'green'));
+}
+
+/**
+ * history import <файл>: добавляет записи из history export, журнала другого
+ * проекта или JSON-истории прежних версий. Уже известные записи пропускаются
+ */
+function runImport(options, history, location) {
+    const input = requireRef(options, 'import', '<файл>');
+    if (!fs.existsSync(input)) throw new Error(`Файл не найден: ${input}`);
+    const result = importHistory(fs.readFileSync(input, 'utf-8'), { location, retention: options.retention });
+    printResult(options, { file: location.file, ...result }, [
+        [`${icon('success')} Импортировано записей: ${result.imported} → ${location.file}`, 'green'],
+        result.duplicates > 0 && [`Уже были в истории: ${result.duplicates}`, 'gray'],
+        result.invalid > 0 && [`Пропущено повреждённых или не соответствующих схеме: ${result.invalid}`, 'yellow'],
+        result.removed > 0 && [`Удалено по политике хранения: ${result.removed}`, 'gray'],
+    ]);
+}
+
+// ===== КОМАНДА =====
+function requireRef(options, subcommand, argument = '<номер или id>') {
+    const ref = options.patterns[1];
+    if (!ref) throw new Error(`Не хватает аргумента: history ${subcommand} ${argument}`);
+    return ref;
+}
+
+const SUBCOMMANDS = {
+    list: runList,
+    show: runShow,
+    replay: runReplay,
+    stats: runStats,
+    prune: runPrune,
+    export: runExport,
+    import: runImport,
+};
+
+/**
+ * history [list|show|replay|stats|prune|export|import]: список с отбором (--file, --path,
+ * --risk, --since, --until), запись целиком, повтор сравнения, статистика и
+ * обслуживание журнала. --format=json — для скриптов
+ */
+function runHistory(options) {
+    const [subcommand = 'list'] = options.patterns;
+    if (!SUBCOMMANDS[subcommand]) {
+        throw new Error(`Неизвестная подкоманда history: ${subcommand}. Доступны: ${Object.keys(SUBCOMMANDS).join(', ')}`);
+    }
+    const formats = subcommand === 'stats' ? STATS_FORMATS : HISTORY_FORMATS;
+    if (!formats.includes(options.outputFormat)) {
+        throw new Error(`history ${subcommand} выводится в форматах: ${formats.join(', ')}`);
+    }
+    const location = historyLocation();
+    SUBCOMMANDS[subcommand](options, readHistory(location), location);
+}
+
+module.exports = {
+    runHistory,
+};
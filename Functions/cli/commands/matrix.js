@@ -0,0 +1,145 @@
+/**
+ * Visual Change Impact Platform - команда matrix: расхождения между окружениями
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareObjects } = require('../lib/compare');
+const { loadFile } = require('../lib/loader');
+const { protectDocuments } = require('../lib/secrets');
+const { ROW_STATUS, buildMatrix } = require('../lib/matrix');
+const { toMatrixHtml } = require('../lib/html-report');
+const { colorize, riskLevel, formatValue, printHeader, printImpacts } = require('../lib/terminal');
+const { analyzeChanges } = require('../lib/analysis');
+const { reportPath } = require('./common');
+const { version } = require('../../../package.json');
+
+// ===== МАТРИЦА ОКРУЖЕНИЙ =====
+const MATRIX_FORMATS = ['console', 'json', 'html'];
+// Ширина столбцов консольной таблицы
+const MATRIX_PATH_WIDTH = 40;
+const MATRIX_VALUE_WIDTH = 24;
+
+// Имена окружений: имя файла без расширения, а если они совпадают — путь к файлу
+function environmentNames(files) {
+    const names = files.map(file => path.basename(reportPath(file)).replace(/(.)\.[^.]+$/, '$1'));
+    return new Set(names).size === names.length ? names : files.map(reportPath);
+}
+
+function fitCell(text, width) {
+    const value = text.length > width ? `${text.slice(0, width - 1)}…` : text;
+    return value.padEnd(width);
+}
+
+function printMatrix(matrix, showAll) {
+    const { environments, rows, summary } = matrix;
+    const shown = showAll ? rows : rows.filter(row => row.status !== ROW_STATUS.same);
+    const pathWidth = Math.min(MATRIX_PATH_WIDTH, Math.max(4, ...shown.map(row => row.path.length)));
+    const widths = environments.map((environment, index) => Math.min(MATRIX_VALUE_WIDTH, Math.max(
+        environment.name.length,
+        ...shown.map(row => formatValue(row.values[index]).length),
+    )));
+
+    console.log(colorize('\n━━━ МАТРИЦА ОКРУЖЕНИЙ ━━━', 'bold'));
+    console.log('');
+    console.log(colorize(`  ${fitCell('Путь', pathWidth)}  ${environments.map((environment, i) => fitCell(environment.name, widths[i])).join('  ')}`, 'bold'));
+    console.log(colorize(`  ${'─'.repeat(pathWidth)}  ${widths.map(width => '─'.repeat(width)).join('  ')}`, 'gray'));
+
+    shown.forEach(row => {
+        const pathColor = { same: 'gray', different: 'yellow', missing: 'red' }[row.status];
+        // Отличия подсвечиваются относительно первого (эталонного) окружения
+        const cells = row.values.map((value, i) => {
+            if (value === undefined) return colorize(fitCell('—', widths[i]), 'red');
+            const differs = i > 0 && row.values[0] !== undefined && JSON.stringify(value) !== JSON.stringify(row.values[0]);
+            const cell = fitCell(formatValue(value), widths[i]);
+            return differs ? colorize(cell, 'yellow') : cell;
+        });
+        console.log(`  ${colorize(fitCell(row.path || '(корень)', pathWidth), pathColor)}  ${cells.join('  ')}`);
+    });
+
+    if (shown.length === 0) console.log(colorize('  ✓ Окружения не расходятся', 'green'));
+    if (!showAll && summary.same > 0) {
+        console.log(colorize(`\n  Совпадающих путей: ${summary.same} (--all — показать все)`, 'gray'));
+    }
+}
+
+function printMatrixSummary(matrix) {
+    const { summary, comparisons } = matrix;
+    const impacts = comparisons.flatMap(comparison => comparison.impacts);
+    const risk = riskLevel(impacts);
+
+    console.log(colorize('\n━━━ ИТОГОВЫЙ ОТЧЁТ ━━━', 'bold'));
+    console.log('');
+    console.log(`  Путей: ${colorize(summary.paths, 'bold')}`);
+    console.log(`    ${colorize(`= ${summary.same}`, 'gray')} совпадают`);
+    console.log(`    ${colorize(`~ ${summary.different}`, 'yellow')} различаются`);
+    console.log(`    ${colorize(`- ${summary.missing}`, 'red')} есть не во всех окружениях`);
+    console.log('');
+    console.log(`  Риск расхождений: ${colorize(risk.label, risk.color)}`);
+    console.log('');
+}
+
+/**
+ * matrix <файл> <файл> [...]: значения каждого пути во всех окружениях.
+ * Первый файл — эталон: правила риска применяются к отличиям каждого окружения от него
+ */
+function runMatrix(options) {
+    const files = options.patterns;
+    const { outputFormat, outputPath, compareOptions } = options;
+    if (!MATRIX_FORMATS.includes(outputFormat)) {
+        throw new Error(`Матрица окружений выводится в форматах: ${MATRIX_FORMATS.join(', ')}`);
+    }
+
+    const names = environmentNames(files);
+    const documents = files.map(file => loadFile(file, options.formatA));
+    const secrets = { showSecrets: options.showSecrets, matcher: options.ruleSet.secrets };
+    const { rows, summary } = buildMatrix(protectDocuments(documents, secrets), compareOptions);
+
+    const comparisons = documents.slice(1).map((document, index) => {
+        const rawChanges = compareObjects(documents[0], document, '', compareOptions);
+        const { changes, impacts } = analyzeChanges(rawChanges, options, { docsA: [documents[0]], docsB: [document] });
+        impacts.forEach(impact => { impact.environment = names[index + 1]; });
+        return { file: reportPath(files[index + 1]), source: `${names[0]} → ${names[index + 1]}`, changes, impacts };
+    });
+    const environments = files.map((file, index) => ({ name: names[index], file: reportPath(file) }));
+    const matrix = { environments, rows, summary, comparisons };
+
+    let report = null;
+    if (outputFormat === 'html') {
+        report = toMatrixHtml(matrix, { version });
+    } else if (outputFormat === 'json' || outputPath) {
+        report = JSON.stringify({
+            environments,
+            summary,
+            rows: rows.map(row => ({
+                path: row.path,
+                status: row.status,
+                // Окружения без ключа перечислены в missing, а не получают значение null
+                values: Object.fromEntries(row.values.map((value, i) => [names[i], value]).filter(([, value]) => value !== undefined)),
+                missing: names.filter((name, i) => row.values[i] === undefined),
+            })),
+            impacts: comparisons.flatMap(comparison => comparison.impacts),
+        }, null, 2);
+    }
+
+    if (outputFormat === 'console') {
+        printHeader();
+        printMatrix(matrix, options.showAll);
+        comparisons.filter(comparison => comparison.impacts.length).forEach(comparison => {
+            console.log(colorize(`\n▸ ${comparison.source}`, 'cyan'));
+            printImpacts(comparison.impacts);
+        });
+        printMatrixSummary(matrix);
+    }
+
+    if (outputPath) {
+        fs.writeFileSync(outputPath, `${report}\n`);
+        console.log(colorize(`\n  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
+    } else if (report) {
+        console.log(report);
+    }
+}
+
+module.exports = {
+    runMatrix,
+};
@@ -0,0 +1,131 @@
+/**
+ * Visual Change Impact Platform - команда merge: трёхстороннее слияние конфигураций
+ */
+
+const fs = require('fs');
+const { compareObjects } = require('../lib/compare');
+const { loadFile, stringifyDocuments } = require('../lib/loader');
+const { protectChanges } = require('../lib/secrets');
+const { mergeDocuments } = require('../lib/merge');
+const { EXIT_CODES } = require('../lib/policy');
+const {
+    colorize,
+    icon,
+    formatValue,
+    riskLevel,
+    printHeader,
+    printChanges,
+    printImpacts,
+    printSummary,
+} = require('../lib/terminal');
+const { analyzeChanges } = require('../lib/analysis');
+const { sourceFormat } = require('./common');
+
+// ===== СЛИЯНИЕ =====
+const MERGE_FORMATS = ['console', 'json'];
+
+const CONFLICT_KINDS = {
+    modified: 'изменено по-разному',
+    removed: 'изменено и удалено',
+};
+
+// Изменение стороны может быть глубже пути конфликта (a.b при конфликте в a) — тогда путь указывается
+function describeSide(change, conflictPath) {
+    const where = change.path !== conflictPath ? `${change.path || '(корень)'}: ` : '';
+    if (change.type === 'removed') return where + colorize('удалено', 'red');
+    return where + formatValue(change.type === 'added' ? change.value : change.newValue);
+}
+
+/**
+ * Конфликты слияния. print — куда выводить: без --output результат слияния
+ * занимает stdout, и конфликты уходят в stderr
+ */
+function printConflicts(conflicts, print = console.log) {
+    if (conflicts.length === 0) return;
+    print(colorize('\n━━━ КОНФЛИКТЫ СЛИЯНИЯ ━━━', 'bold'));
+    print('');
+    conflicts.forEach(conflict => {
+        print(`${colorize(icon('error'), 'red')} ${conflict.path || '(корень)'} — ${CONFLICT_KINDS[conflict.kind]}`);
+        print(`    наша версия: ${describeSide(conflict.ours, conflict.path)}`);
+        print(`    их версия:   ${describeSide(conflict.theirs, conflict.path)}`);
+    });
+    print(colorize(`\n  Неразрешённых конфликтов: ${conflicts.length} (код выхода ${EXIT_CODES.conflict}). `
+        + 'В этих путях оставлено значение базы\n', 'red'));
+}
+
+/**
+ * Краткий анализ влияния для stderr, когда stdout занят результатом слияния
+ */
+function printImpactBrief(impacts, print) {
+    const active = impacts.filter(impact => !impact.acknowledged);
+    const risk = riskLevel(active);
+    print(colorize('\n━━━ ВЛИЯНИЕ СЛИЯНИЯ ━━━', 'bold'));
+    print(`  Влияний: ${active.length}, риск: ${colorize(risk.label, risk.color)}`);
+    active.forEach(impact => print(`  ${icon(impact.level)} ${impact.title} ${colorize(impact.path, 'gray')}`));
+}
+
+/**
+ * merge <база> <наша> <их>: трёхстороннее слияние. Непересекающиеся изменения
+ * применяются автоматически, влияние оценивается для результата относительно базы.
+ * Результат записывается в формате базы; при конфликтах — код выхода 3
+ */
+function runMerge(options) {
+    const [basePath, oursPath, theirsPath] = options.patterns;
+    if (!theirsPath) throw new Error('Для merge нужны три файла: <база> <наша версия> <их версия>');
+    const { outputFormat, outputPath, compareOptions } = options;
+    if (!MERGE_FORMATS.includes(outputFormat)) {
+        throw new Error(`Команда merge выводится в форматах: ${MERGE_FORMATS.join(', ')}`);
+    }
+
+    // Версии одного файла читаются в одном формате — временные файлы git merge-драйвера без расширения
+    const format = sourceFormat(basePath, options.formatA);
+    const base = loadFile(basePath, format);
+    const ours = loadFile(oursPath, format);
+    const theirs = loadFile(theirsPath, format);
+
+    const { merged, conflicts, applied } = mergeDocuments(base, ours, theirs, compareOptions);
+    const { changes, impacts } = analyzeChanges(compareObjects(base, merged, '', compareOptions), options, { docsA: [base], docsB: [merged] });
+    const secrets = { showSecrets: options.showSecrets, matcher: options.ruleSet.secrets };
+    const shownConflicts = conflicts.map(conflict => {
+        const [oursChange, theirsChange] = protectChanges([conflict.ours, conflict.theirs], secrets).changes;
+        return { ...conflict, ours: oursChange, theirs: theirsChange };
+    });
+
+    const text = stringifyDocuments([merged], format);
+    if (outputPath) fs.writeFileSync(outputPath, text);
+
+    if (outputFormat === 'json') {
+        console.log(JSON.stringify({
+            summary: {
+                fromOurs: applied.ours.length,
+                fromTheirs: applied.theirs.length,
+                conflicts: conflicts.length,
+                total: changes.length,
+            },
+            conflicts: shownConflicts,
+            changes,
+            impacts,
+            // Без --output результат слияния некуда записать, кроме самого JSON
+            output: outputPath || undefined,
+            merged: outputPath ? undefined : merged,
+        }, null, 2));
+    } else if (outputPath) {
+        printHeader();
+        console.log(colorize(`  ✓ Из нашей версии: ${applied.ours.length}, из их версии: ${applied.theirs.length}`, 'green'));
+        printChanges(changes);
+        printImpacts(impacts);
+        printSummary(changes, impacts);
+        printConflicts(shownConflicts);
+        console.log(colorize(`  ✓ Результат слияния: ${outputPath}\n`, conflicts.length ? 'yellow' : 'green'));
+    } else {
+        process.stdout.write(text);
+        printImpactBrief(impacts, console.error);
+        printConflicts(shownConflicts, console.error);
+    }
+
+    if (conflicts.length) process.exit(EXIT_CODES.conflict);
+}
+
+module.exports = {
+    runMerge,
+};
@@ -0,0 +1,89 @@
+/**
+ * Visual Change Impact Platform - патчи: diff --format=json-patch|merge-patch и apply
+ */
+
+const fs = require('fs');
+const { loadFile, stringifyDocuments } = require('../lib/loader');
+const { protectDocuments } = require('../lib/secrets');
+const { createJsonPatch, createMergePatch, applyPatch, isEqual } = require('../lib/patch');
+const { EXIT_CODES } = require('../lib/policy');
+const { colorize } = require('../lib/terminal');
+const { sourceFormat } = require('./common');
+
+// ===== ПАТЧИ =====
+const PATCH_FORMATS = {
+    'json-patch': createJsonPatch,
+    'merge-patch': createMergePatch,
+};
+
+// Пути JSON Pointer, значения которых в патче отличаются от замаскированных
+function secretPointers(docA, docB, options) {
+    const [safeA, safeB] = protectDocuments([docA, docB], { matcher: options.ruleSet.secrets });
+    const safe = createJsonPatch(safeA, safeB);
+    const pointers = createJsonPatch(docA, docB)
+        .filter(operation => !safe.some(item => isEqual(item, operation)))
+        .map(operation => operation.path);
+    return [...new Set(pointers)];
+}
+
+/**
+ * diff --format=json-patch|merge-patch: вместо отчёта выводит патч от A к B.
+ * Маскированное значение испортило бы конфигурацию при применении, поэтому
+ * патч с секретами строится только с --show-secrets
+ */
+function runPatchDiff(options) {
+    const { fileA, fileB, outputFormat, outputPath } = options;
+    const docA = loadFile(fileA, options.formatA);
+    const docB = loadFile(fileB, options.formatB);
+
+    if (!options.showSecrets) {
+        const pointers = secretPointers(docA, docB, options);
+        if (pointers.length) {
+            throw new Error(`Патч содержит значения секретов (${pointers.join(', ')}). Чтобы вывести их, добавьте --show-secrets`);
+        }
+    }
+
+    const text = JSON.stringify(PATCH_FORMATS[outputFormat](docA, docB), null, 2);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, `${text}\n`);
+        console.log(colorize(`\n  ✓ Патч сохранён: ${outputPath}\n`, 'green'));
+    } else {
+        console.log(text);
+    }
+}
+
+/**
+ * apply <база> <патч>: применяет JSON Patch или Merge Patch и выводит результат
+ * в формате базы. Если база разошлась с патчем (не прошёл test), ничего не пишет
+ * и завершается с кодом 3
+ */
+function runApply(options) {
+    const { fileA: basePath, fileB: patchPath, outputPath } = options;
+    const format = sourceFormat(basePath, options.formatA);
+    const base = loadFile(basePath, format);
+    const patch = loadFile(patchPath);
+
+    let result;
+    try {
+        result = applyPatch(base, patch);
+    } catch (error) {
+        if (!error.conflict) throw error;
+        console.error(colorize(`\n✗ Патч не применён: ${error.message}`, 'red'));
+        console.error(colorize('  База изменилась после создания патча — пересоздайте патч от её текущей версии.\n', 'yellow'));
+        process.exit(EXIT_CODES.conflict);
+    }
+
+    const text = stringifyDocuments([result], format);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, text);
+        console.log(colorize(`\n  ✓ Патч применён: ${outputPath}\n`, 'green'));
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+module.exports = {
+    PATCH_FORMATS,
+    runPatchDiff,
+    runApply,
+};
@@ -0,0 +1,86 @@
+/**
+ * Visual Change Impact Platform - команда report
+ * Выводит сохранённый JSON-отчёт (--format=json, --output, запись истории)
+ * в другом формате: консоль, html, markdown, sarif, junit, github, gitlab
+ */
+
+const fs = require('fs');
+const { REPORTERS } = require('../lib/reporters');
+const { printHeader, printChanges, printImpacts, printSummary, printViolations, colorize } = require('../lib/terminal');
+const { reportPath, emitReport } = require('./common');
+
+/**
+ * Файлы отчёта в виде записей для форматов отчётов (lib/reporters.js).
+ * Понимает отчёты пары файлов, сравнения каталогов и --git-range
+ */
+function reportEntries(report, input) {
+    const files = Array.isArray(report.files) ? report.files : null;
+    if (files && files.some(file => Array.isArray(file.commits))) {
+        return files.flatMap(file => (file.commits || []).map(commit => ({
+            file: file.file,
+            source: `${file.file}@${String(commit.sha || '').slice(0, 7)}`,
+            status: commit.status,
+            error: commit.error,
+            changes: commit.changes || [],
+            impacts: commit.impacts || [],
+        })));
+    }
+    if (files) {
+        return files.map(file => ({
+            file: file.pathB || file.pathA ? reportPath(file.pathB || file.pathA) : file.file,
+            source: file.file,
+            status: file.status,
+            error: file.error,
+            changes: file.changes || [],
+            impacts: file.impacts || [],
+        }));
+    }
+    if (Array.isArray(report.changes)) {
+        const file = report.fileB || report.fileA || reportPath(input);
+        return [{ file, source: file, changes: report.changes, impacts: report.impacts || [] }];
+    }
+    throw new Error(`${input}: это не отчёт impact — нет полей changes или files`);
+}
+
+/**
+ * report <отчёт.json> --format=<тип>: переводит сохранённый отчёт в другой формат.
+ * Нарушения политики берутся из отчёта; документы в нём не хранятся, поэтому
+ * HTML-отчёт показывает изменения без деревьев A и B
+ */
+function runReport(options) {
+    const input = options.fileA;
+    const { outputFormat } = options;
+    if (outputFormat !== 'console' && !REPORTERS[outputFormat]) {
+        throw new Error(`Команда report выводится в форматах: console, ${Object.keys(REPORTERS).join(', ')}`);
+    }
+    if (!fs.existsSync(input)) throw new Error(`Файл не найден: ${input}`);
+
+    let report;
+    try {
+        report = JSON.parse(fs.readFileSync(input, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${input}: ожидается JSON-отчёт (${error.message})`);
+    }
+    const entries = reportEntries(report, input);
+    const violations = report.policy ? report.policy.violations || [] : null;
+    const title = report.range || (report.fileA && report.fileB ? `${report.fileA} → ${report.fileB}` : input);
+
+    if (REPORTERS[outputFormat]) {
+        emitReport(options, entries, violations, title);
+        return;
+    }
+
+    printHeader();
+    console.log(colorize(`  Отчёт: ${title}`, 'gray'));
+    entries.filter(entry => entry.changes.length > 0).forEach(entry => {
+        if (entries.length > 1) console.log(colorize(`\n📄 ${entry.source}`, 'cyan'));
+        printChanges(entry.changes);
+        printImpacts(entry.impacts);
+    });
+    printSummary(entries.flatMap(entry => entry.changes), entries.flatMap(entry => entry.impacts));
+    printViolations(violations);
+}
+
+module.exports = {
+    runReport,
+};
@@ -0,0 +1,105 @@
+/**
+ * Visual Change Impact Platform - команда schema: построение схемы по конфигурациям
+ * (infer) и ломающие изменения между версиями схемы (diff)
+ */
+
+const fs = require('fs');
+const { loadDocuments, stringifyDocuments, formatFromPath } = require('../lib/loader');
+const { loadSchema } = require('../lib/schema');
+const { inferSchema } = require('../lib/schema-infer');
+const { diffSchemas } = require('../lib/schema-diff');
+const { EXIT_CODES } = require('../lib/policy');
+const { colorize, icon, printHeader } = require('../lib/terminal');
+
+// ===== СХЕМЫ =====
+const SCHEMA_COMMANDS = ['infer', 'diff'];
+const SCHEMA_FORMATS = ['console', 'json'];
+
+/**
+ * schema infer <файл> [файл...]: JSON Schema по конфигурациям. Каждый файл
+ * и документ — образец; схема пишется в stdout или в -o (YAML для .yaml/.yml)
+ */
+function runSchemaInfer(options, files) {
+    if (files.length === 0) throw new Error('Для schema infer нужен хотя бы один файл конфигурации');
+    const documents = files.flatMap(file => loadDocuments(file, options.formatA));
+    const schema = inferSchema(documents, { secrets: options.ruleSet.secrets });
+
+    const { outputPath } = options;
+    const format = outputPath && formatFromPath(outputPath) === 'yaml' ? 'yaml' : 'json';
+    const text = stringifyDocuments([schema], format);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, text);
+        console.log(colorize(`\n  ✓ Схема сохранена: ${outputPath}\n`, 'green'));
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+function printSchemaChanges(changes) {
+    const breaking = changes.filter(change => change.breaking);
+    const compatible = changes.filter(change => !change.breaking);
+
+    console.log(colorize('\n━━━ ИЗМЕНЕНИЯ СХЕМЫ ━━━', 'bold'));
+    [[breaking, 'Ломающие', 'red', icon('error')], [compatible, 'Неломающие', 'green', icon('success')]]
+        .filter(([list]) => list.length)
+        .forEach(([list, title, color, mark]) => {
+            console.log(colorize(`\n${mark} ${title}: ${list.length}`, color));
+            list.forEach(change => {
+                console.log(`  ${colorize(change.path || '(корень)', 'bold')}  ${change.message}`);
+                console.log(colorize(`    ${change.schemaPath}`, 'gray'));
+            });
+        });
+    if (changes.length === 0) console.log(colorize('\n  ✓ Схемы не различаются', 'green'));
+
+    console.log(colorize('\n━━━ ИТОГОВЫЙ ОТЧЁТ ━━━', 'bold'));
+    console.log('');
+    console.log(`  Ломающих изменений: ${colorize(breaking.length, breaking.length ? 'red' : 'green')}`);
+    console.log(`  Неломающих изменений: ${colorize(compatible.length, 'bold')}`);
+    console.log('');
+}
+
+/**
+ * schema diff <старая> <новая>: ломающие и неломающие изменения схемы.
+ * Ломающие изменения завершают работу с кодом 2, как нарушение политики
+ */
+function runSchemaDiff(options, files) {
+    const [oldPath, newPath] = files;
+    if (!newPath) throw new Error('Для schema diff нужны две схемы: <старая> <новая>');
+    const { outputFormat, outputPath } = options;
+
+    const changes = diffSchemas(loadSchema(oldPath), loadSchema(newPath));
+    const breaking = changes.filter(change => change.breaking).length;
+    const report = {
+        summary: { total: changes.length, breaking, nonBreaking: changes.length - breaking },
+        changes,
+    };
+
+    if (outputFormat === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printHeader();
+        printSchemaChanges(changes);
+    }
+    if (outputPath) {
+        fs.writeFileSync(outputPath, `${JSON.stringify(report, null, 2)}\n`);
+        if (outputFormat === 'console') console.log(colorize(`  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
+    }
+
+    if (breaking) process.exit(EXIT_CODES.policy);
+}
+
+function runSchema(options) {
+    const [subcommand, ...files] = options.patterns;
+    if (!SCHEMA_COMMANDS.includes(subcommand)) {
+        throw new Error(`Неизвестная команда schema ${subcommand}. Доступны: ${SCHEMA_COMMANDS.join(', ')}`);
+    }
+    if (!SCHEMA_FORMATS.includes(options.outputFormat)) {
+        throw new Error(`Команда schema выводится в форматах: ${SCHEMA_FORMATS.join(', ')}`);
+    }
+    if (subcommand === 'infer') runSchemaInfer(options, files);
+    else runSchemaDiff(options, files);
+}
+
+module.exports = {
+    runSchema,
+};
@@ -0,0 +1,103 @@
+/**
+ * Visual Change Impact Platform - команда validate
+ * Проверка конфигураций по JSON Schema (--schema) и вывод нарушений схемы
+ * при сравнении: раздельно для A и B и только появившиеся в B
+ */
+
+const path = require('path');
+const { loadDocuments } = require('../lib/loader');
+const { validateDocuments } = require('../lib/schema');
+const { EXIT_CODES } = require('../lib/policy');
+const { colorize, icon, printHeader } = require('../lib/terminal');
+
+const VALIDATE_FORMATS = ['console', 'json'];
+
+// ===== ВЫВОД =====
+function printErrorList(errors) {
+    errors.forEach(error => {
+        console.log(colorize(`${icon('error')} ${error.path || '(корень)'}`, 'red'));
+        console.log(colorize(`  ${error.message}`, 'white'));
+        console.log(colorize(`  ${error.schemaPath}`, 'gray'));
+        console.log('');
+    });
+}
+
+/**
+ * Результат проверки по схеме: ошибки A и B раздельно и нарушения, появившиеся в B.
+ * newOnly (--new-violations) — только нарушения, которых не было в A
+ */
+function printValidation(validation, files, newOnly) {
+    const { errorsA, errorsB, introduced } = validation;
+    console.log(colorize('\n━━━ ВАЛИДАЦИЯ СХЕМЫ ━━━', 'bold'));
+    console.log('');
+
+    const status = errors => (errors.length
+        ? colorize(`${icon('error')} ошибок: ${errors.length}`, 'red')
+        : colorize(`${icon('success')} без ошибок`, 'green'));
+    console.log(`  A (${path.basename(files.fileA)}): ${status(errorsA)}`);
+    console.log(`  B (${path.basename(files.fileB)}): ${status(errorsB)}`);
+    console.log(`  Новые нарушения в B: ${introduced.length ? colorize(introduced.length, 'red') : colorize('нет', 'green')}`);
+    console.log('');
+
+    if (newOnly) {
+        printErrorList(introduced);
+        return;
+    }
+    [['A', errorsA], ['B', errorsB]].filter(([, errors]) => errors.length).forEach(([side, errors]) => {
+        console.log(colorize(`Файл ${side}:`, 'bold'));
+        console.log('');
+        printErrorList(errors);
+    });
+}
+
+// ===== КОМАНДА =====
+/**
+ * validate <файл> [файл...] --schema=<схема>: проверяет каждый файл по схеме.
+ * Если хотя бы один файл не прошёл проверку — код выхода 2
+ */
+function runValidate(options) {
+    const { schema, patterns: files, outputFormat } = options;
+    if (!schema) throw new Error('Для validate нужна схема: --schema=<путь>');
+    if (!VALIDATE_FORMATS.includes(outputFormat)) {
+        throw new Error(`Команда validate выводится в форматах: ${VALIDATE_FORMATS.join(', ')}`);
+    }
+
+    const results = files.map(file => ({
+        file,
+        errors: validateDocuments(loadDocuments(file, options.formatA), schema.validate),
+    }));
+    const invalid = results.filter(result => result.errors.length);
+
+    if (outputFormat === 'json') {
+        console.log(JSON.stringify({
+            summary: {
+                files: results.length,
+                valid: results.length - invalid.length,
+                invalid: invalid.length,
+                errors: invalid.reduce((sum, result) => sum + result.errors.length, 0),
+            },
+            files: results.map(result => ({ ...result, valid: result.errors.length === 0 })),
+        }, null, 2));
+    } else {
+        printHeader();
+        console.log(colorize('━━━ ВАЛИДАЦИЯ СХЕМЫ ━━━', 'bold'));
+        results.forEach(result => {
+            console.log('');
+            if (result.errors.length === 0) {
+                console.log(colorize(`${icon('success')} ${result.file}: без ошибок`, 'green'));
+                return;
+            }
+            console.log(colorize(`${icon('error')} ${result.file}: ошибок ${result.errors.length}`, 'red'));
+            console.log('');
+            printErrorList(result.errors);
+        });
+        console.log('');
+    }
+
+    if (invalid.length) process.exitCode = EXIT_CODES.policy;
+}
+
+module.exports = {
+    printValidation,
+    runValidate,
+};
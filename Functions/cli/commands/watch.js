@@ -0,0 +1,166 @@
+/**
+ * Visual Change Impact Platform - режим наблюдения (diff --watch)
+ * Следит за парой файлов, файлами правил, схемы и baseline; после сохранения пересчитывает
+ * сравнение и перерисовывает отчёт, показывая, что изменилось с прошлого запуска.
+ * Недописанный или временно битый файл не прерывает наблюдение
+ */
+
+const fs = require('fs');
+const { compareDocuments } = require('../lib/compare');
+const { loadDocuments } = require('../lib/loader');
+const { parseRevisionSpec } = require('../lib/git');
+const { rulesFileCandidates } = require('../lib/rules');
+const { baselinePath } = require('../lib/baseline');
+const { validatePair } = require('../lib/schema');
+const { EXIT_CODES } = require('../lib/policy');
+const { analyzeChanges, diffRuns } = require('../lib/analysis');
+const {
+    colorize,
+    icon,
+    printHeader,
+    printChanges,
+    printImpacts,
+    printSummary,
+    printViolations,
+    printDelta,
+    printBaseline,
+} = require('../lib/terminal');
+const { loadSettings, applyPolicy } = require('./common');
+const { printValidation } = require('./validate');
+
+// Пауза после последнего события: редактор может сохранять файл в несколько приёмов
+const WATCH_DEBOUNCE = 300;
+// Период опроса: fs.watchFile замечает и замену файла целиком (сохранение через временный файл)
+const WATCH_INTERVAL = 250;
+
+// Ошибка разбора с именем файла: при наблюдении сразу видно, какой из них сохранён не до конца
+function loadWatched(file, format) {
+    try {
+        return loadDocuments(file, format);
+    } catch (error) {
+        throw new Error(error.message.includes(file) ? error.message : `${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Файлы настроек: правила (--rules или все места, где может появиться .impactrc,
+ * перекрывающий найденный), схема и baseline — в том числе ещё не созданные
+ */
+function settingsFiles(options) {
+    const rules = options.rulesPath ? [options.ruleSet.file] : rulesFileCandidates(process.cwd(), options.ruleSet.file);
+    return [...rules, options.schemaPath, baselinePath(options.baselinePath)].filter(Boolean);
+}
+
+function analyzePair(options) {
+    const { fileA, fileB, formatA, formatB, compareOptions } = options;
+    if (options.baseline) options.baseline.reset();
+    const docsA = loadWatched(fileA, formatA);
+    const docsB = loadWatched(fileB, formatB);
+    const { changes, impacts } = analyzeChanges(compareDocuments(docsA, docsB, compareOptions), options, { docsA, docsB });
+    return {
+        changes,
+        impacts,
+        validation: options.schema ? validatePair(options.schema, docsA, docsB) : null,
+        baseline: options.baseline ? options.baseline.report() : null,
+        violations: applyPolicy(options, [{ changes, impacts }]),
+    };
+}
+
+function clearScreen() {
+    if (process.stdout.isTTY) process.stdout.write('\x1B[2J\x1B[3J\x1B[H');
+}
+
+function printRun(options, run, files) {
+    clearScreen();
+    printHeader();
+    console.log(colorize(`  Наблюдение: ${files.join(', ')}`, 'gray'));
+    const trigger = run.changed.length ? ` · изменено: ${run.changed.join(', ')}` : '';
+    console.log(colorize(`  Запуск ${run.number}, ${new Date().toLocaleTimeString('ru-RU')}${trigger}`, 'gray'));
+
+    if (run.error) {
+        console.log(colorize(`\n  ${icon('error')} ${run.error.message}`, 'red'));
+        console.log(colorize(run.previous
+            ? '  Отчёт не обновлён: последний удачный запуск остаётся точкой сравнения'
+            : '  Отчёт будет построен, когда файлы удастся прочитать', 'gray'));
+    } else {
+        const { result } = run;
+        if (result.validation) printValidation(result.validation, options, options.newViolations);
+        printChanges(result.changes);
+        printImpacts(result.impacts);
+        printSummary(result.changes, result.impacts);
+        printBaseline(result.baseline, result.impacts);
+        printViolations(result.violations);
+        if (run.previous) printDelta(diffRuns(run.previous, result), 'С ПРОШЛОГО ЗАПУСКА', 'Результат не изменился');
+    }
+    console.log(colorize('\n  Ожидание изменений… Ctrl+C — выход\n', 'gray'));
+}
+
+/**
+ * diff <A> <B> --watch: первый отчёт сразу, затем — после каждого сохранения
+ * файлов пары, правил, схемы или baseline. Версии из git (ревизия:путь) не отслеживаются
+ */
+function runWatch(options) {
+    const inputs = [options.fileA, options.fileB].filter(file => !parseRevisionSpec(file));
+    const watched = new Set();
+    let settings = [];
+
+    let number = 0;
+    let previous = null;
+    let timer = null;
+    // Настройки не перечитаны или битые: пока loadSettings не пройдёт, отчёт по прежним правилам не строится
+    let settingsStale = false;
+    const pending = new Set();
+
+    const schedule = file => {
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(rerun, WATCH_DEBOUNCE);
+    };
+
+    const watch = files => files.filter(file => !watched.has(file)).forEach(file => {
+        watched.add(file);
+        // Несуществующий файл тоже отслеживается: событие придёт, когда его создадут
+        fs.watchFile(file, { interval: WATCH_INTERVAL }, (current, before) => {
+            if (current.mtimeMs !== before.mtimeMs || current.size !== before.size || current.ino !== before.ino) schedule(file);
+        });
+    });
+
+    const refreshSettings = () => {
+        settings = settingsFiles(options);
+        watch(settings);
+    };
+
+    const rerun = () => {
+        const changed = [...pending];
+        pending.clear();
+        const run = { number: ++number, changed, previous, result: null, error: null };
+        try {
+            if (settingsStale || changed.some(file => settings.includes(file))) {
+                settingsStale = true;
+                loadSettings(options);
+                settingsStale = false;
+                refreshSettings();
+            }
+            run.result = analyzePair(options);
+        } catch (error) {
+            run.error = error;
+        }
+        const shown = [...inputs, ...settings.filter(file => fs.existsSync(file))];
+        printRun(options, run, [...new Set(shown)]);
+        if (run.result) previous = run.result;
+    };
+
+    watch(inputs);
+    refreshSettings();
+    process.on('SIGINT', () => {
+        watched.forEach(file => fs.unwatchFile(file));
+        console.log(colorize('\n  Наблюдение остановлено\n', 'gray'));
+        process.exit(EXIT_CODES.ok);
+    });
+
+    rerun();
+}
+
+module.exports = {
+    runWatch,
+};
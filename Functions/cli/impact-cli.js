@@ -3,483 +3,204 @@
 /**
  * Visual Change Impact Platform - CLI Version
  * Локальный анализ изменений в конфигурациях без браузера
- * 
+ *
  * Usage:
- *   node impact-cli.js <file-a> <file-b> [options]
- *   node impact-cli.js config-v1.json config-v2.json --format=json
+ *   impact [diff] <file-a> <file-b> [options]
+ *   impact diff config-v1.json config-v2.json --format=json
+ *   impact diff a.json b.json --schema=config.schema.json --save
+ *   impact validate config.yaml --schema=config.schema.json
+ *   impact history
+ *   impact baseline create a.json b.json --reason="Плановая ротация ключей"
+ *   impact report report.json --format=html -o report.html
+ *   impact apply base.json patch.json
+ *   impact merge base.yaml ours.yaml theirs.yaml -o merged.yaml
+ *   impact matrix dev.json staging.json prod.json
+ *   impact schema infer config.json -o config.schema.json
+ *   impact schema diff old.schema.json new.schema.json
  */
 
 const fs = require('fs');
-const path = require('path');
+const { compareObjects } = require('./lib/compare');
+const { EXIT_CODES } = require('./lib/policy');
+const { loadFile } = require('./lib/loader');
+const { REPORTERS } = require('./lib/reporters');
+const { createRetention } = require('./lib/history');
+const { colorize } = require('./lib/terminal');
+const { loadSettings, analyzeImpactLocal } = require('./commands/common');
+const { runDiff } = require('./commands/diff');
+const { runValidate } = require('./commands/validate');
+const { runHistory } = require('./commands/history');
+const { runReport } = require('./commands/report');
+const { PATCH_FORMATS, runApply } = require('./commands/patch');
+const { runMerge } = require('./commands/merge');
+const { runMatrix } = require('./commands/matrix');
+const { runSchema } = require('./commands/schema');
+const { runBaseline } = require('./commands/baseline');
 
-// ===== ЦВЕТА ДЛЯ ТЕРМИНАЛА =====
-const colors = {
-    reset: '\x1b[0m',
-    bold: '\x1b[1m',
-    dim: '\x1b[2m',
-    
-    red: '\x1b[31m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    blue: '\x1b[34m',
-    magenta: '\x1b[35m',
-    cyan: '\x1b[36m',
-    white: '\x1b[37m',
-    gray: '\x1b[90m',
-    
-    bgRed: '\x1b[41m',
-    bgGreen: '\x1b[42m',
-    bgYellow: '\x1b[43m',
-    bgBlue: '\x1b[44m',
-};
-
-// ===== УТИЛИТЫ =====
-function colorize(text, color) {
-    return `${colors[color] || ''}${text}${colors.reset}`;
-}
-
-function box(text, color = 'white') {
-    const lines = text.split('\n');
-    const maxLen = Math.max(...lines.map(l => l.length));
-    const border = '─'.repeat(maxLen + 2);
-    
-    console.log(colorize(`┌${border}┐`, color));
-    lines.forEach(line => {
-        const padding = ' '.repeat(maxLen - line.length);
-        console.log(colorize(`│ ${line}${padding} │`, color));
-    });
-    console.log(colorize(`└${border}┘`, color));
-}
-
-function icon(type) {
-    const icons = {
-        added: '✚',
-        removed: '✖',
-        modified: '⟳',
-        critical: '⚠',
-        high: '◆',
-        medium: '●',
-        low: '○',
-        success: '✓',
-        error: '✗',
-        info: 'ℹ',
-    };
-    return icons[type] || '•';
-}
-
-// ===== ПАРСИНГ ФАЙЛОВ =====
-function parseYAML(content) {
-    const lines = content.split('\n');
-    const result = {};
-    const stack = [{ obj: result, indent: -1 }];
-    
-    for (const line of lines) {
-        if (!line.trim() || line.trim().startsWith('#')) continue;
-        
-        const indent = line.search(/\S/);
-        const match = line.trim().match(/^([^:]+):\s*(.*)$/);
-        
-        if (match) {
-            const [, key, value] = match;
-            
-            while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-                stack.pop();
-            }
-            
-            const parent = stack[stack.length - 1].obj;
-            
-            if (value) {
-                let parsedValue = value.trim();
-                if (parsedValue === 'true') parsedValue = true;
-                else if (parsedValue === 'false') parsedValue = false;
-                else if (!isNaN(parsedValue) && parsedValue !== '') parsedValue = Number(parsedValue);
-                else if (parsedValue.startsWith('"') && parsedValue.endsWith('"')) {
-                    parsedValue = parsedValue.slice(1, -1);
-                } else if (parsedValue.startsWith('[') && parsedValue.endsWith(']')) {
-                    try { parsedValue = JSON.parse(parsedValue); } catch {}
-                }
-                parent[key.trim()] = parsedValue;
-            } else {
-                parent[key.trim()] = {};
-                stack.push({ obj: parent[key.trim()], indent });
-            }
-        }
-    }
-    
-    return result;
-}
-
-function loadFile(filePath) {
-    if (!fs.existsSync(filePath)) {
-        throw new Error(`Файл не найден: ${filePath}`);
-    }
-    
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const ext = path.extname(filePath).toLowerCase();
-    
-    if (ext === '.json') {
-        return JSON.parse(content);
-    } else if (ext === '.yaml' || ext === '.yml') {
-        return parseYAML(content);
-    } else {
-        // Пробуем JSON по умолчанию
-        try {
-            return JSON.parse(content);
-        } catch {
-            throw new Error(`Неподдерживаемый формат файла: ${ext}`);
-        }
-    }
-}
-
-// ===== СРАВНЕНИЕ ОБЪЕКТОВ =====
-function compareObjects(objA, objB, path = '') {
-    const changes = [];
-    const allKeys = new Set([...Object.keys(objA || {}), ...Object.keys(objB || {})]);
-    
-    for (const key of allKeys) {
-        const currentPath = path ? `${path}.${key}` : key;
-        const valueA = objA?.[key];
-        const valueB = objB?.[key];
-        
-        if (!(key in (objA || {}))) {
-            changes.push({
-                type: 'added',
-                path: currentPath,
-                value: valueB,
-            });
-        } else if (!(key in (objB || {}))) {
-            changes.push({
-                type: 'removed',
-                path: currentPath,
-                value: valueA,
-            });
-        } else if (typeof valueA === 'object' && typeof valueB === 'object' && 
-                   valueA !== null && valueB !== null &&
-                   !Array.isArray(valueA) && !Array.isArray(valueB)) {
-            changes.push(...compareObjects(valueA, valueB, currentPath));
-        } else if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
-            changes.push({
-                type: 'modified',
-                path: currentPath,
-                oldValue: valueA,
-                newValue: valueB,
-            });
-        }
-    }
-    
-    return changes;
-}
-
-// ===== ЛОКАЛЬНЫЙ АНАЛИЗ ВЛИЯНИЯ (БЕЗ AI) =====
-function analyzeImpactLocal(changes) {
-    const impacts = [];
-    
-    const criticalPatterns = [
-        /^(api[_-]?key|secret|password|token|auth)/i,
-        /^(database|db)[_.-](host|url|connection)/i,
-        /^required/i,
-        /^enabled?$/i,
-        /^active$/i,
-    ];
-    
-    const highPatterns = [
-        /timeout/i,
-        /limit/i,
-        /max[_-]?/i,
-        /min[_-]?/i,
-        /threshold/i,
-        /retry/i,
-        /^port$/i,
-        /^host$/i,
-        /^endpoint$/i,
-        /^url$/i,
-    ];
-    
-    const mediumPatterns = [
-        /^name$/i,
-        /^type$/i,
-        /^version$/i,
-        /^format$/i,
-        /^encoding$/i,
-        /^locale$/i,
-        /^timezone$/i,
-    ];
-    
-    for (const change of changes) {
-        const pathLower = change.path.toLowerCase();
-        const lastKey = change.path.split('.').pop();
-        
-        let level = 'low';
-        let title = '';
-        let description = '';
-        let recommendation = '';
-        
-        // Определяем уровень риска
-        if (criticalPatterns.some(p => p.test(lastKey))) {
-            level = 'critical';
-        } else if (highPatterns.some(p => p.test(lastKey))) {
-            level = 'high';
-        } else if (mediumPatterns.some(p => p.test(lastKey))) {
-            level = 'medium';
-        }
-        
-        // Специфичные проверки
-        if (change.type === 'removed') {
-            if (level === 'low') level = 'medium';
-            title = `Удалено поле: ${lastKey}`;
-            description = 'Удаление поля может привести к ошибкам в коде, который его использует.';
-            recommendation = 'Убедитесь, что это поле больше не используется в системе.';
-        } else if (change.type === 'added') {
-            title = `Добавлено поле: ${lastKey}`;
-            description = 'Новое поле в конфигурации.';
-            if (level === 'critical' || level === 'high') {
-                description += ' Требует внимания при развёртывании.';
-                recommendation = 'Проверьте, что все компоненты поддерживают новое поле.';
-            }
-        } else if (change.type === 'modified') {
-            title = `Изменено значение: ${lastKey}`;
-            
-            // Специфичные случаи
-            if (/timeout/i.test(lastKey)) {
-                const oldVal = Number(change.oldValue);
-                const newVal = Number(change.newValue);
-                if (!isNaN(oldVal) && !isNaN(newVal)) {
-                    if (newVal < oldVal) {
-                        level = level === 'low' ? 'medium' : level;
-                        description = `Таймаут уменьшен с ${oldVal} до ${newVal}. Возможны ошибки по таймауту.`;
-                        recommendation = 'Убедитесь, что новое значение достаточно для выполнения операций.';
-                    } else {
-                        description = `Таймаут увеличен с ${oldVal} до ${newVal}.`;
-                    }
-                }
-            } else if (/^(enabled?|active)$/i.test(lastKey)) {
-                level = 'critical';
-                description = `Изменён флаг активности: ${change.oldValue} → ${change.newValue}`;
-                recommendation = 'Критическое изменение. Проверьте влияние на работу системы.';
-            } else if (/^(port|host)$/i.test(lastKey)) {
-                level = 'high';
-                description = `Изменены параметры подключения: ${change.oldValue} → ${change.newValue}`;
-                recommendation = 'Убедитесь, что новые параметры корректны и доступны.';
-            } else {
-                description = `Значение изменено с "${change.oldValue}" на "${change.newValue}"`;
-            }
-        }
-        
-        // Пропускаем изменения с низким риском если они не критичны
-        if (level !== 'low' || change.type === 'removed') {
-            impacts.push({
-                level,
-                path: change.path,
-                title,
-                description,
-                recommendation,
-                changeType: change.type,
-            });
-        }
-    }
-    
-    return impacts;
-}
-
-// ===== ВЫВОД РЕЗУЛЬТАТОВ =====
-function printHeader() {
-    console.log('\n');
-    box('Visual Change Impact Platform\nЛокальный анализ изменений', 'cyan');
-    console.log('');
-}
-
-function printChanges(changes) {
-    const added = changes.filter(c => c.type === 'added');
-    const removed = changes.filter(c => c.type === 'removed');
-    const modified = changes.filter(c => c.type === 'modified');
-    
-    console.log(colorize('\n━━━ ОБНАРУЖЕННЫЕ ИЗМЕНЕНИЯ ━━━', 'bold'));
-    console.log('');
-    
-    if (added.length > 0) {
-        console.log(colorize(`${icon('added')} Добавлено: ${added.length}`, 'green'));
-        added.forEach(c => {
-            console.log(colorize(`  ${c.path}`, 'gray'));
-            console.log(colorize(`    → ${formatValue(c.value)}`, 'green'));
-        });
-        console.log('');
-    }
-    
-    if (modified.length > 0) {
-        console.log(colorize(`${icon('modified')} Изменено: ${modified.length}`, 'yellow'));
-        modified.forEach(c => {
-            console.log(colorize(`  ${c.path}`, 'gray'));
-            console.log(colorize(`    ${formatValue(c.oldValue)}`, 'red') + 
-                       colorize(' → ', 'gray') + 
-                       colorize(`${formatValue(c.newValue)}`, 'green'));
-        });
-        console.log('');
-    }
-    
-    if (removed.length > 0) {
-        console.log(colorize(`${icon('removed')} Удалено: ${removed.length}`, 'red'));
-        removed.forEach(c => {
-            console.log(colorize(`  ${c.path}`, 'gray'));
-            console.log(colorize(`    ✗ ${formatValue(c.value)}`, 'red'));
-        });
-        console.log('');
-    }
-    
-    if (changes.length === 0) {
-        console.log(colorize('  Изменений не обнаружено', 'green'));
-    }
-}
-
-function printImpacts(impacts) {
-    if (impacts.length === 0) {
-        console.log(colorize('\n━━━ АНАЛИЗ ВЛИЯНИЯ ━━━', 'bold'));
-        console.log(colorize('\n  ✓ Критических рисков не обнаружено\n', 'green'));
-        return;
-    }
-    
-    const critical = impacts.filter(i => i.level === 'critical');
-    const high = impacts.filter(i => i.level === 'high');
-    const medium = impacts.filter(i => i.level === 'medium');
-    const low = impacts.filter(i => i.level === 'low');
-    
-    console.log(colorize('\n━━━ АНАЛИЗ ВЛИЯНИЯ ━━━', 'bold'));
-    console.log('');
-    
-    const printImpactGroup = (items, label, color, emoji) => {
-        if (items.length === 0) return;
-        
-        console.log(colorize(`${emoji} ${label}: ${items.length}`, color));
-        items.forEach((impact, idx) => {
-            console.log('');
-            console.log(colorize(`  ${impact.title}`, 'bold'));
-            console.log(colorize(`  Путь: ${impact.path}`, 'gray'));
-            console.log(colorize(`  ${impact.description}`, 'white'));
-            if (impact.recommendation) {
-                console.log(colorize(`  💡 ${impact.recommendation}`, 'cyan'));
-            }
-        });
-        console.log('');
-    };
-    
-    printImpactGroup(critical, 'КРИТИЧЕСКИЙ', 'red', '⚠');
-    printImpactGroup(high, 'Высокий', 'yellow', '◆');
-    printImpactGroup(medium, 'Средний', 'blue', '●');
-    printImpactGroup(low, 'Низкий', 'gray', '○');
-}
+const OUTPUT_FORMATS = ['console', 'json', ...Object.keys(PATCH_FORMATS), ...Object.keys(REPORTERS)];
 
-function printSummary(changes, impacts) {
-    const added = changes.filter(c => c.type === 'added').length;
-    const removed = changes.filter(c => c.type === 'removed').length;
-    const modified = changes.filter(c => c.type === 'modified').length;
-    
-    const critical = impacts.filter(i => i.level === 'critical').length;
-    const high = impacts.filter(i => i.level === 'high').length;
-    const medium = impacts.filter(i => i.level === 'medium').length;
-    const low = impacts.filter(i => i.level === 'low').length;
-    
-    console.log(colorize('\n━━━ ИТОГОВЫЙ ОТЧЁТ ━━━', 'bold'));
-    console.log('');
-    console.log(`  Всего изменений: ${colorize(changes.length, 'bold')}`);
-    console.log(`    ${colorize(`+ ${added}`, 'green')} добавлено`);
-    console.log(`    ${colorize(`~ ${modified}`, 'yellow')} изменено`);
-    console.log(`    ${colorize(`- ${removed}`, 'red')} удалено`);
-    console.log('');
-    
-    // Определяем общий уровень риска
-    let riskLevel = 'Низкий';
-    let riskColor = 'green';
-    if (critical > 0) {
-        riskLevel = 'КРИТИЧЕСКИЙ';
-        riskColor = 'red';
-    } else if (high > 0) {
-        riskLevel = 'Высокий';
-        riskColor = 'yellow';
-    } else if (medium > 0) {
-        riskLevel = 'Средний';
-        riskColor = 'blue';
-    }
-    
-    console.log(`  Общий риск: ${colorize(riskLevel, riskColor)}`);
-    if (critical > 0) console.log(`    ${colorize(`⚠ ${critical}`, 'red')} критический`);
-    if (high > 0) console.log(`    ${colorize(`◆ ${high}`, 'yellow')} высокий`);
-    if (medium > 0) console.log(`    ${colorize(`● ${medium}`, 'blue')} средний`);
-    if (low > 0) console.log(`    ${colorize(`○ ${low}`, 'gray')} низкий`);
-    console.log('');
-}
+// ===== КОМАНДЫ =====
+// diff — сравнение (по умолчанию), validate — проверка по схеме, history — история сравнений,
+// report — перевод сохранённого JSON-отчёта в другой формат, apply — применение патча,
+// merge — трёхстороннее слияние, matrix — расхождения между окружениями,
+// schema — построение и сравнение схем, baseline — принятые влияния.
+// args — сколько позиционных аргументов нужно команде
+const COMMANDS = {
+    diff: { run: runDiff, args: 2 },
+    validate: { run: runValidate, args: 1 },
+    history: { run: runHistory, args: 0 },
+    report: { run: runReport, args: 1 },
+    apply: { run: runApply, args: 2 },
+    merge: { run: runMerge, args: 3 },
+    matrix: { run: runMatrix, args: 2 },
+    schema: { run: runSchema, args: 2 },
+    baseline: { run: runBaseline, args: 0 },
+};
 
-function formatValue(value) {
-    if (value === null) return 'null';
-    if (value === undefined) return 'undefined';
-    if (typeof value === 'object') {
-        const str = JSON.stringify(value);
-        return str.length > 50 ? str.substring(0, 50) + '...' : str;
-    }
-    const str = String(value);
-    return str.length > 50 ? str.substring(0, 50) + '...' : str;
+// ===== ПАРСИНГ АРГУМЕНТОВ =====
+// Значение --ключ=значение целиком: в путях и выражениях тоже бывает «=»
+function optionValue(arg) {
+    return arg.slice(arg.indexOf('=') + 1);
 }
 
-// ===== ЭКСПОРТ В JSON =====
-function exportReport(changes, impacts, outputPath) {
-    const added = changes.filter(c => c.type === 'added').length;
-    const removed = changes.filter(c => c.type === 'removed').length;
-    const modified = changes.filter(c => c.type === 'modified').length;
-    
-    const critical = impacts.filter(i => i.level === 'critical').length;
-    const high = impacts.filter(i => i.level === 'high').length;
-    const medium = impacts.filter(i => i.level === 'medium').length;
-    const low = impacts.filter(i => i.level === 'low').length;
-    
-    const report = {
-        generatedAt: new Date().toISOString(),
-        summary: {
-            total: changes.length,
-            added,
-            removed,
-            modified,
-            critical,
-            high,
-            medium,
-            low,
-        },
-        changes,
-        impacts,
-    };
-    
-    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
-    console.log(colorize(`\n  ✓ Отчёт сохранён: ${outputPath}\n`, 'green'));
-}
+function parseArgs(args = process.argv.slice(2)) {
+    const positional = [];
 
-// ===== ПАРСИНГ АРГУМЕНТОВ =====
-function parseArgs() {
-    const args = process.argv.slice(2);
-    
-    if (args.length < 2) {
-        console.error(colorize('\nОшибка: Недостаточно аргументов\n', 'red'));
-        printUsage();
-        process.exit(1);
-    }
-    
-    const fileA = args[0];
-    const fileB = args[1];
-    
     let outputFormat = 'console';
     let outputPath = null;
-    
-    for (let i = 2; i < args.length; i++) {
+    const compareOptions = {};
+    let formatA = null;
+    let formatB = null;
+    let gitRange = null;
+    let rulesPath = null;
+    let schemaPath = null;
+    let newViolations = false;
+    let watch = false;
+    let baselinePath = null;
+    let reason = null;
+    let expires = null;
+    // null — не сохранять в историю, '' — сохранить под именем по умолчанию
+    let saveName = null;
+    // Отбор записей history: --file, --path, --risk, --since, --until
+    const historyFilter = {};
+    // Политика хранения истории: --max-records, --max-age, --max-size
+    const retention = {};
+    let showSecrets = false;
+    let showAll = false;
+    let failOn = null;
+    let maxChanges = null;
+    let maxLength = null;
+    // Метки изменения (например, метки pull request'а) для правил политики requireLabel
+    const labels = (process.env.IMPACT_LABELS || '').split(',').map(label => label.trim()).filter(Boolean);
+
+    for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--format=')) {
-            outputFormat = args[i].split('=')[1];
+            outputFormat = optionValue(args[i]);
+        } else if (args[i].startsWith('--from-format=')) {
+            formatA = optionValue(args[i]);
+        } else if (args[i].startsWith('--to-format=')) {
+            formatB = optionValue(args[i]);
+        } else if (args[i].startsWith('--array-key=')) {
+            compareOptions.arrayKeys = optionValue(args[i]).split(',').filter(Boolean);
+        } else if (args[i] === '--array-by-index') {
+            compareOptions.arrayByIndex = true;
+        } else if (args[i].startsWith('--fail-on=')) {
+            failOn = optionValue(args[i]);
+        } else if (args[i].startsWith('--max-changes=')) {
+            maxChanges = optionValue(args[i]);
+        } else if (args[i].startsWith('--max-length=')) {
+            maxLength = Number(optionValue(args[i]));
+            if (!Number.isInteger(maxLength) || maxLength <= 0) {
+                throw new Error(`--max-length: ожидалось положительное целое число, получено «${optionValue(args[i])}»`);
+            }
+        } else if (args[i].startsWith('--label=')) {
+            labels.push(...optionValue(args[i]).split(',').filter(Boolean));
+        } else if (args[i] === '--show-secrets') {
+            showSecrets = true;
+        } else if (args[i] === '--all') {
+            showAll = true;
+        } else if (args[i].startsWith('--rules=')) {
+            rulesPath = optionValue(args[i]);
+        } else if (args[i].startsWith('--schema=')) {
+            schemaPath = optionValue(args[i]);
+        } else if (args[i] === '--new-violations') {
+            newViolations = true;
+        } else if (args[i] === '--watch') {
+            watch = true;
+        } else if (args[i].startsWith('--baseline=')) {
+            baselinePath = optionValue(args[i]);
+        } else if (args[i].startsWith('--reason=')) {
+            reason = args[i].slice('--reason='.length);
+        } else if (args[i].startsWith('--expires=')) {
+            expires = optionValue(args[i]);
+        } else if (args[i] === '--save') {
+            saveName = '';
+        } else if (args[i].startsWith('--save=')) {
+            saveName = args[i].slice('--save='.length);
+        } else if (/^--(file|path|risk|since|until)=/.test(args[i])) {
+            const [name, ...value] = args[i].slice(2).split('=');
+            historyFilter[name] = value.join('=');
+        } else if (/^--max-(records|age|size)=/.test(args[i])) {
+            const [name, ...value] = args[i].slice('--max-'.length).split('=');
+            retention[`max${name[0].toUpperCase()}${name.slice(1)}`] = value.join('=');
+        } else if (args[i].startsWith('--git-range=')) {
+            gitRange = optionValue(args[i]);
         } else if (args[i].startsWith('--output=')) {
-            outputPath = args[i].split('=')[1];
+            outputPath = optionValue(args[i]);
         } else if (args[i] === '-o' && args[i + 1]) {
             outputPath = args[i + 1];
             i++;
         } else if (args[i] === '--help' || args[i] === '-h') {
             printUsage();
             process.exit(0);
+        } else if (!args[i].startsWith('-')) {
+            positional.push(args[i]);
         }
     }
-    
-    return { fileA, fileB, outputFormat, outputPath };
+
+    // Файл с именем команды в текущем каталоге остаётся файлом
+    const command = COMMANDS[positional[0]] && !fs.existsSync(positional[0]) ? positional.shift() : 'diff';
+
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Неизвестный формат вывода: ${outputFormat}. Поддерживаются: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    // В режиме --git-range позиционные аргументы — шаблоны путей (необязательные)
+    const required = command === 'diff' && gitRange ? 0 : COMMANDS[command].args;
+    if (positional.length < required) {
+        console.error(colorize('\nОшибка: Недостаточно аргументов\n', 'red'));
+        printUsage();
+        process.exit(EXIT_CODES.error);
+    }
+
+    return {
+        command,
+        fileA: positional[0],
+        fileB: positional[1],
+        patterns: positional,
+        gitRange,
+        rulesPath,
+        schemaPath,
+        newViolations,
+        watch,
+        baselinePath,
+        reason,
+        expires,
+        saveName,
+        historyFilter,
+        retention,
+        showSecrets,
+        showAll,
+        failOn,
+        maxChanges,
+        maxLength,
+        labels,
+        formatA,
+        formatB,
+        outputFormat,
+        outputPath,
+        compareOptions,
+    };
 }
 
 function printUsage() {
@@ -487,71 +208,127 @@ function printUsage() {
 ${colorize('Visual Change Impact Platform - CLI', 'cyan')}
 
 ${colorize('Использование:', 'bold')}
-  node impact-cli.js <файл-A> <файл-B> [опции]
+  impact [diff] <файл-A> <файл-B> [опции]
+  impact diff <каталог-A> <каталог-B> [опции]
+  impact diff --git-range=<диапазон> [шаблоны...] [опции]
+  impact validate <файл> [файл...] --schema=<схема> [--format=console|json]
+  impact history [list] [--file=…] [--path=…] [--risk=…] [--since=…] [--until=…]
+  impact history show|replay <номер или id> [--format=console|json]
+  impact history stats [отбор как у списка] [--format=console|json|html] [--output=<путь>]
+  impact history prune [--max-records=N] [--max-age=90d] [--max-size=5MB]
+  impact history export [--file=…] [--output=<путь.json|путь.jsonl>]
+  impact history import <файл>
+  impact report <отчёт.json> [--format=<тип>] [--output=<путь>]
+  impact apply <база> <патч> [--output=<путь>]
+  impact merge <база> <наша> <их> [--output=<путь>]
+  impact matrix <файл> <файл> [файл...] [--all] [--format=console|json|html]
+  impact schema infer <файл> [файл...] [--output=<путь>]
+  impact schema diff <старая схема> <новая схема> [--format=console|json]
+  impact baseline create <файл-A> <файл-B> --reason=<причина> [--expires=90d|ГГГГ-ММ-ДД]
+  impact baseline [list] [--format=console|json]
+
+  Без установки пакета: node Functions/cli/impact-cli.js <команда> ...
 
 ${colorize('Аргументы:', 'bold')}
-  <файл-A>    Исходная версия (JSON/YAML)
-  <файл-B>    Новая версия (JSON/YAML)
+  <файл-A>    Исходная версия (JSON/YAML/TOML/INI/.env/XML/properties)
+  <файл-B>    Новая версия (JSON/YAML/TOML/INI/.env/XML/properties)
+              Вместо пути можно указать версию из git: <ревизия>:<путь>,
+              каталог или glob-шаблон в кавычках ('config/prod/**/*.yaml')
+  <отчёт.json> JSON-отчёт diff (--format=json или --output=<путь>.json)
 
 ${colorize('Опции:', 'bold')}
-  --format=<тип>        Формат вывода (console|json)
+  --format=<тип>        Формат вывода (console|json|html|markdown|sarif|junit|github|gitlab)
+                        или патч от A к B (json-patch|merge-patch)
   --output=<путь>       Сохранить отчёт в файл
   -o <путь>             Короткая версия --output
+  --from-format=<тип>   Формат файла A (json|yaml|toml|ini|env|xml|properties)
+  --to-format=<тип>     Формат файла B (по умолчанию — по расширению и содержимому)
+  --array-key=<ключи>   Ключи сопоставления элементов массивов (по умолчанию id,name,key)
+  --array-by-index      Сопоставлять элементы массивов только по позиции
+  --schema=<путь>       JSON Schema (draft 2020-12): проверка файлов и оценка риска по схеме
+  --new-violations      diff: показать только нарушения схемы, появившиеся в B
+  --save[=<имя>]        diff, history replay: сохранить сравнение пары файлов в историю
+  --baseline=<путь>     Файл принятых влияний (по умолчанию .impact-baseline.json в корне проекта)
+  --reason=<текст>      baseline create: причина, по которой влияния принимаются (обязательна)
+  --expires=<срок|дата> baseline create: срок действия новых записей (по умолчанию 90d)
+  --watch               diff: следить за парой файлов, правилами и схемой и пересчитывать
+                        отчёт после каждого сохранения (выход — Ctrl+C)
+  --file=<путь|glob>    history: записи, где файл A или B содержит путь или совпадает с glob
+  --path=<glob>         history: записи с изменениями по этому пути (database.**)
+  --risk=<уровень>      history: записи с влиянием этого уровня и выше
+  --since=<дата>        history: записи не раньше даты (2024-05-01 или ISO 8601)
+  --until=<дата>        history: записи не позже даты (весь день, если без времени)
+  --max-records=<N>     Хранить в истории не больше N записей (по умолчанию 1000)
+  --max-age=<срок>      Хранить записи не дольше срока (30d, 12h, 2w)
+  --max-size=<размер>   Ограничить размер журнала истории (5MB, 512KiB)
+  --fail-on=<уровень>   Завершиться с кодом 2 при влиянии этого уровня и выше (critical|high|medium)
+  --max-changes=<N>     Завершиться с кодом 2, если изменений больше N
+  --max-length=<N>      Лимит размера Markdown-отчёта в символах (по умолчанию 60000)
+  --label=<метки>       Метки изменения для правил политики (также IMPACT_LABELS)
+  --show-secrets        Не маскировать значения секретов в выводе, отчётах и истории
+  --all                 matrix: показать и совпадающие пути
+  --rules=<путь>        Файл правил риска (по умолчанию .impactrc или impact.rules.json)
+  --git-range=<диапазон> Проанализировать каждый коммит диапазона (main..HEAD)
   --help, -h            Показать эту справку
 
+${colorize('Коды выхода:', 'bold')}
+  0  анализ выполнен, политика соблюдена
+  1  ошибка (файл не найден, ошибка разбора, неверные параметры)
+  2  нарушена политика (--fail-on, --max-changes, правила policy);
+     файл не прошёл проверку по схеме (validate);
+     в схеме есть ломающие изменения (schema diff)
+  3  патч не применён: база изменилась после его создания (apply);
+     остались конфликты слияния (merge)
+
 ${colorize('Примеры:', 'bold')}
-  node impact-cli.js config-v1.json config-v2.json
-  node impact-cli.js old.yaml new.yaml --output=report.json
-  node impact-cli.js a.json b.json --format=json > report.json
+  impact config-v1.json config-v2.json
+  impact diff old.yaml new.yaml --output=report.json
+  impact diff a.json b.json --format=json > report.json
+  impact diff a.yaml b.yaml --array-key=name
+  impact diff app.yaml app.converted --to-format=json
+  impact diff config/staging/ config/prod/
+  impact diff 'staging/**/*.yaml' 'prod/**/*.yaml'
+  impact diff HEAD~1:config/app.json config/app.json
+  impact diff config/app.json config/app.local.json --watch
+  impact diff old.yaml new.yaml --fail-on=high --max-changes=20
+  impact diff --git-range=main..HEAD 'config/**/*.yaml'
+  impact diff old.yaml new.yaml --format=html -o report.html
+  impact diff old.yaml new.yaml --format=markdown > comment.md
+  impact diff old.yaml new.yaml --format=sarif -o impact.sarif
+  impact diff origin/main:app.yaml app.yaml --format=github
+  impact diff a.json b.json --format=json-patch > patch.json
+  impact diff old.json new.json --schema=config.schema.json --save=release-42
+  impact validate config/*.json --schema=config.schema.json
+  impact history --path='database.**' --risk=high --since=2024-05-01
+  impact history show 1
+  impact history replay 3f2a9c1e
+  impact history stats --file=config/prod.yaml --format=html -o history-stats.html
+  impact history prune --max-age=90d
+  impact history export --since=2024-01-01 -o history.jsonl
+  impact report report.json --format=markdown > comment.md
+  impact apply base.json patch.json -o base.json
+  impact merge base.yaml ours.yaml theirs.yaml -o merged.yaml
+  impact matrix dev.json staging.json prod.json --format=html -o matrix.html
+  impact schema infer config/*.json -o config.schema.json
+  impact schema diff old.schema.json config.schema.json --format=json
+  impact baseline create config/prod.json config/prod.next.json --reason="Ротация apiKey, тикет OPS-12" --expires=30d
 `);
 }
 
 // ===== ГЛАВНАЯ ФУНКЦИЯ =====
-function main() {
+/**
+ * Запуск CLI с аргументами argv (без «node impact-cli.js»)
+ */
+function main(argv) {
     try {
-        const { fileA, fileB, outputFormat, outputPath } = parseArgs();
-        
-        printHeader();
-        
-        console.log(colorize('Загрузка файлов...', 'gray'));
-        const dataA = loadFile(fileA);
-        const dataB = loadFile(fileB);
-        console.log(colorize(`  ✓ Версия A: ${path.basename(fileA)}`, 'green'));
-        console.log(colorize(`  ✓ Версия B: ${path.basename(fileB)}`, 'green'));
-        
-        console.log(colorize('\nСравнение структур...', 'gray'));
-        const changes = compareObjects(dataA, dataB);
-        console.log(colorize(`  ✓ Обнаружено изменений: ${changes.length}`, 'green'));
-        
-        console.log(colorize('\nАнализ влияния...', 'gray'));
-        const impacts = analyzeImpactLocal(changes);
-        console.log(colorize(`  ✓ Проанализировано рисков: ${impacts.length}`, 'green'));
-        
-        if (outputFormat === 'json') {
-            const result = {
-                summary: {
-                    total: changes.length,
-                    added: changes.filter(c => c.type === 'added').length,
-                    removed: changes.filter(c => c.type === 'removed').length,
-                    modified: changes.filter(c => c.type === 'modified').length,
-                },
-                changes,
-                impacts,
-            };
-            console.log(JSON.stringify(result, null, 2));
-        } else {
-            printChanges(changes);
-            printImpacts(impacts);
-            printSummary(changes, impacts);
-        }
-        
-        if (outputPath) {
-            exportReport(changes, impacts, outputPath);
-        }
-        
+        const options = loadSettings(parseArgs(argv));
+        options.retention = createRetention(options.ruleSet.history, options.retention);
+
+        COMMANDS[options.command].run(options);
+
     } catch (error) {
         console.error(colorize(`\n✗ Ошибка: ${error.message}\n`, 'red'));
-        process.exit(1);
+        process.exit(EXIT_CODES.error);
     }
 }
 
@@ -560,4 +337,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { compareObjects, analyzeImpactLocal, loadFile };
\ No newline at end of file
+module.exports = { main, compareObjects, analyzeImpactLocal, loadFile };
@@ -0,0 +1,167 @@
+/**
+ * Visual Change Impact Platform - типы программного API (index.js)
+ */
+
+import { EventEmitter } from 'events';
+
+// ===== ИЗМЕНЕНИЯ =====
+export type ChangeType = 'added' | 'removed' | 'modified' | 'moved';
+
+/** Изменение: путь в формате a.b, ["a.b"], [3], [name=auth], [doc=N] */
+export interface Change {
+    type: ChangeType;
+    path: string;
+    /** added, removed */
+    value?: unknown;
+    /** modified */
+    oldValue?: unknown;
+    newValue?: unknown;
+    /** moved */
+    fromIndex?: number;
+    toIndex?: number;
+    /** Значение скрыто: путь секретный */
+    redacted?: boolean;
+}
+
+// ===== ВЛИЯНИЯ =====
+export type ImpactLevel = 'critical' | 'high' | 'medium' | 'low';
+
+export interface Impact {
+    level: ImpactLevel;
+    path: string;
+    title: string;
+    description: string;
+    recommendation: string;
+    changeType: ChangeType;
+    category: string;
+    /** id правила, определившего уровень: секрет, анализатор, схема или правило проекта */
+    rule?: string;
+    /** Вывод анализатора значений (semver, url, duration…) */
+    analysis?: { analyzer: string; [detail: string]: unknown };
+    /** Позиция изменённого ключа в after */
+    line?: number;
+    column?: number;
+}
+
+export interface Summary {
+    total: number;
+    added: number;
+    removed: number;
+    modified: number;
+    moved: number;
+    critical: number;
+    high: number;
+    medium: number;
+    low: number;
+}
+
+// ===== СХЕМА И ПОЛИТИКА =====
+export interface SchemaError {
+    path: string;
+    keyword: string;
+    schemaPath: string;
+    message: string;
+    severity: string;
+    side?: 'A' | 'B';
+}
+
+export interface SchemaValidation {
+    errorsA: SchemaError[];
+    errorsB: SchemaError[];
+    /** Нарушения, которых не было в before */
+    introduced: SchemaError[];
+}
+
+export interface PolicyViolation {
+    type: 'deny' | 'label' | 'fail-on' | 'max-changes';
+    rule?: string;
+    file?: string;
+    path?: string;
+    message: string;
+}
+
+// ===== ПАРАМЕТРЫ =====
+export type ConfigFormat = 'json' | 'yaml' | 'toml' | 'ini' | 'env' | 'xml' | 'properties';
+
+/**
+ * Строка и Buffer — содержимое файла конфигурации, поток — его байты,
+ * объект — уже разобранный документ
+ */
+export type AnalyzeInput =
+    | string
+    | Buffer
+    | NodeJS.ReadableStream
+    | AsyncIterable<string | Uint8Array>
+    | Record<string, unknown>
+    | unknown[];
+
+export interface AnalyzeOptions {
+    before: AnalyzeInput;
+    after: AnalyzeInput;
+    /** Путь к файлу правил или его содержимое; по умолчанию — встроенные правила */
+    rules?: string | Record<string, unknown> | unknown[];
+    /** Путь к JSON Schema (JSON или YAML) или объект схемы */
+    schema?: string | Record<string, unknown> | boolean;
+    /** Формат обоих входов; по умолчанию определяется по содержимому */
+    format?: ConfigFormat;
+    fromFormat?: ConfigFormat;
+    toFormat?: ConfigFormat;
+    /** Ключи сопоставления элементов массивов (по умолчанию id, name, key) */
+    arrayKeys?: string[];
+    arrayByIndex?: boolean;
+    /** Не маскировать значения секретов */
+    showSecrets?: boolean;
+    /** Политика: важнее секции policy файла правил */
+    failOn?: 'critical' | 'high' | 'medium';
+    maxChanges?: number;
+    labels?: string[];
+}
+
+export interface AnalysisResult {
+    changes: Change[];
+    impacts: Impact[];
+    summary: Summary;
+    /** Есть, если задана schema */
+    schema?: SchemaValidation;
+    /** Есть, если политика задана в правилах или параметрах */
+    policy?: { passed: boolean; violations: PolicyViolation[] };
+}
+
+// ===== СОБЫТИЯ =====
+export type ProgressEvent =
+    | { stage: 'read'; side: 'before' | 'after'; bytes: number }
+    | { stage: 'parse'; side: 'before' | 'after'; documents: number }
+    | { stage: 'compare'; changes: number }
+    | { stage: 'analyze'; impacts: number }
+    | { stage: 'validate'; errors: number; introduced: number };
+
+export class Analysis extends EventEmitter {
+    constructor(options: AnalyzeOptions);
+    readonly options: AnalyzeOptions;
+    run(): Promise<AnalysisResult>;
+
+    on(event: 'progress', listener: (event: ProgressEvent) => void): this;
+    on(event: 'change', listener: (change: Change) => void): this;
+    on(event: 'impact', listener: (impact: Impact) => void): this;
+    on(event: 'done', listener: (result: AnalysisResult) => void): this;
+    once(event: 'progress', listener: (event: ProgressEvent) => void): this;
+    once(event: 'change', listener: (change: Change) => void): this;
+    once(event: 'impact', listener: (impact: Impact) => void): this;
+    once(event: 'done', listener: (result: AnalysisResult) => void): this;
+}
+
+export function analyze(options: AnalyzeOptions): Promise<AnalysisResult>;
+
+// ===== СОВМЕСТИМОСТЬ С impact-cli.js =====
+export function compareObjects(
+    a: unknown,
+    b: unknown,
+    path?: string,
+    options?: { arrayKeys?: string[]; arrayByIndex?: boolean },
+): Change[];
+
+/** ruleSet — скомпилированные правила (lib/rules.js); по умолчанию встроенные */
+export function analyzeImpactLocal(changes: Change[], ruleSet?: unknown, schemaHints?: unknown): Impact[];
+
+/** Синхронно читает файл с единственным документом */
+export function loadFile(filePath: string, format?: ConfigFormat): unknown;
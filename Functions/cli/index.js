@@ -0,0 +1,131 @@
+/**
+ * Visual Change Impact Platform - программный API
+ * Тот же анализ, что и в CLI, но без вывода в консоль: входы — объекты,
+ * строки, Buffer или потоки, ход анализа — события Analysis. Типы — index.d.ts
+ *
+ *   const { analyze } = require('visual-change-impact-cli');
+ *   const { changes, impacts, summary } = await analyze({ before, after, rules, schema });
+ */
+
+const { EventEmitter } = require('events');
+const { compareObjects, compareDocuments } = require('./lib/compare');
+const { compileRules, loadRules } = require('./lib/rules');
+const { loadFile, parseDocuments } = require('./lib/loader');
+const { compileSchema, validatePair } = require('./lib/schema');
+const { createPolicy, isActive, evaluatePolicy } = require('./lib/policy');
+const { analyzeChanges, summarize } = require('./lib/analysis');
+const { analyzeImpactLocal } = require('./commands/common');
+
+// ===== ВХОДНЫЕ ДАННЫЕ =====
+// Поток Node.js, Web ReadableStream или любой асинхронный итератор кусков
+function isStream(input) {
+    return input !== null && typeof input === 'object' && typeof input[Symbol.asyncIterator] === 'function';
+}
+
+async function readStream(stream, onChunk) {
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of stream) {
+        const buffer = Buffer.from(chunk);
+        chunks.push(buffer);
+        bytes += buffer.length;
+        onChunk(bytes);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Документы входа: строка, Buffer и поток разбираются (формат — format или
+ * по содержимому), объект считается уже разобранным документом
+ */
+async function readDocuments(input, side, format, onChunk) {
+    if (input === undefined) throw new Error(`analyze: не задан ${side}`);
+    if (typeof input === 'string') return parseDocuments(input, side, format);
+    if (Buffer.isBuffer(input)) return parseDocuments(input.toString('utf-8'), side, format);
+    if (isStream(input)) return parseDocuments(await readStream(input, onChunk), side, format);
+    return [input];
+}
+
+// rules — путь к файлу правил, содержимое файла правил (объект или массив) или ничего
+function resolveRules(rules) {
+    if (rules === undefined || rules === null) return compileRules({}, 'правила по умолчанию');
+    if (typeof rules === 'string') return loadRules({ rulesPath: rules });
+    if (typeof rules === 'object') return compileRules(rules, 'правила');
+    throw new Error('analyze: rules должно быть путём к файлу правил или объектом правил');
+}
+
+// ===== АНАЛИЗ =====
+/**
+ * Анализ пары конфигураций. События:
+ * progress { stage, ... } — read (байты потока), parse, compare, analyze, validate;
+ * change и impact — каждое изменение и влияние; done — итоговый результат
+ */
+class Analysis extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+    }
+
+    progress(stage, details) {
+        this.emit('progress', { stage, ...details });
+    }
+
+    async run() {
+        const { before, after, rules, schema, showSecrets = false } = this.options;
+        const ruleSet = resolveRules(rules);
+        const compiledSchema = schema === undefined || schema === null ? null : compileSchema(schema);
+
+        const read = async (input, side, format) => {
+            const documents = await readDocuments(input, side, format, bytes => this.progress('read', { side, bytes }));
+            this.progress('parse', { side, documents: documents.length });
+            return documents;
+        };
+        const docsA = await read(before, 'before', this.options.fromFormat || this.options.format);
+        const docsB = await read(after, 'after', this.options.toFormat || this.options.format);
+
+        const rawChanges = compareDocuments(docsA, docsB, {
+            arrayKeys: this.options.arrayKeys,
+            arrayByIndex: this.options.arrayByIndex,
+        });
+        this.progress('compare', { changes: rawChanges.length });
+
+        const { changes, impacts } = analyzeChanges(rawChanges, { ruleSet, showSecrets, schema: compiledSchema }, { docsA, docsB });
+        this.progress('analyze', { impacts: impacts.length });
+
+        const result = { changes, impacts, summary: summarize(changes, impacts) };
+        if (compiledSchema) {
+            result.schema = validatePair(compiledSchema, docsA, docsB);
+            this.progress('validate', { errors: result.schema.errorsB.length, introduced: result.schema.introduced.length });
+        }
+        const policy = createPolicy(ruleSet.policy, {
+            origin: ruleSet.file || 'политика',
+            failOn: this.options.failOn,
+            maxChanges: this.options.maxChanges,
+            labels: this.options.labels,
+        });
+        if (isActive(policy)) {
+            const violations = evaluatePolicy(policy, [{ changes, impacts }]);
+            result.policy = { passed: violations.length === 0, violations };
+        }
+
+        changes.forEach(change => this.emit('change', change));
+        impacts.forEach(impact => this.emit('impact', impact));
+        this.emit('done', result);
+        return result;
+    }
+}
+
+/**
+ * Анализирует изменения before → after: { changes, impacts, summary, schema?, policy? }
+ */
+function analyze(options) {
+    return new Analysis(options).run();
+}
+
+module.exports = {
+    analyze,
+    Analysis,
+    compareObjects,
+    analyzeImpactLocal,
+    loadFile,
+};
@@ -0,0 +1,94 @@
+/**
+ * Visual Change Impact Platform - анализ изменений
+ * Маскирование секретов, оценка влияния с учётом схемы и сводка —
+ * общее для команд CLI и программного API (index.js)
+ */
+
+const { analyzeImpact } = require('./rules');
+const { protectChanges } = require('./secrets');
+const { locatePath } = require('./loader');
+const { createSchemaHints } = require('./schema-impact');
+
+/**
+ * Маскирует секреты (если не указан showSecrets) и оценивает влияние.
+ * Утечки секретов в новых значениях идут первыми.
+ * docsA, docsB — документы сравниваемых файлов: с ними учитываются аннотации
+ * схемы (schema), а влияния получают line/column изменённого ключа в B.
+ * С baseline (lib/baseline.js) принятые влияния получают поле acknowledged
+ */
+function analyzeChanges(rawChanges, options = {}, { docsA = null, docsB = null } = {}) {
+    const { ruleSet, showSecrets, schema, baseline } = options;
+    const { changes, leaks } = protectChanges(rawChanges, { showSecrets, matcher: ruleSet && ruleSet.secrets });
+    const schemaHints = schema && docsA && docsB ? createSchemaHints(schema, docsA, docsB) : null;
+    const impacts = [...leaks, ...analyzeImpact(changes, ruleSet, schemaHints)];
+    if (docsB) {
+        impacts.forEach(impact => {
+            const position = locatePath(docsB, impact.path);
+            if (position) Object.assign(impact, position);
+        });
+    }
+    if (baseline) baseline.acknowledge(rawChanges, impacts);
+    return { changes, impacts };
+}
+
+/**
+ * Сводка: число изменений по типам и влияний по уровням
+ */
+function summarize(changes, impacts) {
+    const count = (items, field, value) => items.filter(item => item[field] === value).length;
+    return {
+        total: changes.length,
+        added: count(changes, 'type', 'added'),
+        removed: count(changes, 'type', 'removed'),
+        modified: count(changes, 'type', 'modified'),
+        moved: count(changes, 'type', 'moved'),
+        critical: count(impacts, 'level', 'critical'),
+        high: count(impacts, 'level', 'high'),
+        medium: count(impacts, 'level', 'medium'),
+        low: count(impacts, 'level', 'low'),
+    };
+}
+
+// ===== СРАВНЕНИЕ ЗАПУСКОВ =====
+function changeKey(change) {
+    return `${change.type}\u0000${change.path}`;
+}
+
+function changeValue(change) {
+    return JSON.stringify([change.value, change.oldValue, change.newValue, change.fromIndex, change.toIndex]);
+}
+
+function impactKey(impact) {
+    return [impact.path, impact.changeType, impact.level, impact.rule].join('\u0000');
+}
+
+/**
+ * Что изменилось между двумя анализами одной пары файлов ({ changes, impacts }):
+ * изменения — новые, ушедшие и с другим значением; влияния — новые и ушедшие
+ */
+function diffRuns(previous, current) {
+    const before = new Map(previous.changes.map(change => [changeKey(change), change]));
+    const after = new Map(current.changes.map(change => [changeKey(change), change]));
+    const knownImpacts = new Set(previous.impacts.map(impactKey));
+    const currentImpacts = new Set(current.impacts.map(impactKey));
+
+    return {
+        changes: {
+            introduced: current.changes.filter(change => !before.has(changeKey(change))),
+            resolved: previous.changes.filter(change => !after.has(changeKey(change))),
+            updated: current.changes
+                .filter(change => before.has(changeKey(change)) && changeValue(before.get(changeKey(change))) !== changeValue(change))
+                .map(change => ({ before: before.get(changeKey(change)), after: change })),
+        },
+        impacts: {
+            introduced: current.impacts.filter(impact => !knownImpacts.has(impactKey(impact))),
+            resolved: previous.impacts.filter(impact => !currentImpacts.has(impactKey(impact))),
+        },
+    };
+}
+
+module.exports = {
+    analyzeChanges,
+    summarize,
+    diffRuns,
+};
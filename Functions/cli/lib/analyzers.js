@@ -0,0 +1,484 @@
+/**
+ * Visual Change Impact Platform - анализаторы значений
+ * Смысловой разбор изменённых значений: проценты для лимитов, длительности,
+ * размеры, части URL и версии semver. Анализатор даёт конкретное описание
+ * вместо «значение изменено» и повышает или понижает уровень встроенных правил
+ */
+
+const path = require('path');
+const { toRegExp } = require('./patterns');
+const { LEVEL_IDS: LEVELS } = require('./labels');
+
+function shiftLevel(level, steps) {
+    const index = Math.min(Math.max(LEVELS.indexOf(level) + steps, 0), LEVELS.length - 1);
+    return LEVELS[index];
+}
+
+/**
+ * Уровень по модулю изменения в процентах и порогам { medium, high, critical }
+ */
+function levelByPercent(percent, thresholds) {
+    if (percent >= thresholds.critical) return 'critical';
+    if (percent >= thresholds.high) return 'high';
+    if (percent >= thresholds.medium) return 'medium';
+    return 'low';
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Общая оценка для величин, у которых опасно уменьшение (лимиты, таймауты, память):
+ * увеличение понижается на ступень
+ */
+function scaledChange(oldNumber, newNumber, options) {
+    const decreased = newNumber < oldNumber;
+    const percent = oldNumber === 0 ? null : Math.abs(newNumber - oldNumber) / Math.abs(oldNumber) * 100;
+    let level = percent === null ? 'medium' : levelByPercent(percent, options.thresholds);
+    if (!decreased) level = shiftLevel(level, -1);
+    return { decreased, percent: percent === null ? null : round(percent), level };
+}
+
+// ===== ЧИСЛОВЫЕ ЛИМИТЫ =====
+const numeric = {
+    name: 'numeric',
+    defaults: {
+        keys: '/(max|min|limit|capacity|pool|size|connections|workers|replicas|threads|concurrency|quota|threshold|retr(y|ies)|rate|burst|buffer)/i',
+        thresholds: { medium: 10, high: 25, critical: 50 },
+    },
+    analyze(change, { key, options }) {
+        const { oldValue, newValue } = change;
+        if (typeof oldValue !== 'number' || typeof newValue !== 'number') return null;
+        if (!toRegExp(options.keys).test(key)) return null;
+
+        const result = scaledChange(oldValue, newValue, options);
+        const amount = result.percent === null ? '' : ` на ${result.percent}%`;
+        return result.decreased
+            ? {
+                level: result.level,
+                description: `Лимит уменьшен${amount} (${oldValue} → ${newValue}): сокращение ёмкости.`,
+                recommendation: 'Проверьте, что текущая нагрузка укладывается в новый лимит.',
+                details: { percent: result.percent, direction: 'decreased' },
+            }
+            : {
+                level: result.level,
+                description: `Лимит увеличен${amount} (${oldValue} → ${newValue}).`,
+                recommendation: 'Убедитесь, что зависимые ресурсы выдержат возросшую нагрузку.',
+                details: { percent: result.percent, direction: 'increased' },
+            };
+    },
+};
+
+// ===== ДЛИТЕЛЬНОСТИ =====
+const DURATION_UNITS = {
+    ns: 1e-6, us: 1e-3, 'µs': 1e-3, ms: 1, s: 1000, m: 60000, min: 60000, h: 3600000, d: 86400000, w: 604800000,
+};
+
+/**
+ * "30s", "5m", "1h30m", "500ms", "2d" → миллисекунды
+ */
+function parseDuration(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    if (!/^(\d+(\.\d+)?(ns|us|µs|ms|min|s|m|h|d|w))+$/.test(text)) return null;
+
+    let total = 0;
+    for (const [, amount, , unit] of text.matchAll(/(\d+(\.\d+)?)(ns|us|µs|ms|min|s|m|h|d|w)/g)) {
+        total += Number(amount) * DURATION_UNITS[unit];
+    }
+    return total;
+}
+
+function formatDuration(ms) {
+    const parts = [
+        [86400000, 'д'], [3600000, 'ч'], [60000, 'мин'], [1000, 'с'],
+    ];
+    if (ms < 1000) return `${round(ms)} мс`;
+    const result = [];
+    let rest = ms;
+    for (const [size, unit] of parts) {
+        if (rest >= size) {
+            const amount = Math.floor(rest / size);
+            result.push(`${amount} ${unit}`);
+            rest -= amount * size;
+        }
+    }
+    if (rest >= 1) result.push(`${round(rest)} мс`);
+    return result.join(' ');
+}
+
+// «в 2 раза», «в 10 раз», «в 2.5 раза»
+function timesWord(factor) {
+    if (!Number.isInteger(factor)) return 'раза';
+    const lastTwo = factor % 100;
+    const last = factor % 10;
+    return last >= 2 && last <= 4 && (lastTwo < 12 || lastTwo > 14) ? 'раза' : 'раз';
+}
+
+const duration = {
+    name: 'duration',
+    defaults: {
+        keys: '/(timeout|ttl|interval|delay|period|duration|expir|backoff|deadline|wait)/i',
+        // Уменьшение этих величин опасно (ошибки по таймауту), увеличение — нет
+        shrinkRiskKeys: '/(timeout|deadline|wait)/i',
+        thresholds: { medium: 10, high: 25, critical: 50 },
+    },
+    analyze(change, { key, options }) {
+        let oldMs = parseDuration(change.oldValue);
+        let newMs = parseDuration(change.newValue);
+        const keyMatches = toRegExp(options.keys).test(key);
+        let unitless = false;
+
+        // Числа без единиц измерения сравниваем только у ключей-длительностей
+        if (oldMs === null && newMs === null && keyMatches &&
+            typeof change.oldValue === 'number' && typeof change.newValue === 'number') {
+            oldMs = change.oldValue;
+            newMs = change.newValue;
+            unitless = true;
+        }
+        if (oldMs === null || newMs === null) return null;
+
+        const shrinkRisky = toRegExp(options.shrinkRiskKeys).test(key);
+        const result = scaledChange(oldMs, newMs, options);
+        // У TTL, интервалов и задержек ни одно направление не опаснее другого,
+        // а увеличение таймаута почти безопасно — ещё на ступень ниже
+        if (!shrinkRisky && result.decreased) result.level = shiftLevel(result.level, -1);
+        if (shrinkRisky && !result.decreased) result.level = shiftLevel(result.level, -1);
+
+        const factor = oldMs && newMs ? round(Math.max(oldMs, newMs) / Math.min(oldMs, newMs)) : null;
+        const verb = result.decreased ? 'уменьшена' : 'увеличена';
+        const times = factor && factor >= 2 ? ` в ${factor} ${timesWord(factor)}` : result.percent !== null ? ` на ${result.percent}%` : '';
+        const human = unitless ? '' : ` (${formatDuration(oldMs)} → ${formatDuration(newMs)})`;
+
+        return {
+            level: result.level,
+            description: `Длительность ${verb}${times}: ${change.oldValue} → ${change.newValue}${human}.`,
+            recommendation: result.decreased && shrinkRisky
+                ? 'Убедитесь, что новое значение достаточно для выполнения операций.'
+                : 'Проверьте, как новое значение скажется на задержках и частоте операций.',
+            details: { oldMs, newMs, percent: result.percent, direction: result.decreased ? 'decreased' : 'increased' },
+        };
+    },
+};
+
+// ===== РАЗМЕРЫ =====
+const BYTE_UNITS = {
+    b: 1,
+    k: 1e3, kb: 1e3, m: 1e6, mb: 1e6, g: 1e9, gb: 1e9, t: 1e12, tb: 1e12, p: 1e15, pb: 1e15,
+    ki: 1024, kib: 1024, mi: 1024 ** 2, mib: 1024 ** 2, gi: 1024 ** 3, gib: 1024 ** 3,
+    ti: 1024 ** 4, tib: 1024 ** 4, pi: 1024 ** 5, pib: 1024 ** 5,
+};
+
+/**
+ * "512Mi", "1Gi", "100MB", "100mb", "1.5G", "64k" → байты. Единица без учёта регистра,
+ * кроме одиночной строчной «m»: это милли (CPU), не мегабайты
+ */
+function parseBytes(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/i);
+    if (!match || match[2] === 'm') return null;
+    const unit = match[2].toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(BYTE_UNITS, unit)) return null;
+    return Number(match[1]) * BYTE_UNITS[unit];
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${round(value)} ${units[unit]}`;
+}
+
+const bytes = {
+    name: 'bytes',
+    defaults: {
+        thresholds: { medium: 10, high: 25, critical: 50 },
+    },
+    analyze(change, { options }) {
+        const oldBytes = parseBytes(change.oldValue);
+        const newBytes = parseBytes(change.newValue);
+        if (oldBytes === null || newBytes === null) return null;
+
+        const result = scaledChange(oldBytes, newBytes, options);
+        const amount = result.percent === null ? '' : ` на ${result.percent}%`;
+        return {
+            level: result.level,
+            description: `Размер ${result.decreased ? 'уменьшен' : 'увеличен'}${amount}: ${change.oldValue} → ${change.newValue} ` +
+                `(${formatBytes(oldBytes)} → ${formatBytes(newBytes)}).`,
+            recommendation: result.decreased
+                ? 'Проверьте фактическое потребление: меньший лимит может привести к OOM или отказам записи.'
+                : 'Убедитесь, что на узлах достаточно ресурсов для нового размера.',
+            details: { oldBytes, newBytes, percent: result.percent, direction: result.decreased ? 'decreased' : 'increased' },
+        };
+    },
+};
+
+// ===== URL И АДРЕСА =====
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+const SECURE_SCHEMES = { 'http:': 'https:', 'ws:': 'wss:', 'ftp:': 'ftps:' };
+
+/**
+ * Разбирает URL со схемой или адрес вида host:port
+ */
+function parseAddress(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+        try {
+            const url = new URL(text);
+            return {
+                scheme: url.protocol,
+                credentials: url.username ? `${url.username}:${url.password ? '***' : ''}` : '',
+                host: url.hostname,
+                port: url.port || DEFAULT_PORTS[url.protocol] || '',
+                path: url.pathname === '/' ? '' : url.pathname,
+                params: [...url.searchParams],
+            };
+        } catch {
+            return null;
+        }
+    }
+    const match = text.match(/^([a-z0-9.-]+|\[[0-9a-f:]+\]):(\d{1,5})$/i);
+    if (match) return { scheme: '', credentials: '', host: match[1], port: match[2], path: '', params: [] };
+    return null;
+}
+
+const ADDRESS_PARTS = [
+    ['scheme', 'схема'],
+    ['credentials', 'учётные данные'],
+    ['host', 'хост'],
+    ['port', 'порт'],
+    ['path', 'путь'],
+];
+
+// Значения параметров запроса в отчёт не попадают — в них бывают токены и подписи, только имена
+function paramNames(params) {
+    return [...new Set(params.map(([name]) => name))];
+}
+
+function changedParams(before, after) {
+    const valuesOf = (params, name) => JSON.stringify(params.filter(([key]) => key === name).map(([, value]) => value));
+    return [...new Set([...paramNames(before), ...paramNames(after)])]
+        .filter(name => valuesOf(before, name) !== valuesOf(after, name));
+}
+
+function publicAddress({ params, ...address }) {
+    return { ...address, query: paramNames(params) };
+}
+
+const url = {
+    name: 'url',
+    defaults: {},
+    analyze(change) {
+        const before = parseAddress(change.oldValue);
+        const after = parseAddress(change.newValue);
+        if (!before || !after) return null;
+
+        const changed = ADDRESS_PARTS.filter(([part]) => before[part] !== after[part]);
+        const params = changedParams(before.params, after.params);
+        if (changed.length === 0 && params.length === 0) return null;
+
+        const parts = changed.map(([part, label]) => `${label} ${before[part] || '—'} → ${after[part] || '—'}`);
+        if (params.length > 0) parts.push(`параметры ${params.join(', ')}`);
+        const has = part => changed.some(([name]) => name === part);
+        const downgraded = SECURE_SCHEMES[after.scheme] === before.scheme;
+
+        let level = 'low';
+        let recommendation = 'Проверьте, что новый адрес доступен из всех окружений.';
+        if (downgraded) {
+            level = 'critical';
+            recommendation = 'Соединение перестаёт быть защищённым. Верните защищённую схему, если это не осознанное решение.';
+        } else if (has('host') || has('port') || has('scheme') || has('credentials')) {
+            level = 'high';
+        } else if (has('path')) {
+            level = 'medium';
+        }
+
+        return {
+            level,
+            description: `Изменены части адреса: ${parts.join(', ')}.`,
+            recommendation,
+            details: {
+                parts: [...changed.map(([part]) => part), ...(params.length > 0 ? ['query'] : [])],
+                params,
+                before: publicAddress(before),
+                after: publicAddress(after),
+            },
+        };
+    },
+};
+
+// ===== ВЕРСИИ =====
+const SEMVER_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseSemver(value) {
+    const match = String(value).trim().match(SEMVER_RE);
+    if (!match) return null;
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : [],
+    };
+}
+
+function comparePrerelease(a, b) {
+    // Версия без пре-релиза старше пре-релиза
+    if (!a.length || !b.length) return b.length - a.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === undefined) return -1;
+        if (b[i] === undefined) return 1;
+        const numA = /^\d+$/.test(a[i]);
+        const numB = /^\d+$/.test(b[i]);
+        if (numA && numB && Number(a[i]) !== Number(b[i])) return Number(a[i]) - Number(b[i]);
+        if (numA !== numB) return numA ? -1 : 1;
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+function compareSemver(a, b) {
+    return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch) || comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Версия из значения: "1.2.3", "v2.0.0" или тег образа "nginx:1.25.0"
+ */
+function versionOf(value) {
+    if (typeof value !== 'string') return null;
+    const version = parseSemver(value);
+    if (version) return { image: null, version };
+    const match = value.match(/^(.+):([^:/]+)$/);
+    const tagVersion = match && parseSemver(match[2]);
+    return tagVersion ? { image: match[1], version: tagVersion } : null;
+}
+
+const semver = {
+    name: 'semver',
+    defaults: {
+        keys: '/(version|image|tag)/i',
+    },
+    analyze(change, { key, options }) {
+        if (!toRegExp(options.keys).test(key)) return null;
+        const before = versionOf(change.oldValue);
+        const after = versionOf(change.newValue);
+        if (!before || !after || before.image !== after.image) return null;
+
+        const a = before.version;
+        const b = after.version;
+        const order = compareSemver(b, a);
+        const prerelease = b.prerelease.length > 0;
+        const from = change.oldValue;
+        const to = change.newValue;
+
+        if (order < 0) {
+            return {
+                level: a.major !== b.major ? 'critical' : 'high',
+                description: `Понижение версии: ${from} → ${to}.`,
+                recommendation: 'Откат версии может быть несовместим с данными и API новой версии. Проверьте миграции.',
+                details: { bump: 'downgrade' },
+            };
+        }
+        if (a.major !== b.major) {
+            return {
+                level: 'high',
+                description: `Мажорное обновление версии: ${from} → ${to}. Возможны несовместимые изменения.`,
+                recommendation: 'Изучите список несовместимых изменений и план миграции.',
+                details: { bump: 'major' },
+            };
+        }
+        if (prerelease) {
+            return {
+                level: 'medium',
+                description: `Переход на предварительную версию: ${from} → ${to}.`,
+                recommendation: 'Пре-релизы не рекомендуются для production.',
+                details: { bump: 'prerelease' },
+            };
+        }
+        if (a.minor !== b.minor) {
+            return {
+                level: 'medium',
+                description: `Минорное обновление версии: ${from} → ${to}.`,
+                recommendation: '',
+                details: { bump: 'minor' },
+            };
+        }
+        return {
+            level: 'low',
+            description: `Патч-обновление версии: ${from} → ${to}.`,
+            recommendation: '',
+            details: { bump: 'patch' },
+        };
+    },
+};
+
+// ===== РЕЕСТР =====
+const BUILTIN_ANALYZERS = [semver, url, duration, bytes, numeric];
+
+/**
+ * Собирает анализаторы по секции analyzers файла правил:
+ * { "numeric": { "thresholds": {...} }, "semver": false, "plugins": ["./my-analyzer.js"] }.
+ * Модуль плагина экспортирует анализатор { name, analyze(change, context) } или их массив
+ */
+function createAnalyzers(config = {}, baseDir = process.cwd()) {
+    const plugins = (config.plugins || []).flatMap(plugin => {
+        const modulePath = path.resolve(baseDir, plugin);
+        let exported;
+        try {
+            exported = require(modulePath);
+        } catch (error) {
+            if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(modulePath)) {
+                throw new Error(`Плагин анализатора не найден: ${modulePath}`);
+            }
+            throw error;
+        }
+        const list = Array.isArray(exported) ? exported : [exported];
+        list.forEach(analyzer => {
+            if (!analyzer || typeof analyzer.analyze !== 'function' || !analyzer.name) {
+                throw new Error(`Плагин ${plugin}: ожидается анализатор { name, analyze(change, context) }`);
+            }
+        });
+        return list;
+    });
+
+    // Плагины проверяются раньше встроенных анализаторов
+    return [...plugins, ...BUILTIN_ANALYZERS]
+        .filter(analyzer => config[analyzer.name] !== false)
+        .map(analyzer => {
+            const overrides = typeof config[analyzer.name] === 'object' ? config[analyzer.name] : {};
+            const options = { ...analyzer.defaults, ...overrides };
+            if (analyzer.defaults && analyzer.defaults.thresholds) {
+                options.thresholds = { ...analyzer.defaults.thresholds, ...overrides.thresholds };
+            }
+            return { analyzer, options };
+        });
+}
+
+/**
+ * Первый анализатор, распознавший значения изменения, определяет вывод
+ */
+function analyzeValue(analyzers, change, key) {
+    if (change.type !== 'modified') return null;
+    for (const { analyzer, options } of analyzers) {
+        const finding = analyzer.analyze(change, { key, options });
+        if (finding) return { analyzer: analyzer.name, ...finding };
+    }
+    return null;
+}
+
+module.exports = {
+    createAnalyzers,
+    analyzeValue,
+    parseDuration,
+    formatDuration,
+    parseBytes,
+    parseAddress,
+    parseSemver,
+    compareSemver,
+};
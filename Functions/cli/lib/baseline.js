@@ -0,0 +1,199 @@
+/**
+ * Visual Change Impact Platform - baseline: принятые влияния
+ * Файл baseline (по умолчанию .impact-baseline.json в корне проекта) хранится
+ * в репозитории. Запись принимает влияние по пути, типу изменения и отпечатку
+ * значений; у каждой записи есть причина и срок действия. Записи, которые
+ * больше ничему не соответствуют, выводятся как устаревшие
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration } = require('./analyzers');
+const { findProjectRoot } = require('./history');
+
+const BASELINE_FILE = '.impact-baseline.json';
+// Срок записей baseline create без --expires
+const DEFAULT_EXPIRES = '90d';
+const CHANGE_TYPES = ['added', 'removed', 'modified', 'moved'];
+
+// ===== ОТПЕЧАТКИ =====
+/**
+ * Отпечаток значений изменения. Считается до маскирования секретов, поэтому
+ * не зависит от --show-secrets; ротация ключа даёт новый отпечаток
+ */
+function valueFingerprint(change) {
+    const values = change.type === 'modified' ? [change.oldValue, change.newValue]
+        : change.type === 'moved' ? [change.value, change.fromIndex, change.toIndex]
+            : [change.value];
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+function entryKey(entry) {
+    return [entry.path, entry.changeType, entry.fingerprint].join('\u0000');
+}
+
+function indexChanges(changes) {
+    return new Map(changes.map(change => [`${change.type}\u0000${change.path}`, change]));
+}
+
+// Запись baseline для влияния — по изменению с тем же путём и типом
+function entryFor(impact, changes) {
+    const change = changes.get(`${impact.changeType}\u0000${impact.path}`);
+    return change ? { path: impact.path, changeType: impact.changeType, fingerprint: valueFingerprint(change) } : null;
+}
+
+// ===== СРОКИ =====
+/**
+ * Срок действия: длительность от текущего дня (90d, 12w) или дата (2025-03-31).
+ * Возвращает дату ГГГГ-ММ-ДД
+ */
+function parseExpires(value, now = Date.now()) {
+    const duration = parseDuration(String(value));
+    if (duration !== null) return new Date(now + duration).toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error(`--expires: ожидается срок (90d, 12w) или дата ГГГГ-ММ-ДД, получено «${value}»`);
+    }
+    return value;
+}
+
+// Запись действует по день expires включительно (UTC)
+function isExpired(entry, now = Date.now()) {
+    return now > Date.parse(`${entry.expires}T23:59:59.999Z`);
+}
+
+// ===== ФАЙЛ =====
+function validateEntry(entry, index, file) {
+    const where = `${file}: запись ${index + 1}${entry && typeof entry.path === 'string' ? ` (${entry.path})` : ''}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${where}: ожидается объект`);
+    if (typeof entry.path !== 'string') throw new Error(`${where}: не указан путь (path)`);
+    if (!CHANGE_TYPES.includes(entry.changeType)) {
+        throw new Error(`${where}: changeType — одно из ${CHANGE_TYPES.join(', ')}, получено «${entry.changeType}»`);
+    }
+    if (typeof entry.fingerprint !== 'string' || !/^[0-9a-f]{16}$/.test(entry.fingerprint)) {
+        throw new Error(`${where}: fingerprint — отпечаток значений из baseline create`);
+    }
+    if (typeof entry.reason !== 'string' || !entry.reason.trim()) {
+        throw new Error(`${where}: не указана причина (reason) — каждое принятое влияние должно быть обосновано`);
+    }
+    if (typeof entry.expires !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) || Number.isNaN(Date.parse(entry.expires))) {
+        throw new Error(`${where}: expires — дата ГГГГ-ММ-ДД, до которой влияние считается принятым`);
+    }
+}
+
+/**
+ * Baseline из содержимого файла ({ entries: [...] }). Возвращает
+ * { file, entries, acknowledge(rawChanges, impacts), report(), reset() }:
+ * acknowledge отмечает принятые влияния полем acknowledged = { reason, expires }
+ * (rawChanges — изменения до маскирования секретов), report — итог по всем
+ * вызовам acknowledge с последнего reset
+ */
+function createBaseline(config, file) {
+    const entries = Array.isArray(config) ? config : config && config.entries;
+    if (!Array.isArray(entries)) throw new Error(`${file}: ожидается объект с массивом entries`);
+    entries.forEach((entry, index) => validateEntry(entry, index, file));
+
+    const byKey = new Map(entries.map(entry => [entryKey(entry), entry]));
+    const matched = new Set();
+    let acknowledged = 0;
+
+    return {
+        file,
+        entries,
+        acknowledge(rawChanges, impacts, now = Date.now()) {
+            const changes = indexChanges(rawChanges);
+            impacts.forEach(impact => {
+                const found = entryFor(impact, changes);
+                const entry = found && byKey.get(entryKey(found));
+                if (!entry) return;
+                matched.add(entry);
+                // Истёкшая запись больше не принимает влияние: оно снова учитывается в риске и политике
+                if (isExpired(entry, now)) return;
+                impact.acknowledged = { reason: entry.reason, expires: entry.expires };
+                acknowledged++;
+            });
+        },
+        report(now = Date.now()) {
+            return {
+                file,
+                entries: entries.length,
+                acknowledged,
+                expired: entries.filter(entry => matched.has(entry) && isExpired(entry, now)),
+                stale: entries.filter(entry => !matched.has(entry)),
+            };
+        },
+        reset() {
+            matched.clear();
+            acknowledged = 0;
+        },
+    };
+}
+
+// Путь к файлу: --baseline или .impact-baseline.json в корне git-репозитория (вне его — в текущем каталоге)
+function baselinePath(explicit) {
+    return explicit || path.join(findProjectRoot() || process.cwd(), BASELINE_FILE);
+}
+
+/**
+ * Baseline из --baseline (файл обязан существовать) или из файла по умолчанию,
+ * если он есть; иначе null
+ */
+function loadBaseline(explicit) {
+    const file = baselinePath(explicit);
+    if (!fs.existsSync(file)) {
+        if (explicit) throw new Error(`Файл baseline не найден: ${file}`);
+        return null;
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    return createBaseline(config, file);
+}
+
+// ===== СОЗДАНИЕ =====
+/**
+ * Записи baseline для влияний запусков ([{ rawChanges, impacts }]). У записей,
+ * которые уже есть в previous и не истекли, сохраняются причина и срок
+ */
+function snapshotEntries(runs, { reason, expires, previous = null, now = Date.now() }) {
+    const known = new Map((previous ? previous.entries : []).map(entry => [entryKey(entry), entry]));
+    const entries = new Map();
+
+    for (const { rawChanges, impacts } of runs) {
+        const changes = indexChanges(rawChanges);
+        for (const impact of impacts) {
+            const entry = entryFor(impact, changes);
+            if (!entry || entries.has(entryKey(entry))) continue;
+            const kept = known.get(entryKey(entry));
+            entries.set(entryKey(entry), kept && !isExpired(kept, now) ? kept : {
+                ...entry,
+                level: impact.level,
+                title: impact.title,
+                reason,
+                expires,
+                created: new Date(now).toISOString().slice(0, 10),
+            });
+        }
+    }
+    return [...entries.values()];
+}
+
+function writeBaseline(file, entries) {
+    fs.writeFileSync(file, `${JSON.stringify({ entries }, null, 2)}\n`);
+}
+
+module.exports = {
+    BASELINE_FILE,
+    DEFAULT_EXPIRES,
+    valueFingerprint,
+    parseExpires,
+    isExpired,
+    createBaseline,
+    baselinePath,
+    loadBaseline,
+    snapshotEntries,
+    writeBaseline,
+};
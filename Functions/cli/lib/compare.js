@@ -0,0 +1,430 @@
+/**
+ * Visual Change Impact Platform - сравнение структур
+ * Рекурсивное сравнение объектов с поэлементным сравнением массивов
+ *
+ * Элементы массивов сопоставляются по ключу идентичности (id, name, key)
+ * или по позиции, пути элементов имеют вид services[name=auth].port
+ */
+
+// Ключи-кандидаты для сопоставления элементов массивов по умолчанию
+const DEFAULT_ARRAY_KEYS = ['id', 'name', 'key'];
+
+// ===== ПУТИ =====
+const PLAIN_KEY = /^[^.[\]"=]+$/;
+const PLAIN_VALUE = /^[^[\]"=]+$/;
+// Без кавычек такие значения читаются обратно как число, логическое значение или null
+const SCALAR_LITERAL = /^(-?\d+(\.\d+)?|true|false|null)$/;
+
+function joinKey(path, key) {
+    if (PLAIN_KEY.test(key)) {
+        return path ? `${path}.${key}` : key;
+    }
+    // Ключи с точками и скобками экранируем, чтобы путь оставался однозначным
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+function joinIndex(path, index) {
+    return `${path}[${index}]`;
+}
+
+function joinMatch(path, key, value) {
+    // Строковый id "8080" пишется в кавычках, чтобы не совпасть с числовым 8080
+    const formatted = typeof value === 'string' && PLAIN_VALUE.test(value) && !SCALAR_LITERAL.test(value)
+        ? value
+        : JSON.stringify(value);
+    return `${path}[${key}=${formatted}]`;
+}
+
+function readQuoted(path, start) {
+    let i = start + 1;
+    while (i < path.length && path[i] !== '"') {
+        if (path[i] === '\\') i++;
+        i++;
+    }
+    return { text: path.slice(start, i + 1), end: i + 1 };
+}
+
+function parseBracket(content) {
+    if (/^\d+$/.test(content)) {
+        return { type: 'index', index: Number(content) };
+    }
+    if (content.startsWith('"')) {
+        return { type: 'key', key: JSON.parse(content) };
+    }
+    const eq = content.indexOf('=');
+    const key = content.slice(0, eq);
+    const raw = content.slice(eq + 1);
+    let value = raw;
+    if (raw.startsWith('"')) {
+        value = JSON.parse(raw);
+    } else if (SCALAR_LITERAL.test(raw)) {
+        value = JSON.parse(raw);
+    }
+    return { type: 'match', key, value };
+}
+
+/**
+ * Разбирает путь изменения на сегменты:
+ *   { type: 'key', key } | { type: 'index', index } | { type: 'match', key, value }
+ */
+function parsePath(path) {
+    const segments = [];
+    let i = 0;
+    let current = '';
+
+    const flush = () => {
+        if (current) segments.push({ type: 'key', key: current });
+        current = '';
+    };
+
+    while (i < path.length) {
+        const ch = path[i];
+        if (ch === '.') {
+            flush();
+            i++;
+        } else if (ch === '[') {
+            flush();
+            let j = i + 1;
+            let content = '';
+            while (j < path.length && path[j] !== ']') {
+                if (path[j] === '"') {
+                    const quoted = readQuoted(path, j);
+                    content += quoted.text;
+                    j = quoted.end;
+                } else {
+                    content += path[j];
+                    j++;
+                }
+            }
+            segments.push(parseBracket(content));
+            i = j + 1;
+        } else {
+            current += ch;
+            i++;
+        }
+    }
+    flush();
+
+    return segments;
+}
+
+/**
+ * Последний ключ объекта в пути. Для элементов массива возвращается
+ * имя самого массива: services[name=auth] → services
+ */
+function lastPathKey(path) {
+    const segments = parsePath(path);
+    for (let i = segments.length - 1; i >= 0; i--) {
+        if (segments[i].type === 'key') return segments[i].key;
+    }
+    return path;
+}
+
+/**
+ * Короткая подпись для заголовков: ключ, а для элементов массива —
+ * имя массива вместе с селектором элемента
+ */
+function pathLabel(path) {
+    const segments = parsePath(path);
+    const last = segments[segments.length - 1];
+    if (!last || last.type === 'key') return lastPathKey(path);
+
+    const keyIndex = segments.map(s => s.type).lastIndexOf('key');
+    const start = keyIndex >= 0 ? segments[keyIndex].key : '';
+    return segments.slice(keyIndex + 1).reduce((label, segment) => segment.type === 'index'
+        ? joinIndex(label, segment.index)
+        : joinMatch(label, segment.key, segment.value), start);
+}
+
+// ===== СОПОСТАВЛЕНИЕ ЭЛЕМЕНТОВ МАССИВОВ =====
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isPrimitive(value) {
+    return value === null || typeof value !== 'object';
+}
+
+function hasUniqueIdentity(items, key) {
+    const seen = new Set();
+    for (const item of items) {
+        if (!(key in item) || !isPrimitive(item[key])) return false;
+        const id = JSON.stringify(item[key]);
+        if (seen.has(id)) return false;
+        seen.add(id);
+    }
+    return true;
+}
+
+/**
+ * Ключ идентичности, уникальный внутри каждого из массивов (два массива при сравнении,
+ * любое число — в матрице окружений)
+ */
+function findIdentityKey(arrays, options = {}) {
+    if (!arrays.every(items => items.every(isPlainObject))) return null;
+    if (arrays.every(items => items.length === 0)) return null;
+
+    const candidates = options.arrayKeys || DEFAULT_ARRAY_KEYS;
+    return candidates.find(key => arrays.every(items => hasUniqueIdentity(items, key))) || null;
+}
+
+// Индексы пар, которые не входят в наибольшую возрастающую подпоследовательность,
+// считаются перемещёнными — так сдвиг всех элементов из-за вставки не даёт шума
+function findMoved(pairs) {
+    const seq = pairs.map(p => p.a);
+    const tails = [];
+    const prev = new Array(seq.length).fill(-1);
+
+    for (let i = 0; i < seq.length; i++) {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[i] = tails[lo - 1];
+        tails[lo] = i;
+    }
+
+    const stable = new Set();
+    let k = tails.length ? tails[tails.length - 1] : -1;
+    while (k !== -1) {
+        stable.add(k);
+        k = prev[k];
+    }
+
+    return new Set(pairs.map((_, i) => i).filter(i => !stable.has(i)));
+}
+
+/**
+ * Сопоставляет элементы двух массивов.
+ * Возвращает стратегию, пары индексов (в порядке B), удалённые и добавленные индексы
+ */
+function matchArrays(arrA, arrB, options = {}) {
+    const pairs = [];
+    const removed = [];
+    const added = [];
+
+    if (!options.arrayByIndex) {
+        const identityKey = findIdentityKey([arrA, arrB], options);
+        const byValue = !identityKey && arrA.every(isPrimitive) && arrB.every(isPrimitive);
+
+        if (identityKey || byValue) {
+            const idOf = identityKey
+                ? item => JSON.stringify(item[identityKey])
+                : item => JSON.stringify(item);
+
+            // Для повторяющихся примитивов учитываем номер вхождения
+            const indexA = new Map();
+            const occurrencesA = new Map();
+            arrA.forEach((item, i) => {
+                const id = idOf(item);
+                const n = occurrencesA.get(id) || 0;
+                occurrencesA.set(id, n + 1);
+                indexA.set(`${id}#${n}`, i);
+            });
+
+            const matchedA = new Set();
+            const occurrencesB = new Map();
+            arrB.forEach((item, i) => {
+                const id = idOf(item);
+                const n = occurrencesB.get(id) || 0;
+                occurrencesB.set(id, n + 1);
+                const a = indexA.get(`${id}#${n}`);
+                if (a === undefined) {
+                    added.push(i);
+                } else {
+                    pairs.push({ a, b: i });
+                    matchedA.add(a);
+                }
+            });
+            arrA.forEach((_, i) => {
+                if (!matchedA.has(i)) removed.push(i);
+            });
+
+            // Примитив, заменённый на той же позиции, считаем изменением значения
+            if (!identityKey) {
+                const removedSet = new Set(removed);
+                const replaced = added.filter(i => removedSet.has(i));
+                for (const i of replaced) {
+                    pairs.push({ a: i, b: i });
+                    removed.splice(removed.indexOf(i), 1);
+                    added.splice(added.indexOf(i), 1);
+                }
+                pairs.sort((x, y) => x.b - y.b);
+            }
+
+            return {
+                strategy: identityKey ? 'key' : 'value',
+                identityKey,
+                pairs,
+                removed,
+                added,
+                moved: findMoved(pairs),
+            };
+        }
+    }
+
+    const common = Math.min(arrA.length, arrB.length);
+    for (let i = 0; i < common; i++) pairs.push({ a: i, b: i });
+    for (let i = common; i < arrA.length; i++) removed.push(i);
+    for (let i = common; i < arrB.length; i++) added.push(i);
+
+    return { strategy: 'index', identityKey: null, pairs, removed, added, moved: new Set() };
+}
+
+// ===== СРАВНЕНИЕ =====
+function compareValues(valueA, valueB, currentPath, options) {
+    if (isPlainObject(valueA) && isPlainObject(valueB)) {
+        return compareObjects(valueA, valueB, currentPath, options);
+    }
+    if (Array.isArray(valueA) && Array.isArray(valueB)) {
+        return compareArrays(valueA, valueB, currentPath, options);
+    }
+    if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
+        return [{
+            type: 'modified',
+            path: currentPath,
+            oldValue: valueA,
+            newValue: valueB,
+        }];
+    }
+    return [];
+}
+
+function compareArrays(arrA, arrB, path, options = {}) {
+    const changes = [];
+    const match = matchArrays(arrA, arrB, options);
+
+    const elementPath = (item, index) => match.strategy === 'key'
+        ? joinMatch(path, match.identityKey, item[match.identityKey])
+        : joinIndex(path, index);
+
+    for (const i of match.removed) {
+        changes.push({
+            type: 'removed',
+            path: elementPath(arrA[i], i),
+            value: arrA[i],
+        });
+    }
+
+    const addedSet = new Set(match.added);
+    const pairByB = new Map(match.pairs.map((pair, idx) => [pair.b, { ...pair, idx }]));
+
+    arrB.forEach((item, i) => {
+        if (addedSet.has(i)) {
+            changes.push({
+                type: 'added',
+                path: elementPath(item, i),
+                value: item,
+            });
+            return;
+        }
+
+        const pair = pairByB.get(i);
+        const currentPath = elementPath(item, i);
+
+        if (match.moved.has(pair.idx)) {
+            changes.push({
+                type: 'moved',
+                path: currentPath,
+                fromIndex: pair.a,
+                toIndex: pair.b,
+            });
+        }
+
+        changes.push(...compareValues(arrA[pair.a], item, currentPath, options));
+    });
+
+    return changes;
+}
+
+/**
+ * Сравнивает две структуры и возвращает плоский список изменений.
+ *
+ * options.arrayKeys    — ключи-кандидаты для сопоставления элементов массивов
+ * options.arrayByIndex — сопоставлять элементы массивов только по позиции
+ */
+function compareObjects(objA, objB, path = '', options = {}) {
+    if (Array.isArray(objA) && Array.isArray(objB)) {
+        return compareArrays(objA, objB, path, options);
+    }
+
+    const changes = [];
+    const allKeys = new Set([...Object.keys(objA || {}), ...Object.keys(objB || {})]);
+
+    for (const key of allKeys) {
+        const currentPath = joinKey(path, key);
+        const valueA = objA?.[key];
+        const valueB = objB?.[key];
+
+        if (!(key in (objA || {}))) {
+            changes.push({
+                type: 'added',
+                path: currentPath,
+                value: valueB,
+            });
+        } else if (!(key in (objB || {}))) {
+            changes.push({
+                type: 'removed',
+                path: currentPath,
+                value: valueA,
+            });
+        } else {
+            changes.push(...compareValues(valueA, valueB, currentPath, options));
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Сравнивает потоки документов (многодокументный YAML) попарно по позиции.
+ * Если хотя бы в одном файле больше одного документа, пути получают префикс [doc=N]
+ */
+function compareDocuments(docsA, docsB, options = {}) {
+    if (docsA.length <= 1 && docsB.length <= 1) {
+        return compareObjects(docsA[0], docsB[0], '', options);
+    }
+
+    const changes = [];
+    const count = Math.max(docsA.length, docsB.length);
+    for (let i = 0; i < count; i++) {
+        const docPath = joinMatch('', 'doc', i);
+        if (i >= docsA.length) {
+            changes.push({ type: 'added', path: docPath, value: docsB[i] });
+        } else if (i >= docsB.length) {
+            changes.push({ type: 'removed', path: docPath, value: docsA[i] });
+        } else {
+            changes.push(...compareValues(docsA[i], docsB[i], docPath, options));
+        }
+    }
+    return changes;
+}
+
+/**
+ * Файл, который есть только в одной версии, — одно изменение всего документа
+ * (пустой путь): type 'added' или 'removed', value — документ или список документов
+ */
+function documentChange(type, docs) {
+    return { type, path: '', value: docs.length === 1 ? docs[0] : docs };
+}
+
+module.exports = {
+    DEFAULT_ARRAY_KEYS,
+    compareObjects,
+    compareArrays,
+    compareDocuments,
+    documentChange,
+    matchArrays,
+    findIdentityKey,
+    isPlainObject,
+    isPrimitive,
+    parsePath,
+    lastPathKey,
+    pathLabel,
+    joinKey,
+    joinIndex,
+    joinMatch,
+};
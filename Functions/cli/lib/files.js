@@ -0,0 +1,143 @@
+/**
+ * Visual Change Impact Platform - наборы файлов
+ * Раскрытие каталогов и glob-шаблонов и сопоставление файлов
+ * двух наборов по относительному пути (config/staging/ ↔ config/prod/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatFromPath } = require('./loader');
+const { parseRevisionSpec } = require('./git');
+
+// Каталоги, в которых конфигурации не ищем
+const IGNORED_DIRS = new Set(['.git', 'node_modules']);
+
+function isGlob(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Преобразует glob в регулярное выражение: * и ? не пересекают «/»,
+ * ** — любое число каталогов, {a,b} — альтернативы, [abc] — класс символов
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            // «**/» совпадает и с пустой строкой
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '{') {
+            const end = glob.indexOf('}', i);
+            if (end < 0) {
+                source += '\\{';
+                continue;
+            }
+            const options = glob.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&'));
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else if (ch === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end < 0) {
+                source += '\\[';
+                continue;
+            }
+            source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+            i = end;
+        } else {
+            source += ch.replace(/[.+^$()|\\\]]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function walk(dir, base = dir, result = []) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.has(entry.name)) walk(fullPath, base, result);
+        } else if (entry.isFile()) {
+            result.push(toPosix(path.relative(base, fullPath)));
+        }
+    }
+    return result;
+}
+
+/**
+ * Раскрывает каталог или glob-шаблон в набор файлов.
+ * Возвращает { root, files }, где files — пути относительно root.
+ * Из каталога берутся только файлы поддерживаемых форматов
+ */
+function expandFileSet(input) {
+    if (!isGlob(input)) {
+        if (!fs.existsSync(input) || !fs.statSync(input).isDirectory()) {
+            throw new Error(`Каталог не найден: ${input}`);
+        }
+        return { root: input, files: walk(input).filter(file => formatFromPath(file)) };
+    }
+
+    // Неизменяемая часть шаблона до первого сегмента со спецсимволами — корень набора
+    const segments = toPosix(input).split('/');
+    const firstGlob = segments.findIndex(isGlob);
+    const root = segments.slice(0, firstGlob).join('/') || '.';
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    const files = fs.existsSync(root) && fs.statSync(root).isDirectory()
+        ? walk(root).filter(file => matcher.test(file))
+        : [];
+    return { root, files };
+}
+
+function isFileSet(input) {
+    // HEAD~1:config/app.json — версия файла из git, а не шаблон
+    if (!fs.existsSync(input) && parseRevisionSpec(input)) return false;
+    return isGlob(input) || (fs.existsSync(input) && fs.statSync(input).isDirectory());
+}
+
+/**
+ * Сопоставляет два набора файлов по относительному пути.
+ * status: 'common' — файл есть в обоих наборах, 'added' — только в B, 'removed' — только в A
+ */
+function pairFileSets(inputA, inputB) {
+    const setA = expandFileSet(inputA);
+    const setB = expandFileSet(inputB);
+    const filesA = new Set(setA.files);
+    const filesB = new Set(setB.files);
+
+    const relativePaths = [...new Set([...setA.files, ...setB.files])].sort();
+    return relativePaths.map(file => {
+        const inA = filesA.has(file);
+        const inB = filesB.has(file);
+        return {
+            file,
+            status: inA && inB ? 'common' : inB ? 'added' : 'removed',
+            pathA: inA ? path.join(setA.root, file) : null,
+            pathB: inB ? path.join(setB.root, file) : null,
+        };
+    });
+}
+
+module.exports = {
+    isGlob,
+    isFileSet,
+    globToRegExp,
+    expandFileSet,
+    pairFileSets,
+};
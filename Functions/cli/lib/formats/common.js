@@ -0,0 +1,109 @@
+/**
+ * Visual Change Impact Platform - общие функции парсеров форматов
+ */
+
+// ===== ОШИБКИ РАЗБОРА =====
+function locate(source, pos) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < pos && i < source.length; i++) {
+        if (source[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: pos - lineStart + 1 };
+}
+
+/**
+ * Ошибка разбора с позицией: error.line, error.column, error.reason
+ */
+function parseError(reason, line, column) {
+    const error = new Error(`${reason} (строка ${line}, столбец ${column})`);
+    error.reason = reason;
+    error.line = line;
+    error.column = column;
+    return error;
+}
+
+/**
+ * Быстрый поиск строки и столбца по смещению: для парсеров, которым позиции
+ * нужны для каждого ключа, а не только для ошибок
+ */
+function createLocator(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+    return pos => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= pos) lo = mid;
+            else hi = mid - 1;
+        }
+        return { line: lo + 1, column: pos - lineStarts[lo] + 1 };
+    };
+}
+
+// ===== ПОЗИЦИИ КЛЮЧЕЙ =====
+// Позиции хранятся в скрытом свойстве контейнера: Object.keys, JSON.stringify
+// и сравнение их не видят, а форматы отчётов могут указать строку в файле
+const POSITIONS = Symbol('positions');
+
+/**
+ * Запоминает, где в исходном файле находится ключ (или индекс) контейнера
+ */
+function setPosition(container, key, position) {
+    if (!container || typeof container !== 'object' || !position) return;
+    if (!container[POSITIONS]) {
+        Object.defineProperty(container, POSITIONS, { value: new Map(), writable: true });
+    }
+    container[POSITIONS].set(String(key), { line: position.line, column: position.column });
+}
+
+/**
+ * Позиция ключа контейнера: { line, column } или null
+ */
+function positionOf(container, key) {
+    if (!container || typeof container !== 'object' || !container[POSITIONS]) return null;
+    return container[POSITIONS].get(String(key)) || null;
+}
+
+// ===== КЛЮЧИ =====
+// Результаты разбора — обычные объекты: `in` и obj[key] видят унаследованные
+// constructor, toString, а запись в «__proto__» подменяет прототип
+const RESERVED_KEY_REASON = 'Недопустимый ключ «__proto__»';
+
+function hasOwn(container, key) {
+    return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function isReservedKey(key) {
+    return key === '__proto__';
+}
+
+// ===== СКАЛЯРЫ =====
+/**
+ * Приводит строковое значение к числу или boolean, только если запись каноническая:
+ * "8080" → 8080, "true" → true, но "0123" и "1.0" остаются строками
+ */
+function coerceScalar(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(text) && String(Number(text)) === text) return Number(text);
+    return text;
+}
+
+module.exports = {
+    locate,
+    createLocator,
+    parseError,
+    setPosition,
+    positionOf,
+    RESERVED_KEY_REASON,
+    hasOwn,
+    isReservedKey,
+    coerceScalar
+};
@@ -0,0 +1,95 @@
+/**
+ * Visual Change Impact Platform - разбор .env
+ * KEY=value, export KEY=value, значения в одинарных и двойных кавычках
+ * (в том числе многострочные). Подстановки ${VAR} не раскрываются
+ */
+
+const { parseError, setPosition, RESERVED_KEY_REASON, isReservedKey, coerceScalar } = require('./common');
+
+const DOUBLE_ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', $: '$' };
+
+function parse(content) {
+    const result = {};
+    const src = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+    const lines = src.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNo = i + 1;
+        const line = lines[i].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+        if (!match) {
+            throw parseError('Ожидалась строка вида KEY=value', lineNo, lines[i].search(/\S/) + 1);
+        }
+        const [, key] = match;
+        if (isReservedKey(key)) throw parseError(RESERVED_KEY_REASON, lineNo, lines[i].search(/\S/) + 1);
+        let raw = match[2];
+        let value;
+
+        const quote = raw[0];
+        if (quote === '"' || quote === '\'') {
+            // Значение в кавычках может продолжаться на следующих строках
+            let body = raw.slice(1);
+            let close = findClosingQuote(body, quote);
+            const startLine = lineNo;
+            while (close < 0 && i + 1 < lines.length) {
+                i++;
+                body += '\n' + lines[i];
+                close = findClosingQuote(body, quote);
+            }
+            if (close < 0) throw parseError('Незакрытая кавычка', startLine, lines[startLine - 1].indexOf(quote) + 1);
+
+            const rest = body.slice(close + 1).trim();
+            if (rest && !rest.startsWith('#')) {
+                throw parseError('Лишние символы после значения', i + 1, lines[i].length - rest.length + 1);
+            }
+            body = body.slice(0, close);
+            value = quote === '"'
+                ? body.replace(/\\(.)/g, (all, ch) => (ch in DOUBLE_ESCAPES ? DOUBLE_ESCAPES[ch] : all))
+                : body;
+        } else {
+            const comment = raw.search(/\s#/);
+            if (comment >= 0) raw = raw.slice(0, comment);
+            value = coerceScalar(raw.trim());
+        }
+
+        result[key] = value;
+        setPosition(result, key, { line: lineNo, column: lines[lineNo - 1].search(/\S/) + 1 });
+    }
+
+    return result;
+}
+
+function findClosingQuote(text, quote) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && quote === '"') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// ===== ЗАПИСЬ =====
+function formatValue(key, value) {
+    if (value === null || value === undefined || typeof value === 'object') {
+        throw new Error(`Значение нельзя записать в .env: ${key}`);
+    }
+    if (typeof value !== 'string') return String(value);
+    if (value !== '' && coerceScalar(value) === value && /^[^\s#"'\\$]+$/.test(value)) return value;
+    return `"${value.replace(/[\\"$]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`;
+}
+
+/**
+ * Записывает плоский объект в .env: KEY=value, строки с пробелами и спецсимволами — в кавычках
+ */
+function stringify(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error('Корнем .env-документа должен быть объект');
+    }
+    return Object.entries(value).map(([key, item]) => `${key}=${formatValue(key, item)}\n`).join('');
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,132 @@
+/**
+ * Visual Change Impact Platform - разбор INI
+ * [section] и [section.sub] становятся вложенными объектами,
+ * повторяющиеся ключи и key[] = ... собираются в массив
+ */
+
+const { parseError, setPosition, positionOf, RESERVED_KEY_REASON, hasOwn, isReservedKey, coerceScalar } = require('./common');
+
+function unquote(text) {
+    if (text.length >= 2 && ((text[0] === '"' && text.endsWith('"')) || (text[0] === '\'' && text.endsWith('\'')))) {
+        return text.slice(1, -1);
+    }
+    return coerceScalar(text);
+}
+
+// Комментарий в конце значения отделяется пробелом: key = value ; comment
+function stripInlineComment(text) {
+    if (text.startsWith('"') || text.startsWith('\'')) return text;
+    const match = text.match(/\s[;#]/);
+    return match ? text.slice(0, match.index).trimEnd() : text;
+}
+
+function parse(content) {
+    const result = {};
+    let section = result;
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNo = index + 1;
+        const position = { line: lineNo, column: rawLine.search(/\S/) + 1 };
+        if (!line || line.startsWith(';') || line.startsWith('#')) return;
+
+        if (line.startsWith('[')) {
+            const close = line.indexOf(']');
+            if (close < 0) {
+                throw parseError('Ожидалось «]» в заголовке секции', lineNo, rawLine.length + 1);
+            }
+            const name = line.slice(1, close).trim();
+            if (!name) throw parseError('Пустое имя секции', lineNo, rawLine.indexOf('[') + 1);
+
+            section = result;
+            for (const part of name.split('.')) {
+                if (isReservedKey(part)) throw parseError(RESERVED_KEY_REASON, lineNo, rawLine.indexOf('[') + 1);
+                if (!hasOwn(section, part) || !isSection(section[part])) {
+                    section[part] = {};
+                    setPosition(section, part, position);
+                }
+                section = section[part];
+            }
+            return;
+        }
+
+        const match = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+        let key;
+        let value;
+        if (match) {
+            key = match[1];
+            value = unquote(stripInlineComment(match[2]));
+        } else {
+            // Ключ без значения (флаг)
+            key = line;
+            value = true;
+        }
+
+        const isList = key.endsWith('[]');
+        if (isList) key = key.slice(0, -2);
+        if (isReservedKey(key)) throw parseError(RESERVED_KEY_REASON, lineNo, position.column);
+
+        if (isList) {
+            if (!hasOwn(section, key) || !Array.isArray(section[key])) {
+                section[key] = [];
+                setPosition(section, key, position);
+            }
+            setPosition(section[key], section[key].length, position);
+            section[key].push(value);
+        } else if (hasOwn(section, key)) {
+            const previous = section[key];
+            const positions = Array.isArray(previous)
+                ? previous.map((item, i) => positionOf(previous, i))
+                : [positionOf(section, key)];
+            section[key] = [].concat(previous, value);
+            [...positions, position].forEach((itemPosition, i) => setPosition(section[key], i, itemPosition));
+        } else {
+            section[key] = value;
+            setPosition(section, key, position);
+        }
+    });
+
+    return result;
+}
+
+// ===== ЗАПИСЬ =====
+function isSection(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function formatValue(value, keyPath) {
+    if (value === null || value === undefined || typeof value === 'object') {
+        throw new Error(`Значение нельзя записать в INI: ${keyPath}`);
+    }
+    if (typeof value !== 'string') return String(value);
+    // Строку, которая прочиталась бы как число или содержит комментарий, берём в кавычки
+    const plain = value === value.trim() && coerceScalar(value) === value && !/\s[;#]|^[;#"'[]/.test(value);
+    return plain ? value : `"${value}"`;
+}
+
+function writeSection(section, name, lines) {
+    const entries = Object.entries(section);
+    const values = entries.filter(([, value]) => !isSection(value));
+    if (name && (values.length || entries.length === 0)) lines.push('', `[${name}]`);
+    for (const [key, value] of values) {
+        const keyPath = name ? `${name}.${key}` : key;
+        if (Array.isArray(value)) value.forEach(item => lines.push(`${key}[] = ${formatValue(item, keyPath)}`));
+        else lines.push(`${key} = ${formatValue(value, keyPath)}`);
+    }
+    for (const [key, value] of entries.filter(([, item]) => isSection(item))) {
+        writeSection(value, name ? `${name}.${key}` : key, lines);
+    }
+}
+
+/**
+ * Записывает объект в INI: вложенные объекты — секции [a] и [a.b], массивы — key[] = ...
+ */
+function stringify(value) {
+    if (!isSection(value)) throw new Error('Корнем INI-документа должен быть объект');
+    const lines = [];
+    writeSection(value, '', lines);
+    return `${lines.join('\n').replace(/^\n/, '')}\n`;
+}
+
+module.exports = { parse, stringify };
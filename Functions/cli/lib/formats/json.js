@@ -0,0 +1,97 @@
+/**
+ * Visual Change Impact Platform - разбор JSON
+ * Значения и ошибки — от JSON.parse, позиции ключей — отдельным проходом
+ * по уже проверенному тексту
+ */
+
+const { locate, createLocator, parseError, setPosition } = require('./common');
+
+const STRING_RE = /"(?:[^"\\]|\\.)*"/y;
+const SCALAR_RE = /[^\s,\]}]+/y;
+
+class PositionScanner {
+    constructor(source) {
+        this.src = source;
+        this.pos = 0;
+        this.locate = createLocator(source);
+    }
+
+    skipWhitespace() {
+        while (/\s/.test(this.src[this.pos] || '')) this.pos++;
+    }
+
+    readString() {
+        STRING_RE.lastIndex = this.pos;
+        const match = STRING_RE.exec(this.src);
+        this.pos += match[0].length;
+        return JSON.parse(match[0]);
+    }
+
+    skipScalar() {
+        if (this.src[this.pos] === '"') {
+            this.readString();
+            return;
+        }
+        SCALAR_RE.lastIndex = this.pos;
+        this.pos += SCALAR_RE.exec(this.src)[0].length;
+    }
+
+    // target — уже разобранное JSON.parse значение в этой точке текста
+    scan(target) {
+        this.skipWhitespace();
+        const ch = this.src[this.pos];
+        if (ch === '{') this.scanObject(target);
+        else if (ch === '[') this.scanArray(target);
+        else this.skipScalar();
+    }
+
+    scanObject(target) {
+        this.pos++;
+        for (;;) {
+            this.skipWhitespace();
+            if (this.src[this.pos] === '}') break;
+            const keyPos = this.pos;
+            const key = this.readString();
+            setPosition(target, key, this.locate(keyPos));
+            this.skipWhitespace();
+            this.pos++;
+            this.scan(target && typeof target === 'object' ? target[key] : undefined);
+            this.skipWhitespace();
+            if (this.src[this.pos] === ',') this.pos++;
+        }
+        this.pos++;
+    }
+
+    scanArray(target) {
+        this.pos++;
+        for (let index = 0; ; index++) {
+            this.skipWhitespace();
+            if (this.src[this.pos] === ']') break;
+            setPosition(target, index, this.locate(this.pos));
+            this.scan(Array.isArray(target) ? target[index] : undefined);
+            this.skipWhitespace();
+            if (this.src[this.pos] === ',') this.pos++;
+        }
+        this.pos++;
+    }
+}
+
+function parse(content) {
+    let value;
+    try {
+        value = JSON.parse(content);
+    } catch (error) {
+        const match = error.message.match(/position (\d+)/);
+        if (!match) throw error;
+        const { line, column } = locate(content, Number(match[1]));
+        throw parseError(error.message.replace(/ in JSON at position \d+.*$/, ''), line, column);
+    }
+    new PositionScanner(content).scan(value);
+    return value;
+}
+
+function stringify(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+module.exports = { parse, stringify };
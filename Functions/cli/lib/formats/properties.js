@@ -0,0 +1,150 @@
+/**
+ * Visual Change Impact Platform - разбор Java .properties
+ * Ключи с точками раскладываются во вложенные объекты (как application.yml),
+ * list[0]=... — в массивы. При конфликте ключ остаётся плоским, а значение
+ * поверх уже собранной группы (a.b=1, затем a=2) — ошибка разбора
+ */
+
+const { parseError, setPosition, RESERVED_KEY_REASON, hasOwn, isReservedKey, coerceScalar } = require('./common');
+
+const ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+function unescape(text, lineNo) {
+    return text.replace(/\\(u([0-9a-fA-F]{0,4})|.)/g, (all, escape, hex) => {
+        if (escape[0] === 'u') {
+            if (hex.length !== 4) throw parseError('Некорректная escape-последовательность \\u', lineNo, 1);
+            return String.fromCharCode(parseInt(hex, 16));
+        }
+        return ESCAPES[escape] || escape;
+    });
+}
+
+// Логические строки: обратный слэш в конце склеивает со следующей строкой
+function logicalLines(content) {
+    const physical = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const result = [];
+    for (let i = 0; i < physical.length; i++) {
+        const lineNo = i + 1;
+        let line = physical[i].replace(/^[ \t\f]+/, '');
+        if (!line || line[0] === '#' || line[0] === '!') continue;
+        const column = physical[i].length - line.length + 1;
+
+        while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < physical.length) {
+            i++;
+            line = line.slice(0, -1) + physical[i].replace(/^[ \t\f]+/, '');
+        }
+        result.push({ line, lineNo, column });
+    }
+    return result;
+}
+
+function splitKeyValue(line) {
+    let i = 0;
+    while (i < line.length) {
+        const ch = line[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === '=' || ch === ':' || ch === ' ' || ch === '\t' || ch === '\f') break;
+        i++;
+    }
+    const key = line.slice(0, i);
+    let rest = line.slice(i).replace(/^[ \t\f]+/, '');
+    if (rest[0] === '=' || rest[0] === ':') rest = rest.slice(1).replace(/^[ \t\f]+/, '');
+    return { key, value: rest };
+}
+
+function keySegments(key) {
+    const segments = [];
+    for (const part of key.split('.')) {
+        const match = part.match(/^(.*?)((?:\[\d+\])+)$/);
+        if (match && match[1]) {
+            segments.push(match[1]);
+            for (const index of match[2].match(/\d+/g)) segments.push(Number(index));
+        } else {
+            segments.push(part);
+        }
+    }
+    return segments;
+}
+
+function isContainer(value) {
+    return typeof value === 'object' && value !== null;
+}
+
+function assignFlat(result, key, value, position) {
+    result[key] = value;
+    setPosition(result, key, position);
+}
+
+function assign(result, key, value, position) {
+    const segments = keySegments(key);
+    if (segments.some(isReservedKey)) throw parseError(RESERVED_KEY_REASON, position.line, position.column);
+    if (segments.some(segment => segment === '')) {
+        assignFlat(result, key, value, position);
+        return;
+    }
+
+    let target = result;
+    for (let i = 0; i < segments.length - 1; i++) {
+        const segment = segments[i];
+        const wantArray = typeof segments[i + 1] === 'number';
+        if (!hasOwn(target, segment)) {
+            target[segment] = wantArray ? [] : {};
+            setPosition(target, segment, position);
+        } else if (!isContainer(target[segment]) || Array.isArray(target[segment]) !== wantArray) {
+            assignFlat(result, key, value, position);
+            return;
+        }
+        target = target[segment];
+    }
+
+    // Плоский ключ совпал бы с группой и затёр её: a.b=1, затем a=2
+    const last = segments[segments.length - 1];
+    if (hasOwn(target, last) && isContainer(target[last])) {
+        throw parseError(`Ключ уже используется как группа: ${key}`, position.line, position.column);
+    }
+    target[last] = value;
+    setPosition(target, last, position);
+}
+
+function parse(content) {
+    const result = {};
+    for (const { line, lineNo, column } of logicalLines(content)) {
+        const { key, value } = splitKeyValue(line);
+        if (!key) throw parseError('Пустой ключ', lineNo, 1);
+        assign(result, unescape(key, lineNo), coerceScalar(unescape(value, lineNo)), { line: lineNo, column });
+    }
+    return result;
+}
+
+// ===== ЗАПИСЬ =====
+function escapeText(text, isKey) {
+    let result = text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+    if (isKey) result = result.replace(/[ :=#!]/g, '\\$&');
+    else result = result.replace(/^[ \f]/, '\\$&');
+    return result;
+}
+
+function flatten(value, prefix, lines) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, lines));
+    } else if (isContainer(value)) {
+        for (const [key, item] of Object.entries(value)) flatten(item, prefix ? `${prefix}.${key}` : key, lines);
+    } else {
+        if (value === null || value === undefined) throw new Error(`Значение нельзя записать в .properties: ${prefix}`);
+        lines.push(`${escapeText(prefix, true)}=${escapeText(String(value), false)}`);
+    }
+}
+
+/**
+ * Записывает объект в .properties: вложенность — через точки, массивы — list[0]=...
+ */
+function stringify(value) {
+    const lines = [];
+    flatten(value, '', lines);
+    return lines.map(line => `${line}\n`).join('');
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,470 @@
+/**
+ * Visual Change Impact Platform - разбор TOML 1.0
+ * Таблицы, массивы таблиц, точечные ключи, встроенные таблицы,
+ * все виды строк, числа и даты (даты сохраняются строками ISO)
+ */
+
+const { createLocator, parseError, setPosition, positionOf, RESERVED_KEY_REASON, hasOwn, isReservedKey } = require('./common');
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+const DATETIME_RE = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?/y;
+const LINE_END_RE = /[ \t]*\n/y;
+const TIME_RE = /\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?/y;
+
+// Служебные отметки: таблица объявлена явно / массив таблиц / встроенная (неизменяемая)
+const DEFINED = Symbol('defined');
+const TABLE_ARRAY = Symbol('tableArray');
+const FROZEN = Symbol('frozen');
+
+class Parser {
+    constructor(source) {
+        this.src = source.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+        this.pos = 0;
+        this.locate = createLocator(this.src);
+        this.root = {};
+        this.current = this.root;
+    }
+
+    error(reason, pos = this.pos) {
+        const { line, column } = this.locate(pos);
+        throw parseError(reason, line, column);
+    }
+
+    peek(offset = 0) {
+        return this.src[this.pos + offset];
+    }
+
+    eof() {
+        return this.pos >= this.src.length;
+    }
+
+    skipWhitespace() {
+        while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+    }
+
+    skipComment() {
+        if (this.peek() === '#') {
+            while (!this.eof() && this.peek() !== '\n') this.pos++;
+        }
+    }
+
+    // Пробелы, переводы строк и комментарии (внутри массивов)
+    skipBlank() {
+        for (;;) {
+            this.skipWhitespace();
+            if (this.peek() === '#') this.skipComment();
+            else if (this.peek() === '\n') this.pos++;
+            else break;
+        }
+    }
+
+    expectLineEnd() {
+        this.skipWhitespace();
+        this.skipComment();
+        if (!this.eof() && this.peek() !== '\n') this.error('Ожидался конец строки');
+    }
+
+    // ----- документ -----
+    parse() {
+        while (!this.eof()) {
+            this.skipBlank();
+            if (this.eof()) break;
+
+            if (this.peek() === '[') {
+                this.parseTableHeader();
+            } else {
+                this.parseKeyValue(this.current);
+            }
+            this.expectLineEnd();
+        }
+        return strip(this.root);
+    }
+
+    parseTableHeader() {
+        const start = this.pos;
+        const isArray = this.peek(1) === '[';
+        this.pos += isArray ? 2 : 1;
+        this.skipWhitespace();
+        const keys = this.parseKey();
+        this.skipWhitespace();
+        if (this.peek() !== ']' || (isArray && this.peek(1) !== ']')) {
+            this.error(isArray ? 'Ожидалось «]]»' : 'Ожидалось «]»');
+        }
+        this.pos += isArray ? 2 : 1;
+
+        let table = this.root;
+        for (let i = 0; i < keys.length - 1; i++) {
+            table = this.descend(table, keys[i], start);
+        }
+
+        const last = keys[keys.length - 1];
+        if (isArray) {
+            if (!hasOwn(table, last)) {
+                table[last] = [];
+                table[last][TABLE_ARRAY] = true;
+                setPosition(table, last, this.locate(start));
+            } else if (!Array.isArray(table[last]) || !table[last][TABLE_ARRAY]) {
+                this.error(`Ключ уже определён не как массив таблиц: ${keys.join('.')}`, start);
+            }
+            const entry = {};
+            setPosition(table[last], table[last].length, this.locate(start));
+            table[last].push(entry);
+            this.current = entry;
+        } else {
+            if (hasOwn(table, last)) {
+                const existing = table[last];
+                if (!isTable(existing) || existing[DEFINED] || existing[FROZEN]) {
+                    this.error(`Повторное определение таблицы: ${keys.join('.')}`, start);
+                }
+                existing[DEFINED] = true;
+                this.current = existing;
+            } else {
+                const created = { [DEFINED]: true };
+                table[last] = created;
+                setPosition(table, last, this.locate(start));
+                this.current = created;
+            }
+        }
+    }
+
+    descend(table, key, pos) {
+        if (!hasOwn(table, key)) {
+            table[key] = {};
+            setPosition(table, key, this.locate(pos));
+            return table[key];
+        }
+        const value = table[key];
+        if (Array.isArray(value) && value[TABLE_ARRAY]) {
+            return value[value.length - 1];
+        }
+        if (!isTable(value) || value[FROZEN]) {
+            this.error(`Ключ уже определён как значение: ${key}`, pos);
+        }
+        return value;
+    }
+
+    parseKeyValue(table) {
+        const start = this.pos;
+        const keys = this.parseKey();
+        this.skipWhitespace();
+        if (this.peek() !== '=') this.error('Ожидалось «=» после ключа');
+        this.pos++;
+        this.skipWhitespace();
+        const value = this.parseValue();
+
+        let target = table;
+        for (let i = 0; i < keys.length - 1; i++) {
+            const key = keys[i];
+            if (hasOwn(target, key) && isTable(target[key]) && target[key][DEFINED]) {
+                this.error(`Нельзя дополнять явно объявленную таблицу через точечный ключ: ${key}`, start);
+            }
+            target = this.descend(target, key, start);
+        }
+        const last = keys[keys.length - 1];
+        if (hasOwn(target, last)) this.error(`Повторяющийся ключ: ${keys.join('.')}`, start);
+        target[last] = value;
+        setPosition(target, last, this.locate(start));
+    }
+
+    parseKey() {
+        const keys = [];
+        for (;;) {
+            this.skipWhitespace();
+            const start = this.pos;
+            const ch = this.peek();
+            if (ch === '"') {
+                keys.push(this.parseBasicString());
+            } else if (ch === '\'') {
+                keys.push(this.parseLiteralString());
+            } else {
+                while (!this.eof() && BARE_KEY.test(this.peek())) this.pos++;
+                if (this.pos === start) this.error('Ожидался ключ');
+                keys.push(this.src.slice(start, this.pos));
+            }
+            if (isReservedKey(keys[keys.length - 1])) this.error(RESERVED_KEY_REASON, start);
+            this.skipWhitespace();
+            if (this.peek() !== '.') break;
+            this.pos++;
+        }
+        return keys;
+    }
+
+    // ----- значения -----
+    parseValue() {
+        const ch = this.peek();
+
+        if (ch === '"') {
+            return this.src.startsWith('"""', this.pos) ? this.parseMultilineBasic() : this.parseBasicString();
+        }
+        if (ch === '\'') {
+            return this.src.startsWith('\'\'\'', this.pos) ? this.parseMultilineLiteral() : this.parseLiteralString();
+        }
+        if (ch === '[') return this.parseArray();
+        if (ch === '{') return this.parseInlineTable();
+        if (this.src.startsWith('true', this.pos) && !BARE_KEY.test(this.peek(4) || '')) {
+            this.pos += 4;
+            return true;
+        }
+        if (this.src.startsWith('false', this.pos) && !BARE_KEY.test(this.peek(5) || '')) {
+            this.pos += 5;
+            return false;
+        }
+
+        const datetime = this.matchAt(DATETIME_RE) || this.matchAt(TIME_RE);
+        if (datetime) {
+            this.pos += datetime[0].length;
+            return datetime[0];
+        }
+        return this.parseNumber();
+    }
+
+    matchAt(re) {
+        re.lastIndex = this.pos;
+        return re.exec(this.src);
+    }
+
+    parseNumber() {
+        const start = this.pos;
+        while (!this.eof() && /[0-9A-Za-z_.+-]/.test(this.peek())) this.pos++;
+        const raw = this.src.slice(start, this.pos);
+        if (!raw) this.error('Ожидалось значение');
+
+        if (/^[+-]?(inf|nan)$/.test(raw)) {
+            if (raw.endsWith('nan')) return NaN;
+            return raw.startsWith('-') ? -Infinity : Infinity;
+        }
+        if (/(^|[^0-9a-fA-F])_|_($|[^0-9a-fA-F])/.test(raw)) {
+            this.error(`Некорректное число: ${raw}`, start);
+        }
+        const text = raw.replace(/_/g, '');
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+        if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+        if (/^0b[01]+$/.test(text)) return parseInt(text.slice(2), 2);
+        if (/^[+-]?(0|[1-9]\d*)$/.test(text)) return Number(text);
+        if (/^[+-]?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+
+        this.error(`Некорректное значение: ${raw}`, start);
+    }
+
+    parseBasicString() {
+        const start = this.pos;
+        this.pos++;
+        let result = '';
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined || ch === '\n') this.error('Незакрытая строка', start);
+            this.pos++;
+            if (ch === '"') return result;
+            result += ch === '\\' ? this.parseEscape() : ch;
+        }
+    }
+
+    parseMultilineBasic() {
+        const start = this.pos;
+        this.pos += 3;
+        if (this.peek() === '\n') this.pos++;
+        let result = '';
+        for (;;) {
+            if (this.eof()) this.error('Незакрытая многострочная строка', start);
+            if (this.src.startsWith('"""', this.pos)) {
+                // До двух кавычек могут стоять прямо перед закрывающими
+                let extra = 0;
+                while (extra < 2 && this.src[this.pos + 3 + extra] === '"') extra++;
+                result += '"'.repeat(extra);
+                this.pos += 3 + extra;
+                return result;
+            }
+            const ch = this.peek();
+            this.pos++;
+            if (ch === '\\') {
+                if (this.matchAt(LINE_END_RE)) {
+                    // Обратный слэш в конце строки склеивает строки
+                    while (/[ \t\n]/.test(this.peek() || '')) this.pos++;
+                } else {
+                    result += this.parseEscape();
+                }
+            } else {
+                result += ch;
+            }
+        }
+    }
+
+    parseLiteralString() {
+        const start = this.pos;
+        this.pos++;
+        const end = this.src.indexOf('\'', this.pos);
+        const newline = this.src.indexOf('\n', this.pos);
+        if (end < 0 || (newline >= 0 && newline < end)) this.error('Незакрытая строка', start);
+        const result = this.src.slice(this.pos, end);
+        this.pos = end + 1;
+        return result;
+    }
+
+    parseMultilineLiteral() {
+        const start = this.pos;
+        this.pos += 3;
+        if (this.peek() === '\n') this.pos++;
+        const end = this.src.indexOf('\'\'\'', this.pos);
+        if (end < 0) this.error('Незакрытая многострочная строка', start);
+        let extra = 0;
+        while (extra < 2 && this.src[end + 3 + extra] === '\'') extra++;
+        const result = this.src.slice(this.pos, end + extra);
+        this.pos = end + 3 + extra;
+        return result;
+    }
+
+    parseEscape() {
+        const ch = this.peek();
+        this.pos++;
+        if (ch in ESCAPES) return ESCAPES[ch];
+        if (ch === 'u' || ch === 'U') {
+            const length = ch === 'u' ? 4 : 8;
+            const hex = this.src.slice(this.pos, this.pos + length);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+                this.error('Некорректная escape-последовательность');
+            }
+            this.pos += length;
+            return String.fromCodePoint(parseInt(hex, 16));
+        }
+        this.error(`Неизвестная escape-последовательность: \\${ch}`, this.pos - 2);
+    }
+
+    parseArray() {
+        const start = this.pos;
+        this.pos++;
+        const items = [];
+        for (;;) {
+            this.skipBlank();
+            if (this.eof()) this.error('Незакрытый массив', start);
+            if (this.peek() === ']') {
+                this.pos++;
+                return items;
+            }
+            setPosition(items, items.length, this.locate(this.pos));
+            items.push(this.parseValue());
+            this.skipBlank();
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() !== ']') {
+                this.error('Ожидалось «,» или «]»');
+            }
+        }
+    }
+
+    parseInlineTable() {
+        const start = this.pos;
+        this.pos++;
+        const table = {};
+        this.skipWhitespace();
+        if (this.peek() === '}') {
+            this.pos++;
+            table[FROZEN] = true;
+            return table;
+        }
+        for (;;) {
+            this.skipWhitespace();
+            if (this.eof() || this.peek() === '\n') this.error('Встроенная таблица должна быть на одной строке', start);
+            this.parseKeyValue(table);
+            this.skipWhitespace();
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() === '}') {
+                this.pos++;
+                break;
+            } else {
+                this.error('Ожидалось «,» или «}»');
+            }
+        }
+        freeze(table);
+        return table;
+    }
+}
+
+function isTable(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function freeze(table) {
+    table[FROZEN] = true;
+    for (const value of Object.values(table)) {
+        if (isTable(value)) freeze(value);
+    }
+}
+
+// Результат без служебных отметок (позиции ключей переносятся)
+function strip(value) {
+    if (Array.isArray(value)) {
+        const result = value.map(strip);
+        result.forEach((item, index) => setPosition(result, index, positionOf(value, index)));
+        return result;
+    }
+    if (isTable(value)) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = strip(item);
+            setPosition(result, key, positionOf(value, key));
+        }
+        return result;
+    }
+    return value;
+}
+
+// ===== ЗАПИСЬ =====
+function formatKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function isTableArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isTable);
+}
+
+function formatValue(value, keys) {
+    if (value === null || value === undefined) {
+        throw new Error(`TOML не поддерживает null: ${keys.join('.')}`);
+    }
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'nan';
+        if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+        return String(value);
+    }
+    if (typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return `[${value.map(item => formatValue(item, keys)).join(', ')}]`;
+    const pairs = Object.entries(value).map(([key, item]) => `${formatKey(key)} = ${formatValue(item, [...keys, key])}`);
+    return pairs.length ? `{ ${pairs.join(', ')} }` : '{}';
+}
+
+function writeTable(table, keys, lines, arrayItem = false) {
+    const entries = Object.entries(table);
+    const values = entries.filter(([, value]) => !isTable(value) && !isTableArray(value));
+    const tables = entries.filter(([, value]) => isTable(value));
+    const arrays = entries.filter(([, value]) => isTableArray(value));
+
+    const header = keys.map(formatKey).join('.');
+    if (arrayItem) {
+        lines.push('', `[[${header}]]`);
+    } else if (keys.length && (values.length || (!tables.length && !arrays.length))) {
+        lines.push('', `[${header}]`);
+    }
+    for (const [key, value] of values) lines.push(`${formatKey(key)} = ${formatValue(value, [...keys, key])}`);
+    for (const [key, value] of tables) writeTable(value, [...keys, key], lines);
+    for (const [key, items] of arrays) items.forEach(item => writeTable(item, [...keys, key], lines, true));
+}
+
+function parse(content) {
+    return new Parser(content).parse();
+}
+
+/**
+ * Записывает объект в TOML: сначала значения, затем таблицы [a.b] и массивы таблиц [[a]]
+ */
+function stringify(value) {
+    if (!isTable(value)) throw new Error('Корнем TOML-документа должна быть таблица');
+    const lines = [];
+    writeTable(value, [], lines);
+    return `${lines.join('\n').replace(/^\n/, '')}\n`;
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,239 @@
+/**
+ * Visual Change Impact Platform - разбор XML
+ * Элемент → объект, атрибуты → ключи "@имя", текст → значение
+ * (или "#text" при наличии дочерних элементов), повторяющиеся элементы → массив
+ */
+
+const { createLocator, parseError, setPosition, positionOf, RESERVED_KEY_REASON, hasOwn, isReservedKey, coerceScalar } = require('./common');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+const NAME_RE = /[A-Za-z_:][\w:.-]*/y;
+
+class Parser {
+    constructor(source) {
+        this.src = source.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+        this.pos = 0;
+        this.locate = createLocator(this.src);
+    }
+
+    error(reason, pos = this.pos) {
+        const { line, column } = this.locate(pos);
+        throw parseError(reason, line, column);
+    }
+
+    startsWith(text) {
+        return this.src.startsWith(text, this.pos);
+    }
+
+    skipWhitespace() {
+        while (/\s/.test(this.src[this.pos] || '')) this.pos++;
+    }
+
+    skipUntil(terminator, reason) {
+        const end = this.src.indexOf(terminator, this.pos);
+        if (end < 0) this.error(reason);
+        this.pos = end + terminator.length;
+    }
+
+    // Пролог, комментарии, инструкции обработки и DOCTYPE
+    skipMisc() {
+        for (;;) {
+            this.skipWhitespace();
+            if (this.startsWith('<?')) this.skipUntil('?>', 'Незакрытая инструкция обработки');
+            else if (this.startsWith('<!--')) this.skipUntil('-->', 'Незакрытый комментарий');
+            else if (this.startsWith('<!DOCTYPE')) this.skipDoctype();
+            else break;
+        }
+    }
+
+    skipDoctype() {
+        let depth = 0;
+        while (this.pos < this.src.length) {
+            const ch = this.src[this.pos++];
+            if (ch === '[') depth++;
+            else if (ch === ']') depth--;
+            else if (ch === '>' && depth === 0) return;
+        }
+        this.error('Незакрытый DOCTYPE');
+    }
+
+    readName() {
+        NAME_RE.lastIndex = this.pos;
+        const match = NAME_RE.exec(this.src);
+        if (!match) this.error('Ожидалось имя элемента или атрибута');
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    decode(text, start) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (all, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+            }
+            if (!(entity in ENTITIES)) this.error(`Неизвестная сущность: &${entity};`, start);
+            return ENTITIES[entity];
+        });
+    }
+
+    parseDocument() {
+        this.skipMisc();
+        if (this.src[this.pos] !== '<') this.error('Ожидался корневой элемент');
+        const { name, value, position } = this.parseElement();
+        this.skipMisc();
+        if (this.pos < this.src.length) this.error('Неожиданное содержимое после корневого элемента');
+        const document = { [name]: value };
+        setPosition(document, name, position);
+        return document;
+    }
+
+    parseElement() {
+        const start = this.pos;
+        const position = this.locate(start);
+        this.pos++;
+        const name = this.readName();
+        if (isReservedKey(name)) this.error(RESERVED_KEY_REASON, start);
+        const node = {};
+
+        for (;;) {
+            this.skipWhitespace();
+            const ch = this.src[this.pos];
+            if (ch === '/' && this.src[this.pos + 1] === '>') {
+                this.pos += 2;
+                return { name, value: finish(node, ''), position };
+            }
+            if (ch === '>') {
+                this.pos++;
+                break;
+            }
+            if (ch === undefined) this.error(`Незакрытый тег <${name}>`, start);
+
+            const attrStart = this.pos;
+            const attr = this.readName();
+            this.skipWhitespace();
+            if (this.src[this.pos] !== '=') this.error(`Ожидалось «=» после атрибута ${attr}`);
+            this.pos++;
+            this.skipWhitespace();
+            const quote = this.src[this.pos];
+            if (quote !== '"' && quote !== '\'') this.error('Значение атрибута должно быть в кавычках');
+            const end = this.src.indexOf(quote, this.pos + 1);
+            if (end < 0) this.error('Незакрытое значение атрибута');
+            const key = `@${attr}`;
+            if (hasOwn(node, key)) this.error(`Повторяющийся атрибут: ${attr}`, attrStart);
+            node[key] = coerceScalar(this.decode(this.src.slice(this.pos + 1, end), attrStart));
+            setPosition(node, key, this.locate(attrStart));
+            this.pos = end + 1;
+        }
+
+        let text = '';
+        for (;;) {
+            if (this.pos >= this.src.length) this.error(`Незакрытый элемент <${name}>`, start);
+
+            if (this.startsWith('</')) {
+                const closeStart = this.pos;
+                this.pos += 2;
+                const closing = this.readName();
+                if (closing !== name) {
+                    this.error(`Закрывающий тег </${closing}> не соответствует <${name}>`, closeStart);
+                }
+                this.skipWhitespace();
+                if (this.src[this.pos] !== '>') this.error('Ожидалось «>»');
+                this.pos++;
+                return { name, value: finish(node, text), position };
+            }
+            if (this.startsWith('<!--')) {
+                this.skipUntil('-->', 'Незакрытый комментарий');
+            } else if (this.startsWith('<![CDATA[')) {
+                this.pos += 9;
+                const end = this.src.indexOf(']]>', this.pos);
+                if (end < 0) this.error('Незакрытая секция CDATA');
+                text += this.src.slice(this.pos, end);
+                this.pos = end + 3;
+            } else if (this.startsWith('<?')) {
+                this.skipUntil('?>', 'Незакрытая инструкция обработки');
+            } else if (this.src[this.pos] === '<') {
+                const child = this.parseElement();
+                if (hasOwn(node, child.name)) {
+                    const previous = node[child.name];
+                    const positions = Array.isArray(previous)
+                        ? previous.map((item, i) => positionOf(previous, i))
+                        : [positionOf(node, child.name)];
+                    node[child.name] = [].concat(previous, [child.value]);
+                    [...positions, child.position].forEach((itemPosition, i) => setPosition(node[child.name], i, itemPosition));
+                } else {
+                    node[child.name] = child.value;
+                    setPosition(node, child.name, child.position);
+                }
+            } else {
+                const textStart = this.pos;
+                const end = this.src.indexOf('<', this.pos);
+                this.pos = end < 0 ? this.src.length : end;
+                text += this.decode(this.src.slice(textStart, this.pos), textStart);
+            }
+        }
+    }
+}
+
+// Элемент только с текстом становится скаляром, пустой — null
+function finish(node, text) {
+    const trimmed = text.trim();
+    if (Object.keys(node).length === 0) {
+        return trimmed === '' ? null : coerceScalar(trimmed);
+    }
+    if (trimmed) node['#text'] = coerceScalar(trimmed);
+    return node;
+}
+
+// ===== ЗАПИСЬ =====
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function writeElement(name, value, indent, lines) {
+    const pad = '  '.repeat(indent);
+    if (Array.isArray(value)) {
+        value.forEach(item => writeElement(name, item, indent, lines));
+        return;
+    }
+    if (value === null || value === undefined) {
+        lines.push(`${pad}<${name}/>`);
+        return;
+    }
+    if (typeof value !== 'object') {
+        lines.push(`${pad}<${name}>${escapeXml(value)}</${name}>`);
+        return;
+    }
+
+    const entries = Object.entries(value);
+    const attrs = entries.filter(([key]) => key.startsWith('@'))
+        .map(([key, item]) => ` ${key.slice(1)}="${escapeXml(item)}"`).join('');
+    const children = entries.filter(([key]) => !key.startsWith('@') && key !== '#text');
+    const text = '#text' in value ? escapeXml(value['#text']) : '';
+
+    if (children.length === 0) {
+        lines.push(text ? `${pad}<${name}${attrs}>${text}</${name}>` : `${pad}<${name}${attrs}/>`);
+        return;
+    }
+    lines.push(`${pad}<${name}${attrs}>`);
+    if (text) lines.push(`${pad}  ${text}`);
+    for (const [key, item] of children) writeElement(key, item, indent + 1, lines);
+    lines.push(`${pad}</${name}>`);
+}
+
+function parse(content) {
+    return new Parser(content).parseDocument();
+}
+
+/**
+ * Записывает объект { корень: элемент } в XML (обратное преобразование к parse)
+ */
+function stringify(value) {
+    const roots = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+    if (roots.length !== 1 || Array.isArray(value[roots[0]])) {
+        throw new Error('XML-документ должен содержать ровно один корневой элемент');
+    }
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    writeElement(roots[0], value[roots[0]], 0, lines);
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,925 @@
+/**
+ * Visual Change Impact Platform - разбор YAML 1.2
+ * Блочные и потоковые коллекции, блочные скаляры, якоря и ссылки,
+ * ключи слияния (<<), комментарии и многодокументные потоки (---)
+ *
+ * Ошибки разбора содержат строку и столбец (error.line, error.column)
+ */
+
+const { parseError, setPosition, positionOf, RESERVED_KEY_REASON, hasOwn, isReservedKey } = require('./common');
+
+// ===== РАЗРЕШЕНИЕ СКАЛЯРОВ (core schema) =====
+const NULL_RE = /^(?:~|null|Null|NULL)?$/;
+const TRUE_RE = /^(?:true|True|TRUE)$/;
+const FALSE_RE = /^(?:false|False|FALSE)$/;
+const INT_RE = /^[-+]?[0-9]+$/;
+const OCT_RE = /^0o[0-7]+$/;
+const HEX_RE = /^0x[0-9a-fA-F]+$/;
+const FLOAT_RE = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_RE = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_RE = /^\.(?:nan|NaN|NAN)$/;
+
+function resolvePlain(text) {
+    if (NULL_RE.test(text)) return null;
+    if (TRUE_RE.test(text)) return true;
+    if (FALSE_RE.test(text)) return false;
+    if (INT_RE.test(text)) return Number(text);
+    if (OCT_RE.test(text)) return parseInt(text.slice(2), 8);
+    if (HEX_RE.test(text)) return parseInt(text.slice(2), 16);
+    if (FLOAT_RE.test(text)) return Number(text);
+    if (INF_RE.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (NAN_RE.test(text)) return NaN;
+    return text;
+}
+
+function resolveTagged(tag, text, plain) {
+    switch (tag) {
+        case '!!str':
+        case '!':
+            return text;
+        case '!!null':
+            return null;
+        case '!!bool':
+            return TRUE_RE.test(text);
+        case '!!int':
+        case '!!float':
+            return resolvePlain(text.trim()) ?? Number(text);
+        case '!!binary':
+            return text.replace(/\s+/g, '');
+        default:
+            // Пользовательские теги (!Ref, !Sub ...) не меняют значение
+            return plain ? resolvePlain(text) : text;
+    }
+}
+
+const ESCAPES = {
+    '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f',
+    r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+    N: '\x85', _: '\xa0', L: ' ', P: ' ',
+};
+
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+const FLOW_INDICATORS = ',[]{}';
+
+// ===== ПАРСЕР =====
+class Parser {
+    constructor(source) {
+        this.src = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        this.pos = 0;
+        this.anchors = new Map();
+        this.lastFlowPlain = false;
+        this.lineStarts = [0];
+        for (let i = 0; i < this.src.length; i++) {
+            if (this.src[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    // ----- позиция -----
+    location(pos = this.pos) {
+        let lo = 0;
+        let hi = this.lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.lineStarts[mid] <= pos) lo = mid;
+            else hi = mid - 1;
+        }
+        return { line: lo + 1, column: pos - this.lineStarts[lo] + 1 };
+    }
+
+    column(pos = this.pos) {
+        return this.location(pos).column - 1;
+    }
+
+    error(reason, pos = this.pos) {
+        const { line, column } = this.location(pos);
+        throw parseError(reason, line, column);
+    }
+
+    // ----- символы -----
+    peek(offset = 0) {
+        return this.src[this.pos + offset];
+    }
+
+    eof() {
+        return this.pos >= this.src.length;
+    }
+
+    isBlank(ch) {
+        return ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+    }
+
+    blankAfter(offset = 1) {
+        return this.isBlank(this.peek(offset));
+    }
+
+    atLineStart() {
+        return this.pos === 0 || this.src[this.pos - 1] === '\n';
+    }
+
+    isDocMarker(pos = this.pos) {
+        if (pos !== 0 && this.src[pos - 1] !== '\n') return false;
+        const marker = this.src.slice(pos, pos + 3);
+        return (marker === '---' || marker === '...') && this.isBlank(this.src[pos + 3]);
+    }
+
+    skipSpaces() {
+        while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+    }
+
+    skipToLineEnd() {
+        while (!this.eof() && this.peek() !== '\n') this.pos++;
+    }
+
+    // Пропускает пустые строки и комментарии, останавливаясь на первом значимом символе
+    skipBlankLines() {
+        while (!this.eof()) {
+            const lineStart = this.atLineStart();
+            let tab = -1;
+            while (this.peek() === ' ' || this.peek() === '\t') {
+                if (this.peek() === '\t' && tab < 0) tab = this.pos;
+                this.pos++;
+            }
+            const ch = this.peek();
+            if (ch === '#') {
+                this.skipToLineEnd();
+            } else if (ch !== '\n' && ch !== undefined) {
+                if (lineStart && tab >= 0) this.error('Табуляция в отступе недопустима', tab);
+                return;
+            }
+            if (this.peek() === '\n') this.pos++;
+        }
+    }
+
+    // Проверяет, что до конца строки остались только пробелы и комментарий
+    expectLineEnd() {
+        if (this.atLineStart()) return;
+        this.skipSpaces();
+        if (this.peek() === '#') this.skipToLineEnd();
+        if (!this.eof() && this.peek() !== '\n') {
+            this.error('Лишние символы после значения');
+        }
+    }
+
+    // ----- поток документов -----
+    parseStream() {
+        const documents = [];
+
+        for (;;) {
+            this.skipBlankLines();
+            while (!this.eof() && this.peek() === '%' && this.column() === 0) {
+                this.skipToLineEnd();
+                this.skipBlankLines();
+            }
+            if (this.eof()) break;
+
+            if (this.isDocMarker() && this.peek() === '.') {
+                this.pos += 3;
+                this.expectLineEnd();
+                continue;
+            }
+
+            this.anchors = new Map();
+            let value;
+            if (this.isDocMarker()) {
+                this.pos += 3;
+                this.skipSpaces();
+                if (this.eof() || this.peek() === '\n' || this.peek() === '#') {
+                    value = this.parseBlockNode(-1);
+                } else {
+                    value = this.parseNodeAt(-1, true);
+                }
+            } else {
+                value = this.parseBlockNode(-1);
+            }
+            documents.push(value);
+
+            this.skipBlankLines();
+            if (this.eof()) break;
+            if (this.isDocMarker()) {
+                if (this.peek() === '.') {
+                    this.pos += 3;
+                    this.expectLineEnd();
+                }
+                continue;
+            }
+            this.error('Неожиданное содержимое после конца документа');
+        }
+
+        return documents;
+    }
+
+    // ----- блочные узлы -----
+    parseBlockNode(parentIndent, allowSequenceAtParent = false) {
+        this.skipBlankLines();
+        if (this.eof() || this.isDocMarker()) return null;
+
+        const indent = this.column();
+        const isEntry = this.peek() === '-' && this.blankAfter();
+        if (indent < parentIndent || (indent === parentIndent && !(allowSequenceAtParent && isEntry))) {
+            return null;
+        }
+        return this.parseNodeAt(parentIndent, false);
+    }
+
+    /**
+     * Разбирает узел, начинающийся в текущей позиции.
+     * inline — узел начинается на строке ключа, блочные коллекции здесь запрещены
+     */
+    parseNodeAt(parentIndent, inline) {
+        const indent = this.column();
+        const start = this.pos;
+
+        if (this.peek() === '-' && this.blankAfter()) {
+            if (inline) this.error('Блочная последовательность не может начинаться на строке ключа');
+            return this.parseBlockSequence(indent);
+        }
+        if ((this.peek() === '?' && this.blankAfter()) || this.looksLikeMappingKey()) {
+            if (inline) this.error('Вложенное отображение не может начинаться на строке ключа');
+            return this.parseBlockMapping(indent);
+        }
+
+        const { anchor, tag } = this.parseProperties();
+        let value;
+
+        if (this.eof() || this.peek() === '\n' || this.peek() === '#') {
+            value = this.parseBlockNode(parentIndent, true);
+            if (tag && (value === null || typeof value !== 'object')) {
+                value = resolveTagged(tag, value === null ? '' : String(value), false);
+            }
+        } else if (this.peek() === '|' || this.peek() === '>') {
+            value = this.parseBlockScalar(parentIndent);
+            if (tag) value = resolveTagged(tag, value, false);
+        } else {
+            value = this.parseInlineValue(parentIndent, tag, false);
+            this.expectLineEnd();
+        }
+
+        if (anchor) this.anchors.set(anchor, value);
+        if (this.pos === start) this.error('Ожидалось значение');
+        return value;
+    }
+
+    parseProperties() {
+        let anchor = null;
+        let tag = null;
+        for (;;) {
+            if (this.peek() === '&') {
+                anchor = this.readName(1, 'Пустое имя якоря');
+            } else if (this.peek() === '!') {
+                tag = this.readTag();
+            } else {
+                break;
+            }
+            this.skipSpaces();
+        }
+        return { anchor, tag };
+    }
+
+    readName(skip, emptyMessage) {
+        this.pos += skip;
+        const start = this.pos;
+        while (!this.isBlank(this.peek()) && !FLOW_INDICATORS.includes(this.peek())) this.pos++;
+        if (this.pos === start) this.error(emptyMessage);
+        return this.src.slice(start, this.pos);
+    }
+
+    readTag() {
+        const start = this.pos;
+        if (this.peek(1) === '<') {
+            const end = this.src.indexOf('>', this.pos);
+            if (end < 0) this.error('Незакрытый тег');
+            this.pos = end + 1;
+        } else {
+            this.pos++;
+            while (!this.isBlank(this.peek()) && !FLOW_INDICATORS.includes(this.peek())) this.pos++;
+        }
+        return this.src.slice(start, this.pos);
+    }
+
+    readAlias() {
+        const start = this.pos;
+        const name = this.readName(1, 'Пустое имя ссылки');
+        if (!this.anchors.has(name)) this.error(`Неизвестная ссылка: *${name}`, start);
+        return this.anchors.get(name);
+    }
+
+    // Значение в пределах строки: ссылка, потоковая коллекция, скаляр
+    parseInlineValue(parentIndent, tag, flow) {
+        const ch = this.peek();
+        if (ch === '*') return this.readAlias();
+        if (ch === '[' || ch === '{') return this.parseFlowCollection();
+        if (ch === '"' || ch === '\'') {
+            const text = ch === '"' ? this.parseDoubleQuoted() : this.parseSingleQuoted();
+            return tag ? resolveTagged(tag, text, false) : text;
+        }
+        if (ch === '@' || ch === '`') this.error(`Зарезервированный символ «${ch}»`);
+        if (!flow && (ch === ']' || ch === '}' || ch === ',')) this.error(`Неожиданный символ «${ch}»`);
+        const text = this.parsePlain(parentIndent, flow);
+        return tag ? resolveTagged(tag, text, true) : resolvePlain(text);
+    }
+
+    // Определяет, начинается ли в текущей строке пара «ключ: значение»
+    looksLikeMappingKey() {
+        const save = this.pos;
+        const anchors = this.anchors;
+        this.anchors = new Map(anchors);
+        try {
+            this.parseProperties();
+            const ch = this.peek();
+            if (ch === '"') this.parseDoubleQuoted();
+            else if (ch === '\'') this.parseSingleQuoted();
+            else if (ch === '[' || ch === '{') this.parseFlowCollection();
+            else if (ch === '*') this.readName(1, '');
+            else {
+                while (!this.eof() && this.peek() !== '\n') {
+                    if (this.peek() === ':' && this.blankAfter()) return true;
+                    if (this.peek() === '#' && this.isBlank(this.src[this.pos - 1])) return false;
+                    this.pos++;
+                }
+                return false;
+            }
+            this.skipSpaces();
+            return this.peek() === ':' && this.blankAfter();
+        } catch {
+            return false;
+        } finally {
+            this.pos = save;
+            this.anchors = anchors;
+        }
+    }
+
+    parseBlockMapping(indent) {
+        const entries = [];
+        const seen = new Set();
+
+        for (;;) {
+            const keyPos = this.pos;
+            let key;
+            let plainKey = false;
+            let value;
+
+            if (this.peek() === '?' && this.blankAfter()) {
+                this.pos++;
+                this.skipSpaces();
+                const keyNode = this.eof() || this.peek() === '\n' || this.peek() === '#'
+                    ? this.parseBlockNode(indent)
+                    : this.parseNodeAt(indent, false);
+                key = keyToString(keyNode);
+                this.skipBlankLines();
+                if (!this.eof() && this.column() === indent && this.peek() === ':' && this.blankAfter()) {
+                    this.pos++;
+                    value = this.parseMappingValue(indent);
+                } else {
+                    value = null;
+                }
+            } else {
+                ({ key, plain: plainKey } = this.parseKey());
+                this.skipSpaces();
+                if (!(this.peek() === ':' && this.blankAfter())) {
+                    this.error('Ожидалось «:» после ключа');
+                }
+                this.pos++;
+                value = this.parseMappingValue(indent);
+            }
+
+            if (plainKey && key === '<<') {
+                entries.push({ merge: mergeSources(value, this, keyPos) });
+            } else {
+                if (isReservedKey(key)) this.error(RESERVED_KEY_REASON, keyPos);
+                if (seen.has(key)) this.error(`Повторяющийся ключ: ${key}`, keyPos);
+                seen.add(key);
+                entries.push({ key, value, position: this.location(keyPos) });
+            }
+
+            this.skipBlankLines();
+            if (this.eof() || this.isDocMarker()) break;
+            const column = this.column();
+            if (column < indent) break;
+            if (column > indent) this.error('Неожиданный отступ');
+            if (this.peek() === '-' && this.blankAfter()) {
+                this.error('Ожидался ключ, найден элемент последовательности');
+            }
+        }
+
+        return assembleMapping(entries, seen);
+    }
+
+    parseKey() {
+        const { anchor } = this.parseProperties();
+        const ch = this.peek();
+        let key;
+        let plain = false;
+
+        if (ch === '"') key = this.parseDoubleQuoted();
+        else if (ch === '\'') key = this.parseSingleQuoted();
+        else if (ch === '*') key = keyToString(this.readAlias());
+        else if (ch === '[' || ch === '{') key = keyToString(this.parseFlowCollection());
+        else {
+            const start = this.pos;
+            while (!this.eof() && this.peek() !== '\n' && !(this.peek() === ':' && this.blankAfter())) {
+                this.pos++;
+            }
+            key = this.src.slice(start, this.pos).trim();
+            plain = true;
+            if (!key) this.error('Пустой ключ', start);
+        }
+
+        if (anchor) this.anchors.set(anchor, key);
+        return { key, plain };
+    }
+
+    parseMappingValue(indent) {
+        this.skipSpaces();
+        if (this.eof() || this.peek() === '\n' || this.peek() === '#') {
+            return this.parseBlockNode(indent, true);
+        }
+        return this.parseNodeAt(indent, true);
+    }
+
+    parseBlockSequence(indent) {
+        const items = [];
+
+        for (;;) {
+            setPosition(items, items.length, this.location());
+            this.pos++;
+            this.skipSpaces();
+            let item;
+            if (this.eof() || this.peek() === '\n' || this.peek() === '#') {
+                item = this.parseBlockNode(indent);
+            } else {
+                item = this.parseNodeAt(indent, false);
+            }
+            items.push(item);
+
+            this.skipBlankLines();
+            if (this.eof() || this.isDocMarker()) break;
+            const column = this.column();
+            if (column < indent) break;
+            if (column > indent) this.error('Неожиданный отступ');
+            if (!(this.peek() === '-' && this.blankAfter())) break;
+        }
+
+        return items;
+    }
+
+    // ----- блочные скаляры | и > -----
+    parseBlockScalar(parentIndent) {
+        const style = this.peek();
+        this.pos++;
+
+        let chomp = 'clip';
+        let explicit = null;
+        for (let i = 0; i < 2; i++) {
+            const ch = this.peek();
+            if (ch === '-' || ch === '+') {
+                chomp = ch === '-' ? 'strip' : 'keep';
+                this.pos++;
+            } else if (ch >= '1' && ch <= '9') {
+                explicit = Number(ch);
+                this.pos++;
+            }
+        }
+        this.skipSpaces();
+        if (this.peek() === '#') this.skipToLineEnd();
+        if (!this.eof() && this.peek() !== '\n') this.error('Лишние символы после заголовка блочного скаляра');
+        if (this.peek() === '\n') this.pos++;
+
+        let contentIndent = explicit !== null ? parentIndent + explicit : null;
+        if (contentIndent === null) {
+            let scan = this.pos;
+            while (scan < this.src.length) {
+                let spaces = 0;
+                while (this.src[scan + spaces] === ' ') spaces++;
+                const ch = this.src[scan + spaces];
+                if (ch === '\n') {
+                    scan += spaces + 1;
+                    continue;
+                }
+                contentIndent = ch === undefined ? parentIndent + 1 : spaces;
+                break;
+            }
+            if (contentIndent === null || contentIndent <= parentIndent) {
+                contentIndent = Math.max(parentIndent + 1, 0);
+            }
+        }
+
+        const lines = [];
+        while (!this.eof()) {
+            const lineStart = this.pos;
+            if (contentIndent === 0 && this.isDocMarker()) break;
+
+            let end = this.src.indexOf('\n', lineStart);
+            if (end < 0) end = this.src.length;
+            const line = this.src.slice(lineStart, end);
+
+            let spaces = 0;
+            while (line[spaces] === ' ') spaces++;
+            if (spaces >= contentIndent) {
+                lines.push(line.slice(contentIndent));
+            } else if (spaces === line.length) {
+                lines.push('');
+            } else {
+                break;
+            }
+            this.pos = end < this.src.length ? end + 1 : end;
+        }
+
+        let trailing = 0;
+        while (trailing < lines.length && lines[lines.length - 1 - trailing] === '') trailing++;
+        const content = lines.slice(0, lines.length - trailing);
+
+        let body = style === '|' ? content.join('\n') : foldLines(content);
+        if (chomp === 'clip' && content.length) body += '\n';
+        if (chomp === 'keep') body += (content.length ? '\n' : '') + '\n'.repeat(trailing);
+
+        return body;
+    }
+
+    // ----- простые скаляры -----
+    parsePlain(parentIndent, flow) {
+        let result = '';
+        let pendingBreaks = -1;
+
+        for (;;) {
+            const start = this.pos;
+            while (!this.eof() && this.peek() !== '\n') {
+                const ch = this.peek();
+                if (ch === ':' && (this.blankAfter() || (flow && FLOW_INDICATORS.includes(this.peek(1))))) break;
+                if (ch === '#' && this.isBlank(this.src[this.pos - 1])) break;
+                if (flow && FLOW_INDICATORS.includes(ch)) break;
+                this.pos++;
+            }
+            let end = this.pos;
+            while (end > start && (this.src[end - 1] === ' ' || this.src[end - 1] === '\t')) end--;
+            const text = this.src.slice(start, end);
+
+            if (pendingBreaks >= 0 && text) {
+                result += pendingBreaks === 0 ? ' ' : '\n'.repeat(pendingBreaks);
+            }
+            result += text;
+            this.pos = end;
+
+            // Продолжение на следующих строках
+            const save = this.pos;
+            this.skipSpaces();
+            if (this.peek() !== '\n') {
+                this.pos = save;
+                break;
+            }
+
+            let breaks = 0;
+            let next = this.pos;
+            let continues = false;
+            while (next < this.src.length && this.src[next] === '\n') {
+                next++;
+                let spaces = 0;
+                while (this.src[next + spaces] === ' ' || this.src[next + spaces] === '\t') spaces++;
+                const ch = this.src[next + spaces];
+                if (ch === '\n') {
+                    breaks++;
+                    next += spaces;
+                    continue;
+                }
+                continues = ch !== undefined && ch !== '#' && !this.isDocMarker(next) &&
+                    (flow || spaces > parentIndent) &&
+                    !(flow && FLOW_INDICATORS.includes(ch)) &&
+                    !(ch === ':' && this.isBlank(this.src[next + spaces + 1]));
+                if (continues) next += spaces;
+                break;
+            }
+
+            if (!continues) {
+                this.pos = save;
+                break;
+            }
+            this.pos = next;
+            pendingBreaks = breaks;
+        }
+
+        return result;
+    }
+
+    // ----- скаляры в кавычках -----
+    parseDoubleQuoted() {
+        const start = this.pos;
+        this.pos++;
+        let result = '';
+
+        for (;;) {
+            if (this.eof()) this.error('Незакрытая строка в кавычках', start);
+            const ch = this.peek();
+
+            if (ch === '"') {
+                this.pos++;
+                return result;
+            }
+            if (ch === '\\') {
+                const next = this.peek(1);
+                if (next === '\n') {
+                    this.pos += 2;
+                    this.skipSpaces();
+                    continue;
+                }
+                if (next in ESCAPES) {
+                    result += ESCAPES[next];
+                    this.pos += 2;
+                    continue;
+                }
+                if (next in HEX_ESCAPES) {
+                    const length = HEX_ESCAPES[next];
+                    const hex = this.src.slice(this.pos + 2, this.pos + 2 + length);
+                    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+                        this.error('Некорректная escape-последовательность');
+                    }
+                    result += String.fromCodePoint(parseInt(hex, 16));
+                    this.pos += 2 + length;
+                    continue;
+                }
+                this.error(`Неизвестная escape-последовательность: \\${next}`);
+            }
+            if (ch === '\n') {
+                result = result.replace(/[ \t]+$/, '') + this.foldQuotedBreak();
+                continue;
+            }
+            result += ch;
+            this.pos++;
+        }
+    }
+
+    parseSingleQuoted() {
+        const start = this.pos;
+        this.pos++;
+        let result = '';
+
+        for (;;) {
+            if (this.eof()) this.error('Незакрытая строка в кавычках', start);
+            const ch = this.peek();
+
+            if (ch === '\'') {
+                if (this.peek(1) === '\'') {
+                    result += '\'';
+                    this.pos += 2;
+                    continue;
+                }
+                this.pos++;
+                return result;
+            }
+            if (ch === '\n') {
+                result = result.replace(/[ \t]+$/, '') + this.foldQuotedBreak();
+                continue;
+            }
+            result += ch;
+            this.pos++;
+        }
+    }
+
+    // Перенос строки внутри кавычек: одиночный → пробел, пустые строки → \n
+    foldQuotedBreak() {
+        let breaks = 0;
+        while (this.peek() === '\n') {
+            this.pos++;
+            if (this.isDocMarker()) this.error('Маркер документа внутри строки в кавычках');
+            this.skipSpaces();
+            if (this.peek() === '\n') breaks++;
+        }
+        return breaks === 0 ? ' ' : '\n'.repeat(breaks);
+    }
+
+    // ----- потоковые коллекции [] и {} -----
+    skipFlowBlank() {
+        for (;;) {
+            while (this.isBlank(this.peek()) && !this.eof()) this.pos++;
+            if (this.peek() === '#') {
+                this.skipToLineEnd();
+                continue;
+            }
+            break;
+        }
+    }
+
+    parseFlowCollection() {
+        const start = this.pos;
+        const open = this.peek();
+        const close = open === '[' ? ']' : '}';
+        this.pos++;
+
+        const items = [];
+        const entries = [];
+        const seen = new Set();
+
+        for (;;) {
+            this.skipFlowBlank();
+            if (this.eof()) this.error(`Незакрытая коллекция «${open}»`, start);
+            if (this.peek() === close) {
+                this.pos++;
+                break;
+            }
+
+            const entryPos = this.pos;
+            let explicitKey = false;
+            if (this.peek() === '?' && this.blankAfter()) {
+                explicitKey = true;
+                this.pos++;
+                this.skipFlowBlank();
+            }
+
+            let node = this.peek() === ':' || this.peek() === ',' || this.peek() === close
+                ? null
+                : this.parseFlowNode();
+            const plain = this.lastFlowPlain;
+            this.skipFlowBlank();
+
+            let hasValue = false;
+            let value = null;
+            if (this.peek() === ':') {
+                hasValue = true;
+                this.pos++;
+                this.skipFlowBlank();
+                if (this.peek() !== ',' && this.peek() !== close) {
+                    value = this.parseFlowNode();
+                    this.skipFlowBlank();
+                }
+            }
+
+            if (open === '{') {
+                const key = keyToString(node);
+                if (plain && key === '<<') {
+                    entries.push({ merge: mergeSources(value, this, entryPos) });
+                } else {
+                    if (isReservedKey(key)) this.error(RESERVED_KEY_REASON, entryPos);
+                    if (seen.has(key)) this.error(`Повторяющийся ключ: ${key}`, entryPos);
+                    seen.add(key);
+                    entries.push({ key, value, position: this.location(entryPos) });
+                }
+            } else {
+                setPosition(items, items.length, this.location(entryPos));
+                items.push(hasValue || explicitKey ? { [keyToString(node)]: value } : node);
+            }
+
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.eof()) {
+                this.error(`Незакрытая коллекция «${open}»`, start);
+            } else if (this.peek() !== close) {
+                this.error(`Ожидалось «,» или «${close}»`);
+            }
+        }
+
+        return open === '[' ? items : assembleMapping(entries, seen);
+    }
+
+    parseFlowNode() {
+        const { anchor, tag } = this.parseProperties();
+        const ch = this.peek();
+        const empty = ch === ',' || ch === ']' || ch === '}' || ch === ':';
+        const plain = !empty && !'*[{"\''.includes(ch);
+
+        const value = empty
+            ? (tag ? resolveTagged(tag, '', false) : null)
+            : this.parseInlineValue(-1, tag, true);
+
+        this.lastFlowPlain = plain;
+        if (anchor) this.anchors.set(anchor, value);
+        return value;
+    }
+}
+
+// ===== ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ =====
+function keyToString(key) {
+    if (key === null) return 'null';
+    if (typeof key === 'object') return JSON.stringify(key);
+    return String(key);
+}
+
+function foldLines(lines) {
+    let result = '';
+    let empty = 0;
+    let first = true;
+    let prevMoreIndented = false;
+
+    for (const line of lines) {
+        if (line === '') {
+            empty++;
+            continue;
+        }
+        const moreIndented = line[0] === ' ' || line[0] === '\t';
+        if (first) result += '\n'.repeat(empty);
+        else if (moreIndented || prevMoreIndented) result += '\n'.repeat(empty + 1);
+        else result += empty > 0 ? '\n'.repeat(empty) : ' ';
+
+        result += line;
+        first = false;
+        empty = 0;
+        prevMoreIndented = moreIndented;
+    }
+
+    return result;
+}
+
+function isMapping(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function mergeSources(value, parser, pos) {
+    const sources = Array.isArray(value) ? value : [value];
+    if (!sources.every(isMapping)) {
+        parser.error('Ключ слияния «<<» ожидает отображение или список отображений', pos);
+    }
+    return sources;
+}
+
+// Явные ключи имеют приоритет над ключами слияния, ранние источники — над поздними
+function assembleMapping(entries, explicitKeys) {
+    const result = {};
+    for (const entry of entries) {
+        if (entry.merge) {
+            for (const source of entry.merge) {
+                for (const [key, value] of Object.entries(source)) {
+                    if (!explicitKeys.has(key) && !hasOwn(result, key)) {
+                        result[key] = value;
+                        setPosition(result, key, positionOf(source, key));
+                    }
+                }
+            }
+        } else {
+            result[entry.key] = entry.value;
+            setPosition(result, entry.key, entry.position);
+        }
+    }
+    return result;
+}
+
+// ===== ЗАПИСЬ =====
+// Строка без кавычек, если при разборе она останется той же строкой
+function isPlainSafe(text) {
+    if (text === '' || text !== text.trim() || resolvePlain(text) !== text) return false;
+    if (/[\n\r\t]/.test(text) || /: |:$| #/.test(text)) return false;
+    // «-», «?» и «:» в начале допустимы только перед непробельным символом
+    if (/^[-?:]/.test(text)) return /^[-?:]\S/.test(text) && text !== '---';
+    return !/^[,[\]{}#&*!|>'"%@`]/.test(text);
+}
+
+function stringifyScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return '.nan';
+        if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+        return String(value);
+    }
+    const text = String(value);
+    return isPlainSafe(text) ? text : JSON.stringify(text);
+}
+
+function stringifyNode(value, indent) {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value)) {
+        if (value.length === 0) return ' []';
+        return '\n' + value.map(item => {
+            const body = stringifyNode(item, indent + 2);
+            // Элемент-отображение начинается на строке с «- »
+            return isMapping(item) && Object.keys(item).length
+                ? `${pad}- ${body.slice(indent + 3)}`
+                : `${pad}-${body}`;
+        }).join('\n');
+    }
+    if (isMapping(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 0) return ' {}';
+        return '\n' + keys.map(key => `${pad}${stringifyScalar(key)}:${stringifyNode(value[key], indent + 2)}`).join('\n');
+    }
+    return ` ${stringifyScalar(value)}`;
+}
+
+// ===== ПУБЛИЧНЫЙ API =====
+/**
+ * Разбирает YAML-поток и возвращает массив документов
+ */
+function parseAllDocuments(content) {
+    return new Parser(content).parseStream();
+}
+
+/**
+ * Разбирает YAML с единственным документом
+ */
+function parse(content) {
+    const documents = parseAllDocuments(content);
+    if (documents.length > 1) {
+        throw new Error(`Ожидался один YAML-документ, найдено: ${documents.length}`);
+    }
+    return documents.length ? documents[0] : null;
+}
+
+/**
+ * Записывает документы в YAML: блочный стиль, отступ 2 пробела,
+ * строки в кавычках только там, где без них изменился бы смысл
+ */
+function stringify(documents) {
+    return documents.map(doc => {
+        const body = stringifyNode(doc, 0);
+        return (body.startsWith('\n') ? body.slice(1) : body.trim()) + '\n';
+    }).join('---\n');
+}
+
+module.exports = { parse, parseAllDocuments, stringify };
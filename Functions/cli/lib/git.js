@@ -0,0 +1,160 @@
+/**
+ * Visual Change Impact Platform - работа с git
+ * Чтение версий файлов из локального репозитория через бинарник git:
+ * спецификации вида HEAD~1:config/app.json и диапазоны коммитов main..HEAD
+ */
+
+const { execFileSync } = require('child_process');
+
+// Хеш пустого дерева — «родитель» корневого коммита
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+function git(args, cwd) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding: 'utf-8',
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('git не найден: установите git или добавьте его в PATH');
+        }
+        const stderr = String(error.stderr || '').trim();
+        throw new Error(`git ${args[0]}: ${stderr || error.message}`);
+    }
+}
+
+// ===== РЕВИЗИИ ФАЙЛОВ =====
+/**
+ * Разбирает спецификацию «ревизия:путь». Возвращает null для обычных путей
+ */
+function parseRevisionSpec(spec) {
+    // C:\config.json — путь Windows, а не ревизия
+    if (/^[A-Za-z]:[\\/]/.test(spec)) return null;
+    const match = spec.match(/^([^:]*):(.+)$/);
+    if (!match) return null;
+    return { rev: match[1], path: match[2] };
+}
+
+function blobExists(rev, filePath, cwd) {
+    try {
+        git(['cat-file', '-e', `${rev}:${filePath}`], cwd);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Содержимое файла в ревизии или null, если в ревизии его нет
+ */
+function readBlob(rev, filePath, cwd) {
+    if (!blobExists(rev, filePath, cwd)) return null;
+    return git(['cat-file', 'blob', `${rev}:${filePath}`], cwd);
+}
+
+// git читает «ревизия:путь» от корня репозитория, а «ревизия:./путь» — от текущего каталога
+function relativeToCwd(filePath) {
+    return /^\.{1,2}\//.test(filePath) ? filePath : `./${filePath}`;
+}
+
+/**
+ * Читает файл по спецификации «ревизия:путь»; путь — относительно текущего каталога (cwd)
+ */
+function readRevisionSpec(spec, cwd) {
+    const parsed = parseRevisionSpec(spec);
+    if (!parsed) return null;
+
+    const content = readBlob(parsed.rev, relativeToCwd(parsed.path), cwd);
+    if (content === null) {
+        throw new Error(`Файл не найден в ревизии ${parsed.rev || 'индекса'}: ${parsed.path}`);
+    }
+    return { ...parsed, content };
+}
+
+// ===== ДИАПАЗОНЫ КОММИТОВ =====
+// Шаблоны со звёздочками передаём git как glob-pathspec
+function toPathspecs(patterns) {
+    return patterns.map(pattern => (/[*?[]/.test(pattern) ? `:(glob)${pattern}` : pattern));
+}
+
+/**
+ * Коммиты диапазона от старых к новым. Одиночная ревизия означает «ревизия..HEAD»
+ */
+function listCommits(range, cwd) {
+    const spec = range.includes('..') ? range : `${range}..HEAD`;
+    const output = git(['log', '--reverse', '--format=%H%x1f%h%x1f%s%x1f%an%x1f%aI', spec], cwd);
+
+    return output.split('\n').filter(Boolean).map(line => {
+        const [sha, shortSha, subject, author, date] = line.split('\x1f');
+        return { sha, shortSha, subject, author, date };
+    });
+}
+
+function parentOf(sha, cwd) {
+    try {
+        return git(['rev-parse', '--verify', '--quiet', `${sha}^`], cwd).trim();
+    } catch {
+        return EMPTY_TREE;
+    }
+}
+
+/**
+ * Файлы, изменённые коммитом относительно первого родителя
+ */
+function changedFiles(sha, patterns, cwd) {
+    const parent = parentOf(sha, cwd);
+    const output = git(['diff', '--name-status', '-M', '-z', parent, sha, '--', ...toPathspecs(patterns)], cwd);
+    const fields = output.split('\0').filter(Boolean);
+
+    const files = [];
+    for (let i = 0; i < fields.length;) {
+        const status = fields[i++][0];
+        if (status === 'R' || status === 'C') {
+            files.push({ status, oldPath: fields[i], path: fields[i + 1] });
+            i += 2;
+        } else {
+            files.push({ status, oldPath: fields[i], path: fields[i] });
+            i += 1;
+        }
+    }
+    return { parent, files };
+}
+
+/**
+ * Собирает пары версий файлов для каждого коммита диапазона.
+ * filter — дополнительный отбор файлов (например, только конфигурации)
+ */
+function collectRangeRevisions(range, patterns = [], options = {}) {
+    const { cwd, filter = () => true } = options;
+    const revisions = [];
+
+    for (const commit of listCommits(range, cwd)) {
+        const { parent, files } = changedFiles(commit.sha, patterns, cwd);
+        for (const file of files) {
+            if (!filter(file.path)) continue;
+
+            revisions.push({
+                commit,
+                status: file.status,
+                file: file.path,
+                oldFile: file.oldPath,
+                contentA: file.status === 'A' ? null : readBlob(parent, file.oldPath, cwd),
+                contentB: file.status === 'D' ? null : readBlob(commit.sha, file.path, cwd),
+            });
+        }
+    }
+
+    return revisions;
+}
+
+module.exports = {
+    parseRevisionSpec,
+    readBlob,
+    readRevisionSpec,
+    listCommits,
+    changedFiles,
+    collectRangeRevisions,
+};
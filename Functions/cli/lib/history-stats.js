@@ -0,0 +1,236 @@
+/**
+ * Visual Change Impact Platform - аналитика по истории сравнений
+ * Частота изменений путей по окнам времени, «мигающие» значения,
+ * хронология риска по файлам, интервалы между критическими изменениями
+ * и группы путей, которые всегда меняются вместе
+ */
+
+const { LEVEL_IDS: LEVELS } = require('./labels');
+const { parseDuration, formatDuration } = require('./analyzers');
+
+// Окна частоты изменений, отсчитываются от текущего момента
+const STATS_WINDOWS = ['7d', '30d', '90d'];
+
+function chronological(records) {
+    return records.slice().sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+// Самый серьёзный уровень влияния записи; none — влияний нет
+function recordLevel(record) {
+    const index = Math.max(-1, ...(record.impacts || []).map(impact => LEVELS.indexOf(impact.level)));
+    return index >= 0 ? LEVELS[index] : 'none';
+}
+
+// ===== ФАКТИЧЕСКИЕ ИЗМЕНЕНИЯ =====
+// Значение пути до и после изменения; поля нет — absent
+function transition(change) {
+    if (change.type === 'added') return { from: { absent: true }, to: { value: change.value } };
+    if (change.type === 'removed') return { from: { value: change.value }, to: { absent: true } };
+    if (change.type === 'modified') return { from: { value: change.oldValue }, to: { value: change.newValue } };
+    return null;
+}
+
+function stateKey(state) {
+    return state.absent ? '\u0000absent' : JSON.stringify(state.value);
+}
+
+// Состояние пути после изменения: значение, отсутствие или позиция перемещённого элемента
+function resultKey(change) {
+    const step = transition(change);
+    return step ? stateKey(step.to) : `\u0000moved:${change.toIndex}`;
+}
+
+function pathKey(file, changePath) {
+    return `${file}\u0000${changePath}`;
+}
+
+/**
+ * Изменения, которые действительно произошли: путь файла B учитывается, только если
+ * его состояние отличается от записанного в прошлый раз. Повторно сохранённое
+ * то же сравнение новых изменений не даёт. Возвращает [{ record, changes }]
+ */
+function actualChanges(records) {
+    const last = new Map();
+    return records.map(record => {
+        const file = record.fileB || '';
+        const changes = [];
+        for (const change of record.changes || []) {
+            const key = pathKey(file, change.path);
+            const result = resultKey(change);
+            if (last.get(key) === result) continue;
+            last.set(key, result);
+            changes.push({ key, file, change });
+        }
+        return { record, changes };
+    });
+}
+
+// ===== ЧАСТОТА ИЗМЕНЕНИЙ =====
+/**
+ * Сколько раз менялся каждый путь каждого файла B: за каждое окно и за всё время
+ */
+function pathChurn(actual, now) {
+    const windows = STATS_WINDOWS.map(name => [name, parseDuration(name)]);
+    const churn = new Map();
+
+    for (const { record, changes } of actual) {
+        const time = Date.parse(record.timestamp);
+        for (const { key, file, change } of changes) {
+            if (!churn.has(key)) {
+                churn.set(key, { file, path: change.path, total: 0, windows: Object.fromEntries(STATS_WINDOWS.map(name => [name, 0])), lastChanged: null });
+            }
+            const entry = churn.get(key);
+            entry.total++;
+            windows.forEach(([name, ms]) => {
+                if (now - time <= ms) entry.windows[name]++;
+            });
+            if (!entry.lastChanged || record.timestamp > entry.lastChanged) entry.lastChanged = record.timestamp;
+        }
+    }
+
+    return [...churn.values()].sort((a, b) => b.windows['30d'] - a.windows['30d'] || b.total - a.total
+        || a.path.localeCompare(b.path) || a.file.localeCompare(b.file));
+}
+
+// ===== МИГАЮЩИЕ ЗНАЧЕНИЯ =====
+/**
+ * Пути, значение которых возвращалось назад: за переходом A → B позже
+ * следует B → A (например, featureFlag.newFeature: true → false → true).
+ * flips — число таких возвратов, values — последовательность значений
+ */
+function detectFlapping(actual) {
+    const byPath = new Map();
+    for (const { record, changes } of actual) {
+        for (const { key, file, change } of changes) {
+            const step = transition(change);
+            if (!step) continue;
+            if (!byPath.has(key)) byPath.set(key, { file, path: change.path, steps: [] });
+            byPath.get(key).steps.push({ ...step, timestamp: record.timestamp, id: record.id });
+        }
+    }
+
+    const flapping = [];
+    for (const { file, path: changePath, steps } of byPath.values()) {
+        const seen = new Set();
+        let flips = 0;
+        for (const step of steps) {
+            const from = stateKey(step.from);
+            const to = stateKey(step.to);
+            if (seen.has(`${to}\u0001${from}`)) flips++;
+            seen.add(`${from}\u0001${to}`);
+        }
+        if (flips === 0) continue;
+        flapping.push({
+            file,
+            path: changePath,
+            flips,
+            transitions: steps.length,
+            values: [steps[0].from, ...steps.map(step => step.to)],
+            last: steps[steps.length - 1].timestamp,
+        });
+    }
+    return flapping.sort((a, b) => b.flips - a.flips || a.path.localeCompare(b.path) || a.file.localeCompare(b.file));
+}
+
+// ===== РИСК ПО ФАЙЛАМ =====
+/**
+ * Хронология общего уровня риска для каждого файла B
+ */
+function riskTimeline(records) {
+    const byFile = new Map();
+    for (const record of records) {
+        if (!byFile.has(record.fileB)) byFile.set(record.fileB, []);
+        byFile.get(record.fileB).push({ timestamp: record.timestamp, id: record.id, level: recordLevel(record) });
+    }
+    return [...byFile.entries()]
+        .map(([file, points]) => ({ file, points, current: points[points.length - 1].level }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// ===== КРИТИЧЕСКИЕ ИЗМЕНЕНИЯ =====
+// Среднее время между соседними моментами (мс); для одного момента не определено
+function meanInterval(times) {
+    return times.length < 2 ? null : (times[times.length - 1] - times[0]) / (times.length - 1);
+}
+
+/**
+ * Сравнения с критическими влияниями: число, последнее и среднее время между ними —
+ * по всей истории и по каждому файлу
+ */
+function criticalIntervals(records) {
+    const critical = records.filter(record => recordLevel(record) === 'critical');
+    const byFile = new Map();
+    critical.forEach(record => {
+        if (!byFile.has(record.fileB)) byFile.set(record.fileB, []);
+        byFile.get(record.fileB).push(Date.parse(record.timestamp));
+    });
+
+    return {
+        count: critical.length,
+        last: critical.length ? critical[critical.length - 1].timestamp : null,
+        meanInterval: meanInterval(critical.map(record => Date.parse(record.timestamp))),
+        files: [...byFile.entries()]
+            .map(([file, times]) => ({ file, count: times.length, meanInterval: meanInterval(times) }))
+            .sort((a, b) => b.count - a.count || a.file.localeCompare(b.file)),
+    };
+}
+
+// ===== СОВМЕСТНЫЕ ИЗМЕНЕНИЯ =====
+/**
+ * Группы путей одного файла B, которые менялись только вместе: в одних и тех же
+ * сравнениях, не меньше двух раз
+ */
+function coChangeClusters(actual) {
+    const occurrences = new Map();
+    actual.forEach(({ changes }, index) => {
+        for (const { key, file, change } of changes) {
+            if (!occurrences.has(key)) occurrences.set(key, { file, path: change.path, indexes: [] });
+            const entry = occurrences.get(key);
+            if (entry.indexes[entry.indexes.length - 1] !== index) entry.indexes.push(index);
+        }
+    });
+
+    const groups = new Map();
+    for (const { file, path: changePath, indexes } of occurrences.values()) {
+        if (indexes.length < 2) continue;
+        const key = `${file}\u0000${indexes.join(',')}`;
+        if (!groups.has(key)) groups.set(key, { file, paths: [], occurrences: indexes.length });
+        groups.get(key).paths.push(changePath);
+    }
+    return [...groups.values()]
+        .filter(group => group.paths.length >= 2)
+        .map(group => ({ ...group, paths: group.paths.sort() }))
+        .sort((a, b) => b.occurrences - a.occurrences || b.paths.length - a.paths.length);
+}
+
+// Средний интервал для отчёта: до минут (до секунд, если меньше минуты)
+function formatInterval(ms) {
+    if (ms === null) return '—';
+    const unit = ms < 60000 ? 1000 : 60000;
+    return formatDuration(Math.max(unit, Math.round(ms / unit) * unit));
+}
+
+/**
+ * Аналитика по записям истории (в любом порядке)
+ */
+function computeHistoryStats(records, { now = Date.now() } = {}) {
+    const ordered = chronological(records);
+    const actual = actualChanges(ordered);
+    return {
+        records: ordered.length,
+        from: ordered.length ? ordered[0].timestamp : null,
+        to: ordered.length ? ordered[ordered.length - 1].timestamp : null,
+        windows: STATS_WINDOWS,
+        churn: pathChurn(actual, now),
+        flapping: detectFlapping(actual),
+        timeline: riskTimeline(ordered),
+        critical: criticalIntervals(ordered),
+        clusters: coChangeClusters(actual),
+    };
+}
+
+module.exports = {
+    STATS_WINDOWS,
+    computeHistoryStats,
+    formatInterval,
+};
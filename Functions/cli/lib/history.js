@@ -0,0 +1,515 @@
+/**
+ * Visual Change Impact Platform - история сравнений
+ * История хранится в проекте — .impact-history.jsonl в корне репозитория;
+ * вне репозитория — в ~/.impact-cli-history.jsonl. Это журнал JSON Lines:
+ * записи только дописываются в конец под файловой блокировкой, а сжатие
+ * по политике хранения пишет новый файл и атомарно подменяет старый.
+ * Формат записи задан схемой Entities/ComparisonHistory.json.
+ * Значения секретов попадают в историю уже замаскированными
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LEVEL_IDS: LEVELS, riskOf } = require('./labels');
+const { compileSchema } = require('./schema');
+const { parseRevisionSpec } = require('./git');
+const { globToRegExp, isGlob } = require('./files');
+const { pathGlobToRegExp } = require('./patterns');
+const { parseDuration, parseBytes } = require('./analyzers');
+
+const GLOBAL_HISTORY_FILE = path.join(process.env.HOME || process.env.USERPROFILE, '.impact-cli-history.jsonl');
+const PROJECT_HISTORY_FILE = '.impact-history.jsonl';
+const RECORD_SCHEMA_FILE = path.join(__dirname, '../../../Entities/ComparisonHistory.json');
+
+// Хранение по умолчанию: последние 1000 записей без ограничений по возрасту и размеру
+const DEFAULT_RETENTION = { maxRecords: 1000, maxAge: null, maxSize: null };
+// Запас сверх политики хранения: при записи журнал сжимается не каждый раз, а примерно через 10% роста
+const COMPACT_SLACK = 1.1;
+
+// Блокировка: сколько ждать другой процесс, когда считать блокировку брошенной, пауза между попытками
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 30000;
+const LOCK_RETRY = 50;
+
+// ===== РАСПОЛОЖЕНИЕ =====
+/**
+ * Корень проекта: ближайший каталог с .git, начиная с startDir
+ */
+function findProjectRoot(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        if (fs.existsSync(path.join(dir, '.git'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Файл истории: { file, legacy, root } — root равен null для глобальной истории,
+ * legacy — JSON-файл прежних версий, который переносится в журнал при первой записи
+ */
+function historyLocation(cwd) {
+    const root = findProjectRoot(cwd);
+    const file = root ? path.join(root, PROJECT_HISTORY_FILE) : GLOBAL_HISTORY_FILE;
+    return { file, legacy: file.replace(/\.jsonl$/, '.json'), root };
+}
+
+// Путь файла в записи: от корня проекта через «/», вне проекта — абсолютный
+function recordPath(input, location) {
+    if (!fs.existsSync(input) && parseRevisionSpec(input)) return input;
+    const absolute = path.resolve(input);
+    return location.root ? path.relative(location.root, absolute).split(path.sep).join('/') : absolute;
+}
+
+/**
+ * Путь файла записи для повторного сравнения (обратное к recordPath)
+ */
+function resolveRecordPath(file, location) {
+    if (path.isAbsolute(file) || !location.root) return file;
+    const candidate = path.join(location.root, file);
+    return fs.existsSync(candidate) || !parseRevisionSpec(file) ? candidate : file;
+}
+
+// ===== ЗАПИСИ =====
+let recordValidator = null;
+
+function validateRecord(record) {
+    if (!recordValidator) recordValidator = compileSchema(RECORD_SCHEMA_FILE).validate;
+    return recordValidator(record);
+}
+
+function recordId(record) {
+    return crypto.createHash('sha1')
+        .update([record.timestamp, record.name, record.fileA, record.fileB].join('\u0000'))
+        .digest('hex')
+        .slice(0, 8);
+}
+
+// Записи прежних версий без id получают его из содержимого — он не меняется между запусками
+function normalizeRecord(record) {
+    return record && typeof record === 'object' && !record.id ? { id: recordId(record), ...record } : record;
+}
+
+/**
+ * Запись истории для сравнения файлов fileA → fileB. name — имя из --save=,
+ * options — параметры сравнения для history replay
+ */
+function createRecord({ name, fileA, fileB, options = {}, changes, impacts }, location = historyLocation()) {
+    // Общий риск — подпись самого серьёзного влияния; принятые в baseline не учитываются
+    const riskLevel = riskOf(impacts.filter(impact => !impact.acknowledged)).label;
+    const compare = {
+        formatA: options.formatA || undefined,
+        formatB: options.formatB || undefined,
+        arrayKeys: options.arrayKeys,
+        arrayByIndex: options.arrayByIndex || undefined,
+    };
+
+    const record = {
+        name: name || `${path.basename(fileA)} → ${path.basename(fileB)}`,
+        timestamp: new Date().toISOString(),
+        fileA: recordPath(fileA, location),
+        fileB: recordPath(fileB, location),
+        options: JSON.parse(JSON.stringify(compare)),
+        // Поля без значения (rule у правила без id, analysis без анализатора) в журнал не пишутся
+        changes: JSON.parse(JSON.stringify(changes)),
+        impacts: JSON.parse(JSON.stringify(impacts)),
+        riskLevel,
+        summary: {
+            total: changes.length,
+            added: changes.filter(c => c.type === 'added').length,
+            removed: changes.filter(c => c.type === 'removed').length,
+            modified: changes.filter(c => c.type === 'modified').length,
+            moved: changes.filter(c => c.type === 'moved').length,
+        },
+    };
+    return { id: recordId(record), ...record };
+}
+
+// ===== ХРАНЕНИЕ =====
+/**
+ * Политика хранения из секции history файла правил
+ * ({ "maxRecords": 500, "maxAge": "90d", "maxSize": "5MB" }); overrides —
+ * параметры командной строки, они важнее файла
+ */
+function createRetention(config = {}, overrides = {}) {
+    const source = { ...DEFAULT_RETENTION, ...config };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) source[key] = value;
+    });
+
+    const maxRecords = source.maxRecords === null ? null : Number(source.maxRecords);
+    if (maxRecords !== null && (!Number.isInteger(maxRecords) || maxRecords <= 0)) {
+        throw new Error(`history.maxRecords (--max-records): ожидается положительное целое число, получено «${source.maxRecords}»`);
+    }
+    const maxAge = source.maxAge === null ? null : parseDuration(String(source.maxAge));
+    if (maxAge === null && source.maxAge !== null) {
+        throw new Error(`history.maxAge (--max-age): ожидается длительность (90d, 12h, 2w), получено «${source.maxAge}»`);
+    }
+    const maxSize = source.maxSize === null ? null
+        : typeof source.maxSize === 'number' ? source.maxSize : parseBytes(String(source.maxSize));
+    if (maxSize === null && source.maxSize !== null) {
+        throw new Error(`history.maxSize (--max-size): ожидается размер (5MB, 512KiB) или число байт, получено «${source.maxSize}»`);
+    }
+    return { maxRecords, maxAge, maxSize };
+}
+
+/**
+ * Записи, которые остаются по политике хранения (records — новые первыми)
+ */
+function applyRetention(records, retention, now = Date.now()) {
+    let kept = records;
+    if (retention.maxAge !== null) kept = kept.filter(record => now - Date.parse(record.timestamp) <= retention.maxAge);
+    if (retention.maxRecords !== null) kept = kept.slice(0, retention.maxRecords);
+    if (retention.maxSize !== null) {
+        let size = 0;
+        const fits = kept.findIndex(record => (size += Buffer.byteLength(JSON.stringify(record)) + 1) > retention.maxSize);
+        if (fits >= 0) kept = kept.slice(0, fits);
+    }
+    return kept;
+}
+
+// Синхронная пауза: запись истории и сами команды CLI синхронные
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Брошенная блокировка: процесс-владелец завершился или держит её слишком долго
+function isStaleLock(lockFile) {
+    try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE) return true;
+        const pid = Number(fs.readFileSync(lockFile, 'utf-8'));
+        if (!pid) return false;
+        process.kill(pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+/**
+ * Выполняет fn, удерживая файл блокировки <журнал>.lock: параллельные задачи CI
+ * на одном раннере пишут в историю по очереди
+ */
+function withLock(file, fn) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            if (isStaleLock(lockFile)) {
+                try {
+                    fs.unlinkSync(lockFile);
+                } catch {}
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`История занята другим процессом: ${lockFile}. Если он завершился, удалите этот файл`);
+            }
+            sleep(LOCK_RETRY);
+        }
+    }
+    try {
+        return fn();
+    } finally {
+        try {
+            fs.unlinkSync(lockFile);
+        } catch {}
+    }
+}
+
+/**
+ * Записи из JSON Lines, JSON-массива (история прежних версий, history export)
+ * или вывода history --format=json. Строки, которые не разбираются или не
+ * соответствуют схеме записи, попадают в corrupt с номером строки — остальные
+ * записи сохраняются. Возвращает { records, corrupt }, records — в порядке файла
+ */
+function parseRecords(content) {
+    const records = [];
+    const corrupt = [];
+    const accept = (value, line, raw) => {
+        const record = normalizeRecord(value);
+        const errors = record && typeof record === 'object' ? validateRecord(record) : [{ path: '', message: 'ожидается объект' }];
+        if (errors.length > 0) {
+            corrupt.push({ line, raw, error: `${errors[0].path || '(корень)'}: ${errors[0].message}` });
+        } else {
+            records.push(record);
+        }
+    };
+
+    const text = content.trim();
+    if (text.startsWith('[') || (text.startsWith('{') && !text.includes('\n{'))) {
+        try {
+            const parsed = JSON.parse(text);
+            const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed.records) ? parsed.records : [parsed];
+            list.forEach((value, index) => accept(value, index + 1, JSON.stringify(value)));
+            return { records, corrupt };
+        } catch {}
+    }
+
+    content.split('\n').forEach((raw, index) => {
+        if (!raw.trim()) return;
+        try {
+            accept(JSON.parse(raw), index + 1, raw);
+        } catch (error) {
+            // Строка, оборванная при сбое посреди записи, или мусор в файле
+            corrupt.push({ line: index + 1, raw, error: error.message });
+        }
+    });
+    return { records, corrupt };
+}
+
+/**
+ * История: { records, corrupt } — записи новыми первыми и повреждённые строки журнала.
+ * Пока журнала нет, читается JSON-файл прежних версий
+ */
+function readHistory(location = historyLocation()) {
+    const file = fs.existsSync(location.file) ? location.file : location.legacy;
+    if (!fs.existsSync(file)) return { records: [], corrupt: [] };
+    const { records, corrupt } = parseRecords(fs.readFileSync(file, 'utf-8'));
+    // В журнале новые записи в конце, в JSON-файле прежних версий — в начале
+    return { records: file === location.file ? records.reverse() : records, corrupt };
+}
+
+function loadHistory(location) {
+    return readHistory(location).records;
+}
+
+// Полная перезапись журнала (records — новые первыми): временный файл и атомарная подмена.
+// Повреждённые строки не теряются — они дописываются в <журнал>.corrupt
+function writeJournal(location, records, corrupt = []) {
+    if (corrupt.length > 0) {
+        fs.appendFileSync(`${location.file}.corrupt`, corrupt.map(entry => `${entry.raw}\n`).join(''));
+    }
+    const temp = `${location.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, records.slice().reverse().map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(temp, location.file);
+}
+
+// История прежних версий (JSON-массив) переносится в журнал, исходный файл остаётся как .bak
+function migrateLegacy(location) {
+    if (fs.existsSync(location.file) || !fs.existsSync(location.legacy)) return;
+    const { records, corrupt } = readHistory(location);
+    writeJournal(location, records, corrupt);
+    fs.renameSync(location.legacy, `${location.legacy}.bak`);
+}
+
+function appendRecord(file, record) {
+    // Если предыдущая запись оборвалась без перевода строки, новая начинается с новой строки
+    let prefix = '';
+    if (fs.existsSync(file) && fs.statSync(file).size > 0) {
+        const fd = fs.openSync(file, 'r');
+        const last = Buffer.alloc(1);
+        fs.readSync(fd, last, 0, 1, fs.statSync(file).size - 1);
+        fs.closeSync(fd);
+        if (last.toString() !== '\n') prefix = '\n';
+    }
+    fs.appendFileSync(file, `${prefix}${JSON.stringify(record)}\n`);
+}
+
+function assertValidRecord(record) {
+    const errors = validateRecord(record);
+    if (errors.length > 0) {
+        const [first] = errors;
+        throw new Error(`Запись истории не соответствует ${path.basename(RECORD_SCHEMA_FILE)}: ${first.path || '(корень)'}: ${first.message}`);
+    }
+}
+
+// Первая строка журнала — самая старая запись (null, если она не разбирается)
+function oldestTimestamp(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const chunk = Buffer.alloc(4096);
+        let line = '';
+        for (let position = 0; ;) {
+            const read = fs.readSync(fd, chunk, 0, chunk.length, position);
+            if (read === 0) break;
+            line += chunk.toString('utf-8', 0, read);
+            position += read;
+            if (line.includes('\n')) break;
+        }
+        const time = Date.parse(JSON.parse(line.split('\n')[0]).timestamp);
+        return Number.isNaN(time) ? null : time;
+    } catch {
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function countLines(file) {
+    const content = fs.readFileSync(file);
+    let count = 0;
+    for (let index = content.indexOf(10); index >= 0; index = content.indexOf(10, index + 1)) count++;
+    return count;
+}
+
+/**
+ * Журнал вышел за политику хранения с запасом COMPACT_SLACK. Проверка не разбирает
+ * записи: размер файла, время первой строки и число строк
+ */
+function needsCompaction(file, retention, now = Date.now()) {
+    if (!fs.existsSync(file)) return false;
+    if (retention.maxSize !== null && fs.statSync(file).size > retention.maxSize * COMPACT_SLACK) return true;
+    if (retention.maxAge !== null) {
+        const oldest = oldestTimestamp(file);
+        if (oldest !== null && now - oldest > retention.maxAge * COMPACT_SLACK) return true;
+    }
+    return retention.maxRecords !== null && countLines(file) > Math.ceil(retention.maxRecords * COMPACT_SLACK);
+}
+
+/**
+ * Дописывает запись в журнал. Запись, не соответствующая
+ * Entities/ComparisonHistory.json, не сохраняется. Журнал сжимается по политике
+ * хранения, только когда вышел за неё с запасом; в остальное время запись — одна строка в конце
+ */
+function saveToHistory(record, { location = historyLocation(), retention = createRetention() } = {}) {
+    assertValidRecord(record);
+    withLock(location.file, () => {
+        migrateLegacy(location);
+        appendRecord(location.file, record);
+        if (!needsCompaction(location.file, retention)) return;
+        const { records, corrupt } = readHistory(location);
+        writeJournal(location, applyRetention(records, retention), corrupt);
+    });
+}
+
+/**
+ * Сжимает журнал по политике хранения и убирает повреждённые строки.
+ * Возвращает { kept, removed, corrupt }
+ */
+function pruneHistory({ location = historyLocation(), retention = createRetention() } = {}) {
+    return withLock(location.file, () => {
+        migrateLegacy(location);
+        const { records, corrupt } = readHistory(location);
+        const kept = applyRetention(records, retention);
+        if (kept.length < records.length || corrupt.length > 0) writeJournal(location, kept, corrupt);
+        return { kept: kept.length, removed: records.length - kept.length, corrupt: corrupt.length };
+    });
+}
+
+/**
+ * Добавляет записи из файла (JSON Lines, JSON-массив, history export) в историю.
+ * Записи с уже известным id пропускаются; журнал упорядочивается по времени.
+ * Возвращает { imported, duplicates, invalid, removed }
+ */
+function importHistory(content, { location = historyLocation(), retention = createRetention() } = {}) {
+    const incoming = parseRecords(content);
+    return withLock(location.file, () => {
+        migrateLegacy(location);
+        const { records, corrupt } = readHistory(location);
+        const known = new Set(records.map(record => record.id));
+        const added = incoming.records.filter(record => !known.has(record.id) && known.add(record.id));
+        const merged = [...records, ...added].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+        const kept = applyRetention(merged, retention);
+        writeJournal(location, kept, corrupt);
+        return {
+            imported: added.length,
+            duplicates: incoming.records.length - added.length,
+            invalid: incoming.corrupt.length,
+            removed: merged.length - kept.length,
+        };
+    });
+}
+
+// ===== ПОИСК =====
+/**
+ * Запись по номеру в списке (1 — последняя) или по началу id. Короткое число
+ * вне списка — тоже начало id: шестнадцатеричный id может состоять из цифр
+ */
+function findRecord(history, ref) {
+    const isIndex = /^\d+$/.test(ref) && ref.length < 8;
+    if (isIndex && history[Number(ref) - 1]) return history[Number(ref) - 1];
+    const found = history.filter(record => record.id.startsWith(ref));
+    if (found.length === 0 && isIndex) throw new Error(`В истории нет записи №${ref} (всего ${history.length}) и записи с таким началом id`);
+    if (found.length === 0) throw new Error(`Запись истории не найдена: ${ref}`);
+    if (found.length > 1) throw new Error(`Несколько записей начинаются с ${ref}: ${found.map(record => record.id).join(', ')}`);
+    return found[0];
+}
+
+// Дата фильтра: «2024-05-01» для until включает весь день
+function parseDate(value, option, endOfDay) {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999` : value);
+    if (Number.isNaN(date.getTime())) throw new Error(`${option}: неверная дата «${value}»`);
+    return date;
+}
+
+/**
+ * Отбор записей: file — часть пути или glob по fileA/fileB, path — glob по путям
+ * изменений, risk — минимальный уровень влияния, since/until — даты (включительно)
+ */
+function filterHistory(history, filter = {}) {
+    const { file, path: changePath, risk, since, until } = filter;
+    if (risk && !LEVELS.includes(risk)) {
+        throw new Error(`--risk: неизвестный уровень ${risk}. Допустимо: ${LEVELS.join(', ')}`);
+    }
+    const fileMatches = file && (isGlob(file)
+        ? (pattern => value => pattern.test(value))(globToRegExp(file))
+        : value => value.includes(file));
+    const pathPattern = changePath && pathGlobToRegExp(changePath);
+    const from = since && parseDate(since, '--since', false);
+    const to = until && parseDate(until, '--until', true);
+    const minLevel = risk && LEVELS.indexOf(risk);
+
+    return history.filter(record => {
+        const time = new Date(record.timestamp);
+        if (fileMatches && !fileMatches(record.fileA) && !fileMatches(record.fileB)) return false;
+        if (pathPattern && !(record.changes || []).some(change => pathPattern.test(change.path))) return false;
+        if (risk && !(record.impacts || []).some(impact => LEVELS.indexOf(impact.level) >= minLevel)) return false;
+        if (from && time < from) return false;
+        if (to && time > to) return false;
+        return true;
+    });
+}
+
+// ===== АНАЛИТИКА =====
+/**
+ * Выводы по истории: поля, которые менялись в трёх и более сравнениях
+ */
+function analyzeHistory(history) {
+    if (history.length < 3) return [];
+
+    const insights = [];
+    const allChanges = history.flatMap(h => h.changes || []);
+    const pathCounts = {};
+
+    for (const change of allChanges) {
+        pathCounts[change.path] = (pathCounts[change.path] || 0) + 1;
+    }
+
+    const frequentlyChanged = Object.entries(pathCounts)
+        .filter(([, count]) => count >= 3)
+        .sort((a, b) => b[1] - a[1]);
+
+    if (frequentlyChanged.length > 0) {
+        insights.push({
+            type: 'frequent_changes',
+            paths: frequentlyChanged.slice(0, 5).map(([changePath, count]) => `${changePath} (${count}x)`),
+        });
+    }
+
+    return insights;
+}
+
+module.exports = {
+    GLOBAL_HISTORY_FILE,
+    RECORD_SCHEMA_FILE,
+    findProjectRoot,
+    historyLocation,
+    resolveRecordPath,
+    createRetention,
+    readHistory,
+    loadHistory,
+    saveToHistory,
+    pruneHistory,
+    importHistory,
+    parseRecords,
+    createRecord,
+    findRecord,
+    filterHistory,
+    analyzeHistory,
+};
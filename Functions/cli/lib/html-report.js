@@ -0,0 +1,556 @@
+/**
+ * Visual Change Impact Platform - HTML-отчёт
+ * Один автономный файл без внешних ресурсов: сводка, влияния с фильтрами
+ * по уровню и категории, изменения «было / стало» и деревья обоих документов.
+ * Матрица окружений — та же страница с таблицей значений вместо деревьев,
+ * статистика истории — с таблицами частоты, хронологией риска и группами путей
+ */
+
+const { resolvePath } = require('./loader');
+const { LEVELS, CHANGE_LABELS, categoryLabel, riskOf } = require('./labels');
+const { formatInterval } = require('./history-stats');
+
+// ===== УТИЛИТЫ =====
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatJson(value) {
+    if (value === undefined) return '';
+    return typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+}
+
+// Подсветка отличающейся части: общие начало и конец строк остаются без выделения
+function highlightPair(oldText, newText) {
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+    let end = 0;
+    while (end < oldText.length - start && end < newText.length - start
+        && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+
+    const mark = (text, cls) => escapeHtml(text.slice(0, start))
+        + `<mark class="${cls}">${escapeHtml(text.slice(start, text.length - end))}</mark>`
+        + escapeHtml(text.slice(text.length - end));
+    return [mark(oldText, 'del'), mark(newText, 'ins')];
+}
+
+// ===== ИЗМЕНЕНИЯ =====
+function renderChangeRow(change) {
+    let oldCell = '';
+    let newCell = '';
+    if (change.type === 'modified') {
+        const oldText = formatJson(change.oldValue);
+        const newText = formatJson(change.newValue);
+        [oldCell, newCell] = highlightPair(oldText, newText);
+    } else if (change.type === 'added') {
+        newCell = `<mark class="ins">${escapeHtml(formatJson(change.value))}</mark>`;
+    } else if (change.type === 'removed') {
+        oldCell = `<mark class="del">${escapeHtml(formatJson(change.value))}</mark>`;
+    } else if (change.type === 'moved') {
+        oldCell = `позиция ${change.fromIndex}`;
+        newCell = `позиция ${change.toIndex}`;
+    }
+
+    return `<tr class="change ${change.type}">
+<td class="path"><code>${escapeHtml(change.path || '(корень)')}</code></td>
+<td class="type">${CHANGE_LABELS[change.type] || change.type}</td>
+<td class="value"><pre>${oldCell}</pre></td>
+<td class="value"><pre>${newCell}</pre></td>
+</tr>`;
+}
+
+function renderChanges(entry) {
+    if (entry.changes.length === 0) return '<p class="empty">Изменений нет</p>';
+    return `<table class="diff">
+<thead><tr><th>Путь</th><th>Тип</th><th>Было (A)</th><th>Стало (B)</th></tr></thead>
+<tbody>
+${entry.changes.map(renderChangeRow).join('\n')}
+</tbody>
+</table>`;
+}
+
+// ===== ДЕРЕВЬЯ ДОКУМЕНТОВ =====
+/**
+ * Отметки узлов дерева: ключ — JSON реального пути (ключи и индексы),
+ * значение — тип изменения. open — предки отмеченных узлов, их раскрываем
+ */
+function collectMarks(documents, changes, side) {
+    const marks = new Map();
+    const open = new Set();
+    if (!documents || documents.length === 0) return { marks, open };
+
+    const types = side === 'a' ? ['removed', 'modified'] : ['added', 'modified', 'moved'];
+    for (const change of changes) {
+        if (!types.includes(change.type)) continue;
+        const { keys, found } = resolvePath(documents, change.path);
+        if (!found) continue;
+        marks.set(JSON.stringify(keys), change.type);
+        for (let i = 0; i < keys.length; i++) open.add(JSON.stringify(keys.slice(0, i)));
+    }
+    return { marks, open };
+}
+
+function renderNode(label, value, keys, state) {
+    const id = JSON.stringify(keys);
+    const mark = state.marks.get(id);
+    const cls = mark ? ` class="${mark}"` : '';
+    const key = label === null ? '' : `<span class="key">${escapeHtml(label)}</span>: `;
+
+    if (value && typeof value === 'object') {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const size = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+        const children = entries.map(([childKey, item]) => renderNode(String(childKey), item, [...keys, childKey], state));
+        const open = state.open.has(id) || keys.length === 0 ? ' open' : '';
+        return `<li${cls}><details${open}><summary>${key}<span class="size">${size}</span></summary><ul>${children.join('')}</ul></details></li>`;
+    }
+    return `<li${cls}>${key}<span class="scalar">${escapeHtml(formatJson(value))}</span></li>`;
+}
+
+function renderTree(documents, changes, side) {
+    if (!documents || documents.length === 0) return '<p class="empty">Файл отсутствует</p>';
+    const state = collectMarks(documents, changes, side);
+    const root = documents.length > 1 ? documents : documents[0];
+    return `<ul class="tree">${renderNode(null, root, [], state)}</ul>`;
+}
+
+// ===== ВЛИЯНИЯ =====
+function renderImpact(impact, entry, multiFile) {
+    const where = [multiFile ? entry.source || entry.file : null, impact.line ? `строка ${impact.line}` : null]
+        .filter(Boolean).join(', ');
+    const search = [impact.title, impact.path, impact.description, entry.source || entry.file].join(' ').toLowerCase();
+
+    return `<article class="impact ${impact.level}" data-level="${impact.level}" data-category="${escapeHtml(impact.category || 'general')}" data-search="${escapeHtml(search)}">
+<header><span class="badge ${impact.level}">${escapeHtml(categoryLabel(impact.category))}</span> <strong>${escapeHtml(impact.title)}</strong></header>
+<p class="path"><code>${escapeHtml(impact.path)}</code>${where ? ` <span class="where">${escapeHtml(where)}</span>` : ''}${impact.rule ? ` <span class="rule">${escapeHtml(impact.rule)}</span>` : ''}</p>
+<p>${escapeHtml(impact.description || '')}</p>
+${impact.recommendation ? `<p class="recommendation">💡 ${escapeHtml(impact.recommendation)}</p>` : ''}
+</article>`;
+}
+
+function renderImpacts(entries) {
+    const multiFile = entries.length > 1;
+    const all = entries.flatMap(entry => entry.impacts.map(impact => ({ impact, entry })));
+    if (all.length === 0) return '<p class="empty">✓ Рисков не обнаружено</p>';
+
+    return LEVELS.map(level => {
+        const items = all.filter(item => item.impact.level === level.id);
+        if (items.length === 0) return '';
+        const categories = [...new Set(items.map(item => item.impact.category || 'general'))];
+        const groups = categories.map(category => `<div class="category-group">
+<h4>${escapeHtml(categoryLabel(category))}</h4>
+${items.filter(item => (item.impact.category || 'general') === category).map(item => renderImpact(item.impact, item.entry, multiFile)).join('\n')}
+</div>`);
+        return `<section class="level-group ${level.id}" data-level="${level.id}">
+<h3>${level.icon} ${level.label}: ${items.length}</h3>
+${groups.join('\n')}
+</section>`;
+    }).join('\n');
+}
+
+function renderFilters(entries) {
+    const impacts = entries.flatMap(entry => entry.impacts);
+    const categories = [...new Set(impacts.map(impact => impact.category || 'general'))];
+    const levels = LEVELS.filter(level => impacts.some(impact => impact.level === level.id));
+    if (impacts.length === 0) return '';
+
+    return `<div class="filters">
+${levels.map(level => `<label><input type="checkbox" data-filter-level="${level.id}" checked> ${level.icon} ${level.label}</label>`).join('\n')}
+<select id="filter-category"><option value="">Все категории</option>${categories.map(category => `<option value="${escapeHtml(category)}">${escapeHtml(categoryLabel(category))}</option>`).join('')}</select>
+<input id="filter-text" type="search" placeholder="Поиск по пути или описанию">
+</div>`;
+}
+
+// ===== СВОДКА =====
+function renderSummary(entries, violations) {
+    const changes = entries.flatMap(entry => entry.changes);
+    const impacts = entries.flatMap(entry => entry.impacts);
+    const count = type => changes.filter(change => change.type === type).length;
+    const risk = riskOf(impacts);
+
+    const cards = [
+        `<div class="card"><div class="number">${changes.length}</div><div>изменений</div>
+<div class="details"><span class="ins">+${count('added')}</span> <span class="mod">~${count('modified')}</span> <span class="del">−${count('removed')}</span>${count('moved') ? ` <span>⇅${count('moved')}</span>` : ''}</div></div>`,
+        `<div class="card risk ${impacts.length ? risk.id : 'none'}"><div class="number">${impacts.length ? `${risk.icon} ${risk.label}` : '✓ Низкий'}</div><div>общий риск</div>
+<div class="details">${LEVELS.map(level => `${level.icon} ${impacts.filter(impact => impact.level === level.id).length}`).join(' ')}</div></div>`,
+    ];
+    if (entries.length > 1) {
+        cards.push(`<div class="card"><div class="number">${entries.length}</div><div>файлов</div></div>`);
+    }
+    if (violations) {
+        cards.push(violations.length
+            ? `<div class="card risk critical"><div class="number">✗ ${violations.length}</div><div>нарушений политики</div></div>`
+            : '<div class="card risk none"><div class="number">✓</div><div>политика соблюдена</div></div>');
+    }
+
+    const violationList = violations && violations.length
+        ? `<ul class="violations">${violations.map(violation => {
+            const where = [violation.file, violation.path].filter(Boolean).join(': ');
+            return `<li>${violation.rule ? `<code>${escapeHtml(violation.rule)}</code> ` : ''}${where ? `${escapeHtml(where)} — ` : ''}${escapeHtml(violation.message)}</li>`;
+        }).join('')}</ul>`
+        : '';
+    return `<div class="cards">${cards.join('\n')}</div>${violationList}`;
+}
+
+// ===== СТРАНИЦА =====
+const STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1400px; padding: 24px; color: #1f2328; background: #fff; }
+h1 { margin: 0 0 4px; font-size: 22px; }
+h2 { margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+code, pre { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+.meta, .empty, .where, .rule, .size { color: #656d76; }
+.rule { font-size: 12px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 160px; }
+.card .number { font-size: 20px; font-weight: 600; }
+.card.critical { border-color: #cf222e; color: #cf222e; }
+.card.high { border-color: #bc4c00; color: #bc4c00; }
+.card.medium { border-color: #0969da; color: #0969da; }
+.card.none, .card.low { border-color: #1a7f37; color: #1a7f37; }
+.ins { color: #1a7f37; } .del { color: #cf222e; } .mod { color: #9a6700; }
+mark.ins { background: #dafbe1; color: inherit; } mark.del { background: #ffebe9; color: inherit; }
+.violations { color: #cf222e; }
+.filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin: 12px 0; position: sticky; top: 0; background: #fff; padding: 8px 0; }
+.filters input[type=search] { flex: 1; min-width: 200px; padding: 4px 8px; }
+.level-group h3 { margin-bottom: 4px; }
+.level-group.critical h3 { color: #cf222e; } .level-group.high h3 { color: #bc4c00; }
+.level-group.medium h3 { color: #0969da; } .level-group.low h3 { color: #656d76; }
+.category-group h4 { margin: 8px 0 4px; color: #656d76; font-weight: 500; }
+.impact { border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 6px; padding: 8px 12px; margin: 6px 0; }
+.impact p { margin: 4px 0; }
+.impact.critical { border-left-color: #cf222e; } .impact.high { border-left-color: #bc4c00; }
+.impact.medium { border-left-color: #0969da; } .impact.low { border-left-color: #8c959f; }
+.badge { font-size: 11px; border-radius: 10px; padding: 1px 8px; background: #eaeef2; }
+.recommendation { color: #0a3069; }
+.diff { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.diff th, .diff td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+.diff th:nth-child(1) { width: 25%; } .diff th:nth-child(2) { width: 10%; }
+.diff tr.added td.type { color: #1a7f37; } .diff tr.removed td.type { color: #cf222e; }
+.diff tr.modified td.type { color: #9a6700; } .diff tr.moved td.type { color: #0969da; }
+.file > summary { font-size: 16px; font-weight: 600; cursor: pointer; margin: 12px 0; }
+.trees { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+.tree, .tree ul { list-style: none; margin: 0; padding-left: 16px; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+.tree { padding-left: 0; }
+.tree summary { cursor: pointer; }
+.tree .key { color: #0550ae; }
+.tree li.added > .scalar, .tree li.added > details > summary { background: #dafbe1; }
+.tree li.removed > .scalar, .tree li.removed > details > summary { background: #ffebe9; }
+.tree li.modified > .scalar, .tree li.modified > details > summary { background: #fff8c5; }
+.tree li.moved > details > summary, .tree li.moved > .scalar { background: #ddf4ff; }
+.toolbar button { margin-right: 8px; }
+`;
+
+const SCRIPT = `
+(function () {
+    var levels = document.querySelectorAll('[data-filter-level]');
+    var category = document.getElementById('filter-category');
+    var text = document.getElementById('filter-text');
+    function apply() {
+        var active = {};
+        levels.forEach(function (box) { active[box.dataset.filterLevel] = box.checked; });
+        var query = text ? text.value.trim().toLowerCase() : '';
+        document.querySelectorAll('.impact').forEach(function (card) {
+            card.hidden = !active[card.dataset.level]
+                || (category && category.value && card.dataset.category !== category.value)
+                || (query && card.dataset.search.indexOf(query) < 0);
+        });
+        document.querySelectorAll('.category-group, .level-group').forEach(function (group) {
+            group.hidden = !group.querySelector('.impact:not([hidden])');
+        });
+    }
+    levels.forEach(function (box) { box.addEventListener('change', apply); });
+    if (category) category.addEventListener('change', apply);
+    if (text) text.addEventListener('input', apply);
+    document.querySelectorAll('[data-toggle-trees]').forEach(function (button) {
+        button.addEventListener('click', function () {
+            var open = button.dataset.toggleTrees === 'open';
+            document.querySelectorAll('.tree details').forEach(function (node) { node.open = open; });
+        });
+    });
+})();
+`;
+
+// Файл только в одном из сравниваемых каталогов
+const FILE_STATUS_LABELS = {
+    added: 'Новый файл: есть только в B',
+    removed: 'Файл удалён: есть только в A',
+};
+
+function renderFile(entry, multiFile) {
+    const heading = escapeHtml(entry.source || entry.file);
+    const hasDocuments = Boolean(entry.docsA || entry.docsB);
+    if (!hasDocuments && entry.changes.length === 0) {
+        const status = entry.error ? `✗ ${entry.error}` : FILE_STATUS_LABELS[entry.status] || 'Документы не загружены';
+        return `<details class="file"><summary>${heading}</summary><p class="empty">${escapeHtml(status)}</p></details>`;
+    }
+
+    // Отчёт из сохранённого JSON (команда report) содержит изменения, но не документы
+    const trees = hasDocuments ? `
+<h3>Документы</h3>
+<div class="trees">
+<div><h4>A</h4>${renderTree(entry.docsA, entry.changes, 'a')}</div>
+<div><h4>B</h4>${renderTree(entry.docsB, entry.changes, 'b')}</div>
+</div>` : '';
+    const body = `${entry.error ? `<p class="violations">✗ ${escapeHtml(entry.error)}</p>` : ''}
+<h3>Изменения</h3>
+${renderChanges(entry)}${trees}`;
+    if (!multiFile) return body;
+    const open = entry.changes.length > 0 || entry.error ? ' open' : '';
+    return `<details class="file"${open}><summary>${heading} <span class="meta">(изменений: ${entry.changes.length})</span></summary>${body}</details>`;
+}
+
+/**
+ * Рендерит автономный HTML-отчёт.
+ * entries — [{ file, source, status, changes, impacts, docsA, docsB, error }], документы уже без секретов
+ */
+function toHtml(entries, violations, meta = {}) {
+    const multiFile = entries.length > 1;
+    const title = meta.title ? `Анализ изменений: ${meta.title}` : 'Анализ изменений конфигурации';
+    const generatedAt = meta.generatedAt || new Date().toISOString();
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Visual Change Impact Platform${meta.version ? ` ${escapeHtml(meta.version)}` : ''} · ${escapeHtml(generatedAt)}</p>
+<h2>Итоговый отчёт</h2>
+${renderSummary(entries, violations)}
+<h2>Анализ влияния</h2>
+${renderFilters(entries)}
+${renderImpacts(entries)}
+<h2>Изменения и документы</h2>
+<p class="toolbar"><button type="button" data-toggle-trees="open">Развернуть деревья</button><button type="button" data-toggle-trees="close">Свернуть деревья</button></p>
+${entries.map(entry => renderFile(entry, multiFile)).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
+
+// ===== МАТРИЦА ОКРУЖЕНИЙ =====
+const MATRIX_STYLE = `
+.matrix { width: 100%; border-collapse: collapse; }
+.matrix th, .matrix td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+.matrix thead th { position: sticky; top: 0; background: #f6f8fa; }
+.matrix tr.same td { color: #656d76; }
+.matrix tr.different td.path code { color: #9a6700; }
+.matrix tr.missing td.path code { color: #cf222e; }
+.matrix td.differs { background: #fff8c5; }
+.matrix td.absent { background: #ffebe9; color: #cf222e; text-align: center; }
+`;
+
+const MATRIX_SCRIPT = `
+(function () {
+    var only = document.getElementById('matrix-diverged');
+    var text = document.getElementById('matrix-text');
+    function apply() {
+        var query = text.value.trim().toLowerCase();
+        document.querySelectorAll('.matrix tbody tr').forEach(function (row) {
+            row.hidden = (only.checked && row.classList.contains('same'))
+                || (query && row.dataset.path.toLowerCase().indexOf(query) < 0);
+        });
+    }
+    only.addEventListener('change', apply);
+    text.addEventListener('input', apply);
+    apply();
+})();
+`;
+
+const ROW_STATUS_LABELS = {
+    same: 'совпадает',
+    different: 'различается',
+    missing: 'нет в части окружений',
+};
+
+function renderMatrixRow(row) {
+    // Отличия подсвечиваются относительно первого (эталонного) окружения
+    const cells = row.values.map((value, index) => {
+        if (value === undefined) return '<td class="absent">—</td>';
+        const differs = index > 0 && row.values[0] !== undefined && JSON.stringify(value) !== JSON.stringify(row.values[0]);
+        return `<td${differs ? ' class="differs"' : ''}><pre>${escapeHtml(formatJson(value))}</pre></td>`;
+    });
+    return `<tr class="${row.status}" data-path="${escapeHtml(row.path)}" title="${ROW_STATUS_LABELS[row.status]}">`
+        + `<td class="path"><code>${escapeHtml(row.path || '(корень)')}</code></td>${cells.join('')}</tr>`;
+}
+
+/**
+ * Рендерит матрицу окружений. matrix — { environments, rows, summary, comparisons },
+ * comparisons — сравнения каждого окружения с первым: [{ source, impacts }]; значения уже без секретов
+ */
+function toMatrixHtml(matrix, meta = {}) {
+    const { environments, rows, summary, comparisons } = matrix;
+    const names = environments.map(environment => environment.name);
+    const title = `Матрица окружений: ${names.join(' · ')}`;
+    const generatedAt = meta.generatedAt || new Date().toISOString();
+    const impacts = comparisons.flatMap(comparison => comparison.impacts);
+    const risk = riskOf(impacts);
+
+    const cards = [
+        `<div class="card"><div class="number">${summary.paths}</div><div>путей</div></div>`,
+        `<div class="card${summary.different ? ' medium' : ''}"><div class="number">${summary.different}</div><div>различаются</div></div>`,
+        `<div class="card${summary.missing ? ' critical' : ''}"><div class="number">${summary.missing}</div><div>есть не везде</div></div>`,
+        `<div class="card risk ${impacts.length ? risk.id : 'none'}"><div class="number">${impacts.length ? `${risk.icon} ${risk.label}` : '✓ Низкий'}</div><div>риск расхождений</div></div>`,
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}${MATRIX_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Visual Change Impact Platform${meta.version ? ` ${escapeHtml(meta.version)}` : ''} · ${escapeHtml(generatedAt)} · эталон: ${escapeHtml(names[0])}</p>
+<div class="cards">${cards.join('\n')}</div>
+<h2>Значения</h2>
+<div class="filters">
+<label><input type="checkbox" id="matrix-diverged" checked> Только расхождения</label>
+<input id="matrix-text" type="search" placeholder="Поиск по пути">
+</div>
+<table class="matrix">
+<thead><tr><th>Путь</th>${environments.map(environment => `<th title="${escapeHtml(environment.file)}">${escapeHtml(environment.name)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(renderMatrixRow).join('\n')}
+</tbody>
+</table>
+<h2>Риски расхождений</h2>
+${renderFilters(comparisons)}
+${renderImpacts(comparisons)}
+<script>${SCRIPT}${MATRIX_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+// ===== СТАТИСТИКА ИСТОРИИ =====
+const STATS_STYLE = `
+.stats { border-collapse: collapse; margin: 8px 0; }
+.stats th, .stats td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+.stats thead th { background: #f6f8fa; }
+.stats td.count { text-align: right; font-variant-numeric: tabular-nums; }
+.timeline { display: flex; flex-wrap: wrap; gap: 2px; }
+.timeline span { display: inline-block; width: 12px; height: 18px; border-radius: 2px; background: #d0d7de; }
+.timeline .critical { background: #cf222e; } .timeline .high { background: #bc4c00; }
+.timeline .medium { background: #0969da; } .timeline .low { background: #8c959f; } .timeline .none { background: #dafbe1; }
+.values code { background: #f6f8fa; border-radius: 4px; padding: 0 4px; }
+`;
+
+function levelLabel(id) {
+    const level = LEVELS.find(item => item.id === id);
+    return level ? `${level.icon} ${level.label}` : '✓ Без влияний';
+}
+
+function formatState(state) {
+    return state.absent ? '—' : formatJson(state.value);
+}
+
+function renderChurn(stats) {
+    if (stats.churn.length === 0) return '<p class="empty">Изменений нет</p>';
+    return `<table class="stats">
+<thead><tr><th>Файл</th><th>Путь</th>${stats.windows.map(name => `<th>${escapeHtml(name)}</th>`).join('')}<th>Всего</th><th>Последнее</th></tr></thead>
+<tbody>
+${stats.churn.map(entry => `<tr><td><code>${escapeHtml(entry.file)}</code></td><td><code>${escapeHtml(entry.path || '(корень)')}</code></td>`
+        + stats.windows.map(name => `<td class="count">${entry.windows[name]}</td>`).join('')
+        + `<td class="count">${entry.total}</td><td>${escapeHtml(entry.lastChanged)}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderFlapping(flapping) {
+    if (flapping.length === 0) return '<p class="empty">Значения не возвращались к прежним</p>';
+    return `<table class="stats">
+<thead><tr><th>Файл</th><th>Путь</th><th>Возвратов</th><th>Значения</th></tr></thead>
+<tbody>
+${flapping.map(entry => `<tr><td><code>${escapeHtml(entry.file)}</code></td><td><code>${escapeHtml(entry.path)}</code></td><td class="count">${entry.flips}</td>`
+        + `<td class="values">${entry.values.map(state => `<code>${escapeHtml(formatState(state))}</code>`).join(' → ')}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderTimeline(timeline) {
+    if (timeline.length === 0) return '<p class="empty">Записей нет</p>';
+    return `<table class="stats">
+<thead><tr><th>Файл</th><th>Сравнения</th><th>Сейчас</th></tr></thead>
+<tbody>
+${timeline.map(entry => `<tr><td><code>${escapeHtml(entry.file)}</code></td><td><div class="timeline">`
+        + entry.points.map(point => `<span class="${point.level}" title="${escapeHtml(`${point.timestamp} · ${point.id} · ${levelLabel(point.level)}`)}"></span>`).join('')
+        + `</div></td><td>${escapeHtml(levelLabel(entry.current))}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderCritical(critical) {
+    if (critical.count === 0) return '<p class="empty">Критических изменений не было</p>';
+    return `<p>Последнее: ${escapeHtml(critical.last)} · в среднем раз в ${escapeHtml(formatInterval(critical.meanInterval))}</p>
+<table class="stats">
+<thead><tr><th>Файл</th><th>Критических</th><th>Средний интервал</th></tr></thead>
+<tbody>
+${critical.files.map(entry => `<tr><td><code>${escapeHtml(entry.file)}</code></td><td class="count">${entry.count}</td>`
+        + `<td>${escapeHtml(formatInterval(entry.meanInterval))}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderClusters(clusters) {
+    if (clusters.length === 0) return '<p class="empty">Устойчивых групп нет</p>';
+    return `<table class="stats">
+<thead><tr><th>Файл</th><th>Пути</th><th>Раз вместе</th></tr></thead>
+<tbody>
+${clusters.map(cluster => `<tr><td><code>${escapeHtml(cluster.file)}</code></td><td>${cluster.paths.map(item => `<code>${escapeHtml(item)}</code>`).join('<br>')}</td>`
+        + `<td class="count">${cluster.occurrences}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * Рендерит статистику истории — результат computeHistoryStats
+ */
+function toHistoryStatsHtml(stats, meta = {}) {
+    const title = 'Статистика истории сравнений';
+    const generatedAt = meta.generatedAt || new Date().toISOString();
+    const period = stats.records ? `${stats.from} — ${stats.to}` : 'записей нет';
+
+    const cards = [
+        `<div class="card"><div class="number">${stats.records}</div><div>сравнений</div></div>`,
+        `<div class="card"><div class="number">${stats.churn.length}</div><div>изменявшихся путей</div></div>`,
+        `<div class="card${stats.flapping.length ? ' medium' : ''}"><div class="number">${stats.flapping.length}</div><div>мигающих значений</div></div>`,
+        `<div class="card${stats.critical.count ? ' critical' : ' none'}"><div class="number">${stats.critical.count}</div><div>критических сравнений</div></div>`,
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}${STATS_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Visual Change Impact Platform${meta.version ? ` ${escapeHtml(meta.version)}` : ''} · ${escapeHtml(generatedAt)} · ${escapeHtml(period)}${meta.file ? ` · ${escapeHtml(meta.file)}` : ''}</p>
+<div class="cards">${cards.join('\n')}</div>
+<h2>Частота изменений</h2>
+${renderChurn(stats)}
+<h2>Мигающие значения</h2>
+${renderFlapping(stats.flapping)}
+<h2>Риск по файлам</h2>
+${renderTimeline(stats.timeline)}
+<h2>Критические изменения</h2>
+${renderCritical(stats.critical)}
+<h2>Меняются вместе</h2>
+${renderClusters(stats.clusters)}
+</body>
+</html>`;
+}
+
+module.exports = { toHtml, toMatrixHtml, toHistoryStatsHtml };
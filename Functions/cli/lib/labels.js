@@ -0,0 +1,39 @@
+/**
+ * Visual Change Impact Platform - подписи для отчётов
+ * Уровни риска, категории и типы изменений — общие для отчётов, правил и истории
+ */
+
+// От самого серьёзного к наименее серьёзному
+const LEVELS = [
+    { id: 'critical', label: 'Критический', icon: '⚠' },
+    { id: 'high', label: 'Высокий', icon: '◆' },
+    { id: 'medium', label: 'Средний', icon: '●' },
+    { id: 'low', label: 'Низкий', icon: '○' },
+];
+// Идентификаторы уровней от наименее серьёзного: индекс — порядок для сравнения уровней
+const LEVEL_IDS = LEVELS.map(level => level.id).reverse();
+
+const CATEGORY_LABELS = {
+    security: 'Безопасность',
+    performance: 'Производительность',
+    configuration: 'Конфигурация',
+    general: 'Общее',
+};
+
+const CHANGE_LABELS = {
+    added: 'Добавлено',
+    removed: 'Удалено',
+    modified: 'Изменено',
+    moved: 'Перемещено',
+};
+
+function categoryLabel(category) {
+    return CATEGORY_LABELS[category] || category || CATEGORY_LABELS.general;
+}
+
+// Общий риск — по самому серьёзному влиянию
+function riskOf(impacts) {
+    return LEVELS.find(level => impacts.some(impact => impact.level === level.id)) || LEVELS[LEVELS.length - 1];
+}
+
+module.exports = { LEVELS, LEVEL_IDS, CATEGORY_LABELS, CHANGE_LABELS, categoryLabel, riskOf };
@@ -0,0 +1,231 @@
+/**
+ * Visual Change Impact Platform - загрузка файлов
+ * Определение формата (по расширению или содержимому) и разбор
+ * в общее дерево объектов, с которым работает compareObjects
+ */
+
+const fs = require('fs');
+const path = require('path');
+const json = require('./formats/json');
+const yaml = require('./formats/yaml');
+const toml = require('./formats/toml');
+const ini = require('./formats/ini');
+const dotenv = require('./formats/dotenv');
+const xml = require('./formats/xml');
+const properties = require('./formats/properties');
+const { positionOf } = require('./formats/common');
+const { parsePath } = require('./compare');
+const git = require('./git');
+
+// ===== ФОРМАТЫ =====
+function parseYAML(content) {
+    const documents = yaml.parseAllDocuments(content);
+    // Пустой YAML-файл считаем пустым объектом
+    return documents.length ? documents : [{}];
+}
+
+// Форматы без многодокументных потоков записывают ровно один документ
+function singleDocument(format, stringify) {
+    return documents => {
+        if (documents.length !== 1) {
+            throw new Error(`Формат ${format} не поддерживает несколько документов (${documents.length})`);
+        }
+        return stringify(documents[0]);
+    };
+}
+
+const FORMATS = {
+    json: { extensions: ['.json'], parse: content => [json.parse(content)], stringify: singleDocument('json', json.stringify) },
+    yaml: { extensions: ['.yaml', '.yml'], parse: parseYAML, stringify: yaml.stringify },
+    toml: { extensions: ['.toml'], parse: content => [toml.parse(content)], stringify: singleDocument('toml', toml.stringify) },
+    ini: { extensions: ['.ini', '.cfg', '.conf'], parse: content => [ini.parse(content)], stringify: singleDocument('ini', ini.stringify) },
+    env: { extensions: ['.env'], parse: content => [dotenv.parse(content)], stringify: singleDocument('env', dotenv.stringify) },
+    xml: { extensions: ['.xml'], parse: content => [xml.parse(content)], stringify: singleDocument('xml', xml.stringify) },
+    properties: {
+        extensions: ['.properties'],
+        parse: content => [properties.parse(content)],
+        stringify: singleDocument('properties', properties.stringify),
+    },
+};
+
+const FORMAT_ALIASES = { yml: 'yaml', dotenv: 'env' };
+
+function normalizeFormat(name) {
+    const format = FORMAT_ALIASES[name] || name;
+    if (!FORMATS[format]) {
+        throw new Error(`Неизвестный формат: ${name}. Поддерживаются: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+// ===== ОПРЕДЕЛЕНИЕ ФОРМАТА =====
+function formatFromPath(filePath) {
+    const base = path.basename(filePath).toLowerCase();
+    // .env, .env.local, .env.production
+    if (base === '.env' || base.startsWith('.env.')) return 'env';
+
+    const ext = path.extname(base);
+    return Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(ext)) || null;
+}
+
+function succeeds(parse, content) {
+    try {
+        parse(content);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Определяет формат по содержимому, когда расширение ничего не говорит
+ */
+function sniffFormat(content) {
+    const text = content.replace(/^\uFEFF/, '').trim();
+    if (!text) return 'yaml';
+
+    if (/^[{[]/.test(text) && succeeds(JSON.parse, text)) return 'json';
+    if (text.startsWith('<')) return 'xml';
+
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith(';'));
+
+    if (lines.some(line => /^\[[^\]]+\]$/.test(line) || /^\[\[[^\]]+\]\]$/.test(line))) {
+        return succeeds(toml.parse, text) ? 'toml' : 'ini';
+    }
+    // Большинство строк вида key=value: продолжения многострочных значений допускаются
+    const majority = re => lines.filter(line => re.test(line)).length * 2 > lines.length;
+    if (majority(/^(export\s+)?[A-Za-z_][A-Za-z0-9_]*=/) && succeeds(dotenv.parse, text)) return 'env';
+    if (majority(/^[\w.[\]-]+\s*=/)) {
+        return succeeds(toml.parse, text) ? 'toml' : 'properties';
+    }
+    return 'yaml';
+}
+
+function detectFormat(filePath, content) {
+    return formatFromPath(filePath) || sniffFormat(content);
+}
+
+// ===== РАЗБОР =====
+/**
+ * Разбирает содержимое файла в массив документов.
+ * format — явное указание формата (--from-format/--to-format)
+ */
+function parseDocuments(content, filePath, format) {
+    const resolved = format ? normalizeFormat(format) : detectFormat(filePath, content);
+    try {
+        const documents = FORMATS[resolved].parse(content);
+        // Произвольный текст разбирается как YAML-скаляр — это не конфигурация
+        if (!format && !formatFromPath(filePath) && documents.every(doc => typeof doc !== 'object')) {
+            throw new Error(`Неподдерживаемый формат файла: ${path.extname(filePath) || path.basename(filePath)}`);
+        }
+        return documents;
+    } catch (error) {
+        if (error.line) {
+            error.message = `${filePath}:${error.line}:${error.column}: ${error.reason}`;
+        }
+        throw error;
+    }
+}
+
+// ===== ЗАПИСЬ =====
+/**
+ * Записывает документы в указанном формате (обратное к parseDocuments)
+ */
+function stringifyDocuments(documents, format) {
+    return FORMATS[normalizeFormat(format)].stringify(documents);
+}
+
+// ===== ЗАГРУЗКА =====
+/**
+ * Загружает все документы файла (YAML может содержать несколько документов через ---).
+ * Вместо пути можно передать «ревизия:путь» — файл будет прочитан из git
+ */
+function loadDocuments(filePath, format) {
+    if (!fs.existsSync(filePath)) {
+        // HEAD~1:config/app.json — версия файла из git
+        const revision = git.parseRevisionSpec(filePath) && git.readRevisionSpec(filePath);
+        if (revision) {
+            return parseDocuments(revision.content, revision.path, format);
+        }
+        throw new Error(`Файл не найден: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf-8');
+    return parseDocuments(content, filePath, format);
+}
+
+/**
+ * Загружает файл с единственным документом
+ */
+function loadFile(filePath, format) {
+    const documents = loadDocuments(filePath, format);
+    if (documents.length > 1) {
+        throw new Error(`Файл содержит несколько документов (${documents.length}): ${filePath}`);
+    }
+    return documents[0];
+}
+
+// ===== ПОЗИЦИИ =====
+function findIdentity(items, segment) {
+    const expected = JSON.stringify(segment.value);
+    return items.findIndex(item => item && typeof item === 'object' && JSON.stringify(item[segment.key]) === expected);
+}
+
+/**
+ * Проходит путь изменения по документам файла. Элементы [name=x] ищутся
+ * по значению ключа, [doc=N] выбирает документ (если их несколько).
+ * Возвращает { keys, found, position }: keys — реальные ключи и индексы
+ * пройденной части пути, found — путь пройден целиком, position — позиция
+ * последнего пройденного ключа, у которого она известна
+ */
+function resolvePath(documents, changePath) {
+    const segments = parsePath(changePath);
+    const keys = [];
+    let current = documents[0];
+    if (documents.length > 1) {
+        current = documents;
+        if (segments[0] && segments[0].type === 'match' && segments[0].key === 'doc') {
+            segments[0] = { type: 'index', index: segments[0].value };
+        }
+    }
+
+    let position = null;
+    for (const segment of segments) {
+        if (!current || typeof current !== 'object') return { keys, found: false, position };
+        let key;
+        if (segment.type === 'match') {
+            key = Array.isArray(current) ? findIdentity(current, segment) : -1;
+            if (key < 0) return { keys, found: false, position };
+        } else {
+            key = segment.type === 'index' ? segment.index : segment.key;
+            if (!Object.prototype.hasOwnProperty.call(current, key)) return { keys, found: false, position };
+        }
+        keys.push(key);
+        position = positionOf(current, key) || position;
+        current = current[key];
+    }
+    return { keys, found: true, position };
+}
+
+/**
+ * Строка и столбец пути изменения в документах файла: { line, column } или null.
+ * Если пути в документе нет (ключ удалён), берётся ближайший существующий родитель
+ */
+function locatePath(documents, changePath) {
+    return resolvePath(documents, changePath).position;
+}
+
+module.exports = {
+    FORMATS,
+    loadFile,
+    loadDocuments,
+    parseDocuments,
+    stringifyDocuments,
+    detectFormat,
+    formatFromPath,
+    normalizeFormat,
+    resolvePath,
+    locatePath,
+};
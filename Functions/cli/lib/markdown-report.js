@@ -0,0 +1,241 @@
+/**
+ * Visual Change Impact Platform - Markdown-отчёт
+ * Для комментариев к pull request'ам: сводка, влияния по уровням с рекомендациями
+ * и таблица изменений. Большие разделы сворачиваются в <details>, а отчёт,
+ * не влезающий в лимит комментария, сокращается по границам разделов и строк таблиц
+ */
+
+const { LEVELS, CHANGE_LABELS, categoryLabel, riskOf } = require('./labels');
+
+// Лимит комментария GitHub — 65 536 символов, оставляем запас
+const DEFAULT_MAX_LENGTH = 60000;
+// Таблица изменений длиннее этого числа строк сворачивается
+const COLLAPSE_ROWS = 10;
+// Длинные значения в ячейках таблицы обрезаются
+const CELL_LIMIT = 120;
+
+const CHANGE_ICONS = { added: '✚', removed: '✖', modified: '⟳', moved: '⇅' };
+
+// ===== УТИЛИТЫ =====
+function escapeText(text) {
+    return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+function code(text) {
+    const value = String(text).replace(/\|/g, '\\|');
+    return value.includes('`') ? `\`\` ${value} \`\`` : `\`${value}\``;
+}
+
+// Значение в ячейке таблицы: JSON в одну строку, длинное — обрезается
+function cell(value) {
+    if (value === undefined) return '';
+    const text = JSON.stringify(value);
+    return code(text.length > CELL_LIMIT ? `${text.slice(0, CELL_LIMIT - 1)}…` : text);
+}
+
+// Текст внутри HTML-тегов (<summary>) Markdown не разбирает
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function details(summary, body) {
+    return `<details>\n<summary>${summary}</summary>\n\n${body}\n\n</details>`;
+}
+
+// ===== РАЗДЕЛЫ =====
+function renderSummary(entries, violations, meta) {
+    const changes = entries.flatMap(entry => entry.changes);
+    const impacts = entries.flatMap(entry => entry.impacts);
+    const count = type => changes.filter(change => change.type === type).length;
+    const risk = riskOf(impacts);
+
+    const lines = [`## 🔍 Анализ изменений конфигурации`, ''];
+    if (meta.title) lines.push(`**Сравнение:** ${code(meta.title)}`, '');
+
+    lines.push(
+        '| Изменений | ✚ Добавлено | ⟳ Изменено | ✖ Удалено | ⇅ Перемещено | Общий риск |',
+        '|---:|---:|---:|---:|---:|---|',
+        `| ${changes.length} | ${count('added')} | ${count('modified')} | ${count('removed')} | ${count('moved')} | ${impacts.length ? `${risk.icon} ${risk.label}` : '✓ Низкий'} |`,
+        '',
+    );
+
+    const levelCounts = LEVELS
+        .map(level => ({ level, total: impacts.filter(impact => impact.level === level.id).length }))
+        .filter(item => item.total > 0)
+        .map(item => `${item.level.icon} ${item.level.label.toLowerCase()}: ${item.total}`);
+    if (levelCounts.length) lines.push(`**Влияния:** ${levelCounts.join(' · ')}`, '');
+    if (entries.length > 1) lines.push(`**Файлов:** ${entries.length}`, '');
+
+    if (violations) {
+        if (violations.length === 0) {
+            lines.push('**Политика:** ✅ соблюдена', '');
+        } else {
+            lines.push(`**Политика:** ❌ нарушений: ${violations.length}`, '');
+            violations.forEach(violation => {
+                const where = [violation.file, violation.path].filter(Boolean).map(code).join(': ');
+                const rule = violation.rule ? `${code(violation.rule)} ` : '';
+                lines.push(`- ${rule}${where ? `${where} — ` : ''}${escapeText(violation.message)}`);
+            });
+            lines.push('');
+        }
+    }
+    return lines.join('\n').trimEnd();
+}
+
+function renderImpact({ impact, entry }, multiFile) {
+    const where = [multiFile ? entry.source || entry.file : null, impact.line ? `строка ${impact.line}` : null]
+        .filter(Boolean).join(', ');
+    const lines = [`- **${escapeText(impact.title)}** — ${code(impact.path)}${where ? ` _(${escapeText(where)})_` : ''}`];
+    if (impact.description) lines.push(`  ${escapeText(impact.description)}`);
+    if (impact.recommendation) lines.push(`  💡 ${escapeText(impact.recommendation)}`);
+    return lines.join('  \n');
+}
+
+function collectImpacts(entries) {
+    return entries.flatMap(entry => entry.impacts.map(impact => ({ impact, entry })));
+}
+
+/**
+ * Влияния по уровням. limit — сколько самых серьёзных влияний показать (сокращённый отчёт)
+ */
+function renderImpacts(entries, limit = Infinity) {
+    const all = collectImpacts(entries);
+    if (all.length === 0) return '### Анализ влияния\n\n✓ Рисков не обнаружено';
+
+    const multiFile = entries.length > 1;
+    const sorted = LEVELS.flatMap(level => all.filter(item => item.impact.level === level.id));
+    const shown = sorted.slice(0, limit);
+
+    const sections = ['### Анализ влияния'];
+    for (const level of LEVELS) {
+        const items = shown.filter(item => item.impact.level === level.id);
+        if (items.length === 0) continue;
+        const total = all.filter(item => item.impact.level === level.id).length;
+        const heading = `${level.icon} ${level.label}: ${total}`;
+
+        const categories = [...new Set(items.map(item => item.impact.category || 'general'))];
+        const body = categories.map(category => {
+            const group = items.filter(item => (item.impact.category || 'general') === category);
+            return `**${escapeText(categoryLabel(category))}**\n\n${group.map(item => renderImpact(item, multiFile)).join('\n')}`;
+        }).join('\n\n');
+
+        // Критические и высокие видны сразу, остальные — по клику
+        sections.push(level.id === 'critical' || level.id === 'high'
+            ? `#### ${heading}\n\n${body}`
+            : details(`<b>${heading}</b>`, body));
+    }
+    if (shown.length < sorted.length) {
+        sections.push(`_…не показано влияний: ${sorted.length - shown.length}._`);
+    }
+    return sections.join('\n\n');
+}
+
+function renderChangeTable(changes) {
+    const rows = changes.map(change => {
+        let oldValue = '';
+        let newValue = '';
+        if (change.type === 'modified') {
+            oldValue = cell(change.oldValue);
+            newValue = cell(change.newValue);
+        } else if (change.type === 'added') {
+            newValue = cell(change.value);
+        } else if (change.type === 'removed') {
+            oldValue = cell(change.value);
+        } else if (change.type === 'moved') {
+            oldValue = `позиция ${change.fromIndex}`;
+            newValue = `позиция ${change.toIndex}`;
+        }
+        const type = `${CHANGE_ICONS[change.type] || ''} ${CHANGE_LABELS[change.type] || change.type}`;
+        return `| ${code(change.path || '(корень)')} | ${type} | ${oldValue} | ${newValue} |`;
+    });
+    return ['| Путь | Тип | Было | Стало |', '|---|---|---|---|', ...rows].join('\n');
+}
+
+/**
+ * Таблицы изменений. rowLimit — сколько строк показать (сокращённый отчёт):
+ * строки берутся по порядку файлов, таблица сворачивается в <details>
+ */
+function renderChanges(entries, rowLimit = Infinity) {
+    const withChanges = entries.filter(entry => entry.changes.length > 0);
+    const total = withChanges.reduce((sum, entry) => sum + entry.changes.length, 0);
+    if (total === 0) return '### Изменения\n\nИзменений не обнаружено';
+
+    let budget = Math.min(rowLimit, total);
+    const shown = withChanges.map(entry => {
+        const changes = entry.changes.slice(0, budget);
+        budget -= changes.length;
+        return { entry, changes };
+    }).filter(item => item.changes.length > 0);
+    const count = shown.reduce((sum, item) => sum + item.changes.length, 0);
+    const hidden = count < total ? `_…не показано изменений: ${total - count}._` : '';
+
+    if (entries.length === 1) {
+        if (shown.length === 0) return `### Изменения\n\n${hidden}`;
+        const table = renderChangeTable(shown[0].changes);
+        if (hidden) return `### Изменения\n\n${details(`Таблица изменений (показано ${count} из ${total})`, table)}\n\n${hidden}`;
+        return total > COLLAPSE_ROWS
+            ? `### Изменения\n\n${details(`Таблица изменений (${total})`, table)}`
+            : `### Изменения\n\n${table}`;
+    }
+
+    const files = shown.map(({ entry, changes }) => {
+        const risk = entry.impacts.length ? `, риск: ${riskOf(entry.impacts).label.toLowerCase()}` : '';
+        const partial = changes.length < entry.changes.length ? ` (показано ${changes.length})` : '';
+        const summary = `<code>${escapeHtml(entry.source || entry.file)}</code> — изменений: ${entry.changes.length}${partial}${risk}`;
+        return details(summary, renderChangeTable(changes));
+    });
+    return [`### Изменения (${total})`, ...files, hidden].filter(Boolean).join('\n\n');
+}
+
+function truncationNote(maxLength) {
+    return `> ⚠️ Отчёт сокращён, чтобы уложиться в ${maxLength} символов. `
+        + 'Полный отчёт: `--format=html` или `--format=json`.';
+}
+
+// Наибольшее n от 0 до max, при котором fits(n); -1, если не подходит ни одно
+function largestFitting(max, fits) {
+    let low = 0;
+    let high = max;
+    if (!fits(low)) return -1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(middle)) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+// ===== ОТЧЁТ =====
+/**
+ * Рендерит Markdown-отчёт. meta.maxLength — лимит размера (по умолчанию под комментарий GitHub).
+ * Если полный отчёт не помещается, он сокращается по границам разделов и строк таблиц:
+ * сначала остаётся столько строк изменений, сколько влезает, затем — только самые
+ * серьёзные влияния. Лимит меньше сводки с пометкой о сокращении — ошибка
+ */
+function toMarkdown(entries, violations, meta = {}) {
+    const maxLength = meta.maxLength || DEFAULT_MAX_LENGTH;
+    const summary = renderSummary(entries, violations, meta);
+    const impacts = renderImpacts(entries);
+
+    const full = [summary, impacts, renderChanges(entries)].join('\n\n');
+    if (full.length <= maxLength) return full;
+
+    const note = truncationNote(maxLength);
+    const minimal = [summary, note].join('\n\n');
+    if (minimal.length > maxLength) {
+        throw new Error(`--max-length=${maxLength}: сводка с пометкой о сокращении занимает ${minimal.length} символов, увеличьте лимит`);
+    }
+    const build = parts => parts.join('\n\n');
+    const fits = parts => build(parts).length <= maxLength;
+
+    // Все влияния и первые строки изменений
+    const totalRows = entries.reduce((sum, entry) => sum + entry.changes.length, 0);
+    const rows = largestFitting(totalRows, limit => fits([summary, impacts, renderChanges(entries, limit), note]));
+    if (rows >= 0) return build([summary, impacts, renderChanges(entries, rows), note]);
+
+    // Сводка и первые N самых серьёзных влияний
+    const limit = largestFitting(collectImpacts(entries).length, count => fits([summary, renderImpacts(entries, count), note]));
+    return limit >= 0 ? build([summary, renderImpacts(entries, limit), note]) : minimal;
+}
+
+module.exports = { DEFAULT_MAX_LENGTH, toMarkdown };
@@ -0,0 +1,97 @@
+/**
+ * Visual Change Impact Platform - матрица окружений
+ * Значения каждого пути во всех вариантах одной конфигурации (dev, staging, prod):
+ * где значения расходятся и в каких окружениях ключа нет вовсе
+ */
+
+const { findIdentityKey, isPlainObject, isPrimitive, joinKey, joinIndex, joinMatch } = require('./compare');
+const { isEqual } = require('./patch');
+
+// Состояние строки матрицы
+const ROW_STATUS = {
+    same: 'same',
+    different: 'different',
+    missing: 'missing',
+};
+
+function unionBy(lists, keyOf) {
+    const seen = new Map();
+    lists.forEach(items => items.forEach(item => {
+        const key = keyOf(item);
+        if (!seen.has(key)) seen.set(key, item);
+    }));
+    return [...seen.values()];
+}
+
+function rowStatus(values) {
+    if (values.some(value => value === undefined)) return ROW_STATUS.missing;
+    return values.every(value => isEqual(value, values[0])) ? ROW_STATUS.same : ROW_STATUS.different;
+}
+
+/**
+ * Обходит значения одного пути во всех окружениях сразу (undefined — ключа нет).
+ * Объекты раскрываются по ключам, массивы объектов — по ключу идентичности
+ * (id, name, key) или по позиции; скаляры и массивы скаляров — листья матрицы
+ */
+function collectRows(values, currentPath, options, rows) {
+    const present = values.filter(value => value !== undefined);
+
+    if (present.length && present.every(isPlainObject)) {
+        const keys = unionBy(present.map(Object.keys), key => key);
+        if (keys.length) {
+            keys.forEach(key => collectRows(
+                values.map(value => (value && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined)),
+                joinKey(currentPath, key),
+                options,
+                rows,
+            ));
+            return;
+        }
+    }
+
+    if (present.length && present.every(Array.isArray) && !present.every(items => items.every(isPrimitive))) {
+        const identityKey = findIdentityKey(present, options);
+        if (identityKey) {
+            const ids = unionBy(present.map(items => items.map(item => item[identityKey])), id => JSON.stringify(id));
+            ids.forEach(id => collectRows(
+                values.map(items => items && items.find(item => isEqual(item[identityKey], id))),
+                joinMatch(currentPath, identityKey, id),
+                options,
+                rows,
+            ));
+        } else {
+            const length = Math.max(...present.map(items => items.length));
+            for (let index = 0; index < length; index++) {
+                collectRows(values.map(items => items && items[index]), joinIndex(currentPath, index), options, rows);
+            }
+        }
+        return;
+    }
+
+    rows.push({ path: currentPath, values, status: rowStatus(values) });
+}
+
+/**
+ * Строит матрицу окружений. documents — по документу на окружение в порядке аргументов.
+ * Возвращает { rows, summary }: rows — [{ path, values, status }], values[i] — значение
+ * в i-м окружении (undefined, если ключа нет)
+ */
+function buildMatrix(documents, options = {}) {
+    const rows = [];
+    collectRows(documents, '', options, rows);
+    const count = status => rows.filter(row => row.status === status).length;
+    return {
+        rows,
+        summary: {
+            paths: rows.length,
+            same: count(ROW_STATUS.same),
+            different: count(ROW_STATUS.different),
+            missing: count(ROW_STATUS.missing),
+        },
+    };
+}
+
+module.exports = {
+    ROW_STATUS,
+    buildMatrix,
+};
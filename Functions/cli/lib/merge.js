@@ -0,0 +1,171 @@
+/**
+ * Visual Change Impact Platform - трёхстороннее слияние конфигураций
+ * Изменения base → ours и base → theirs строятся compareObjects. Изменения
+ * по непересекающимся путям применяются к base автоматически, пересекающиеся
+ * (по одному пути или по пути и его родителю) — конфликт, если стороны не
+ * пришли к одному и тому же значению
+ */
+
+const { compareObjects, parsePath, joinKey, joinIndex, joinMatch } = require('./compare');
+const { isEqual, clone } = require('./patch');
+
+// ===== ПУТИ =====
+function buildPath(segments) {
+    return segments.reduce((current, segment) => {
+        if (segment.type === 'index') return joinIndex(current, segment.index);
+        if (segment.type === 'match') return joinMatch(current, segment.key, segment.value);
+        return joinKey(current, segment.key);
+    }, '');
+}
+
+function sameSegment(a, b) {
+    return a.type === b.type && a.key === b.key && a.index === b.index && isEqual(a.value, b.value);
+}
+
+function isPrefix(prefix, segments) {
+    return prefix.length <= segments.length && prefix.every((segment, i) => sameSegment(segment, segments[i]));
+}
+
+function findMatch(items, segment) {
+    return items.findIndex(item => item && typeof item === 'object' && isEqual(item[segment.key], segment.value));
+}
+
+function getAt(document, segments) {
+    let current = document;
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object') return undefined;
+        if (segment.type === 'index') current = current[segment.index];
+        else if (segment.type === 'match') current = Array.isArray(current) ? current[findMatch(current, segment)] : undefined;
+        else current = current[segment.key];
+    }
+    return current;
+}
+
+// ===== ЕДИНИЦЫ СЛИЯНИЯ =====
+/**
+ * Изменения одной стороны, пригодные для переноса на другую версию.
+ * Путь с индексом или перемещение элемента ссылается на позицию, которая
+ * у другой стороны может быть иной, — такой массив сливается целиком
+ */
+function toUnits(changes, base, side) {
+    const parsed = changes.map(change => ({ change, segments: parsePath(change.path) }));
+
+    const arrays = [];
+    for (const { change, segments } of parsed) {
+        const indexAt = segments.findIndex(segment => segment.type === 'index');
+        const cut = indexAt >= 0 ? indexAt : change.type === 'moved' ? segments.length - 1 : -1;
+        if (cut >= 0) arrays.push(segments.slice(0, cut));
+    }
+    // Только самые внешние массивы, каждый один раз
+    const wholeArrays = arrays.filter((segments, i) => !arrays.some((other, j) =>
+        isPrefix(other, segments) && (other.length < segments.length || j < i)));
+
+    const units = wholeArrays.map(segments => ({
+        type: 'modified',
+        path: buildPath(segments),
+        oldValue: getAt(base, segments),
+        newValue: getAt(side, segments),
+        segments,
+    }));
+    for (const { change, segments } of parsed) {
+        if (wholeArrays.some(prefix => isPrefix(prefix, segments))) continue;
+        units.push({ ...change, segments });
+    }
+    return units;
+}
+
+function resultOf(unit) {
+    if (unit.type === 'added') return unit.value;
+    if (unit.type === 'modified') return unit.newValue;
+    return undefined;
+}
+
+// Обе стороны пришли к одному результату — это не конфликт
+function agrees(a, b) {
+    if (a.path !== b.path) return false;
+    if (a.type === 'removed' || b.type === 'removed') return a.type === b.type;
+    return isEqual(resultOf(a), resultOf(b));
+}
+
+// ===== ПРИМЕНЕНИЕ =====
+function applyUnit(document, unit, side) {
+    const { segments } = unit;
+    if (segments.length === 0) return unit.type === 'removed' ? {} : clone(resultOf(unit));
+
+    const parent = getAt(document, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+    if (parent === null || typeof parent !== 'object') {
+        throw new Error(`Не удалось применить изменение: нет родителя для ${unit.path}`);
+    }
+
+    if (last.type === 'match') {
+        const index = findMatch(parent, last);
+        if (unit.type === 'removed') {
+            if (index >= 0) parent.splice(index, 1);
+        } else if (index >= 0) {
+            parent[index] = clone(resultOf(unit));
+        } else {
+            // Новый элемент встаёт на ту же позицию, что и в версии, где его добавили
+            const sideIndex = findMatch(getAt(side, segments.slice(0, -1)) || [], last);
+            parent.splice(Math.min(Math.max(sideIndex, 0), parent.length), 0, clone(resultOf(unit)));
+        }
+    } else if (unit.type === 'removed') {
+        delete parent[last.key];
+    } else {
+        parent[last.key] = clone(resultOf(unit));
+    }
+    return document;
+}
+
+function publicChange(unit) {
+    const { segments, ...change } = unit;
+    return change;
+}
+
+/**
+ * Трёхстороннее слияние. Возвращает { merged, conflicts, applied }:
+ * merged — base с применёнными изменениями обеих сторон (в конфликтных путях
+ * остаётся значение base), conflicts — [{ path, kind, ours, theirs }],
+ * где kind — 'modified' (изменено по-разному) или 'removed' (изменено и удалено)
+ */
+function mergeDocuments(base, ours, theirs, options = {}) {
+    const oursUnits = toUnits(compareObjects(base, ours, '', options), base, ours);
+    const theirsUnits = toUnits(compareObjects(base, theirs, '', options), base, theirs);
+
+    const conflicts = [];
+    const blocked = new Set();
+    const duplicates = new Set();
+    for (const mine of oursUnits) {
+        for (const other of theirsUnits) {
+            if (!isPrefix(mine.segments, other.segments) && !isPrefix(other.segments, mine.segments)) continue;
+            if (agrees(mine, other)) {
+                duplicates.add(other);
+                continue;
+            }
+            blocked.add(mine);
+            blocked.add(other);
+            conflicts.push({
+                path: mine.segments.length <= other.segments.length ? mine.path : other.path,
+                kind: mine.type === 'removed' || other.type === 'removed' ? 'removed' : 'modified',
+                ours: publicChange(mine),
+                theirs: publicChange(other),
+            });
+        }
+    }
+
+    let merged = clone(base);
+    const applied = { ours: [], theirs: [] };
+    for (const unit of oursUnits.filter(item => !blocked.has(item))) {
+        merged = applyUnit(merged, unit, ours);
+        applied.ours.push(publicChange(unit));
+    }
+    for (const unit of theirsUnits.filter(item => !blocked.has(item) && !duplicates.has(item))) {
+        merged = applyUnit(merged, unit, theirs);
+        applied.theirs.push(publicChange(unit));
+    }
+    return { merged, conflicts, applied };
+}
+
+module.exports = {
+    mergeDocuments,
+};
@@ -0,0 +1,304 @@
+/**
+ * Visual Change Impact Platform - патчи конфигураций
+ * JSON Patch (RFC 6902) с путями JSON Pointer (RFC 6901) и JSON Merge Patch (RFC 7386).
+ * Перед каждой заменой и удалением JSON Patch проверяет прежнее значение операцией test,
+ * а add не перезаписывает поле, которое уже есть в базе с другим значением, —
+ * поэтому патч не применится к базе, которая успела измениться
+ */
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// `key in object` видит и унаследованные toString, constructor — только собственные поля
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Присваивание object['__proto__'] заменило бы прототип, а не добавило поле
+function setOwn(object, key, value) {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function isEqual(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => hasOwn(b, key) && isEqual(a[key], b[key]));
+    }
+    return Object.is(a, b) || a === b;
+}
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    return value;
+}
+
+/**
+ * Ошибка применения патча. conflict — база не совпала с ожидаемой
+ * (не прошла проверка test или отсутствует путь), а не сам патч некорректен
+ */
+function patchError(message, conflict = false) {
+    const error = new Error(message);
+    error.conflict = conflict;
+    return error;
+}
+
+// ===== JSON POINTER =====
+function escapeToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function appendPointer(pointer, token) {
+    return `${pointer}/${escapeToken(token)}`;
+}
+
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw patchError(`Некорректный JSON Pointer: «${pointer}»`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// ===== JSON PATCH =====
+function testAndThen(ops, pointer, oldValue, operation) {
+    ops.push({ op: 'test', path: pointer, value: oldValue });
+    ops.push(operation);
+}
+
+function diffValues(a, b, pointer, ops) {
+    if (isObject(a) && isObject(b)) {
+        for (const key of Object.keys(a)) {
+            if (!hasOwn(b, key)) testAndThen(ops, appendPointer(pointer, key), a[key], { op: 'remove', path: appendPointer(pointer, key) });
+        }
+        for (const key of Object.keys(b)) {
+            const itemPointer = appendPointer(pointer, key);
+            if (!hasOwn(a, key)) ops.push({ op: 'add', path: itemPointer, value: b[key] });
+            else diffValues(a[key], b[key], itemPointer, ops);
+        }
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        // Лишние элементы удаляем с конца, чтобы индексы оставшихся не сдвигались
+        for (let index = a.length - 1; index >= b.length; index--) {
+            testAndThen(ops, appendPointer(pointer, index), a[index], { op: 'remove', path: appendPointer(pointer, index) });
+        }
+        b.forEach((item, index) => {
+            if (index < a.length) diffValues(a[index], item, appendPointer(pointer, index), ops);
+            else ops.push({ op: 'add', path: appendPointer(pointer, index), value: item });
+        });
+    } else if (!isEqual(a, b)) {
+        testAndThen(ops, pointer, a, { op: 'replace', path: pointer, value: b });
+    }
+}
+
+/**
+ * Строит JSON Patch, переводящий документ a в b. Массивы сравниваются по позиции —
+ * так пути JSON Pointer однозначно указывают на элементы
+ */
+function createJsonPatch(a, b) {
+    const ops = [];
+    diffValues(a, b, '', ops);
+    return ops;
+}
+
+// Родитель и последний ключ пути; отсутствующий промежуточный ключ — конфликт
+function resolveParent(document, tokens, fail) {
+    let parent = document;
+    for (const token of tokens.slice(0, -1)) {
+        if (Array.isArray(parent) && /^(0|[1-9]\d*)$/.test(token) && Number(token) < parent.length) {
+            parent = parent[Number(token)];
+        } else if (isObject(parent) && hasOwn(parent, token)) {
+            parent = parent[token];
+        } else {
+            throw fail('путь не найден', true);
+        }
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(parent, key, fail, allowEnd) {
+    const index = key === '-' && allowEnd ? parent.length : Number(key);
+    if (!/^(0|[1-9]\d*)$/.test(key) && !(key === '-' && allowEnd)) throw fail(`некорректный индекс массива «${key}»`);
+    if (index > parent.length || (!allowEnd && index === parent.length)) throw fail('индекс вне массива', true);
+    return index;
+}
+
+function getValue(document, pointer, fail) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return document;
+    const { parent, key } = resolveParent(document, tokens, fail);
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, fail, false)];
+    if (isObject(parent) && hasOwn(parent, key)) return parent[key];
+    throw fail('путь не найден', true);
+}
+
+// Операции возвращают новый корень документа: add и replace по пути "" заменяют его целиком
+function addValue(document, pointer, value, fail) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    const { parent, key } = resolveParent(document, tokens, fail);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, fail, true), 0, value);
+    else if (isObject(parent)) setOwn(parent, key, value);
+    else throw fail('путь не найден', true);
+    return document;
+}
+
+/**
+ * Поле объекта, которое добавляет add, уже есть в базе с другим значением — конфликт.
+ * По RFC 6902 add заменил бы его молча; то же значение считается уже применённым
+ */
+function checkAddTarget(document, pointer, value, fail) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return;
+    const { parent, key } = resolveParent(document, tokens, fail);
+    if (isObject(parent) && hasOwn(parent, key) && !isEqual(parent[key], value)) {
+        throw fail(`поле уже есть в базе: ${JSON.stringify(parent[key])}, патч добавляет ${JSON.stringify(value)}`, true);
+    }
+}
+
+function removeValue(document, pointer, fail) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw fail('нельзя удалить корень документа');
+    const { parent, key } = resolveParent(document, tokens, fail);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, fail, false), 1);
+    } else if (isObject(parent) && hasOwn(parent, key)) {
+        delete parent[key];
+    } else {
+        throw fail('путь не найден', true);
+    }
+    return document;
+}
+
+// Замена на месте сохраняет порядок ключей объекта
+function replaceValue(document, pointer, value, fail) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    getValue(document, pointer, fail);
+    const { parent, key } = resolveParent(document, tokens, fail);
+    if (Array.isArray(parent)) parent[Number(key)] = value;
+    else setOwn(parent, key, value);
+    return document;
+}
+
+function applyOperation(document, operation, fail) {
+    const { op, path: pointer, from } = operation;
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) throw fail('нет поля value');
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') throw fail('нет поля from');
+
+    switch (op) {
+        case 'add':
+            checkAddTarget(document, pointer, operation.value, fail);
+            return addValue(document, pointer, clone(operation.value), fail);
+        case 'remove':
+            return removeValue(document, pointer, fail);
+        case 'replace':
+            return replaceValue(document, pointer, clone(operation.value), fail);
+        case 'move': {
+            if (pointer.startsWith(`${from}/`)) throw fail('нельзя переместить значение внутрь самого себя');
+            const value = getValue(document, from, fail);
+            return addValue(removeValue(document, from, fail), pointer, value, fail);
+        }
+        case 'copy':
+            return addValue(document, pointer, clone(getValue(document, from, fail)), fail);
+        case 'test': {
+            const actual = getValue(document, pointer, fail);
+            if (!isEqual(actual, operation.value)) {
+                throw fail(`значение изменилось: ожидалось ${JSON.stringify(operation.value)}, в базе ${JSON.stringify(actual)}`, true);
+            }
+            return document;
+        }
+        default:
+            throw fail(`неизвестная операция «${op}»`);
+    }
+}
+
+/**
+ * Применяет JSON Patch к копии документа. Операции выполняются по порядку;
+ * первая неудачная останавливает применение, исходный документ не меняется
+ */
+function applyJsonPatch(document, patch) {
+    let result = clone(document);
+    patch.forEach((operation, index) => {
+        const label = isObject(operation) ? `${operation.op} ${operation.path}` : String(operation);
+        const fail = (message, conflict = false) => patchError(`Операция #${index + 1} (${label}): ${message}`, conflict);
+        if (!isObject(operation) || typeof operation.path !== 'string') throw fail('ожидался объект с полями op и path');
+        result = applyOperation(result, operation, fail);
+    });
+    return result;
+}
+
+// ===== JSON MERGE PATCH =====
+function containsNull(value) {
+    if (value === null) return true;
+    if (typeof value !== 'object') return false;
+    return Object.values(value).some(containsNull);
+}
+
+function diffMerge(a, b, keyPath) {
+    if (!isObject(a) || !isObject(b)) {
+        // null в Merge Patch означает удаление — задать значение null нельзя
+        if (b === null || (isObject(b) && containsNull(b))) {
+            throw patchError(`Merge Patch не может задать значение null (${keyPath || 'корень'}): используйте --format=json-patch`);
+        }
+        return clone(b);
+    }
+
+    const patch = {};
+    for (const key of Object.keys(a)) {
+        if (!hasOwn(b, key)) setOwn(patch, key, null);
+    }
+    for (const key of Object.keys(b)) {
+        const itemPath = keyPath ? `${keyPath}.${key}` : key;
+        if (!hasOwn(a, key)) {
+            setOwn(patch, key, diffMerge(undefined, b[key], itemPath));
+        } else if (!isEqual(a[key], b[key])) {
+            setOwn(patch, key, diffMerge(a[key], b[key], itemPath));
+        }
+    }
+    return patch;
+}
+
+/**
+ * Строит JSON Merge Patch: изменённые ключи, null для удалённых.
+ * Массивы заменяются целиком, как того требует RFC 7386
+ */
+function createMergePatch(a, b) {
+    return diffMerge(a, b, '');
+}
+
+function applyMergePatch(target, patch) {
+    if (!isObject(patch)) return clone(patch);
+    const result = isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) delete result[key];
+        else setOwn(result, key, applyMergePatch(hasOwn(result, key) ? result[key] : undefined, value));
+    }
+    return result;
+}
+
+// ===== ПРИМЕНЕНИЕ =====
+/**
+ * Применяет патч к документу: массив — JSON Patch, объект — JSON Merge Patch.
+ * Ошибка с conflict: true означает, что база разошлась с той, для которой строился патч
+ */
+function applyPatch(document, patch) {
+    if (Array.isArray(patch)) return applyJsonPatch(document, patch);
+    if (isObject(patch)) return applyMergePatch(document, patch);
+    throw patchError('Патч должен быть массивом операций (JSON Patch) или объектом (JSON Merge Patch)');
+}
+
+module.exports = {
+    createJsonPatch,
+    createMergePatch,
+    applyJsonPatch,
+    applyMergePatch,
+    applyPatch,
+    parsePointer,
+    isEqual,
+    clone,
+};
@@ -0,0 +1,42 @@
+/**
+ * Visual Change Impact Platform - шаблоны путей и регулярные выражения
+ * из файлов правил
+ */
+
+/**
+ * "/^port$/i" — регулярное выражение с флагами, иначе строка целиком
+ */
+function toRegExp(source) {
+    if (source instanceof RegExp) return source;
+    const match = String(source).match(/^\/(.*)\/([a-z]*)$/s);
+    return match ? new RegExp(match[1], match[2]) : new RegExp(source);
+}
+
+/**
+ * Glob по полному пути изменения: * — часть одного сегмента (до точки),
+ * ** — любое число сегментов. x.** подходит и к самому x: добавление или
+ * удаление объекта целиком — изменение его содержимого.
+ * Остальные символы, включая [ и ], буквальные
+ */
+function pathGlobToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        if (i > 0 && glob.endsWith('.**') && i === glob.length - 3) {
+            source += '(?:[.[].*)?';
+            i += 2;
+        } else if (glob.startsWith('**.', i)) {
+            source += '(?:.*\\.)?';
+            i += 2;
+        } else if (glob.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (glob[i] === '*') {
+            source += '[^.]*';
+        } else {
+            source += glob[i].replace(/[.+?^$()[\]{}|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+module.exports = { toRegExp, pathGlobToRegExp };
@@ -0,0 +1,131 @@
+/**
+ * Visual Change Impact Platform - политика для CI
+ * Порог уровня риска (--fail-on), лимит числа изменений (--max-changes)
+ * и правила политики из файла правил: запрет изменений и обязательные метки
+ */
+
+const { compileRule, matchChange } = require('./rules');
+const { LEVEL_IDS: LEVELS } = require('./labels');
+
+// Коды выхода CLI
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    policy: 2,
+    conflict: 3,
+};
+
+function toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Собирает политику из секции policy файла правил:
+ * { "failOn": "high", "maxChanges": 50, "rules": [{ "path": "database.**", "changeType": "removed", "deny": true }] }.
+ * Параметры командной строки важнее файла
+ */
+function createPolicy(config = {}, options = {}) {
+    const { origin = 'политика', labels = [] } = options;
+    const failOn = options.failOn || config.failOn || null;
+    const maxChanges = options.maxChanges !== undefined && options.maxChanges !== null
+        ? options.maxChanges
+        : config.maxChanges;
+
+    if (failOn && !LEVELS.includes(failOn)) {
+        throw new Error(`Неизвестный уровень для --fail-on: ${failOn}. Допустимо: ${LEVELS.join(', ')}`);
+    }
+    // Пустое --max-changes= не должно превращаться в Number('') === 0
+    if (maxChanges !== undefined && !/^\d+$/.test(String(maxChanges))) {
+        throw new Error(`--max-changes должно быть неотрицательным целым числом: ${maxChanges}`);
+    }
+
+    const rules = toArray(config.rules).map((rule, index) => {
+        const where = `${origin}: правило политики #${index + 1}${rule && rule.id ? ` (${rule.id})` : ''}`;
+        if (!rule || (!rule.deny && !rule.requireLabel)) {
+            throw new Error(`${where}: ожидается deny: true или requireLabel`);
+        }
+        return { ...compileRule(rule, where), requireLabels: toArray(rule.requireLabel) };
+    });
+
+    return {
+        failOn,
+        maxChanges: maxChanges === undefined ? null : Number(maxChanges),
+        labels,
+        rules,
+    };
+}
+
+function isActive(policy) {
+    return Boolean(policy.failOn || policy.maxChanges !== null || policy.rules.length);
+}
+
+/**
+ * Проверяет результаты анализа. entries — [{ file?, changes, impacts, error? }]:
+ * одна пара файлов или файлы каталога/диапазона коммитов.
+ * Файл с ошибкой разбора — нарушение типа error: его изменения неизвестны.
+ * Возвращает список нарушений { type, rule?, file?, path?, message }
+ */
+function evaluatePolicy(policy, entries) {
+    const violations = [];
+
+    for (const entry of entries) {
+        if (entry.error) {
+            violations.push({ type: 'error', file: entry.file, message: `Файл не проанализирован: ${entry.error}` });
+        }
+        for (const change of entry.changes) {
+            for (const rule of policy.rules) {
+                if (!matchChange(rule, change)) continue;
+                const id = rule.source.id;
+
+                if (rule.source.deny) {
+                    violations.push({
+                        type: 'deny',
+                        rule: id,
+                        file: entry.file,
+                        path: change.path,
+                        message: rule.source.message || `Изменение запрещено политикой (${change.type})`,
+                    });
+                } else if (!rule.requireLabels.some(label => policy.labels.includes(label))) {
+                    violations.push({
+                        type: 'label',
+                        rule: id,
+                        file: entry.file,
+                        path: change.path,
+                        message: rule.source.message || `Требуется метка: ${rule.requireLabels.join(' или ')}`,
+                    });
+                }
+            }
+        }
+    }
+
+    const changes = entries.flatMap(entry => entry.changes);
+    const impacts = entries.flatMap(entry => entry.impacts);
+
+    if (policy.failOn) {
+        const minIndex = LEVELS.indexOf(policy.failOn);
+        const blocking = impacts.filter(impact => LEVELS.indexOf(impact.level) >= minIndex);
+        if (blocking.length > 0) {
+            violations.push({
+                type: 'fail-on',
+                message: `Влияний уровня ${policy.failOn} и выше: ${blocking.length} (порог --fail-on=${policy.failOn})`,
+            });
+        }
+    }
+
+    if (policy.maxChanges !== null && changes.length > policy.maxChanges) {
+        violations.push({
+            type: 'max-changes',
+            message: `Изменений: ${changes.length} при лимите ${policy.maxChanges} (--max-changes)`,
+        });
+    }
+
+    return violations;
+}
+
+module.exports = {
+    EXIT_CODES,
+    createPolicy,
+    isActive,
+    evaluatePolicy,
+};
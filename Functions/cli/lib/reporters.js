@@ -0,0 +1,222 @@
+/**
+ * Visual Change Impact Platform - форматы отчётов
+ * SARIF 2.1.0 (GitHub code scanning), JUnit XML, аннотации GitHub Actions
+ * и отчёт GitLab Code Quality. Каждое влияние указывает на строку в файле B.
+ * HTML и Markdown — в html-report.js и markdown-report.js
+ */
+
+const crypto = require('crypto');
+const { toHtml } = require('./html-report');
+const { toMarkdown } = require('./markdown-report');
+
+const TOOL_NAME = 'impact-cli';
+const TOOL_URI = 'https://github.com/devilingodskin/impact-platform-json-cli';
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const GITHUB_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'notice' };
+const GITLAB_SEVERITIES = { critical: 'critical', high: 'major', medium: 'minor', low: 'info' };
+
+// ===== НАХОДКИ =====
+/**
+ * Плоский список находок из результатов анализа.
+ * entries — [{ file, source, impacts }], где file — путь для ссылки на строку,
+ * source — имя файла в нарушениях политики (в --git-range — файл@коммит);
+ * violations — нарушения или null
+ */
+function collectFindings(entries, violations) {
+    const findings = [];
+    for (const entry of entries) {
+        for (const impact of entry.impacts) {
+            findings.push({
+                file: entry.file,
+                source: entry.source || entry.file,
+                line: impact.line,
+                column: impact.column,
+                level: impact.level,
+                rule: impact.rule || 'impact',
+                title: impact.title,
+                message: [impact.title, impact.description, impact.recommendation].filter(Boolean).join('\n'),
+                path: impact.path,
+            });
+        }
+    }
+
+    for (const violation of violations || []) {
+        // Нарушение по конкретному ключу указывает туда же, куда и его влияние
+        const entry = entries.find(item => (item.source || item.file) === violation.file)
+            || (entries.length === 1 ? entries[0] : null);
+        const impact = entry && violation.path && entry.impacts.find(item => item.path === violation.path && item.line);
+        findings.push({
+            file: entry ? entry.file : violation.file,
+            source: violation.file || (entry && (entry.source || entry.file)),
+            line: impact ? impact.line : undefined,
+            column: impact ? impact.column : undefined,
+            level: 'critical',
+            rule: `policy:${violation.rule || violation.type}`,
+            title: 'Нарушение политики',
+            message: violation.message,
+            path: violation.path,
+            policy: true,
+        });
+    }
+    return findings;
+}
+
+/**
+ * Отпечатки находок: стабильны между запусками и уникальны в отчёте (GitLab требует).
+ * source различает один файл в разных коммитах --git-range, а совпавшие
+ * правило, файл и путь получают номер повтора
+ */
+function fingerprintsOf(findings) {
+    const seen = new Map();
+    return findings.map(finding => {
+        const key = [finding.rule, finding.source || finding.file, finding.path].join('\u0000');
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+        return crypto.createHash('sha256')
+            .update(count ? `${key}\u0000${count}` : key)
+            .digest('hex');
+    });
+}
+
+// ===== SARIF =====
+function toSarif(entries, violations, meta = {}) {
+    const findings = collectFindings(entries, violations);
+    const fingerprints = fingerprintsOf(findings);
+    const rules = [...new Set(findings.map(finding => finding.rule))].map(id => ({
+        id,
+        name: id,
+        shortDescription: { text: id.startsWith('policy:') ? 'Нарушение политики' : `Правило риска ${id}` },
+    }));
+
+    const results = findings.map((finding, index) => {
+        const result = {
+            ruleId: finding.rule,
+            level: finding.policy ? 'error' : SARIF_LEVELS[finding.level] || 'note',
+            message: { text: finding.message },
+            partialFingerprints: { impactPath: fingerprints[index] },
+            properties: { riskLevel: finding.level, path: finding.path },
+        };
+        if (finding.file) {
+            const physicalLocation = { artifactLocation: { uri: finding.file } };
+            if (finding.line) physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+            result.locations = [{ physicalLocation }];
+        }
+        return result;
+    });
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: TOOL_NAME, version: meta.version, informationUri: TOOL_URI, rules } },
+            results,
+        }],
+    };
+    return JSON.stringify(sarif, null, 2);
+}
+
+// ===== JUNIT XML =====
+// Управляющие символы (кроме табуляции и переводов строки), U+FFFE, U+FFFF
+// и непарные суррогаты в XML 1.0 недопустимы даже в виде ссылок &#...;
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Один testsuite на файл, одно проваленное testcase на влияние.
+ * Файл без рисков — одно успешное testcase, чтобы он был виден в отчёте CI
+ */
+function toJUnit(entries, violations) {
+    const findings = collectFindings(entries, violations);
+    const suites = new Map(entries.map(entry => [entry.file, []]));
+    for (const finding of findings) {
+        const name = finding.policy ? 'policy' : finding.file;
+        if (!suites.has(name)) suites.set(name, []);
+        suites.get(name).push(finding);
+    }
+
+    // tests — число записанных testcase, включая успешные у файлов без рисков
+    const tests = [...suites.values()].reduce((sum, items) => sum + Math.max(items.length, 1), 0);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${findings.length}">`);
+    for (const [name, items] of suites) {
+        lines.push(`  <testsuite name="${escapeXml(name)}" tests="${Math.max(items.length, 1)}" failures="${items.length}">`);
+        if (items.length === 0) {
+            lines.push(`    <testcase classname="${escapeXml(name)}" name="Рисков не обнаружено"/>`);
+        }
+        for (const finding of items) {
+            const where = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+            lines.push(`    <testcase classname="${escapeXml(name)}" name="${escapeXml(finding.title)}">`);
+            lines.push(`      <failure type="${escapeXml(finding.policy ? 'policy' : finding.level)}" message="${escapeXml(finding.title)}">${escapeXml([where, finding.rule, finding.message].filter(Boolean).join('\n'))}</failure>`);
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+// ===== GITHUB ACTIONS =====
+// Экранирование команд ::error/::warning: данные и значения свойств по-разному
+function escapeData(text) {
+    return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+    return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+function toGitHub(entries, violations) {
+    return collectFindings(entries, violations).map(finding => {
+        const command = finding.policy ? 'error' : GITHUB_LEVELS[finding.level] || 'notice';
+        const properties = [];
+        if (finding.file) properties.push(`file=${escapeProperty(finding.file)}`);
+        if (finding.line) properties.push(`line=${finding.line}`, `col=${finding.column || 1}`);
+        properties.push(`title=${escapeProperty(finding.policy ? finding.title : `[${finding.level}] ${finding.path}`)}`);
+        return `::${command} ${properties.join(',')}::${escapeData(finding.message)}`;
+    }).join('\n');
+}
+
+// ===== GITLAB CODE QUALITY =====
+function toGitLab(entries, violations) {
+    const findings = collectFindings(entries, violations);
+    const fingerprints = fingerprintsOf(findings);
+    const issues = findings.map((finding, index) => ({
+        type: 'issue',
+        check_name: finding.rule,
+        description: finding.message,
+        categories: ['Bug Risk'],
+        severity: finding.policy ? 'blocker' : GITLAB_SEVERITIES[finding.level] || 'info',
+        fingerprint: fingerprints[index],
+        location: {
+            path: finding.file || '.',
+            lines: { begin: finding.line || 1 },
+        },
+    }));
+    return JSON.stringify(issues, null, 2);
+}
+
+const REPORTERS = {
+    sarif: toSarif,
+    junit: toJUnit,
+    github: toGitHub,
+    gitlab: toGitLab,
+    html: toHtml,
+    markdown: toMarkdown,
+};
+
+module.exports = {
+    REPORTERS,
+    toSarif,
+    toJUnit,
+    toGitHub,
+    toGitLab,
+};
@@ -0,0 +1,467 @@
+/**
+ * Visual Change Impact Platform - правила оценки риска
+ * Уровень, категория и тексты влияния определяются упорядоченным списком правил.
+ * Правила проекта (.impactrc, impact.rules.json) проверяются раньше правил по умолчанию
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lastPathKey, pathLabel } = require('./compare');
+const { loadFile } = require('./loader');
+const { createAnalyzers, analyzeValue } = require('./analyzers');
+const { toRegExp, pathGlobToRegExp } = require('./patterns');
+const { createSecretMatcher } = require('./secrets');
+const { LEVEL_IDS: LEVELS } = require('./labels');
+
+// ignore — изменение не попадает в отчёт
+const RULE_LEVELS = [...LEVELS, 'ignore'];
+const CHANGE_TYPES = ['added', 'removed', 'modified', 'moved'];
+const WHEN = ['increased', 'decreased', 'typeChanged'];
+const TEXT_FIELDS = ['category', 'title', 'description', 'recommendation'];
+
+const RULES_FILES = ['.impactrc', '.impactrc.json', '.impactrc.yaml', '.impactrc.yml', 'impact.rules.json'];
+
+// ===== ПРАВИЛА ПО УМОЛЧАНИЮ =====
+const CRITICAL_KEYS = [
+    '/^(api[_-]?key|secret|password|token|auth)/i',
+    '/^(database|db)[_.-](host|url|connection)/i',
+    '/^required/i',
+    '/^(enabled?|disabled?|active)$/i',
+];
+
+const HIGH_KEYS = [
+    '/timeout/i',
+    '/limit/i',
+    '/max[_-]?/i',
+    '/min[_-]?/i',
+    '/threshold/i',
+    '/retry/i',
+    '/^(port|host|endpoint|url)$/i',
+];
+
+const MEDIUM_KEYS = [
+    '/^(name|type|version|format|encoding|locale|timezone)$/i',
+];
+
+/**
+ * Для каждого поля влияния берётся значение первого подходящего правила,
+ * в котором это поле задано. Поэтому частные правила идут раньше общих
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'flag-toggled',
+        changeType: 'modified',
+        key: '/^(enabled?|disabled?|active)$/i',
+        level: 'critical',
+        description: 'Изменён флаг активности: {oldValue} → {newValue}',
+        recommendation: 'Критическое изменение. Проверьте влияние на работу системы.',
+    },
+    {
+        id: 'connection-changed',
+        changeType: 'modified',
+        key: '/^(port|host)$/i',
+        level: 'high',
+        description: 'Изменены параметры подключения: {oldValue} → {newValue}',
+        recommendation: 'Убедитесь, что новые параметры корректны и доступны.',
+    },
+    {
+        id: 'timeout-decreased',
+        changeType: 'modified',
+        key: '/timeout/i',
+        when: 'decreased',
+        description: 'Таймаут уменьшен с {oldValue} до {newValue}. Возможны ошибки по таймауту.',
+        recommendation: 'Убедитесь, что новое значение достаточно для выполнения операций.',
+    },
+    {
+        id: 'timeout-increased',
+        changeType: 'modified',
+        key: '/timeout/i',
+        when: 'increased',
+        description: 'Таймаут увеличен с {oldValue} до {newValue}.',
+    },
+    { id: 'critical-keys', key: CRITICAL_KEYS, level: 'critical', category: 'security' },
+    {
+        id: 'type-changed',
+        changeType: 'modified',
+        when: 'typeChanged',
+        level: 'high',
+        description: 'Изменён тип данных с {oldType} на {newType}',
+    },
+    { id: 'high-keys', key: HIGH_KEYS, level: 'high', category: 'performance' },
+    { id: 'medium-keys', key: MEDIUM_KEYS, level: 'medium', category: 'configuration' },
+    {
+        id: 'sensitive-added',
+        changeType: 'added',
+        key: [...CRITICAL_KEYS, ...HIGH_KEYS],
+        description: 'Новое поле в конфигурации. Требует внимания при развёртывании.',
+        recommendation: 'Проверьте, что все компоненты поддерживают новое поле.',
+    },
+    {
+        id: 'sensitive-moved',
+        changeType: 'moved',
+        key: [...CRITICAL_KEYS, ...HIGH_KEYS],
+        recommendation: 'Проверьте, что порядок элементов не влияет на обработку.',
+    },
+    {
+        id: 'file-removed',
+        changeType: 'removed',
+        path: '',
+        level: 'high',
+        title: 'Удалён файл конфигурации',
+        description: 'Файл удалён целиком: все его настройки перестанут действовать.',
+        recommendation: 'Убедитесь, что файл больше не читается ни одним окружением.',
+    },
+    {
+        id: 'file-added',
+        changeType: 'added',
+        path: '',
+        level: 'medium',
+        title: 'Добавлен файл конфигурации',
+        description: 'Новый файл: его настройки начнут действовать целиком.',
+    },
+    {
+        id: 'removed',
+        changeType: 'removed',
+        level: 'medium',
+        title: 'Удалено поле: {label}',
+        description: 'Удаление поля может привести к ошибкам в коде, который его использует.',
+        recommendation: 'Убедитесь, что это поле больше не используется в системе.',
+    },
+    {
+        id: 'added',
+        changeType: 'added',
+        title: 'Добавлено поле: {label}',
+        description: 'Новое поле в конфигурации.',
+    },
+    {
+        id: 'modified',
+        changeType: 'modified',
+        title: 'Изменено значение: {label}',
+        description: 'Значение изменено с "{oldValue}" на "{newValue}"',
+    },
+    {
+        id: 'moved',
+        changeType: 'moved',
+        title: 'Перемещён элемент: {label}',
+        description: 'Позиция элемента в списке изменена с {fromIndex} на {toIndex}.',
+    },
+];
+
+// ===== КОМПИЛЯЦИЯ =====
+function toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Условие на значение: литерал (равенство) или объект с операторами
+ * equals, notEquals, in, matches, type, exists, lt, lte, gt, gte
+ */
+function compileCondition(condition, where) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return value => value !== undefined && JSON.stringify(value) === JSON.stringify(condition);
+    }
+
+    const checks = Object.entries(condition).map(([operator, expected]) => {
+        switch (operator) {
+            case 'equals':
+                return value => JSON.stringify(value) === JSON.stringify(expected);
+            case 'notEquals':
+                return value => JSON.stringify(value) !== JSON.stringify(expected);
+            case 'in':
+                return value => toArray(expected).some(item => JSON.stringify(item) === JSON.stringify(value));
+            case 'matches': {
+                const patterns = toArray(expected).map(toRegExp);
+                return value => value !== undefined && patterns.some(re => re.test(String(value)));
+            }
+            case 'type':
+                return value => toArray(expected).includes(typeOf(value));
+            case 'exists':
+                return value => (value !== undefined) === Boolean(expected);
+            case 'lt':
+                return value => typeof value === 'number' && value < expected;
+            case 'lte':
+                return value => typeof value === 'number' && value <= expected;
+            case 'gt':
+                return value => typeof value === 'number' && value > expected;
+            case 'gte':
+                return value => typeof value === 'number' && value >= expected;
+            default:
+                throw new Error(`${where}: неизвестный оператор условия «${operator}»`);
+        }
+    });
+    return value => checks.every(check => check(value));
+}
+
+function compileRule(rule, where) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${where}: правило должно быть объектом`);
+    }
+    if (rule.level !== undefined && !RULE_LEVELS.includes(rule.level)) {
+        throw new Error(`${where}: неизвестный уровень «${rule.level}». Допустимо: ${RULE_LEVELS.join(', ')}`);
+    }
+    const changeTypes = toArray(rule.changeType);
+    const unknownType = changeTypes.find(type => !CHANGE_TYPES.includes(type));
+    if (unknownType) {
+        throw new Error(`${where}: неизвестный тип изменения «${unknownType}». Допустимо: ${CHANGE_TYPES.join(', ')}`);
+    }
+    if (rule.when !== undefined && !WHEN.includes(rule.when)) {
+        throw new Error(`${where}: неизвестное значение when «${rule.when}». Допустимо: ${WHEN.join(', ')}`);
+    }
+
+    let pathPatterns;
+    let keyPatterns;
+    try {
+        pathPatterns = [
+            ...toArray(rule.path).map(pathGlobToRegExp),
+            ...toArray(rule.pathRegex).map(toRegExp),
+        ];
+        keyPatterns = toArray(rule.key).map(toRegExp);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+
+    return {
+        source: rule,
+        changeTypes,
+        pathPatterns,
+        keyPatterns,
+        when: rule.when,
+        oldValue: rule.oldValue === undefined ? null : compileCondition(rule.oldValue, where),
+        newValue: rule.newValue === undefined ? null : compileCondition(rule.newValue, where),
+    };
+}
+
+/**
+ * Собирает набор правил: правила проекта, затем (если не отключены) правила по умолчанию.
+ * Секция analyzers настраивает анализаторы значений (lib/analyzers.js),
+ * secrets — дополнительные секретные ключи и пути (lib/secrets.js),
+ * policy сохраняется как есть и проверяется в lib/policy.js,
+ * history — политика хранения истории сравнений (lib/history.js)
+ */
+function compileRules(config = {}, origin = 'правила', file = null) {
+    const rules = Array.isArray(config) ? config : toArray(config.rules);
+    const useDefaults = Array.isArray(config) || config.defaults !== false;
+
+    const compiled = rules.map((rule, index) => compileRule(rule, `${origin}: правило #${index + 1}${rule && rule.id ? ` (${rule.id})` : ''}`));
+    if (useDefaults) {
+        compiled.push(...DEFAULT_RULES.map(rule => ({ ...compileRule(rule, `правило по умолчанию ${rule.id}`), builtin: true })));
+    }
+
+    const sections = Array.isArray(config) ? {} : config;
+    let analyzers;
+    let secrets;
+    try {
+        analyzers = createAnalyzers(sections.analyzers, file ? path.dirname(file) : process.cwd());
+        secrets = createSecretMatcher(sections.secrets);
+    } catch (error) {
+        throw new Error(`${origin}: ${error.message}`);
+    }
+    return { origin, file, rules: compiled, analyzers, secrets, policy: sections.policy || {}, history: sections.history || {} };
+}
+
+const DEFAULT_RULE_SET = compileRules({}, 'правила по умолчанию');
+
+// ===== ПОИСК ФАЙЛА ПРАВИЛ =====
+/**
+ * Ищет файл правил в каталоге startDir и выше по дереву
+ */
+function findRulesFile(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        for (const name of RULES_FILES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Пути, которые проверяет findRulesFile, от startDir до каталога найденного
+ * файла found (без него — до корня): появление любого из них меняет действующие правила
+ */
+function rulesFileCandidates(startDir = process.cwd(), found = null) {
+    const candidates = [];
+    let dir = path.resolve(startDir);
+    for (;;) {
+        candidates.push(...RULES_FILES.map(name => path.join(dir, name)));
+        const parent = path.dirname(dir);
+        if ((found && path.dirname(found) === dir) || parent === dir) return candidates;
+        dir = parent;
+    }
+}
+
+/**
+ * Загружает правила: явный путь (--rules=), найденный файл или только правила по умолчанию
+ */
+function loadRules(options = {}) {
+    const { rulesPath, cwd } = options;
+    const file = rulesPath || findRulesFile(cwd);
+    if (!file) return DEFAULT_RULE_SET;
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Файл правил не найден: ${file}`);
+    }
+    // .impactrc без расширения может быть JSON или YAML — формат определяется по содержимому
+    const config = loadFile(file);
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${file}: ожидается объект с полем rules или массив правил`);
+    }
+    return compileRules(config, file, file);
+}
+
+// ===== ПРИМЕНЕНИЕ =====
+function formatTemplateValue(value) {
+    if (value === undefined) return '';
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function changeValues(change) {
+    return {
+        oldValue: change.type === 'removed' ? change.value : change.oldValue,
+        newValue: change.type === 'added' ? change.value : change.newValue,
+    };
+}
+
+function matchesWhen(when, oldValue, newValue) {
+    if (when === 'typeChanged') return typeOf(oldValue) !== typeOf(newValue);
+
+    const oldNumber = Number(oldValue);
+    const newNumber = Number(newValue);
+    if (typeof oldValue === 'object' || typeof newValue === 'object' || isNaN(oldNumber) || isNaN(newNumber)) {
+        return false;
+    }
+    return when === 'decreased' ? newNumber < oldNumber : newNumber > oldNumber;
+}
+
+function ruleMatches(rule, change, key, values) {
+    if (rule.changeTypes.length && !rule.changeTypes.includes(change.type)) return false;
+    if (rule.pathPatterns.length && !rule.pathPatterns.some(re => re.test(change.path))) return false;
+    if (rule.keyPatterns.length && !rule.keyPatterns.some(re => re.test(key))) return false;
+    if (rule.when && (change.type !== 'modified' || !matchesWhen(rule.when, values.oldValue, values.newValue))) return false;
+    if (rule.oldValue && !rule.oldValue(values.oldValue)) return false;
+    if (rule.newValue && !rule.newValue(values.newValue)) return false;
+    return true;
+}
+
+/**
+ * Подходит ли изменение под условия правила (path, key, changeType, when, oldValue, newValue)
+ */
+function matchChange(rule, change) {
+    return ruleMatches(rule, change, lastPathKey(change.path), changeValues(change));
+}
+
+function render(template, context) {
+    return template.replace(/\{\{|\}\}|\{(\w+)\}/g, (all, name) => {
+        if (!name) return all[0];
+        return name in context ? formatTemplateValue(context[name]) : all;
+    });
+}
+
+// {{ и }} в шаблоне — буквальные фигурные скобки
+function escapeTemplate(text) {
+    return text === undefined ? undefined : text.replace(/[{}]/g, '$&$&');
+}
+
+/**
+ * Оценивает влияние изменений по набору правил. hints(change) — необязательные
+ * источники оценки важнее любых правил (аннотации схемы, lib/schema-impact.js)
+ */
+function analyzeImpact(changes, ruleSet = DEFAULT_RULE_SET, hints = null) {
+    const impacts = [];
+
+    for (const change of changes) {
+        const key = lastPathKey(change.path);
+        const values = changeValues(change);
+        const resolved = {};
+        const matched = [];
+        const merge = source => {
+            for (const field of ['level', ...TEXT_FIELDS]) {
+                if (resolved[field] === undefined && source[field] !== undefined) {
+                    resolved[field] = source[field];
+                }
+            }
+        };
+
+        // Вывод анализатора значений важнее встроенных правил, но уступает правилам проекта:
+        // его уровень заменяет уровень встроенных правил в обе стороны
+        const finding = analyzeValue(ruleSet.analyzers || [], change, key);
+        let findingApplied = !finding;
+        const applyFinding = () => {
+            // Описание анализатора уже содержит значения — подстановки к нему не применяются
+            merge({ ...finding, description: escapeTemplate(finding.description), recommendation: escapeTemplate(finding.recommendation) });
+            matched.push({ source: { id: `analyzer:${finding.analyzer}`, level: finding.level } });
+            findingApplied = true;
+        };
+
+        for (const hint of hints ? hints(change) : []) {
+            matched.push({ source: hint });
+            merge(hint);
+        }
+
+        for (const rule of ruleSet.rules) {
+            if (!ruleMatches(rule, change, key, values)) continue;
+            if (rule.builtin && !findingApplied) applyFinding();
+            matched.push(rule);
+            merge(rule.source);
+        }
+        if (!findingApplied) applyFinding();
+
+        const level = resolved.level || 'low';
+        if (level === 'ignore') continue;
+        // Изменения с низким риском пропускаем, кроме удалений
+        if (level === 'low' && change.type !== 'removed') continue;
+
+        const context = {
+            path: change.path,
+            label: pathLabel(change.path),
+            key,
+            type: change.type,
+            value: change.value,
+            oldValue: values.oldValue,
+            newValue: values.newValue,
+            oldType: typeOf(values.oldValue),
+            newType: typeOf(values.newValue),
+            fromIndex: change.fromIndex,
+            toIndex: change.toIndex,
+        };
+        // Правило, определившее уровень, — для отладки собственных правил
+        const levelRule = matched.find(rule => rule.source.level !== undefined);
+
+        impacts.push({
+            level,
+            path: change.path,
+            title: render(resolved.title || '{label}', context),
+            description: render(resolved.description || '', context),
+            recommendation: render(resolved.recommendation || '', context),
+            changeType: change.type,
+            category: resolved.category || 'general',
+            rule: levelRule ? levelRule.source.id : undefined,
+            analysis: finding ? { analyzer: finding.analyzer, ...finding.details } : undefined,
+        });
+    }
+
+    return impacts;
+}
+
+module.exports = {
+    RULE_LEVELS,
+    DEFAULT_RULES,
+    compileRule,
+    compileRules,
+    matchChange,
+    findRulesFile,
+    rulesFileCandidates,
+    loadRules,
+    analyzeImpact,
+};
@@ -0,0 +1,276 @@
+/**
+ * Visual Change Impact Platform - сравнение двух версий JSON Schema
+ * Изменение ломающее (breaking), если конфигурация, проходившая старую схему,
+ * может не пройти новую: новое обязательное поле, сужение типа, удалённое
+ * значение enum, ужесточённая граница. Ослабления — неломающие
+ */
+
+const { isPlainObject, joinKey } = require('./compare');
+const { isEqual } = require('./patch');
+const { pointerToken } = require('./schema');
+
+// Повышение нижней границы и понижение верхней — ломающие изменения
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties', 'minContains'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties', 'maxContains'];
+// Появление или изменение ограничения — ломающее, снятие — нет
+const CONSTRAINTS = ['const', 'pattern', 'format', 'multipleOf'];
+// Подсхемы, которые не разбираются по частям: любое их изменение считается ломающим
+const OPAQUE = [
+    'anyOf', 'oneOf', 'not', 'if', 'then', 'else', 'contains', 'propertyNames',
+    'dependentRequired', 'dependentSchemas', 'unevaluatedProperties', 'unevaluatedItems',
+];
+
+function describe(value) {
+    return JSON.stringify(value);
+}
+
+function typesOf(schema) {
+    if (schema.type === undefined) return null;
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function acceptsType(types, type) {
+    return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+// ===== СРАВНЕНИЕ =====
+class SchemaDiff {
+    constructor(before, after) {
+        this.before = before;
+        this.after = after;
+        this.changes = [];
+        // Пары уже сравниваемых подсхем — защита от рекурсивных $ref
+        this.visited = new Map();
+    }
+
+    report(location, keyword, breaking, message, schemaPath = `${location.schemaPath}/${keyword}`) {
+        this.changes.push({
+            path: location.path,
+            schemaPath,
+            keyword,
+            breaking,
+            message,
+        });
+    }
+
+    // Подсхема с разрешённым $ref: соседние ключевые слова дополняют цель ссылки
+    expand(schema, source, depth = 0) {
+        if (!isPlainObject(schema) || typeof schema.$ref !== 'string' || depth > 64) return schema;
+        const { $ref, ...rest } = schema;
+        const target = this.expand(source.resolve($ref, schema), source, depth + 1);
+        if (!isPlainObject(target)) return Object.keys(rest).length ? rest : target;
+        return { ...target, ...rest };
+    }
+
+    seen(a, b) {
+        if (!isPlainObject(a) || !isPlainObject(b)) return false;
+        if (!this.visited.has(a)) this.visited.set(a, new Set());
+        const pairs = this.visited.get(a);
+        if (pairs.has(b)) return true;
+        pairs.add(b);
+        return false;
+    }
+
+    compare(rawA, rawB, location) {
+        if (this.seen(rawA, rawB)) return;
+        const a = this.expand(rawA === undefined ? true : rawA, this.before);
+        const b = this.expand(rawB === undefined ? true : rawB, this.after);
+        if (isEqual(a, b)) return;
+
+        if (b === false) {
+            this.report(location, 'false', true, 'Значение запрещено новой схемой');
+            return;
+        }
+        if (a === false) {
+            this.report(location, 'false', false, 'Значение, запрещённое старой схемой, теперь допустимо');
+            return;
+        }
+        const before = a === true ? {} : a;
+        const after = b === true ? {} : b;
+
+        this.compareTypes(before, after, location);
+        this.compareEnum(before, after, location);
+        this.compareBounds(before, after, location);
+        this.compareConstraints(before, after, location);
+        this.compareObjects(before, after, location);
+        this.compareArrays(before, after, location);
+        this.compareCombinators(before, after, location);
+
+        if (before.deprecated !== true && after.deprecated === true) {
+            this.report(location, 'deprecated', false, 'Поле помечено как устаревшее');
+        }
+    }
+
+    compareTypes(a, b, location) {
+        const before = typesOf(a);
+        const after = typesOf(b);
+        if (!after) {
+            if (before) this.report(location, 'type', false, `Снято ограничение типа ${before.join(' | ')}`);
+            return;
+        }
+        if (!before) {
+            this.report(location, 'type', true, `Введено ограничение типа: ${after.join(' | ')}`);
+            return;
+        }
+        const removed = before.filter(type => !acceptsType(after, type));
+        const added = after.filter(type => !acceptsType(before, type));
+        if (removed.length) this.report(location, 'type', true, `Тип сужен: ${before.join(' | ')} → ${after.join(' | ')}`);
+        else if (added.length) this.report(location, 'type', false, `Тип расширен: ${before.join(' | ')} → ${after.join(' | ')}`);
+    }
+
+    compareEnum(a, b, location) {
+        const before = Array.isArray(a.enum) ? a.enum : null;
+        const after = Array.isArray(b.enum) ? b.enum : null;
+        if (!before && !after) return;
+        if (!after) {
+            this.report(location, 'enum', false, 'Снято ограничение enum');
+            return;
+        }
+        if (!before) {
+            this.report(location, 'enum', true, `Введено ограничение enum: ${after.map(describe).join(', ')}`);
+            return;
+        }
+        const removed = before.filter(value => !after.some(item => isEqual(item, value)));
+        const added = after.filter(value => !before.some(item => isEqual(item, value)));
+        if (removed.length) this.report(location, 'enum', true, `Удалены значения enum: ${removed.map(describe).join(', ')}`);
+        if (added.length) this.report(location, 'enum', false, `Добавлены значения enum: ${added.map(describe).join(', ')}`);
+    }
+
+    compareBounds(a, b, location) {
+        const check = (keyword, tighter) => {
+            const before = typeof a[keyword] === 'number' ? a[keyword] : undefined;
+            const after = typeof b[keyword] === 'number' ? b[keyword] : undefined;
+            if (before === after) return;
+            if (after === undefined) {
+                this.report(location, keyword, false, `Снято ограничение ${keyword} (было ${before})`);
+            } else if (before === undefined) {
+                this.report(location, keyword, true, `Введено ограничение ${keyword}: ${after}`);
+            } else {
+                const breaking = tighter(before, after);
+                this.report(location, keyword, breaking, `${keyword} ${breaking ? 'ужесточён' : 'ослаблен'}: ${before} → ${after}`);
+            }
+        };
+        LOWER_BOUNDS.forEach(keyword => check(keyword, (before, after) => after > before));
+        UPPER_BOUNDS.forEach(keyword => check(keyword, (before, after) => after < before));
+    }
+
+    compareConstraints(a, b, location) {
+        for (const keyword of CONSTRAINTS) {
+            const before = a[keyword];
+            const after = b[keyword];
+            if (isEqual(before, after)) continue;
+            if (after === undefined) this.report(location, keyword, false, `Снято ограничение ${keyword}: ${describe(before)}`);
+            else if (before === undefined) this.report(location, keyword, true, `Введено ограничение ${keyword}: ${describe(after)}`);
+            else this.report(location, keyword, true, `Изменено ограничение ${keyword}: ${describe(before)} → ${describe(after)}`);
+        }
+        if (a.uniqueItems !== true && b.uniqueItems === true) {
+            this.report(location, 'uniqueItems', true, 'Элементы массива должны быть уникальными');
+        } else if (a.uniqueItems === true && b.uniqueItems !== true) {
+            this.report(location, 'uniqueItems', false, 'Снято требование уникальности элементов');
+        }
+    }
+
+    compareObjects(a, b, location) {
+        const requiredA = Array.isArray(a.required) ? a.required : [];
+        const requiredB = Array.isArray(b.required) ? b.required : [];
+        requiredB.filter(field => !requiredA.includes(field)).forEach(field => this.report(
+            { ...location, path: joinKey(location.path, field) }, 'required', true, `Новое обязательное поле: ${field}`,
+        ));
+        requiredA.filter(field => !requiredB.includes(field)).forEach(field => this.report(
+            { ...location, path: joinKey(location.path, field) }, 'required', false, `Поле ${field} больше не обязательно`,
+        ));
+
+        const propertiesA = isPlainObject(a.properties) ? a.properties : {};
+        const propertiesB = isPlainObject(b.properties) ? b.properties : {};
+        const keys = [...new Set([...Object.keys(propertiesA), ...Object.keys(propertiesB)])];
+        for (const key of keys) {
+            const propertyLocation = {
+                path: joinKey(location.path, key),
+                schemaPath: `${location.schemaPath}/properties/${pointerToken(key)}`,
+            };
+            if (!(key in propertiesB)) {
+                // Без описания поле подчиняется additionalProperties новой схемы
+                if (b.additionalProperties === false) {
+                    this.report(propertyLocation, 'additionalProperties', true, `Поле ${key} больше не допускается`, `${location.schemaPath}/additionalProperties`);
+                } else if (b.additionalProperties === undefined || b.additionalProperties === true) {
+                    this.report(propertyLocation, 'properties', false, `Описание поля ${key} удалено: значение больше не проверяется`, propertyLocation.schemaPath);
+                } else {
+                    this.compare(propertiesA[key], b.additionalProperties, propertyLocation);
+                }
+            } else if (!(key in propertiesA)) {
+                const message = a.additionalProperties === false ? `Разрешено новое поле: ${key}` : `Описано новое поле: ${key}`;
+                this.report(propertyLocation, 'properties', false, message, propertyLocation.schemaPath);
+            } else {
+                this.compare(propertiesA[key], propertiesB[key], propertyLocation);
+            }
+        }
+
+        const patternsA = isPlainObject(a.patternProperties) ? a.patternProperties : {};
+        const patternsB = isPlainObject(b.patternProperties) ? b.patternProperties : {};
+        for (const source of [...new Set([...Object.keys(patternsA), ...Object.keys(patternsB)])]) {
+            this.compare(patternsA[source], patternsB[source], {
+                path: location.path,
+                schemaPath: `${location.schemaPath}/patternProperties/${pointerToken(source)}`,
+            });
+        }
+
+        if (!isEqual(a.additionalProperties, b.additionalProperties)) {
+            if (b.additionalProperties === false) {
+                this.report(location, 'additionalProperties', true, 'Поля, не описанные в схеме, запрещены');
+            } else if (a.additionalProperties === false) {
+                this.report(location, 'additionalProperties', false, 'Разрешены поля, не описанные в схеме');
+            } else {
+                this.compare(a.additionalProperties, b.additionalProperties, {
+                    path: joinKey(location.path, '*'),
+                    schemaPath: `${location.schemaPath}/additionalProperties`,
+                });
+            }
+        }
+    }
+
+    compareArrays(a, b, location) {
+        const prefixA = Array.isArray(a.prefixItems) ? a.prefixItems : [];
+        const prefixB = Array.isArray(b.prefixItems) ? b.prefixItems : [];
+        for (let index = 0; index < Math.max(prefixA.length, prefixB.length); index++) {
+            // За пределами prefixItems элемент проверяется схемой items
+            this.compare(
+                index < prefixA.length ? prefixA[index] : a.items,
+                index < prefixB.length ? prefixB[index] : b.items,
+                { path: `${location.path}[${index}]`, schemaPath: `${location.schemaPath}/prefixItems/${index}` },
+            );
+        }
+        if (!isEqual(a.items, b.items)) {
+            this.compare(a.items, b.items, { path: `${location.path}[*]`, schemaPath: `${location.schemaPath}/items` });
+        }
+    }
+
+    compareCombinators(a, b, location) {
+        const allOfA = Array.isArray(a.allOf) ? a.allOf : [];
+        const allOfB = Array.isArray(b.allOf) ? b.allOf : [];
+        // allOf одной длины сравнивается по частям, иначе — целиком
+        const parts = allOfA.length === allOfB.length;
+        if (parts) {
+            allOfA.forEach((sub, index) => this.compare(sub, allOfB[index], { ...location, schemaPath: `${location.schemaPath}/allOf/${index}` }));
+        }
+        for (const keyword of parts ? OPAQUE : ['allOf', ...OPAQUE]) {
+            if (isEqual(a[keyword], b[keyword])) continue;
+            if (b[keyword] === undefined) this.report(location, keyword, false, `Снято условие ${keyword}`);
+            else this.report(location, keyword, true, `Изменено условие ${keyword} — подробно не сравнивается, считается ломающим`);
+        }
+    }
+}
+
+/**
+ * Сравнивает две схемы (результаты loadSchema из lib/schema.js).
+ * Возвращает [{ path, schemaPath, keyword, breaking, message }]:
+ * path — путь в конфигурации, schemaPath — путь в схеме (для удалённого — в старой)
+ */
+function diffSchemas(before, after) {
+    const diff = new SchemaDiff(before, after);
+    diff.compare(before.schema, after.schema, { path: '', schemaPath: '#' });
+    return diff.changes;
+}
+
+module.exports = {
+    diffSchemas,
+};
@@ -0,0 +1,147 @@
+/**
+ * Visual Change Impact Platform - оценка риска по аннотациям JSON Schema
+ * deprecated, readOnly, required и собственные ключевые слова x-impact-level,
+ * x-impact-recommendation уточняют оценку правил (lib/rules.js): схема знает
+ * о поле больше, чем эвристики по имени ключа
+ */
+
+const { parsePath, joinKey, joinIndex, joinMatch } = require('./compare');
+const { isEqual } = require('./patch');
+const { RULE_LEVELS } = require('./rules');
+
+// ===== ПУТИ =====
+/**
+ * Пути экземпляра от корня до изменённого поля в нотации валидатора.
+ * Элементы массивов, сопоставленные по ключу ([name=auth]), схема видит
+ * по индексу — он берётся из документа. null, если пути в документе нет
+ */
+function instancePaths(documents, changePath, prefixed) {
+    const segments = parsePath(changePath);
+    let current = documents[0];
+    let currentPath = '';
+    if (prefixed) {
+        const docSegment = segments.shift();
+        if (!docSegment) return [''];
+        current = documents[docSegment.value];
+        currentPath = joinMatch('', 'doc', docSegment.value);
+    }
+
+    const paths = [currentPath];
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object') return null;
+        if (segment.type === 'match') {
+            const index = Array.isArray(current)
+                ? current.findIndex(item => item && typeof item === 'object' && isEqual(item[segment.key], segment.value))
+                : -1;
+            if (index < 0) return null;
+            current = current[index];
+            currentPath = joinIndex(currentPath, index);
+        } else if (segment.type === 'index') {
+            current = current[segment.index];
+            currentPath = joinIndex(currentPath, segment.index);
+        } else {
+            current = current[segment.key];
+            currentPath = joinKey(currentPath, segment.key);
+        }
+        paths.push(currentPath);
+    }
+    return paths;
+}
+
+// ===== АННОТАЦИИ =====
+/**
+ * Собирает аннотации всех документов файла. В многодокументном YAML
+ * пути получают префикс [doc=N], как при сравнении
+ */
+function collectAnnotations(schema, documents, prefixed) {
+    const annotations = new Map();
+    documents.forEach((doc, index) => {
+        schema.annotate(doc, prefixed ? joinMatch('', 'doc', index) : '').forEach((values, key) => {
+            if (values.level !== undefined && !RULE_LEVELS.includes(values.level)) {
+                throw new Error(`Схема, x-impact-level для ${key || 'корня'}: неизвестный уровень «${values.level}». Допустимо: ${RULE_LEVELS.join(', ')}`);
+            }
+            annotations.set(key, values);
+        });
+    });
+    return annotations;
+}
+
+function lookup(side, changePath) {
+    const paths = instancePaths(side.documents, changePath, side.prefixed);
+    if (!paths) return { own: {}, inherited: {} };
+    const own = side.annotations.get(paths[paths.length - 1]) || {};
+    // x-impact-level и x-impact-recommendation наследуются от ближайшего размеченного предка
+    const inherited = {};
+    for (const instancePath of paths.slice().reverse()) {
+        const values = side.annotations.get(instancePath) || {};
+        for (const field of ['level', 'recommendation']) {
+            if (inherited[field] === undefined && values[field] !== undefined) inherited[field] = values[field];
+        }
+    }
+    return { own, inherited };
+}
+
+// ===== ПРАВИЛА ИЗ СХЕМЫ =====
+/**
+ * Источники оценки для одного изменения в порядке важности — их поля
+ * analyzeImpact берёт раньше полей любых правил
+ */
+function hintsFor(change, sideA, sideB) {
+    const before = lookup(sideA, change.path);
+    const after = change.type === 'removed' ? before : lookup(sideB, change.path);
+    const hints = [];
+
+    // Удаление обязательного поля критично всегда, что бы ни говорили x-impact-*
+    if (change.type === 'removed' && before.own.required) {
+        hints.push({
+            id: 'schema:required-removed',
+            level: 'critical',
+            category: 'schema',
+            title: 'Удалено обязательное поле: {label}',
+            description: 'Схема требует наличия поля (required). Без него конфигурация не пройдёт проверку.',
+            recommendation: 'Верните поле или сначала уберите его из required в схеме и из кода, который его читает.',
+        });
+    }
+
+    const override = { ...before.inherited, ...after.inherited };
+    if (override.level !== undefined || override.recommendation !== undefined) {
+        hints.push({ id: 'schema:x-impact', ...override });
+    }
+
+    if (change.type === 'added' && after.own.deprecated === true) {
+        hints.push({
+            id: 'schema:deprecated-added',
+            level: 'medium',
+            category: 'schema',
+            title: 'Добавлено устаревшее поле: {label}',
+            description: 'Поле помечено в схеме как deprecated и может быть удалено в следующих версиях.',
+            recommendation: 'Используйте замену, указанную в описании схемы.',
+        });
+    }
+    if (change.type === 'modified' && (after.own.readOnly === true || before.own.readOnly === true)) {
+        hints.push({
+            id: 'schema:readonly-modified',
+            level: 'high',
+            category: 'schema',
+            title: 'Изменено поле только для чтения: {label}',
+            description: 'Поле помечено в схеме как readOnly: значение задаётся системой, а не вручную ("{oldValue}" → "{newValue}").',
+            recommendation: 'Верните прежнее значение {oldValue} или убедитесь, что изменение согласовано с владельцем поля.',
+        });
+    }
+    return hints;
+}
+
+/**
+ * Подсказки схемы для analyzeImpact: hints(change) → [{ id, level, title, ... }].
+ * docsA и docsB — документы сравниваемых файлов, schema — результат compileSchema
+ */
+function createSchemaHints(schema, docsA, docsB) {
+    const prefixed = docsA.length > 1 || docsB.length > 1;
+    const sideA = { documents: docsA, prefixed, annotations: collectAnnotations(schema, docsA, prefixed) };
+    const sideB = { documents: docsB, prefixed, annotations: collectAnnotations(schema, docsB, prefixed) };
+    return change => hintsFor(change, sideA, sideB);
+}
+
+module.exports = {
+    createSchemaHints,
+};
@@ -0,0 +1,93 @@
+/**
+ * Visual Change Impact Platform - построение JSON Schema по конфигурации
+ * Каждый документ (и каждый элемент массива) — образец значения: тип
+ * выводится по всем образцам, обязательные поля — те, что есть во всех
+ * объектах, enum — для строк с малым числом повторяющихся значений
+ */
+
+const { isPlainObject, joinKey, joinIndex } = require('./compare');
+const { isSecretPath } = require('./secrets');
+const { schemaTypeOf } = require('./schema');
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+// Не больше стольких различных значений у строки, чтобы она стала enum
+const ENUM_MAX = 5;
+const TYPE_ORDER = ['object', 'array', 'string', 'integer', 'number', 'boolean', 'null'];
+
+// ===== НАБЛЮДЕНИЯ =====
+function createShape() {
+    return { count: 0, types: new Set(), strings: new Map(), objects: 0, properties: new Map(), items: null };
+}
+
+function observe(shape, value) {
+    shape.count++;
+    shape.types.add(schemaTypeOf(value));
+    if (typeof value === 'string') {
+        shape.strings.set(value, (shape.strings.get(value) || 0) + 1);
+    } else if (isPlainObject(value)) {
+        shape.objects++;
+        for (const [key, item] of Object.entries(value)) {
+            if (!shape.properties.has(key)) shape.properties.set(key, createShape());
+            observe(shape.properties.get(key), item);
+        }
+    } else if (Array.isArray(value)) {
+        if (!shape.items) shape.items = createShape();
+        value.forEach(item => observe(shape.items, item));
+    }
+}
+
+// ===== СХЕМА =====
+function inferTypes(shape) {
+    const types = [...shape.types];
+    // Целые и дробные числа вместе — просто number
+    const merged = types.includes('number') ? types.filter(type => type !== 'integer') : types;
+    return merged.sort((a, b) => TYPE_ORDER.indexOf(a) - TYPE_ORDER.indexOf(b));
+}
+
+/**
+ * enum только там, где значения повторяются — в среднем хотя бы дважды:
+ * одиночное значение или уникальные имена ничего не говорят о допустимых
+ * вариантах. Значения секретов в схему не попадают
+ */
+function inferEnum(shape, currentPath, options) {
+    const occurrences = [...shape.strings.values()].reduce((sum, count) => sum + count, 0);
+    if (shape.strings.size === 0 || shape.strings.size > ENUM_MAX || occurrences < shape.strings.size * 2) return null;
+    if (options.secrets && isSecretPath(currentPath, options.secrets)) return null;
+    return [...shape.strings.keys()];
+}
+
+function shapeToSchema(shape, currentPath, options) {
+    const types = inferTypes(shape);
+    const schema = types.length ? { type: types.length === 1 ? types[0] : types } : {};
+
+    if (types.length === 1 && types[0] === 'string') {
+        const values = inferEnum(shape, currentPath, options);
+        if (values) schema.enum = values;
+    }
+    if (shape.objects > 0) {
+        schema.properties = {};
+        for (const [key, property] of shape.properties) {
+            schema.properties[key] = shapeToSchema(property, joinKey(currentPath, key), options);
+        }
+        const required = [...shape.properties].filter(([, property]) => property.count === shape.objects).map(([key]) => key);
+        if (required.length) schema.required = required;
+    }
+    if (shape.items && shape.items.count > 0) {
+        schema.items = shapeToSchema(shape.items, joinIndex(currentPath, 0), options);
+    }
+    return schema;
+}
+
+/**
+ * Строит JSON Schema (draft 2020-12) по документам конфигурации.
+ * options.secrets — матчер секретов (lib/secrets.js): для них enum не строится
+ */
+function inferSchema(documents, options = {}) {
+    const shape = createShape();
+    documents.forEach(document => observe(shape, document));
+    return { $schema: SCHEMA_DIALECT, ...shapeToSchema(shape, '', options) };
+}
+
+module.exports = {
+    inferSchema,
+};
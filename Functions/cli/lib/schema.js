@@ -0,0 +1,517 @@
+/**
+ * Visual Change Impact Platform - валидация по JSON Schema (draft 2020-12)
+ * Локальный валидатор без сетевых запросов: $ref на фрагменты, $defs, $id/$anchor
+ * и соседние файлы схем (common.json#/$defs/port). Схемы можно писать и в YAML
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { joinKey, joinIndex, joinMatch, isPlainObject } = require('./compare');
+const { parsePointer, isEqual } = require('./patch');
+const { loadFile } = require('./loader');
+
+// ===== ФОРМАТЫ =====
+function isValidDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return false;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCFullYear() === Number(match[1])
+        && date.getUTCMonth() === Number(match[2]) - 1
+        && date.getUTCDate() === Number(match[3]);
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/;
+
+function isHostname(text) {
+    return text.length <= 253 && text.split('.').every(label => /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/.test(label));
+}
+
+// Проверяемые форматы; остальные значения format, как и положено аннотациям, пропускаются
+const FORMATS = {
+    'date-time': text => {
+        const [date, time] = text.split(/[Tt ]/);
+        return isValidDate(date) && TIME_RE.test(time || '');
+    },
+    date: isValidDate,
+    time: text => TIME_RE.test(text),
+    duration: text => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(text),
+    email: text => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text),
+    hostname: isHostname,
+    ipv4: text => net.isIPv4(text),
+    ipv6: text => net.isIPv6(text),
+    uri: text => /^[a-zA-Z][a-zA-Z0-9+.-]*:\S*$/.test(text),
+    'uri-reference': text => !/\s/.test(text),
+    uuid: text => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(text),
+    'json-pointer': text => /^(\/([^~/]|~[01])*)*$/.test(text),
+    regex: text => {
+        try {
+            new RegExp(text, 'u');
+            return true;
+        } catch {
+            return false;
+        }
+    },
+};
+
+// ===== СХЕМЫ И ССЫЛКИ =====
+// Ключевые слова, значения которых — подсхемы
+const SCHEMA_MAPS = ['$defs', 'definitions', 'properties', 'patternProperties', 'dependentSchemas'];
+const SCHEMA_LISTS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_VALUES = [
+    'items', 'contains', 'not', 'if', 'then', 'else', 'additionalProperties',
+    'propertyNames', 'unevaluatedItems', 'unevaluatedProperties',
+];
+
+function stripFragment(uri) {
+    const url = new URL(uri);
+    url.hash = '';
+    return url.href;
+}
+
+// Сегмент schemaPath (JSON Pointer): «~» и «/» в именах полей экранируются
+function pointerToken(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Реестр схем: документы по URI без фрагмента, $anchor и базовый URI каждой подсхемы
+ */
+class SchemaRegistry {
+    constructor(loadDocument) {
+        this.loadDocument = loadDocument;
+        this.documents = new Map();
+        this.anchors = new Map();
+        this.bases = new WeakMap();
+        this.patterns = new Map();
+    }
+
+    add(schema, baseUri) {
+        this.documents.set(stripFragment(baseUri), schema);
+        this.walk(schema, stripFragment(baseUri));
+    }
+
+    walk(schema, baseUri) {
+        if (!isPlainObject(schema)) return;
+        let base = baseUri;
+        if (typeof schema.$id === 'string') {
+            base = stripFragment(new URL(schema.$id, baseUri).href);
+            this.documents.set(base, schema);
+        }
+        this.bases.set(schema, base);
+        for (const keyword of ['$anchor', '$dynamicAnchor']) {
+            if (typeof schema[keyword] === 'string') this.anchors.set(`${base}#${schema[keyword]}`, schema);
+        }
+
+        SCHEMA_MAPS.forEach(keyword => isPlainObject(schema[keyword])
+            && Object.values(schema[keyword]).forEach(sub => this.walk(sub, base)));
+        SCHEMA_LISTS.forEach(keyword => Array.isArray(schema[keyword])
+            && schema[keyword].forEach(sub => this.walk(sub, base)));
+        SCHEMA_VALUES.forEach(keyword => this.walk(schema[keyword], base));
+    }
+
+    baseOf(schema, fallback) {
+        return (isPlainObject(schema) && this.bases.get(schema)) || fallback;
+    }
+
+    resolve(ref, baseUri) {
+        const url = new URL(ref, baseUri);
+        const fragment = decodeURIComponent(url.hash.slice(1));
+        const documentUri = stripFragment(url.href);
+
+        if (!this.documents.has(documentUri)) {
+            if (url.protocol !== 'file:') {
+                throw new Error(`Схема ${documentUri} не найдена: внешние схемы по сети не загружаются`);
+            }
+            this.add(this.loadDocument(fileURLToPath(documentUri)), documentUri);
+        }
+
+        if (fragment && !fragment.startsWith('/')) {
+            const anchored = this.anchors.get(`${documentUri}#${fragment}`);
+            if (!anchored) throw new Error(`В схеме не найден якорь: ${ref}`);
+            return anchored;
+        }
+
+        let target = this.documents.get(documentUri);
+        for (const token of parsePointer(fragment)) {
+            target = target !== null && typeof target === 'object' ? target[token] : undefined;
+            if (target === undefined) throw new Error(`Не удалось разрешить $ref: ${ref}`);
+        }
+        return target;
+    }
+
+    pattern(source) {
+        if (!this.patterns.has(source)) this.patterns.set(source, new RegExp(source, 'u'));
+        return this.patterns.get(source);
+    }
+}
+
+// ===== ВАЛИДАЦИЯ =====
+// Аннотации схемы, которые учитывает оценка риска (lib/schema-impact.js)
+const IMPACT_ANNOTATIONS = {
+    deprecated: 'deprecated',
+    readOnly: 'readOnly',
+    'x-impact-level': 'level',
+    'x-impact-recommendation': 'recommendation',
+};
+
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Аннотации по пути экземпляра; при совпадении пути первая найденная важнее
+function addAnnotations(annotations, instancePath, values) {
+    annotations.set(instancePath, { ...values, ...annotations.get(instancePath) });
+}
+
+/**
+ * Проверяет значение по схеме. Возвращает ошибки и аннотации — какие свойства
+ * и элементы проверены (нужны unevaluatedProperties и unevaluatedItems),
+ * а также annotations: путь экземпляра → { deprecated, readOnly, level, recommendation, required }.
+ * Схема зациклена, если подсхема снова проверяет то же место данных выше по стеку
+ * ($ref: "#" в корне); рекурсия по вложенным данным допустима на любой глубине
+ */
+function validateNode(value, schema, location, context) {
+    if (!isPlainObject(schema)) return checkNode(value, schema, location, context);
+    const paths = context.active.get(schema) || new Set();
+    if (paths.has(location.path)) throw new Error(`Схема зациклена: ${location.schemaPath}`);
+    context.active.set(schema, paths.add(location.path));
+    try {
+        return checkNode(value, schema, location, context);
+    } finally {
+        paths.delete(location.path);
+    }
+}
+
+function checkNode(value, schema, location, context) {
+    const result = { errors: [], props: new Set(), items: new Set(), annotations: new Map() };
+    const fail = (keyword, message, instancePath = location.path) => result.errors.push({
+        path: instancePath,
+        keyword,
+        schemaPath: `${location.schemaPath}/${keyword}`,
+        message,
+        severity: 'error',
+    });
+    const merge = sub => {
+        result.errors.push(...sub.errors);
+        sub.props.forEach(key => result.props.add(key));
+        sub.items.forEach(index => result.items.add(index));
+        sub.annotations.forEach((values, instancePath) => addAnnotations(result.annotations, instancePath, values));
+    };
+    const child = (keyword, subSchema, instance, instancePath = location.path, annotate = true) => {
+        const sub = validateNode(instance, subSchema, {
+            path: instancePath,
+            schemaPath: `${location.schemaPath}/${keyword}`,
+            base: context.registry.baseOf(subSchema, location.base),
+        }, context);
+        // Проверенные свойства и элементы имеют смысл только для того же экземпляра
+        return annotate ? sub : { ...sub, props: new Set(), items: new Set() };
+    };
+
+    if (schema === true || (isPlainObject(schema) && Object.keys(schema).length === 0)) return result;
+    if (schema === false) {
+        fail('false', 'Значение запрещено схемой');
+        return result;
+    }
+    if (!isPlainObject(schema)) return result;
+
+    const found = {};
+    for (const [keyword, name] of Object.entries(IMPACT_ANNOTATIONS)) {
+        if (schema[keyword] !== undefined) found[name] = schema[keyword];
+    }
+    if (Object.keys(found).length) addAnnotations(result.annotations, location.path, found);
+
+    // ----- ссылки -----
+    for (const keyword of ['$ref', '$dynamicRef']) {
+        if (typeof schema[keyword] !== 'string') continue;
+        const target = context.registry.resolve(schema[keyword], location.base);
+        merge(child(keyword, target, value));
+    }
+
+    // ----- общие -----
+    const actualType = schemaTypeOf(value);
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = types.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+        if (!matches) fail('type', `Неверный тип: ожидается ${types.join(' | ')}, получено ${actualType}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(item => isEqual(item, value))) {
+        fail('enum', `Недопустимое значение ${describe(value)}. Разрешены: ${schema.enum.map(describe).join(', ')}`);
+    }
+    if ('const' in schema && !isEqual(schema.const, value)) {
+        fail('const', `Значение должно быть ${describe(schema.const)}, получено ${describe(value)}`);
+    }
+
+    // ----- числа -----
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) fail('minimum', `Значение ${value} меньше минимума ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) fail('maximum', `Значение ${value} больше максимума ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', `Значение ${value} должно быть больше ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', `Значение ${value} должно быть меньше ${schema.exclusiveMaximum}`);
+        }
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+            const quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail('multipleOf', `Значение ${value} не кратно ${schema.multipleOf}`);
+        }
+    }
+
+    // ----- строки -----
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (typeof schema.minLength === 'number' && length < schema.minLength) fail('minLength', `Строка короче ${schema.minLength} символов`);
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) fail('maxLength', `Строка длиннее ${schema.maxLength} символов`);
+        if (typeof schema.pattern === 'string' && !context.registry.pattern(schema.pattern).test(value)) {
+            fail('pattern', `Строка ${describe(value)} не соответствует шаблону ${schema.pattern}`);
+        }
+        if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail('format', `Строка ${describe(value)} не соответствует формату ${schema.format}`);
+        }
+    }
+
+    // ----- массивы -----
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail('minItems', `Элементов меньше ${schema.minItems}`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail('maxItems', `Элементов больше ${schema.maxItems}`);
+        if (schema.uniqueItems === true) {
+            const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => isEqual(other, item)));
+            if (duplicate >= 0) fail('uniqueItems', `Элемент ${describe(value[duplicate])} повторяется`, joinIndex(location.path, duplicate));
+        }
+
+        const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+        prefix.forEach((itemSchema, index) => {
+            if (index >= value.length) return;
+            merge(child(`prefixItems/${index}`, itemSchema, value[index], joinIndex(location.path, index), false));
+            result.items.add(index);
+        });
+        if (schema.items !== undefined) {
+            for (let index = prefix.length; index < value.length; index++) {
+                merge(child('items', schema.items, value[index], joinIndex(location.path, index), false));
+                result.items.add(index);
+            }
+        }
+        if (schema.contains !== undefined) {
+            const matched = value.map((item, index) => index)
+                .filter(index => child('contains', schema.contains, value[index], joinIndex(location.path, index), false).errors.length === 0);
+            matched.forEach(index => result.items.add(index));
+            const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+            if (matched.length < min) fail('contains', `Подходящих элементов ${matched.length}, нужно не меньше ${min}`);
+            if (typeof schema.maxContains === 'number' && matched.length > schema.maxContains) {
+                fail('maxContains', `Подходящих элементов ${matched.length}, допускается не больше ${schema.maxContains}`);
+            }
+        }
+    }
+
+    // ----- объекты -----
+    if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) fail('minProperties', `Полей меньше ${schema.minProperties}`);
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) fail('maxProperties', `Полей больше ${schema.maxProperties}`);
+
+        const has = field => Object.prototype.hasOwnProperty.call(value, field);
+        for (const field of Array.isArray(schema.required) ? schema.required : []) {
+            if (!has(field)) fail('required', `Отсутствует обязательное поле: ${field}`, joinKey(location.path, field));
+            else addAnnotations(result.annotations, joinKey(location.path, field), { required: true });
+        }
+        for (const [field, dependents] of Object.entries(isPlainObject(schema.dependentRequired) ? schema.dependentRequired : {})) {
+            if (!has(field)) continue;
+            dependents.filter(dependent => !has(dependent)).forEach(dependent => fail(
+                'dependentRequired',
+                `Поле ${dependent} обязательно, если задано ${field}`,
+                joinKey(location.path, dependent),
+            ));
+        }
+
+        const properties = isPlainObject(schema.properties) ? schema.properties : {};
+        const patterns = isPlainObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+        for (const key of keys) {
+            const keyPath = joinKey(location.path, key);
+            let known = false;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                known = true;
+                merge(child(`properties/${pointerToken(key)}`, properties[key], value[key], keyPath, false));
+            }
+            for (const source of patterns) {
+                if (!context.registry.pattern(source).test(key)) continue;
+                known = true;
+                merge(child(`patternProperties/${pointerToken(source)}`, schema.patternProperties[source], value[key], keyPath, false));
+            }
+            if (known) {
+                result.props.add(key);
+            } else if (schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) fail('additionalProperties', `Недопустимое поле: ${key}`, keyPath);
+                else merge(child('additionalProperties', schema.additionalProperties, value[key], keyPath, false));
+                result.props.add(key);
+            }
+            if (schema.propertyNames !== undefined) {
+                const names = child('propertyNames', schema.propertyNames, key, keyPath, false);
+                if (names.errors.length) fail('propertyNames', `Недопустимое имя поля: ${key}`, keyPath);
+            }
+        }
+
+        for (const [field, dependentSchema] of Object.entries(isPlainObject(schema.dependentSchemas) ? schema.dependentSchemas : {})) {
+            if (has(field)) merge(child(`dependentSchemas/${pointerToken(field)}`, dependentSchema, value));
+        }
+    }
+
+    // ----- комбинаторы -----
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((sub, index) => merge(child(`allOf/${index}`, sub, value)));
+    }
+    if (Array.isArray(schema.anyOf)) {
+        const passed = schema.anyOf.map((sub, index) => child(`anyOf/${index}`, sub, value)).filter(sub => sub.errors.length === 0);
+        if (passed.length === 0) fail('anyOf', 'Значение не подходит ни под один из вариантов anyOf');
+        passed.forEach(sub => merge(sub));
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const passed = schema.oneOf.map((sub, index) => child(`oneOf/${index}`, sub, value)).filter(sub => sub.errors.length === 0);
+        if (passed.length === 0) fail('oneOf', 'Значение не подходит ни под один из вариантов oneOf');
+        else if (passed.length > 1) fail('oneOf', `Значение подходит под ${passed.length} варианта oneOf, а должно ровно под один`);
+        else merge(passed[0]);
+    }
+    if (schema.not !== undefined && child('not', schema.not, value).errors.length === 0) {
+        fail('not', 'Значение не должно соответствовать схеме not');
+    }
+    if (schema.if !== undefined) {
+        const condition = child('if', schema.if, value);
+        if (condition.errors.length === 0) {
+            merge(condition);
+            if (schema.then !== undefined) merge(child('then', schema.then, value));
+        } else if (schema.else !== undefined) {
+            merge(child('else', schema.else, value));
+        }
+    }
+
+    // ----- непроверенные свойства и элементы (после всех остальных ключевых слов) -----
+    if (isPlainObject(value) && schema.unevaluatedProperties !== undefined) {
+        for (const key of Object.keys(value).filter(item => !result.props.has(item))) {
+            const keyPath = joinKey(location.path, key);
+            if (schema.unevaluatedProperties === false) fail('unevaluatedProperties', `Недопустимое поле: ${key}`, keyPath);
+            else merge(child('unevaluatedProperties', schema.unevaluatedProperties, value[key], keyPath, false));
+            result.props.add(key);
+        }
+    }
+    if (Array.isArray(value) && schema.unevaluatedItems !== undefined) {
+        value.forEach((item, index) => {
+            if (result.items.has(index)) return;
+            const itemPath = joinIndex(location.path, index);
+            if (schema.unevaluatedItems === false) fail('unevaluatedItems', `Лишний элемент массива: ${index}`, itemPath);
+            else merge(child('unevaluatedItems', schema.unevaluatedItems, item, itemPath, false));
+            result.items.add(index);
+        });
+    }
+
+    return result;
+}
+
+// ===== API =====
+// source — путь к файлу схемы или сама схема (программный API):
+// у схемы-объекта относительные $ref считаются от текущего каталога
+function openSchema(source) {
+    const registry = new SchemaRegistry(filePath => loadFile(filePath));
+    if (typeof source !== 'string') {
+        if (!isPlainObject(source) && typeof source !== 'boolean') throw new Error('Схема должна быть объектом или путём к файлу');
+        const schema = source;
+        const baseUri = pathToFileURL(`${process.cwd()}${path.sep}`).href;
+        registry.add(schema, baseUri);
+        return { schema, registry, base: registry.baseOf(schema, stripFragment(baseUri)) };
+    }
+    const schemaPath = source;
+    const baseUri = pathToFileURL(path.resolve(schemaPath)).href;
+    if (!fs.existsSync(schemaPath)) throw new Error(`Файл схемы не найден: ${schemaPath}`);
+    const schema = loadFile(schemaPath);
+    registry.add(schema, baseUri);
+    return { schema, registry, base: registry.baseOf(schema, stripFragment(baseUri)) };
+}
+
+/**
+ * Загружает схему без проверки данных: { schema, resolve(ref, from) } —
+ * resolve разрешает $ref относительно подсхемы from, как это делает валидатор
+ */
+function loadSchema(schemaPath) {
+    const { schema, registry, base } = openSchema(schemaPath);
+    return {
+        schema,
+        resolve: (ref, from) => registry.resolve(ref, registry.baseOf(from, base)),
+    };
+}
+
+/**
+ * Загружает схему из файла (JSON или YAML) или принимает готовый объект схемы.
+ * Возвращает { validate, annotate }:
+ * validate(data, basePath = '') → [{ path, keyword, schemaPath, message, severity }],
+ * annotate(data, basePath = '') → Map путь → { deprecated, readOnly, level, recommendation, required }
+ */
+function compileSchema(schemaPath) {
+    const { schema, registry, base } = openSchema(schemaPath);
+    const run = (data, basePath = '') => validateNode(data, schema, {
+        path: basePath,
+        schemaPath: '#',
+        base,
+    }, { registry, active: new Map() });
+    return {
+        validate: (data, basePath) => run(data, basePath).errors,
+        annotate: (data, basePath) => run(data, basePath).annotations,
+    };
+}
+
+/**
+ * Функция проверки по схеме из файла: validate(data, basePath = '') → ошибки
+ */
+function createSchemaValidator(schemaPath) {
+    return compileSchema(schemaPath).validate;
+}
+
+// Ключ ошибки для сравнения наборов: одно и то же нарушение в A и B
+function violationKey(error) {
+    return [error.path, error.keyword, error.schemaPath].join('\u0000');
+}
+
+/**
+ * Нарушения, которых не было в A: появились в B после изменения
+ */
+function introducedViolations(errorsA, errorsB) {
+    const known = new Set(errorsA.map(violationKey));
+    return errorsB.filter(error => !known.has(violationKey(error)));
+}
+
+/**
+ * Проверяет документы файла по схеме. Ошибки помечаются стороной (A или B);
+ * в многодокументном YAML пути получают префикс [doc=N], как при сравнении
+ */
+function validateDocuments(documents, validate, side) {
+    return documents.flatMap((doc, index) => validate(doc, documents.length > 1 ? joinMatch('', 'doc', index) : ''))
+        .map(error => (side ? { ...error, side } : error));
+}
+
+/**
+ * Нарушения схемы для пары файлов: { errorsA, errorsB, introduced }
+ */
+function validatePair(schema, docsA, docsB) {
+    const errorsA = validateDocuments(docsA, schema.validate, 'A');
+    const errorsB = validateDocuments(docsB, schema.validate, 'B');
+    return { errorsA, errorsB, introduced: introducedViolations(errorsA, errorsB) };
+}
+
+module.exports = {
+    FORMATS,
+    pointerToken,
+    schemaTypeOf,
+    loadSchema,
+    compileSchema,
+    createSchemaValidator,
+    introducedViolations,
+    validateDocuments,
+    validatePair,
+};
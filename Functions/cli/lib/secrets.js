@@ -0,0 +1,245 @@
+/**
+ * Visual Change Impact Platform - секреты
+ * Маскирование значений секретных ключей во всех выводах (консоль, JSON, отчёты,
+ * история) и поиск утечек: известные форматы токенов и строки с высокой энтропией
+ * в добавленных значениях
+ */
+
+const crypto = require('crypto');
+const { parsePath, pathLabel, joinKey, joinIndex } = require('./compare');
+const { toRegExp, pathGlobToRegExp } = require('./patterns');
+
+// Ключи, значения которых считаются секретами (по любому сегменту пути)
+const SECRET_KEYS = [
+    '/(password|passwd|pwd|passphrase|secret|secrets|token|credentials?)$/i',
+    '/(api|access|auth|private|signing|encryption|master)[_-]?key$/i',
+    '/^(apikey|dsn|salt|connection[_-]?string)$/i',
+];
+
+// Известные форматы секретов
+const LEAK_PATTERNS = [
+    { kind: 'ключ доступа AWS', re: /\b(AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/ },
+    { kind: 'JWT', re: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/ },
+    { kind: 'приватный ключ', re: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+    { kind: 'токен GitHub', re: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+    { kind: 'токен Slack', re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+    { kind: 'ключ Google API', re: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+    { kind: 'ключ Stripe', re: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/ },
+    { kind: 'пароль в URL', re: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s@/]+)@/i, group: 1 },
+];
+
+// Порог энтропии (бит на символ) для случайных токенов из 24+ символов
+const ENTROPY_THRESHOLD = 4.2;
+const ENTROPY_MIN_LENGTH = 24;
+
+/**
+ * Собирает настройки из секции secrets файла правил:
+ * { "keys": ["/^pin$/i"], "paths": ["vault.**"], "allow": ["/^dummy-/"] }
+ */
+function createSecretMatcher(config = {}) {
+    return {
+        keys: [...SECRET_KEYS, ...toArray(config.keys)].map(toRegExp),
+        paths: toArray(config.paths).map(pathGlobToRegExp),
+        allow: toArray(config.allow).map(toRegExp),
+    };
+}
+
+function toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function isSecretPath(changePath, matcher) {
+    if (matcher.paths.some(re => re.test(changePath))) return true;
+    return parsePath(changePath).some(segment => segment.type === 'key' && matcher.keys.some(re => re.test(segment.key)));
+}
+
+// ===== МАСКИРОВАНИЕ =====
+/**
+ * Отпечаток вместо значения: по нему видно, изменился ли секрет, но не его содержимое
+ */
+function fingerprint(value) {
+    const text = String(value);
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 8);
+    return `[скрыто sha256:${hash}, длина ${text.length}]`;
+}
+
+function redactValue(value) {
+    if (value === null || typeof value === 'boolean' || value === undefined) return value;
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+    }
+    return fingerprint(value);
+}
+
+// Маскирует вложенные секретные ключи в добавленных и удалённых объектах
+function redactNested(value, matcher) {
+    if (Array.isArray(value)) return value.map(item => redactNested(item, matcher));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            matcher.keys.some(re => re.test(key)) ? redactValue(item) : redactNested(item, matcher),
+        ]));
+    }
+    return value;
+}
+
+// Заменяет найденные утечки внутри строк, в том числе во вложенных значениях
+function redactLeaks(value, leaked) {
+    if (typeof value === 'string') {
+        let result = value;
+        for (const token of leaked) {
+            if (result.includes(token)) result = result.split(token).join(fingerprint(token));
+        }
+        return result;
+    }
+    if (Array.isArray(value)) return value.map(item => redactLeaks(item, leaked));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactLeaks(item, leaked)]));
+    }
+    return value;
+}
+
+// ===== ПОИСК УТЕЧЕК =====
+function entropy(text) {
+    const counts = {};
+    for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+    return Object.values(counts).reduce((sum, count) => {
+        const p = count / text.length;
+        return sum - p * Math.log2(p);
+    }, 0);
+}
+
+/**
+ * Случайная строка: base64/base64url-алфавит, есть строчные, заглавные буквы и цифры.
+ * Шестнадцатеричные хеши и дайджесты образов не считаются — их в конфигурациях много
+ */
+function isHighEntropyToken(token) {
+    if (token.length < ENTROPY_MIN_LENGTH) return false;
+    if (!/^[A-Za-z0-9+/_=-]+$/.test(token)) return false;
+    if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) return false;
+    return entropy(token) >= ENTROPY_THRESHOLD;
+}
+
+/**
+ * Ищет секреты в строке. Возвращает [{ kind, token }]
+ */
+function findLeaks(text, matcher) {
+    const leaks = [];
+    for (const { kind, re, group } of LEAK_PATTERNS) {
+        const match = text.match(re);
+        if (match) leaks.push({ kind, token: match[group || 0] });
+    }
+    for (const token of text.split(/[\s"'`,;:=&@()<>[\]{}]+/)) {
+        if (isHighEntropyToken(token) && !leaks.some(leak => leak.token.includes(token))) {
+            leaks.push({ kind: 'строка с высокой энтропией', token });
+        }
+    }
+    return leaks.filter(leak => !matcher.allow.some(re => re.test(leak.token)));
+}
+
+function collectStrings(value, result = []) {
+    if (typeof value === 'string') result.push(value);
+    else if (Array.isArray(value)) value.forEach(item => collectStrings(item, result));
+    else if (value && typeof value === 'object') Object.values(value).forEach(item => collectStrings(item, result));
+    return result;
+}
+
+// Новое значение изменения: добавленное поле или новое значение изменённого
+function introducedValue(change) {
+    if (change.type === 'added') return change.value;
+    if (change.type === 'modified') return change.newValue;
+    return undefined;
+}
+
+// Прежнее значение: удалённое поле или старое значение изменённого
+function previousValue(change) {
+    if (change.type === 'removed') return change.value;
+    if (change.type === 'modified') return change.oldValue;
+    return undefined;
+}
+
+/**
+ * Маскирует секреты в изменениях и находит утечки в добавленных значениях.
+ * Утечки в прежних и удалённых значениях только маскируются: влиянием они не считаются.
+ * Возвращает { changes, leaks }: changes безопасно выводить и сохранять,
+ * leaks — критические влияния в формате analyzeImpact
+ */
+function protectChanges(changes, options = {}) {
+    const { showSecrets = false, matcher = createSecretMatcher() } = options;
+    const leaks = [];
+    const leakedTokens = new Set();
+
+    for (const change of changes) {
+        collectStrings(previousValue(change))
+            .flatMap(text => findLeaks(text, matcher))
+            .forEach(leak => leakedTokens.add(leak.token));
+
+        const found = collectStrings(introducedValue(change)).flatMap(text => findLeaks(text, matcher));
+        if (found.length === 0) continue;
+
+        found.forEach(leak => leakedTokens.add(leak.token));
+        const kinds = [...new Set(found.map(leak => leak.kind))];
+        leaks.push({
+            level: 'critical',
+            path: change.path,
+            title: `Возможная утечка секрета: ${pathLabel(change.path)}`,
+            description: `В новом значении обнаружено: ${kinds.join(', ')}.`,
+            recommendation: 'Удалите секрет из конфигурации, отзовите его и передавайте через хранилище секретов или переменные окружения.',
+            changeType: change.type,
+            category: 'security',
+            rule: 'secret-leak',
+        });
+    }
+
+    if (showSecrets) return { changes, leaks };
+
+    const redacted = changes.map(change => {
+        const safe = { ...change };
+        const secret = isSecretPath(change.path, matcher);
+        for (const field of ['value', 'oldValue', 'newValue']) {
+            if (!(field in safe)) continue;
+            safe[field] = secret ? redactValue(safe[field]) : redactLeaks(redactNested(safe[field], matcher), leakedTokens);
+        }
+        if (secret) safe.redacted = true;
+        return safe;
+    });
+    return { changes: redacted, leaks };
+}
+
+function redactTree(value, matcher, leaked, currentPath) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => redactTree(item, matcher, leaked, joinIndex(currentPath, index)));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+            const itemPath = joinKey(currentPath, key);
+            return [key, isSecretPath(itemPath, matcher) ? redactValue(item) : redactTree(item, matcher, leaked, itemPath)];
+        }));
+    }
+    return redactLeaks(value, leaked);
+}
+
+/**
+ * Маскирует секреты в документах целиком — для отчётов, которые показывают
+ * всё дерево конфигурации (HTML): секретные ключи и утечки в любых строках
+ */
+function protectDocuments(documents, options = {}) {
+    const { showSecrets = false, matcher = createSecretMatcher() } = options;
+    if (showSecrets) return documents;
+
+    const leaked = new Set();
+    collectStrings(documents).forEach(text => findLeaks(text, matcher).forEach(leak => leaked.add(leak.token)));
+    return documents.map(doc => redactTree(doc, matcher, leaked, ''));
+}
+
+module.exports = {
+    SECRET_KEYS,
+    createSecretMatcher,
+    isSecretPath,
+    fingerprint,
+    findLeaks,
+    protectChanges,
+    protectDocuments,
+};
@@ -0,0 +1,373 @@
+/**
+ * Visual Change Impact Platform - вывод в терминал
+ * Цвета, значки и общие блоки консольного отчёта: изменения, влияние,
+ * итоги и нарушения политики. Используются всеми командами CLI
+ */
+
+const { EXIT_CODES } = require('./policy');
+
+// ===== ЦВЕТА ДЛЯ ТЕРМИНАЛА =====
+const colors = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m',
+    white: '\x1b[37m',
+    gray: '\x1b[90m',
+    
+    bgRed: '\x1b[41m',
+    bgGreen: '\x1b[42m',
+    bgYellow: '\x1b[43m',
+    bgBlue: '\x1b[44m',
+};
+
+// ===== УТИЛИТЫ =====
+function colorize(text, color) {
+    return `${colors[color] || ''}${text}${colors.reset}`;
+}
+
+function box(text, color = 'white') {
+    const lines = text.split('\n');
+    const maxLen = Math.max(...lines.map(l => l.length));
+    const border = '─'.repeat(maxLen + 2);
+    
+    console.log(colorize(`┌${border}┐`, color));
+    lines.forEach(line => {
+        const padding = ' '.repeat(maxLen - line.length);
+        console.log(colorize(`│ ${line}${padding} │`, color));
+    });
+    console.log(colorize(`└${border}┘`, color));
+}
+
+function icon(type) {
+    const icons = {
+        added: '✚',
+        removed: '✖',
+        modified: '⟳',
+        moved: '⇅',
+        critical: '⚠',
+        high: '◆',
+        medium: '●',
+        low: '○',
+        success: '✓',
+        error: '✗',
+        info: 'ℹ',
+    };
+    return icons[type] || '•';
+}
+
+// Общий уровень риска по самому серьёзному влиянию; принятые в baseline не учитываются
+function riskLevel(allImpacts) {
+    const impacts = allImpacts.filter(i => !i.acknowledged);
+    if (impacts.some(i => i.level === 'critical')) return { label: 'КРИТИЧЕСКИЙ', color: 'red' };
+    if (impacts.some(i => i.level === 'high')) return { label: 'Высокий', color: 'yellow' };
+    if (impacts.some(i => i.level === 'medium')) return { label: 'Средний', color: 'blue' };
+    return { label: 'Низкий', color: 'green' };
+}
+
+// ===== ВЫВОД РЕЗУЛЬТАТОВ =====
+function printHeader() {
+    console.log('\n');
+    box('Visual Change Impact Platform\nЛокальный анализ изменений', 'cyan');
+    console.log('');
+}
+
+// Пустой путь — изменение всего документа (новый или удалённый файл)
+function displayPath(changePath) {
+    return changePath || '(весь файл)';
+}
+
+function printChanges(changes) {
+    const added = changes.filter(c => c.type === 'added');
+    const removed = changes.filter(c => c.type === 'removed');
+    const modified = changes.filter(c => c.type === 'modified');
+    const moved = changes.filter(c => c.type === 'moved');
+    
+    console.log(colorize('\n━━━ ОБНАРУЖЕННЫЕ ИЗМЕНЕНИЯ ━━━', 'bold'));
+    console.log('');
+    
+    if (added.length > 0) {
+        console.log(colorize(`${icon('added')} Добавлено: ${added.length}`, 'green'));
+        added.forEach(c => {
+            console.log(colorize(`  ${displayPath(c.path)}`, 'gray'));
+            console.log(colorize(`    → ${formatValue(c.value)}`, 'green'));
+        });
+        console.log('');
+    }
+    
+    if (modified.length > 0) {
+        console.log(colorize(`${icon('modified')} Изменено: ${modified.length}`, 'yellow'));
+        modified.forEach(c => {
+            console.log(colorize(`  ${c.path}`, 'gray'));
+            console.log(colorize(`    ${formatValue(c.oldValue)}`, 'red') + 
+                       colorize(' → ', 'gray') + 
+                       colorize(`${formatValue(c.newValue)}`, 'green'));
+        });
+        console.log('');
+    }
+    
+    if (removed.length > 0) {
+        console.log(colorize(`${icon('removed')} Удалено: ${removed.length}`, 'red'));
+        removed.forEach(c => {
+            console.log(colorize(`  ${displayPath(c.path)}`, 'gray'));
+            console.log(colorize(`    ✗ ${formatValue(c.value)}`, 'red'));
+        });
+        console.log('');
+    }
+    
+    if (moved.length > 0) {
+        console.log(colorize(`${icon('moved')} Перемещено: ${moved.length}`, 'cyan'));
+        moved.forEach(c => {
+            console.log(colorize(`  ${c.path}`, 'gray'));
+            console.log(colorize(`    позиция ${c.fromIndex} → ${c.toIndex}`, 'cyan'));
+        });
+        console.log('');
+    }
+    
+    if (changes.length === 0) {
+        console.log(colorize('  Изменений не обнаружено', 'green'));
+    }
+}
+
+function printImpacts(allImpacts) {
+    // Принятые в baseline влияния перечисляются в разделе BASELINE
+    const impacts = allImpacts.filter(i => !i.acknowledged);
+    const accepted = allImpacts.length - impacts.length;
+    const printAccepted = () => {
+        if (accepted > 0) console.log(colorize(`  ✓ Принято в baseline: ${accepted}\n`, 'gray'));
+    };
+
+    if (impacts.length === 0) {
+        console.log(colorize('\n━━━ АНАЛИЗ ВЛИЯНИЯ ━━━', 'bold'));
+        console.log(colorize('\n  ✓ Критических рисков не обнаружено\n', 'green'));
+        printAccepted();
+        return;
+    }
+    
+    const critical = impacts.filter(i => i.level === 'critical');
+    const high = impacts.filter(i => i.level === 'high');
+    const medium = impacts.filter(i => i.level === 'medium');
+    const low = impacts.filter(i => i.level === 'low');
+    
+    console.log(colorize('\n━━━ АНАЛИЗ ВЛИЯНИЯ ━━━', 'bold'));
+    console.log('');
+    
+    const printImpactGroup = (items, label, color, emoji) => {
+        if (items.length === 0) return;
+        
+        console.log(colorize(`${emoji} ${label}: ${items.length}`, color));
+        items.forEach((impact, idx) => {
+            console.log('');
+            console.log(colorize(`  ${impact.title}`, 'bold'));
+            console.log(colorize(`  Путь: ${displayPath(impact.path)}`, 'gray'));
+            console.log(colorize(`  ${impact.description}`, 'white'));
+            if (impact.recommendation) {
+                console.log(colorize(`  💡 ${impact.recommendation}`, 'cyan'));
+            }
+        });
+        console.log('');
+    };
+    
+    printImpactGroup(critical, 'КРИТИЧЕСКИЙ', 'red', '⚠');
+    printImpactGroup(high, 'Высокий', 'yellow', '◆');
+    printImpactGroup(medium, 'Средний', 'blue', '●');
+    printImpactGroup(low, 'Низкий', 'gray', '○');
+    printAccepted();
+}
+
+/**
+ * Итоговый отчёт. files — разбивка по файлам при сравнении каталогов
+ */
+function printSummary(changes, allImpacts, files) {
+    const impacts = allImpacts.filter(i => !i.acknowledged);
+    const added = changes.filter(c => c.type === 'added').length;
+    const removed = changes.filter(c => c.type === 'removed').length;
+    const modified = changes.filter(c => c.type === 'modified').length;
+    const moved = changes.filter(c => c.type === 'moved').length;
+    
+    const critical = impacts.filter(i => i.level === 'critical').length;
+    const high = impacts.filter(i => i.level === 'high').length;
+    const medium = impacts.filter(i => i.level === 'medium').length;
+    const low = impacts.filter(i => i.level === 'low').length;
+    
+    console.log(colorize('\n━━━ ИТОГОВЫЙ ОТЧЁТ ━━━', 'bold'));
+    console.log('');
+    if (files) printFileBreakdown(files);
+    console.log(`  Всего изменений: ${colorize(changes.length, 'bold')}`);
+    console.log(`    ${colorize(`+ ${added}`, 'green')} добавлено`);
+    console.log(`    ${colorize(`~ ${modified}`, 'yellow')} изменено`);
+    console.log(`    ${colorize(`- ${removed}`, 'red')} удалено`);
+    if (moved > 0) console.log(`    ${colorize(`⇅ ${moved}`, 'cyan')} перемещено`);
+    console.log('');
+    
+    const risk = riskLevel(impacts);
+    console.log(`  Общий риск: ${colorize(risk.label, risk.color)}`);
+    if (critical > 0) console.log(`    ${colorize(`⚠ ${critical}`, 'red')} критический`);
+    if (high > 0) console.log(`    ${colorize(`◆ ${high}`, 'yellow')} высокий`);
+    if (medium > 0) console.log(`    ${colorize(`● ${medium}`, 'blue')} средний`);
+    if (low > 0) console.log(`    ${colorize(`○ ${low}`, 'gray')} низкий`);
+    if (impacts.length < allImpacts.length) {
+        console.log(`    ${colorize(`✓ ${allImpacts.length - impacts.length}`, 'gray')} принято в baseline`);
+    }
+    console.log('');
+}
+
+const FILE_STATUS = {
+    added: { mark: '+', label: 'новый файл', color: 'green' },
+    removed: { mark: '-', label: 'файл удалён', color: 'red' },
+    common: { mark: '~', label: '', color: 'yellow' },
+};
+
+function printFileBreakdown(files) {
+    const count = status => files.filter(f => f.status === status).length;
+    console.log(`  Файлов: ${colorize(files.length, 'bold')}`);
+    console.log(`    ${colorize(`~ ${count('common')}`, 'yellow')} в обоих наборах`);
+    console.log(`    ${colorize(`+ ${count('added')}`, 'green')} только в B`);
+    console.log(`    ${colorize(`- ${count('removed')}`, 'red')} только в A`);
+    console.log('');
+    
+    files.forEach(file => {
+        const status = FILE_STATUS[file.status];
+        let details = status.label;
+        if (file.error) {
+            details = colorize(`ошибка: ${file.error}`, 'red');
+        } else if (file.status === 'common') {
+            const risk = riskLevel(file.impacts);
+            details = file.changes.length
+                ? `изменений: ${file.changes.length}, риск: ${colorize(risk.label, risk.color)}`
+                : colorize('без изменений', 'gray');
+        } else {
+            const risk = riskLevel(file.impacts);
+            details = `${status.label}, риск: ${colorize(risk.label, risk.color)}`;
+        }
+        console.log(`    ${colorize(status.mark, status.color)} ${file.file}  ${details}`);
+    });
+    console.log('');
+}
+
+function formatValue(value) {
+    if (value === null) return 'null';
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'object') {
+        const str = JSON.stringify(value);
+        return str.length > 50 ? str.substring(0, 50) + '...' : str;
+    }
+    const str = String(value);
+    return str.length > 50 ? str.substring(0, 50) + '...' : str;
+}
+
+// ===== СРАВНЕНИЕ ЗАПУСКОВ =====
+function describeChange(change) {
+    if (change.type === 'modified') return `${formatValue(change.oldValue)} → ${formatValue(change.newValue)}`;
+    if (change.type === 'moved') return `позиция ${change.fromIndex} → ${change.toIndex}`;
+    return formatValue(change.value);
+}
+
+function printDeltaGroup(title, items, color, line) {
+    if (items.length === 0) return;
+    console.log(colorize(`${title}: ${items.length}`, color));
+    items.forEach(item => console.log(`  ${line(item)}`));
+    console.log('');
+}
+
+/**
+ * Выводит результат diffRuns (lib/analysis.js): новые, ушедшие и изменившиеся
+ * различия, новые и ушедшие влияния. unchanged — текст, если разницы нет
+ */
+function printDelta(delta, title, unchanged) {
+    console.log(colorize(`\n━━━ ${title} ━━━`, 'bold'));
+    console.log('');
+
+    const { changes, impacts } = delta;
+    const total = changes.introduced.length + changes.resolved.length + changes.updated.length;
+    if (total === 0 && impacts.introduced.length === 0 && impacts.resolved.length === 0) {
+        console.log(colorize(`  ${icon('success')} ${unchanged}\n`, 'green'));
+        return;
+    }
+
+    const changeLine = change => `${icon(change.type)} ${change.path}  ${colorize(describeChange(change), 'gray')}`;
+    printDeltaGroup('Новые различия', changes.introduced, 'yellow', changeLine);
+    printDeltaGroup('Ушедшие различия', changes.resolved, 'green', changeLine);
+    printDeltaGroup('Другое значение', changes.updated, 'cyan',
+        ({ before, after }) => `${icon(after.type)} ${after.path}  ${colorize(`было: ${describeChange(before)}; стало: ${describeChange(after)}`, 'gray')}`);
+
+    const impactLine = impact => `${icon(impact.level)} ${impact.title}  ${colorize(impact.path, 'gray')}`;
+    printDeltaGroup('Новые влияния', impacts.introduced, 'red', impactLine);
+    printDeltaGroup('Ушедшие влияния', impacts.resolved, 'green', impactLine);
+}
+
+// ===== BASELINE =====
+function printBaselineEntries(title, entries, hint) {
+    if (entries.length === 0) return;
+    console.log(colorize(`\n  ${title}: ${entries.length} — ${hint}`, 'yellow'));
+    entries.forEach(entry => {
+        console.log(`    ${icon(entry.changeType)} ${entry.path}  ${colorize(`${entry.reason} · до ${entry.expires}`, 'gray')}`);
+    });
+}
+
+/**
+ * Принятые влияния и записи baseline, требующие внимания: report — результат
+ * baseline.report() (lib/baseline.js), impacts — влияния запуска
+ */
+function printBaseline(report, impacts) {
+    if (!report) return;
+
+    console.log(colorize('\n━━━ BASELINE ━━━', 'bold'));
+    console.log(colorize(`\n  ${report.file} (записей: ${report.entries})`, 'gray'));
+
+    const accepted = impacts.filter(impact => impact.acknowledged);
+    if (accepted.length > 0) {
+        console.log(colorize(`\n  Принято: ${accepted.length}`, 'green'));
+        accepted.forEach(impact => {
+            console.log(`    ${icon(impact.level)} ${impact.title}  ${colorize(impact.path, 'gray')}`);
+            console.log(colorize(`      ${impact.acknowledged.reason} · до ${impact.acknowledged.expires}`, 'gray'));
+        });
+    }
+    printBaselineEntries('Срок истёк', report.expired, 'влияния снова учитываются; продлите срок или исправьте конфигурацию');
+    printBaselineEntries('Устаревшие записи', report.stale, 'ничему не соответствуют; удалите их или пересоздайте baseline');
+    if (accepted.length === 0 && report.expired.length === 0 && report.stale.length === 0) {
+        console.log(colorize('\n  Записей нет', 'gray'));
+    }
+    console.log('');
+}
+
+// ===== ПОЛИТИКА =====
+function printViolations(violations) {
+    if (!violations) return;
+    
+    console.log(colorize('\n━━━ ПОЛИТИКА ━━━', 'bold'));
+    console.log('');
+    if (violations.length === 0) {
+        console.log(colorize('  ✓ Нарушений нет\n', 'green'));
+        return;
+    }
+    
+    violations.forEach(violation => {
+        const rule = violation.rule ? colorize(`[${violation.rule}] `, 'gray') : '';
+        const where = [violation.file, violation.path].filter(Boolean).join(': ');
+        console.log(`  ${colorize(icon('error'), 'red')} ${rule}${where ? `${where} — ` : ''}${violation.message}`);
+    });
+    const exitCode = violations.some(violation => violation.type === 'error') ? EXIT_CODES.error : EXIT_CODES.policy;
+    console.log(colorize(`\n  Нарушений политики: ${violations.length} (код выхода ${exitCode})\n`, 'red'));
+}
+
+module.exports = {
+    colorize,
+    box,
+    icon,
+    riskLevel,
+    formatValue,
+    printHeader,
+    printChanges,
+    printImpacts,
+    printSummary,
+    printViolations,
+    printDelta,
+    printBaseline,
+};
@@ -0,0 +1,3 @@
+#!/bin/sh
+# Тесты CLI: node --test (Node.js 18+)
+cd "$(dirname "$0")" && node --test test/
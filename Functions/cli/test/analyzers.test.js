@@ -0,0 +1,57 @@
+/**
+ * Тесты анализаторов значений и их сочетания со встроенными правилами
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBytes, parseDuration } = require('../lib/analyzers');
+const { analyzeImpact, compileRules } = require('../lib/rules');
+
+function impactOf(change) {
+    return analyzeImpact([{ type: 'modified', ...change }], compileRules())[0];
+}
+
+test('анализатор понижает уровень встроенного правила', () => {
+    const impact = impactOf({ path: 'database.max_connections', oldValue: 100, newValue: 80 });
+    assert.strictEqual(impact.level, 'medium');
+    assert.strictEqual(impact.rule, 'analyzer:numeric');
+    assert.match(impact.description, /на 20%/);
+    assert.strictEqual(impactOf({ path: 'api.timeout', oldValue: '30s', newValue: '60s' }).level, 'medium');
+});
+
+test('изменение ниже порогов анализатора — низкий риск вместо уровня ключа', () => {
+    const changes = [
+        { type: 'modified', path: 'database.max_connections', oldValue: 100, newValue: 110 },
+        { type: 'modified', path: 'api.timeout', oldValue: '30s', newValue: '31s' },
+    ];
+    assert.deepStrictEqual(analyzeImpact(changes, compileRules()), []);
+});
+
+test('анализатор повышает уровень встроенного правила', () => {
+    assert.strictEqual(impactOf({ path: 'pool.max_size', oldValue: 100, newValue: 10 }).level, 'critical');
+});
+
+test('размеры: единицы без учёта регистра, кроме милли «m»', () => {
+    assert.strictEqual(parseBytes('512mb'), 512e6);
+    assert.strictEqual(parseBytes('1gb'), 1e9);
+    assert.strictEqual(parseBytes('2Mi'), 2 * 1024 ** 2);
+    assert.strictEqual(parseBytes('100m'), null);
+    assert.strictEqual(parseBytes('1toString'), null);
+});
+
+test('длительности', () => {
+    assert.strictEqual(parseDuration('1h30m'), 5400000);
+    assert.strictEqual(parseDuration('30 seconds'), null);
+});
+
+test('URL: значения параметров запроса не попадают в отчёт', () => {
+    const impact = impactOf({
+        path: 'api.url',
+        oldValue: 'https://x.io/cb?token=abc123&page=1',
+        newValue: 'https://y.io/cb?token=zzz999&page=1',
+    });
+    const text = JSON.stringify(impact);
+    assert.ok(!text.includes('abc123') && !text.includes('zzz999'));
+    assert.deepStrictEqual(impact.analysis.params, ['token']);
+    assert.match(impact.description, /параметры token/);
+});
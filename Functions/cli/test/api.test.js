@@ -0,0 +1,80 @@
+/**
+ * Тесты программного API (index.js): входы-объекты, строки и потоки,
+ * правила и схема без файлов, события хода анализа и отсутствие вывода в консоль
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { analyze, Analysis } = require('../index');
+
+test('analyze: объекты на входе — изменения, влияния и сводка', async () => {
+    const result = await analyze({
+        before: { database: { host: 'db-old' }, debug: false },
+        after: { database: { host: 'db-new' }, debug: false },
+    });
+    assert.deepStrictEqual(result.changes, [{ type: 'modified', path: 'database.host', oldValue: 'db-old', newValue: 'db-new' }]);
+    assert.ok(result.impacts.some(impact => impact.path === 'database.host'));
+    assert.strictEqual(result.summary.modified, 1);
+    assert.strictEqual(result.schema, undefined);
+    assert.strictEqual(result.policy, undefined);
+});
+
+test('analyze: строки, Buffer и потоки разбираются по формату или содержимому', async () => {
+    const result = await analyze({
+        before: Readable.from([Buffer.from('port: 80\n'), Buffer.from('mode: dev\n')]),
+        after: Buffer.from('[server]\nport = 81\n'),
+        toFormat: 'ini',
+    });
+    assert.deepStrictEqual(result.changes.map(change => [change.type, change.path]), [
+        ['removed', 'port'],
+        ['removed', 'mode'],
+        ['added', 'server'],
+    ]);
+    const yaml = await analyze({ before: '---\na: 1\n---\nb: 1\n', after: '---\na: 1\n---\nb: 2\n' });
+    assert.deepStrictEqual(yaml.changes.map(change => change.path), ['[doc=1].b']);
+});
+
+test('analyze: правила и схема объектами, политика по fail-on', async () => {
+    const result = await analyze({
+        before: { port: 80, name: 'app' },
+        after: { port: 'eighty' },
+        rules: { rules: [{ path: 'port', level: 'critical', title: 'Порт' }] },
+        schema: { properties: { port: { type: 'integer' } }, required: ['name'] },
+        failOn: 'critical',
+    });
+    assert.deepStrictEqual(result.impacts.find(impact => impact.path === 'port').level, 'critical');
+    assert.deepStrictEqual(result.schema.introduced.map(error => [error.path, error.keyword]), [['name', 'required'], ['port', 'type']]);
+    assert.strictEqual(result.policy.passed, false);
+});
+
+test('Analysis: события progress, change, impact и done', async () => {
+    const analysis = new Analysis({ before: Readable.from(['{"a": 1}']), after: { a: 2, password: 'secret-value' } });
+    const events = [];
+    analysis.on('progress', event => events.push(event.stage));
+    analysis.on('change', change => events.push(`change:${change.path}`));
+    analysis.on('impact', impact => events.push(`impact:${impact.path}`));
+    let done = null;
+    analysis.on('done', result => { done = result; });
+    const result = await analysis.run();
+
+    assert.strictEqual(done, result);
+    assert.deepStrictEqual(events.filter(event => !event.startsWith('impact:')), [
+        'read', 'parse', 'parse', 'compare', 'analyze', 'change:a', 'change:password',
+    ]);
+    assert.ok(events.includes('impact:password'));
+    assert.ok(!JSON.stringify(result).includes('secret-value'));
+});
+
+test('analyze: ошибки разбора — отклонённый промис, в консоль ничего не выводится', async () => {
+    await assert.rejects(analyze({ before: '{"a":', after: {} }), /before/);
+    await assert.rejects(analyze({ after: {} }), /не задан before/);
+
+    const script = `require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))})
+        .analyze({ before: { a: 1, password: 'x' }, after: { a: 2 }, failOn: 'low' })
+        .then(result => { if (!result.changes.length) process.exit(1); });`;
+    const run = spawnSync(process.execPath, ['-e', script], { encoding: 'utf-8' });
+    assert.deepStrictEqual([run.status, run.stdout, run.stderr], [0, '', '']);
+});
@@ -0,0 +1,115 @@
+/**
+ * Тесты baseline: проверка записей, принятие влияний по пути, типу и отпечатку,
+ * истёкшие и устаревшие записи, снимок baseline create
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { valueFingerprint, parseExpires, createBaseline, snapshotEntries } = require('../lib/baseline');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+
+const ROTATION = { type: 'modified', path: 'apiKey', oldValue: 'key-one', newValue: 'key-two' };
+
+function entry(fields = {}) {
+    return {
+        path: 'apiKey',
+        changeType: 'modified',
+        fingerprint: valueFingerprint(ROTATION),
+        reason: 'Ротация ключа',
+        expires: '2026-06-30',
+        ...fields,
+    };
+}
+
+function impact(change) {
+    return { level: 'critical', path: change.path, changeType: change.type, title: `Изменено значение: ${change.path}` };
+}
+
+test('parseExpires: длительность от текущего дня или дата', () => {
+    assert.strictEqual(parseExpires('30d', NOW), '2026-07-15');
+    assert.strictEqual(parseExpires('2027-03-31', NOW), '2027-03-31');
+    assert.throws(() => parseExpires('next month', NOW), /--expires: ожидается срок/);
+});
+
+test('запись без причины, срока или с неизвестным типом изменения не загружается', () => {
+    assert.throws(() => createBaseline({ entries: [entry({ reason: ' ' })] }, 'b.json'), /b\.json: запись 1 \(apiKey\): не указана причина/);
+    assert.throws(() => createBaseline({ entries: [entry({ expires: '30d' })] }, 'b.json'), /expires — дата ГГГГ-ММ-ДД/);
+    assert.throws(() => createBaseline({ entries: [entry({ changeType: 'renamed' })] }, 'b.json'), /changeType — одно из/);
+    assert.throws(() => createBaseline({}, 'b.json'), /ожидается объект с массивом entries/);
+});
+
+test('влияние принимается по пути, типу и отпечатку; новое значение — снова в отчёте', () => {
+    const baseline = createBaseline({ entries: [entry()] }, 'b.json');
+    const accepted = impact(ROTATION);
+    baseline.acknowledge([ROTATION], [accepted], NOW);
+    assert.deepStrictEqual(accepted.acknowledged, { reason: 'Ротация ключа', expires: '2026-06-30' });
+
+    baseline.reset();
+    const rotatedAgain = { ...ROTATION, newValue: 'key-three' };
+    const reported = impact(rotatedAgain);
+    baseline.acknowledge([rotatedAgain], [reported], NOW);
+    assert.strictEqual(reported.acknowledged, undefined);
+    const report = baseline.report(NOW);
+    assert.deepStrictEqual([report.acknowledged, report.expired.length, report.stale.map(item => item.path)], [0, 0, ['apiKey']]);
+});
+
+test('истёкшая запись сопоставляется, но влияние снова учитывается', () => {
+    const baseline = createBaseline({ entries: [entry({ expires: '2026-06-14' })] }, 'b.json');
+    const reported = impact(ROTATION);
+    baseline.acknowledge([ROTATION], [reported], NOW);
+    assert.strictEqual(reported.acknowledged, undefined);
+    const report = baseline.report(NOW);
+    assert.deepStrictEqual([report.acknowledged, report.expired.map(item => item.path), report.stale], [0, ['apiKey'], []]);
+});
+
+test('snapshotEntries: действующие записи сохраняют причину и срок, остальные создаются заново', () => {
+    const port = { type: 'modified', path: 'port', oldValue: 80, newValue: 8080 };
+    const previous = createBaseline({ entries: [entry({ reason: 'Старая причина' })] }, 'b.json');
+    const entries = snapshotEntries([{ rawChanges: [ROTATION, port], impacts: [impact(ROTATION), impact(port)] }], {
+        reason: 'Новая причина',
+        expires: '2026-09-13',
+        previous,
+        now: NOW,
+    });
+    assert.deepStrictEqual(entries.map(item => [item.path, item.reason, item.expires]), [
+        ['apiKey', 'Старая причина', '2026-06-30'],
+        ['port', 'Новая причина', '2026-09-13'],
+    ]);
+    assert.strictEqual(entries[1].created, '2026-06-15');
+});
+
+test('baseline create, затем diff: принятое влияние не нарушает --fail-on, новая ротация — нарушает', t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-baseline-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'a.json'), JSON.stringify({ apiKey: 'key-one-aaaaaaaa', port: 80 }));
+    fs.writeFileSync(path.join(root, 'b.json'), JSON.stringify({ apiKey: 'key-two-bbbbbbbb', port: 80 }));
+    fs.writeFileSync(path.join(root, 'c.json'), JSON.stringify({ apiKey: 'key-three-cccccccc', port: 80 }));
+    const run = args => spawnSync(process.execPath, [CLI, ...args], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+        encoding: 'utf-8',
+    });
+
+    assert.strictEqual(run(['baseline', 'create', 'a.json', 'b.json']).status, 1);
+    const created = run(['baseline', 'create', 'a.json', 'b.json', '--reason=Ротация ключа', '--format=json']);
+    assert.strictEqual(JSON.parse(created.stdout).entries, 1);
+    const [saved] = JSON.parse(fs.readFileSync(path.join(root, '.impact-baseline.json'), 'utf-8')).entries;
+    assert.deepStrictEqual([saved.path, saved.changeType, saved.reason], ['apiKey', 'modified', 'Ротация ключа']);
+    assert.ok(!JSON.stringify(saved).includes('key-two'));
+
+    const accepted = run(['a.json', 'b.json', '--format=json', '--fail-on=high']);
+    assert.strictEqual(accepted.status, 0);
+    const report = JSON.parse(accepted.stdout);
+    assert.strictEqual(report.impacts[0].acknowledged.reason, 'Ротация ключа');
+    assert.deepStrictEqual([report.baseline.acknowledged, report.baseline.stale], [1, []]);
+
+    const rotated = run(['a.json', 'c.json', '--format=json', '--fail-on=high']);
+    assert.strictEqual(rotated.status, 2);
+    assert.deepStrictEqual(JSON.parse(rotated.stdout).baseline.stale.map(item => item.path), ['apiKey']);
+});
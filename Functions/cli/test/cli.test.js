@@ -0,0 +1,29 @@
+/**
+ * Тесты разбора аргументов командной строки
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+test('значение --ключ=значение берётся целиком, вместе с «=» внутри', t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-cli-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'a.json'), '{"a": 1}');
+    fs.writeFileSync(path.join(root, 'b.json'), '{"a": 2}');
+    fs.mkdirSync(path.join(root, 'cfg=prod'));
+    fs.writeFileSync(path.join(root, 'cfg=prod', 'rules.json'), JSON.stringify({ rules: [{ path: 'a', level: 'critical', title: 'A' }] }));
+
+    execFileSync(process.execPath, [CLI, 'a.json', 'b.json', '--format=json', '--rules=cfg=prod/rules.json', '--output=report=v1.json'], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+        encoding: 'utf-8',
+    });
+    const report = JSON.parse(fs.readFileSync(path.join(root, 'report=v1.json'), 'utf-8'));
+    assert.deepStrictEqual(report.impacts.map(impact => [impact.path, impact.level]), [['a', 'critical']]);
+});
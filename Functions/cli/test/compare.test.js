@@ -0,0 +1,55 @@
+/**
+ * Тесты сравнения: ключи идентичности в массивах и перемещения элементов
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareObjects, compareDocuments, findIdentityKey, parsePath, joinMatch } = require('../lib/compare');
+
+test('элементы массива сопоставляются по ключу идентичности, а не по позиции', () => {
+    const before = { services: [{ name: 'auth', port: 1 }, { name: 'api', port: 2 }] };
+    const after = { services: [{ name: 'api', port: 2 }, { name: 'auth', port: 3 }] };
+
+    assert.deepStrictEqual(compareObjects(before, after), [
+        { type: 'moved', path: 'services[name=api]', fromIndex: 1, toIndex: 0 },
+        { type: 'modified', path: 'services[name=auth].port', oldValue: 1, newValue: 3 },
+    ]);
+});
+
+test('добавленный и удалённый элементы по ключу идентичности', () => {
+    const before = { users: [{ id: 1, role: 'admin' }, { id: 2, role: 'user' }] };
+    const after = { users: [{ id: 2, role: 'user' }, { id: 3, role: 'guest' }] };
+
+    assert.deepStrictEqual(compareObjects(before, after), [
+        { type: 'removed', path: 'users[id=1]', value: { id: 1, role: 'admin' } },
+        { type: 'added', path: 'users[id=3]', value: { id: 3, role: 'guest' } },
+    ]);
+});
+
+test('перестановка примитивов — перемещение без изменений значений', () => {
+    const changes = compareObjects({ list: [1, 2, 3] }, { list: [3, 1, 2] });
+    assert.ok(changes.length > 0);
+    assert.ok(changes.every(change => change.type === 'moved'));
+});
+
+test('ключ идентичности находится только у массива объектов с уникальными значениями', () => {
+    assert.strictEqual(findIdentityKey([[{ name: 'a' }, { name: 'b' }], [{ name: 'b' }]]), 'name');
+    assert.strictEqual(findIdentityKey([[{ name: 'a' }, { name: 'a' }], []]), null);
+    assert.strictEqual(findIdentityKey([[1, 2], [2]]), null);
+});
+
+test('одинаковые документы не дают изменений', () => {
+    const doc = { a: { b: [1, { c: 2 }] } };
+    assert.deepStrictEqual(compareDocuments([doc], [JSON.parse(JSON.stringify(doc))]), []);
+});
+
+test('строковый и числовой id с одинаковой записью дают разные пути', () => {
+    const before = { x: [{ id: '8080', port: 1 }, { id: 8080, port: 2 }] };
+    const after = { x: [{ id: '8080', port: 3 }, { id: 8080, port: 4 }] };
+    const paths = compareObjects(before, after).map(change => change.path);
+    assert.deepStrictEqual(paths, ['x[id="8080"].port', 'x[id=8080].port']);
+    assert.deepStrictEqual(parsePath('x[id="8080"]')[1], { type: 'match', key: 'id', value: '8080' });
+    assert.deepStrictEqual(parsePath('x[id=8080]')[1], { type: 'match', key: 'id', value: 8080 });
+    assert.strictEqual(joinMatch('x', 'name', 'auth'), 'x[name=auth]');
+    assert.strictEqual(joinMatch('x', 'name', 'true'), 'x[name="true"]');
+});
@@ -0,0 +1,78 @@
+/**
+ * Тесты сравнения каталогов: сопоставление файлов по относительному пути
+ * и новые или удалённые файлы как изменение всего документа
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { globToRegExp, pairFileSets } = require('../lib/files');
+const { documentChange } = require('../lib/compare');
+const { analyzeImpact } = require('../lib/rules');
+const { createPolicy, evaluatePolicy } = require('../lib/policy');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+function tempDirs(t, filesA, filesB) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-files-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const [side, files] of [['a', filesA], ['b', filesB]]) {
+        for (const [file, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(root, side, file)), { recursive: true });
+            fs.writeFileSync(path.join(root, side, file), content);
+        }
+    }
+    return root;
+}
+
+test('glob: * в пределах сегмента, ** — любое число каталогов', () => {
+    assert.ok(globToRegExp('*.yaml').test('app.yaml'));
+    assert.ok(!globToRegExp('*.yaml').test('prod/app.yaml'));
+    assert.ok(globToRegExp('**/*.yaml').test('prod/eu/app.yaml'));
+    assert.ok(globToRegExp('*.{json,yml}').test('app.yml'));
+});
+
+test('pairFileSets: общие, новые и удалённые файлы по относительному пути', t => {
+    const root = tempDirs(t, { 'app.json': '{}', 'db/main.yaml': 'a: 1\n', 'README.txt': 'x' }, { 'app.json': '{}', 'cache.ini': 'a=1\n' });
+    const pairs = pairFileSets(path.join(root, 'a'), path.join(root, 'b'));
+    assert.deepStrictEqual(pairs.map(pair => [pair.file, pair.status]), [
+        ['app.json', 'common'],
+        ['cache.ini', 'added'],
+        ['db/main.yaml', 'removed'],
+    ]);
+    assert.strictEqual(pairs[1].pathA, null);
+    assert.strictEqual(pairs[2].pathB, null);
+});
+
+test('удалённый файл — одно изменение всего документа с высоким риском', () => {
+    const change = documentChange('removed', [{ database: { host: 'db' } }]);
+    assert.deepStrictEqual(change, { type: 'removed', path: '', value: { database: { host: 'db' } } });
+
+    const [impact] = analyzeImpact([change]);
+    assert.strictEqual(impact.level, 'high');
+    assert.strictEqual(impact.rule, 'file-removed');
+    assert.strictEqual(analyzeImpact([documentChange('added', [{ a: 1 }])])[0].rule, 'file-added');
+
+    const policy = createPolicy({ rules: [{ path: '**', changeType: 'removed', deny: true }] });
+    assert.strictEqual(evaluatePolicy(policy, [{ changes: [change], impacts: [] }]).length, 1);
+});
+
+test('impact каталог каталог: новые и удалённые файлы попадают в изменения и риск', t => {
+    const root = tempDirs(t, { 'same.json': '{"a": 1}', 'gone.json': '{"db": {"host": "x"}}' }, { 'same.json': '{"a": 1}', 'new.json': '{"b": 2}' });
+    const output = execFileSync(process.execPath, [CLI, 'a', 'b', '--format=json'], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+        encoding: 'utf-8',
+    });
+    const result = JSON.parse(output);
+    assert.deepStrictEqual(result.files.map(file => [file.file, file.status, file.changes.length, file.risk]), [
+        ['gone.json', 'removed', 1, 'Высокий'],
+        ['new.json', 'added', 1, 'Средний'],
+        ['same.json', 'common', 0, 'Низкий'],
+    ]);
+    assert.strictEqual(result.summary.risk, 'Высокий');
+    assert.strictEqual(result.summary.removed, 1);
+});
@@ -0,0 +1,100 @@
+/**
+ * Тесты разбора TOML, INI, .env, XML и .properties: граничные случаи
+ * синтаксиса, ошибки с позицией и ключи с именами членов Object.prototype
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const toml = require('../lib/formats/toml');
+const ini = require('../lib/formats/ini');
+const dotenv = require('../lib/formats/dotenv');
+const xml = require('../lib/formats/xml');
+const properties = require('../lib/formats/properties');
+
+// ===== TOML =====
+test('TOML: таблицы, массивы таблиц и дата-время', () => {
+    const doc = toml.parse('[server]\nport = 8080\n[[svc]]\nname = "a"\n[[svc]]\nname = "b"\ndt = 1979-05-27T07:32:00Z\n');
+    assert.deepStrictEqual(doc, {
+        server: { port: 8080 },
+        svc: [{ name: 'a' }, { name: 'b', dt: '1979-05-27T07:32:00Z' }],
+    });
+});
+
+test('TOML: повторяющийся ключ — ошибка с номером строки', () => {
+    assert.throws(() => toml.parse('a = 1\na = 2'), error => error.line === 2 && /Повторяющийся ключ/.test(error.message));
+});
+
+test('TOML: точечные ключи и строковые литералы', () => {
+    const doc = toml.parse('a.b.c = \'C:\\path\'\n"quoted.key" = """\nmulti\nline"""\n');
+    assert.deepStrictEqual(doc, { a: { b: { c: 'C:\\path' } }, 'quoted.key': 'multi\nline' });
+});
+
+test('TOML: ключи constructor и toString — обычные ключи и таблицы', () => {
+    assert.deepStrictEqual(toml.parse('constructor = 1\n[toString]\nx = 1\n'), { constructor: 1, toString: { x: 1 } });
+});
+
+// ===== INI =====
+test('INI: секции, комментарии в значении и key[]', () => {
+    const doc = ini.parse('top = 1\n[db.main]\nhost = "a ; b"\nport = 5432 ; комментарий\nlist[] = 1\nlist[] = 2\nflag\n');
+    assert.deepStrictEqual(doc, { top: 1, db: { main: { host: 'a ; b', port: 5432, list: [1, 2], flag: true } } });
+});
+
+test('INI: повторяющийся ключ собирается в массив, constructor — обычный ключ', () => {
+    assert.deepStrictEqual(ini.parse('constructor = 1\nk = a\nk = b\n[toString]\nx = 1\n'), {
+        constructor: 1,
+        k: ['a', 'b'],
+        toString: { x: 1 },
+    });
+});
+
+// ===== .ENV =====
+test('.env: export, кавычки, многострочные значения и комментарии', () => {
+    const doc = dotenv.parse('export A="x\\ny"\nB=2 # комментарий\nC=\'$HOME\'\nD="line1\nline2"\n');
+    assert.deepStrictEqual(doc, { A: 'x\ny', B: 2, C: '$HOME', D: 'line1\nline2' });
+});
+
+test('.env: незакрытая кавычка — ошибка с номером строки', () => {
+    assert.throws(() => dotenv.parse('A=1\nB="open\n'), error => error.line === 2 && /Незакрытая кавычка/.test(error.message));
+});
+
+// ===== XML =====
+test('XML: атрибуты, повторяющиеся элементы и текст рядом с дочерними', () => {
+    const doc = xml.parse('<cfg port="8080"><item>a</item><item>b</item><note>x<b>1</b></note></cfg>');
+    assert.deepStrictEqual(doc, { cfg: { '@port': 8080, item: ['a', 'b'], note: { b: 1, '#text': 'x' } } });
+});
+
+test('XML: элементы constructor и valueOf не считаются повторами', () => {
+    assert.deepStrictEqual(xml.parse('<cfg><constructor>1</constructor><valueOf>2</valueOf></cfg>'), {
+        cfg: { constructor: 1, valueOf: 2 },
+    });
+});
+
+// ===== .PROPERTIES =====
+test('.properties: точечные ключи, индексы и экранирование', () => {
+    const doc = properties.parse('a.b=1\nlist[0]=x\nlist[1]=y\nkey\\ with\\ space=v\nconstructor=1\n');
+    assert.deepStrictEqual(doc, { a: { b: 1 }, list: ['x', 'y'], 'key with space': 'v', constructor: 1 });
+});
+
+test('.properties: значение поверх группы — ошибка, а не потеря данных', () => {
+    assert.throws(
+        () => properties.parse('a.b=1\na.c=two\na=dup\n'),
+        error => error.line === 3 && /уже используется как группа/.test(error.message)
+    );
+});
+
+// ===== __proto__ =====
+test('ключ __proto__ отклоняется и не загрязняет Object.prototype', () => {
+    const cases = [
+        [properties, '__proto__.polluted=yes'],
+        [ini, '[__proto__]\npolluted=yes'],
+        [ini, '__proto__ = 1'],
+        [toml, '[__proto__]\npolluted = 1'],
+        [toml, 'a.__proto__.polluted = 1'],
+        [xml, '<a><__proto__><polluted>1</polluted></__proto__></a>'],
+        [dotenv, '__proto__=1'],
+    ];
+    for (const [format, source] of cases) {
+        assert.throws(() => format.parse(source), /Недопустимый ключ «__proto__»/, source);
+    }
+    assert.strictEqual({}.polluted, undefined);
+});
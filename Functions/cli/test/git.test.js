@@ -0,0 +1,77 @@
+/**
+ * Тесты чтения версий из git: спецификации «ревизия:путь» и диапазоны коммитов
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseRevisionSpec, readRevisionSpec, collectRangeRevisions } = require('../lib/git');
+
+const GIT_ENV = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+    GIT_CONFIG_NOSYSTEM: '1',
+};
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function commit(root, files, message) {
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(root, file);
+        if (content === null) {
+            fs.rmSync(target);
+        } else {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, content);
+        }
+    }
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', message);
+}
+
+function tempRepo(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-git-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    git(root, 'init', '-q');
+    return root;
+}
+
+test('parseRevisionSpec: ревизия:путь, индекс и пути Windows', () => {
+    assert.deepStrictEqual(parseRevisionSpec('HEAD~1:config/app.json'), { rev: 'HEAD~1', path: 'config/app.json' });
+    assert.deepStrictEqual(parseRevisionSpec(':app.json'), { rev: '', path: 'app.json' });
+    assert.strictEqual(parseRevisionSpec('C:\\config.json'), null);
+    assert.strictEqual(parseRevisionSpec('config/app.json'), null);
+});
+
+test('readRevisionSpec: путь считается от текущего каталога, а не от корня репозитория', t => {
+    const root = tempRepo(t);
+    commit(root, { 'config/app.json': '{"port": 1}', 'app.json': '{"root": true}' }, 'init');
+    const cwd = path.join(root, 'config');
+
+    assert.strictEqual(readRevisionSpec('HEAD:app.json', cwd).content, '{"port": 1}');
+    assert.strictEqual(readRevisionSpec('HEAD:../app.json', cwd).content, '{"root": true}');
+    assert.throws(() => readRevisionSpec('HEAD:missing.json', cwd), /Файл не найден в ревизии HEAD: missing\.json/);
+});
+
+test('collectRangeRevisions: добавление, изменение и удаление по коммитам', t => {
+    const root = tempRepo(t);
+    commit(root, { 'a.json': '{"v": 1}', 'b.json': '{"keep": 1}' }, 'base');
+    commit(root, { 'a.json': '{"v": 2}', 'c.yaml': 'x: 1\n' }, 'change');
+    commit(root, { 'b.json': null, 'notes.txt': 'text' }, 'remove');
+
+    const revisions = collectRangeRevisions('HEAD~2..HEAD', [], { cwd: root, filter: file => !file.endsWith('.txt') });
+    const summary = revisions.map(item => [item.commit.subject, item.status, item.file, item.contentA, item.contentB]);
+    assert.deepStrictEqual(summary, [
+        ['change', 'M', 'a.json', '{"v": 1}', '{"v": 2}'],
+        ['change', 'A', 'c.yaml', null, 'x: 1\n'],
+        ['remove', 'D', 'b.json', '{"keep": 1}', null],
+    ]);
+});
@@ -0,0 +1,59 @@
+/**
+ * Тесты аналитики истории: повторные сохранения и одинаковые пути разных файлов
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeHistoryStats } = require('../lib/history-stats');
+
+let sequence = 0;
+function record(fileB, changes) {
+    sequence++;
+    return { id: `r${sequence}`, timestamp: new Date(Date.UTC(2024, 0, sequence)).toISOString(), fileA: 'v1.json', fileB, changes, impacts: [] };
+}
+
+function modified(path, oldValue, newValue) {
+    return { type: 'modified', path, oldValue, newValue };
+}
+
+const NOW = Date.UTC(2024, 1, 1);
+
+test('повторно сохранённое то же сравнение не увеличивает частоту', () => {
+    const records = [1, 2, 3, 4].map(() => record('v2.json', [modified('port', 80, 8080)]));
+    const { churn, flapping } = computeHistoryStats(records, { now: NOW });
+    assert.deepStrictEqual(churn.map(entry => [entry.file, entry.path, entry.total]), [['v2.json', 'port', 1]]);
+    assert.deepStrictEqual(flapping, []);
+});
+
+test('одинаковый путь в разных файлах считается отдельно', () => {
+    const records = [
+        record('staging.json', [modified('port', 80, 8080)]),
+        record('prod.json', [modified('port', 80, 443)]),
+    ];
+    const { churn } = computeHistoryStats(records, { now: NOW });
+    assert.deepStrictEqual(churn.map(entry => [entry.file, entry.total]).sort(), [['prod.json', 1], ['staging.json', 1]]);
+});
+
+test('мигающее значение: цепочка без повторов одного значения', () => {
+    const records = [
+        record('app.json', [modified('flag', false, true)]),
+        record('app.json', [modified('flag', false, true)]),
+        record('app.json', [modified('flag', true, false)]),
+        record('app.json', [modified('flag', false, true)]),
+    ];
+    const [entry] = computeHistoryStats(records, { now: NOW }).flapping;
+    assert.strictEqual(entry.file, 'app.json');
+    assert.deepStrictEqual(entry.values.map(state => state.value), [false, true, false, true]);
+    assert.strictEqual(entry.flips, 2);
+});
+
+test('группы совместных изменений внутри одного файла', () => {
+    const records = [
+        record('app.json', [modified('db.host', 'a', 'b'), modified('db.port', 1, 2)]),
+        record('app.json', [modified('db.host', 'b', 'c'), modified('db.port', 2, 3)]),
+        record('app.json', [modified('db.host', 'b', 'c'), modified('db.port', 2, 3)]),
+    ];
+    assert.deepStrictEqual(computeHistoryStats(records, { now: NOW }).clusters, [
+        { file: 'app.json', paths: ['db.host', 'db.port'], occurrences: 2 },
+    ]);
+});
@@ -0,0 +1,77 @@
+/**
+ * Тесты журнала истории: дописывание и сжатие по политике хранения
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecord, createRetention, saveToHistory, readHistory, findRecord } = require('../lib/history');
+
+function tempLocation() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-history-'));
+    const file = path.join(root, '.impact-history.jsonl');
+    return { file, legacy: file.replace(/\.jsonl$/, '.json'), root };
+}
+
+function save(location, retention, index) {
+    const record = createRecord({ name: `run ${index}`, fileA: 'a.json', fileB: 'b.json', changes: [], impacts: [] }, location);
+    saveToHistory(record, { location, retention });
+}
+
+function lineCount(file) {
+    return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).length;
+}
+
+test('запись дописывается, журнал сжимается только после запаса сверх maxRecords', t => {
+    const location = tempLocation();
+    t.after(() => fs.rmSync(location.root, { recursive: true, force: true }));
+    const retention = createRetention({ maxRecords: 10 });
+
+    for (let index = 1; index <= 11; index++) save(location, retention, index);
+    assert.strictEqual(lineCount(location.file), 11);
+
+    save(location, retention, 12);
+    assert.strictEqual(lineCount(location.file), 10);
+    const { records } = readHistory(location);
+    assert.strictEqual(records[0].name, 'run 12');
+    assert.strictEqual(records[records.length - 1].name, 'run 3');
+});
+
+test('между сжатиями журнал не переписывается', t => {
+    const location = tempLocation();
+    t.after(() => fs.rmSync(location.root, { recursive: true, force: true }));
+    const retention = createRetention({ maxRecords: 100 });
+
+    save(location, retention, 1);
+    const { ino } = fs.statSync(location.file);
+    for (let index = 2; index <= 20; index++) save(location, retention, index);
+    assert.strictEqual(fs.statSync(location.file).ino, ino);
+    assert.strictEqual(lineCount(location.file), 20);
+});
+
+test('общий риск записи со средним влиянием — «Средний»', () => {
+    const location = { file: 'unused.jsonl', legacy: 'unused.json', root: null };
+    const impacts = [{ level: 'medium', path: 'name', title: 'Имя', description: '', recommendation: '', changeType: 'modified', category: 'general', rule: 'builtin' }];
+    const record = createRecord({ fileA: 'a.json', fileB: 'b.json', changes: [], impacts }, location);
+    assert.strictEqual(record.riskLevel, 'Средний');
+    assert.strictEqual(createRecord({ fileA: 'a.json', fileB: 'b.json', changes: [], impacts: [] }, location).riskLevel, 'Низкий');
+});
+
+test('влияние от правила без id сохраняется в историю', t => {
+    const location = tempLocation();
+    t.after(() => fs.rmSync(location.root, { recursive: true, force: true }));
+    const impacts = [{ level: 'high', path: 'a', title: 'A', description: '', recommendation: '', changeType: 'modified', category: 'general', rule: undefined }];
+    saveToHistory(createRecord({ fileA: 'a.json', fileB: 'b.json', changes: [], impacts }, location), { location });
+    assert.strictEqual(readHistory(location).records.length, 1);
+});
+
+test('findRecord: номер в списке, иначе начало id — в том числе из одних цифр', () => {
+    const history = [{ id: 'ab12cd34' }, { id: '12345f0e' }, { id: '9a8b7c6d' }];
+    assert.strictEqual(findRecord(history, '2').id, '12345f0e');
+    assert.strictEqual(findRecord(history, '1234').id, '12345f0e');
+    assert.strictEqual(findRecord(history, '9a8').id, '9a8b7c6d');
+    assert.throws(() => findRecord(history, '77'), /нет записи №77 \(всего 3\) и записи с таким началом id/);
+    assert.throws(() => findRecord(history, 'ff'), /Запись истории не найдена: ff/);
+});
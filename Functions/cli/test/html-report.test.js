@@ -0,0 +1,62 @@
+/**
+ * Тесты HTML-отчёта: автономность, экранирование, подсветка различий,
+ * группы влияний с фильтрами и деревья документов
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toHtml } = require('../lib/html-report');
+
+const ENTRY = {
+    file: 'app.json',
+    status: 'common',
+    docsA: [{ server: { host: 'db-old.local', port: 5432 }, debug: false }],
+    docsB: [{ server: { host: 'db-new.local', port: 5432 }, debug: false, note: '<script>alert(1)</script>' }],
+    changes: [
+        { type: 'modified', path: 'server.host', oldValue: 'db-old.local', newValue: 'db-new.local' },
+        { type: 'added', path: 'note', value: '<script>alert(1)</script>' },
+    ],
+    impacts: [
+        { level: 'high', category: 'performance', path: 'server.host', title: 'Хост', description: 'Изменён хост', rule: 'connection-changed' },
+        { level: 'medium', category: 'configuration', path: 'note', title: 'Заметка', description: '' },
+    ],
+};
+
+test('HTML: один автономный файл без внешних ресурсов', () => {
+    const html = toHtml([ENTRY], null, { title: 'a → b', generatedAt: '2026-01-01T00:00:00Z' });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<style>[\s\S]+<\/style>/);
+    assert.ok(!/<(script|link|img)[^>]+(src|href)=/i.test(html));
+    assert.ok(!/https?:\/\/(?!github\.com)/.test(html));
+    assert.match(html, /Анализ изменений: a → b/);
+});
+
+test('HTML: значения экранируются', () => {
+    const html = toHtml([ENTRY], null);
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
+
+test('HTML: в изменённом значении выделена только отличающаяся часть', () => {
+    const html = toHtml([ENTRY], null);
+    assert.match(html, /&quot;db-<mark class="del">old<\/mark>\.local&quot;/);
+    assert.match(html, /&quot;db-<mark class="ins">new<\/mark>\.local&quot;/);
+});
+
+test('HTML: влияния сгруппированы по уровням и категориям, фильтры — только по найденным уровням', () => {
+    const html = toHtml([ENTRY], null);
+    assert.match(html, /<section class="level-group high" data-level="high">/);
+    assert.match(html, /<section class="level-group medium" data-level="medium">/);
+    assert.ok(!html.includes('data-level="critical"'));
+    assert.match(html, /data-filter-level="high"/);
+    assert.ok(!html.includes('data-filter-level="critical"'));
+    assert.match(html, /<option value="performance">/);
+});
+
+test('HTML: дерево отмечает изменённые узлы, отсутствующий файл подписан', () => {
+    const html = toHtml([ENTRY, { file: 'new.json', status: 'added', docsA: [], docsB: [{ a: 1 }], changes: [], impacts: [] }], null);
+    assert.match(html, /<li class="modified"><span class="key">host<\/span>/);
+    assert.match(html, /<li class="added"><span class="key">note<\/span>/);
+    assert.match(html, /Файл отсутствует/);
+    assert.match(html, /<details class="file" open><summary>app\.json/);
+});
@@ -0,0 +1,42 @@
+/**
+ * Тесты Markdown-отчёта: сокращение под лимит по границам разделов и строк
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toMarkdown } = require('../lib/markdown-report');
+
+const changes = Array.from({ length: 300 }, (_, index) => ({ type: 'modified', path: `key${index}`, oldValue: index, newValue: index + 1 }));
+
+function impact(change, level = 'high') {
+    return { level, path: change.path, title: `Изменено ${change.path}`, changeType: 'modified', category: 'general', description: 'описание '.repeat(5) };
+}
+
+test('сокращённый отчёт сохраняет строки изменений, которые помещаются', () => {
+    const report = toMarkdown([{ file: 'app.json', changes, impacts: changes.slice(0, 5).map(change => impact(change)) }], null, { maxLength: 2000 });
+    assert.ok(report.length <= 2000);
+    assert.match(report, /Таблица изменений \(показано \d+ из 300\)/);
+    assert.match(report, /<\/details>\n\n_…не показано изменений: \d+\._/);
+    assert.match(report, /Отчёт сокращён/);
+});
+
+test('строки таблиц и блоки <details> не обрезаются посередине', () => {
+    const entries = [{ file: 'app.json', changes, impacts: changes.map(change => impact(change, 'medium')) }];
+    for (const maxLength of [600, 1500, 5000]) {
+        const report = toMarkdown(entries, null, { maxLength });
+        assert.ok(report.length <= maxLength);
+        assert.strictEqual((report.match(/<details>/g) || []).length, (report.match(/<\/details>/g) || []).length);
+        assert.ok(report.split('\n').filter(line => line.startsWith('|')).every(line => line.endsWith('|')));
+        assert.ok(report.endsWith('`--format=json`.'));
+    }
+});
+
+test('лимит меньше сводки с пометкой — ошибка', () => {
+    assert.throws(() => toMarkdown([{ file: 'app.json', changes, impacts: [] }], null, { maxLength: 10 }), /--max-length=10/);
+});
+
+test('отчёт в пределах лимита не сокращается', () => {
+    const report = toMarkdown([{ file: 'app.json', changes: changes.slice(0, 3), impacts: [] }], null, {});
+    assert.ok(!report.includes('Отчёт сокращён'));
+    assert.match(report, /\| `key2` \|/);
+});
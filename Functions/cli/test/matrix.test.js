@@ -0,0 +1,81 @@
+/**
+ * Тесты матрицы окружений: состояния путей, элементы массивов по ключу
+ * и вывод команды matrix
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { buildMatrix } = require('../lib/matrix');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+function runMatrix(t, files, args = []) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-matrix-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const [file, document] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), JSON.stringify(document));
+    }
+    return execFileSync(process.execPath, [CLI, 'matrix', ...Object.keys(files), ...args], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+        encoding: 'utf-8',
+    });
+}
+
+test('buildMatrix: совпадающие, различающиеся и отсутствующие пути', () => {
+    const { rows, summary } = buildMatrix([
+        { db: { host: 'dev-db', port: 5432 }, debug: true },
+        { db: { host: 'stage-db', port: 5432 }, debug: true },
+        { db: { host: 'prod-db', port: 5432 } },
+    ]);
+    assert.deepStrictEqual(rows.map(row => [row.path, row.status]), [
+        ['db.host', 'different'],
+        ['db.port', 'same'],
+        ['debug', 'missing'],
+    ]);
+    assert.deepStrictEqual(rows[2].values, [true, true, undefined]);
+    assert.deepStrictEqual(summary, { paths: 3, same: 1, different: 1, missing: 1 });
+});
+
+test('buildMatrix: элементы массивов сопоставляются по ключу идентичности', () => {
+    const { rows } = buildMatrix([
+        { services: [{ name: 'api', replicas: 1 }, { name: 'worker', replicas: 1 }] },
+        { services: [{ name: 'worker', replicas: 3 }, { name: 'api', replicas: 1 }] },
+    ]);
+    assert.deepStrictEqual(rows.map(row => [row.path, row.status]), [
+        ['services[name=api].name', 'same'],
+        ['services[name=api].replicas', 'same'],
+        ['services[name=worker].name', 'same'],
+        ['services[name=worker].replicas', 'different'],
+    ]);
+});
+
+test('matrix --format=json: значения по окружениям, missing и влияния относительно первого файла', t => {
+    const output = runMatrix(t, {
+        'dev.json': { port: 8080, debug: true, password: 'dev-secret' },
+        'prod.json': { port: 80, password: 'prod-secret' },
+    }, ['--format=json']);
+    const report = JSON.parse(output);
+    assert.deepStrictEqual(report.environments.map(environment => environment.name), ['dev', 'prod']);
+    const debug = report.rows.find(row => row.path === 'debug');
+    assert.deepStrictEqual([debug.status, debug.values, debug.missing], ['missing', { dev: true }, ['prod']]);
+    const port = report.rows.find(row => row.path === 'port');
+    assert.deepStrictEqual(port.values, { dev: 8080, prod: 80 });
+    assert.ok(report.impacts.some(impact => impact.path === 'port' && impact.environment === 'prod'));
+    assert.ok(!output.includes('dev-secret') && !output.includes('prod-secret'));
+});
+
+test('matrix: одинаковые имена файлов различаются путями, HTML — одна страница', t => {
+    const html = runMatrix(t, {
+        'dev/app.json': { port: 1 },
+        'prod/app.json': { port: 2 },
+    }, ['--format=html']);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /dev\/app\.json/);
+    assert.match(html, /prod\/app\.json/);
+});
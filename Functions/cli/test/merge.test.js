@@ -0,0 +1,75 @@
+/**
+ * Тесты трёхстороннего слияния: автоматическое применение, конфликты
+ * и вывод команды merge
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { mergeDocuments } = require('../lib/merge');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+function runMerge(t, files, args = []) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-merge-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const [name, document] of Object.entries(files)) {
+        fs.writeFileSync(path.join(root, `${name}.json`), JSON.stringify(document));
+    }
+    return spawnSync(process.execPath, [CLI, 'merge', 'base.json', 'ours.json', 'theirs.json', ...args], {
+        cwd: root,
+        env: { ...process.env, HOME: root, NO_COLOR: '1' },
+        encoding: 'utf-8',
+    });
+}
+
+const FILES = {
+    base: { a: { b: 1, c: 1 }, port: 80 },
+    ours: { a: { b: 2, c: 1 }, port: 80 },
+    theirs: { port: 81 },
+};
+
+test('непересекающиеся изменения применяются, одинаковые — не конфликт', () => {
+    const base = { host: 'a', port: 1, users: [{ id: 1, role: 'user' }] };
+    const ours = { host: 'b', port: 1, users: [{ id: 1, role: 'admin' }] };
+    const theirs = { host: 'b', port: 2, users: [{ id: 1, role: 'user' }, { id: 2, role: 'user' }] };
+    const { merged, conflicts, applied } = mergeDocuments(base, ours, theirs);
+    assert.deepStrictEqual(merged, { host: 'b', port: 2, users: [{ id: 1, role: 'admin' }, { id: 2, role: 'user' }] });
+    assert.deepStrictEqual(conflicts, []);
+    assert.deepStrictEqual(applied.theirs.map(change => change.path), ['port', 'users[id=2]']);
+});
+
+test('изменение и удаление родителя — конфликт, в пути остаётся база', () => {
+    const { merged, conflicts } = mergeDocuments(FILES.base, FILES.ours, FILES.theirs);
+    assert.deepStrictEqual(merged, { a: { b: 1, c: 1 }, port: 81 });
+    assert.deepStrictEqual(conflicts.map(conflict => [conflict.path, conflict.kind, conflict.ours.path, conflict.theirs.path]), [
+        ['a', 'removed', 'a.b', 'a'],
+    ]);
+});
+
+test('merge без --output: результат в stdout, влияние и конфликты с путями сторон в stderr', t => {
+    const result = runMerge(t, FILES);
+    assert.strictEqual(result.status, 3);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { a: { b: 1, c: 1 }, port: 81 });
+    assert.match(result.stderr, /ВЛИЯНИЕ СЛИЯНИЯ/);
+    assert.match(result.stderr, /Изменено значение: port/);
+    assert.match(result.stderr, /наша версия: a\.b: 2/);
+    assert.match(result.stderr, /их версия: {3}\S*удалено/);
+});
+
+test('merge --format=json без --output содержит результат слияния', t => {
+    const result = runMerge(t, FILES, ['--format=json']);
+    const report = JSON.parse(result.stdout);
+    assert.deepStrictEqual(report.merged, { a: { b: 1, c: 1 }, port: 81 });
+    assert.strictEqual(report.summary.conflicts, 1);
+    assert.deepStrictEqual(report.impacts.map(impact => impact.path), ['port']);
+});
+
+test('merge отклоняет неподдерживаемый --format', t => {
+    const result = runMerge(t, FILES, ['--format=html']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr + result.stdout, /Команда merge выводится в форматах: console, json/);
+});
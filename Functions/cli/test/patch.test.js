@@ -0,0 +1,64 @@
+/**
+ * Тесты JSON Patch и Merge Patch: применение и конфликты с изменившейся базой
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJsonPatch, createMergePatch, applyJsonPatch, applyMergePatch, applyPatch } = require('../lib/patch');
+
+test('JSON Patch: замена и удаление защищены операцией test', () => {
+    assert.deepStrictEqual(createJsonPatch({ a: 1, b: 2 }, { a: 3, c: 4 }), [
+        { op: 'test', path: '/b', value: 2 },
+        { op: 'remove', path: '/b' },
+        { op: 'test', path: '/a', value: 1 },
+        { op: 'replace', path: '/a', value: 3 },
+        { op: 'add', path: '/c', value: 4 },
+    ]);
+});
+
+test('JSON Patch переводит базу в новую версию', () => {
+    const before = { server: { port: 80, hosts: ['a', 'b', 'c'] }, debug: true };
+    const after = { server: { port: 8080, hosts: ['a', 'x'] }, log: { level: 'info' } };
+    assert.deepStrictEqual(applyPatch(before, createJsonPatch(before, after)), after);
+});
+
+test('JSON Patch: изменившаяся база — конфликт', () => {
+    const patch = createJsonPatch({ a: 1, b: 2 }, { a: 3, c: 4 });
+    assert.throws(() => applyJsonPatch({ a: 5, b: 2 }, patch), error => error.conflict && /test \/a/.test(error.message));
+});
+
+test('Merge Patch: null удаляет поле, объекты сливаются', () => {
+    const before = { a: { b: 1, c: 2 }, d: 3 };
+    const after = { a: { b: 1, c: 5 }, e: [1] };
+    const patch = createMergePatch(before, after);
+    assert.deepStrictEqual(patch, { a: { c: 5 }, d: null, e: [1] });
+    assert.deepStrictEqual(applyMergePatch(before, patch), after);
+});
+
+test('JSON Patch: add поверх поля с другим значением — конфликт', () => {
+    const patch = createJsonPatch({ a: 1 }, { a: 1, c: 4 });
+    assert.throws(() => applyJsonPatch({ a: 1, c: 5 }, patch), error => error.conflict && /add \/c/.test(error.message));
+});
+
+test('JSON Patch: add поля, которое уже есть с тем же значением, проходит', () => {
+    const patch = createJsonPatch({ a: 1 }, { a: 1, c: 4 });
+    assert.deepStrictEqual(applyJsonPatch({ a: 1, c: 4 }, patch), { a: 1, c: 4 });
+});
+
+test('ключи toString и constructor удаляются и добавляются в обоих форматах', () => {
+    const a = { toString: 1, keep: true };
+    const b = { constructor: 2, keep: true };
+    assert.deepStrictEqual(applyJsonPatch(a, createJsonPatch(a, b)), b);
+    assert.deepStrictEqual(createMergePatch(a, b), { toString: null, constructor: 2 });
+    assert.deepStrictEqual(applyMergePatch(a, createMergePatch(a, b)), b);
+});
+
+test('ключ __proto__ в патче остаётся обычным полем', () => {
+    const merged = applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": true}}'));
+    assert.deepStrictEqual(Object.keys(merged), ['__proto__']);
+    assert.strictEqual(merged.polluted, undefined);
+
+    const patched = applyJsonPatch({}, [{ op: 'add', path: '/__proto__', value: { polluted: true } }]);
+    assert.strictEqual(patched.polluted, undefined);
+    assert.strictEqual({}.polluted, undefined);
+});
@@ -0,0 +1,96 @@
+/**
+ * Тесты политики: шаблоны путей в правилах, запреты и обязательные метки
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pathGlobToRegExp } = require('../lib/patterns');
+const { createPolicy, evaluatePolicy } = require('../lib/policy');
+
+test('glob путей: * — часть одного сегмента, ** — любое число сегментов', () => {
+    assert.ok(pathGlobToRegExp('database.*').test('database.host'));
+    assert.ok(!pathGlobToRegExp('database.*').test('database.pool.size'));
+    assert.ok(pathGlobToRegExp('database.**').test('database.pool.size'));
+    assert.ok(pathGlobToRegExp('**.password').test('password'));
+    assert.ok(pathGlobToRegExp('**.password').test('db.main.password'));
+    assert.ok(!pathGlobToRegExp('**.password').test('db.password_hint'));
+});
+
+test('glob путей: скобки в пути буквальные', () => {
+    assert.ok(pathGlobToRegExp('services[name=api].*').test('services[name=api].port'));
+    assert.ok(!pathGlobToRegExp('services[name=api].*').test('services[name=auth].port'));
+});
+
+function run(policy, changes) {
+    return evaluatePolicy(policy, [{ changes, impacts: [] }]);
+}
+
+test('deny и requireLabel срабатывают на подходящие изменения', () => {
+    const policy = createPolicy({
+        rules: [
+            { path: 'database.**', changeType: 'removed', deny: true },
+            { path: 'featureFlag.*', requireLabel: 'flags' },
+        ],
+    });
+    const violations = run(policy, [
+        { type: 'removed', path: 'database.host', value: 'db' },
+        { type: 'modified', path: 'database.port', oldValue: 1, newValue: 2 },
+        { type: 'added', path: 'featureFlag.beta', value: true },
+    ]);
+    assert.deepStrictEqual(violations.map(violation => [violation.type, violation.path]), [
+        ['deny', 'database.host'],
+        ['label', 'featureFlag.beta'],
+    ]);
+});
+
+test('requireLabel выполняется, если метка передана', () => {
+    const policy = createPolicy({ rules: [{ path: 'featureFlag.*', requireLabel: 'flags' }] }, { labels: ['flags'] });
+    assert.deepStrictEqual(run(policy, [{ type: 'added', path: 'featureFlag.beta', value: true }]), []);
+});
+
+test('--fail-on и --max-changes', () => {
+    const policy = createPolicy({}, { failOn: 'high', maxChanges: 1 });
+    const changes = [{ type: 'added', path: 'a', value: 1 }, { type: 'added', path: 'b', value: 2 }];
+    const violations = evaluatePolicy(policy, [{ changes, impacts: [{ level: 'critical' }, { level: 'medium' }] }]);
+    assert.deepStrictEqual(violations.map(violation => violation.type), ['fail-on', 'max-changes']);
+});
+
+test('x.** подходит к самому x и к элементам массива x', () => {
+    assert.ok(pathGlobToRegExp('database.**').test('database'));
+    assert.ok(pathGlobToRegExp('database.**').test('database[0]'));
+    assert.ok(!pathGlobToRegExp('database.**').test('databases'));
+    assert.ok(pathGlobToRegExp('**').test('anything.at.all'));
+});
+
+test('удаление родительского объекта целиком нарушает deny для x.**', () => {
+    const policy = createPolicy({
+        rules: [
+            { path: 'database.**', changeType: 'removed', deny: true },
+            { path: 'featureFlag.**', requireLabel: 'flags' },
+        ],
+    });
+    const violations = run(policy, [
+        { type: 'removed', path: 'database', value: { host: 'db', port: 5432 } },
+        { type: 'added', path: 'featureFlag', value: { beta: true } },
+    ]);
+    assert.deepStrictEqual(violations.map(violation => [violation.type, violation.path]), [
+        ['deny', 'database'],
+        ['label', 'featureFlag'],
+    ]);
+});
+
+test('файл с ошибкой разбора нарушает политику', () => {
+    const policy = createPolicy({}, { failOn: 'high' });
+    const violations = evaluatePolicy(policy, [
+        { file: 'ok.yaml', changes: [], impacts: [] },
+        { file: 'sub/bad.yaml', changes: [], impacts: [], error: 'Неожиданный отступ (строка 2, столбец 3)' },
+    ]);
+    assert.deepStrictEqual(violations.map(violation => [violation.type, violation.file]), [['error', 'sub/bad.yaml']]);
+});
+
+test('--max-changes: пустое и дробное значение — ошибка', () => {
+    assert.throws(() => createPolicy({}, { maxChanges: '' }), /--max-changes должно быть неотрицательным целым числом/);
+    assert.throws(() => createPolicy({}, { maxChanges: '1.5' }), /--max-changes/);
+    assert.strictEqual(createPolicy({}, { maxChanges: '0' }).maxChanges, 0);
+    assert.strictEqual(createPolicy({ maxChanges: 20 }).maxChanges, 20);
+});
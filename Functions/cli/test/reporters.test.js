@@ -0,0 +1,57 @@
+/**
+ * Тесты форматов отчётов для CI
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toJUnit, toGitLab, toSarif } = require('../lib/reporters');
+
+function attribute(xml, tag, name) {
+    return Number(xml.match(new RegExp(`<${tag} [^>]*${name}="(\\d+)"`))[1]);
+}
+
+test('JUnit: tests равно числу записанных testcase', () => {
+    const entries = [
+        { file: 'clean-a.json', changes: [], impacts: [] },
+        { file: 'clean-b.json', changes: [], impacts: [] },
+        { file: 'risky.json', changes: [], impacts: [{ level: 'high', path: 'port', title: 'Порт', changeType: 'modified' }] },
+    ];
+    const xml = toJUnit(entries, []);
+    assert.strictEqual(attribute(xml, 'testsuites', 'tests'), (xml.match(/<testcase /g) || []).length);
+    assert.strictEqual(attribute(xml, 'testsuites', 'tests'), 3);
+    assert.strictEqual(attribute(xml, 'testsuites', 'failures'), 1);
+});
+
+test('GitLab: отпечатки уникальны для одного файла в разных коммитах --git-range', () => {
+    const impact = { level: 'high', path: 'database.port', title: 'Порт', changeType: 'modified', rule: 'connection-changed' };
+    const entries = [
+        { file: 'app.json', source: 'app.json@aaa1111', changes: [], impacts: [impact] },
+        { file: 'app.json', source: 'app.json@bbb2222', changes: [], impacts: [impact] },
+    ];
+    const violations = [
+        { type: 'deny', rule: 'no-db', file: 'app.json@aaa1111', path: 'database.port', message: 'Запрещено' },
+        { type: 'deny', rule: 'no-db', file: 'app.json@bbb2222', path: 'database.port', message: 'Запрещено' },
+    ];
+    const fingerprints = JSON.parse(toGitLab(entries, violations)).map(issue => issue.fingerprint);
+    assert.strictEqual(fingerprints.length, 4);
+    assert.strictEqual(new Set(fingerprints).size, 4);
+
+    const sarif = JSON.parse(toSarif(entries, violations));
+    assert.deepStrictEqual(sarif.runs[0].results.map(result => result.partialFingerprints.impactPath), fingerprints);
+});
+
+test('GitLab: совпадающие находки в одном файле получают разные отпечатки', () => {
+    const impact = { level: 'critical', path: 'token', title: 'Секрет', changeType: 'added', rule: 'secret' };
+    const entries = [{ file: 'app.json', changes: [], impacts: [impact, impact] }];
+    const [first, second] = JSON.parse(toGitLab(entries, [])).map(issue => issue.fingerprint);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(JSON.parse(toGitLab(entries, []))[0].fingerprint, first);
+});
+
+test('JUnit: символы, недопустимые в XML 1.0, удаляются', () => {
+    const impact = { level: 'high', path: 'a\u0001b', title: 'Значение \u0000\u001B[31mкрасное\uFFFF \uD800 😀', changeType: 'modified' };
+    const xml = toJUnit([{ file: 'app.json', changes: [], impacts: [impact] }], []);
+    assert.ok(!/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/.test(xml));
+    assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/.test(xml));
+    assert.match(xml, /Значение \[31mкрасное  😀/);
+});
@@ -0,0 +1,109 @@
+/**
+ * Тесты построения схемы по конфигурациям (schema infer) и классификации
+ * изменений между версиями схемы (schema diff)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { inferSchema } = require('../lib/schema-infer');
+const { diffSchemas } = require('../lib/schema-diff');
+const { loadSchema, compileSchema } = require('../lib/schema');
+const { createSecretMatcher } = require('../lib/secrets');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+function diff(before, after) {
+    return diffSchemas(loadSchema(before), loadSchema(after)).map(change => [change.path, change.keyword, change.breaking]);
+}
+
+test('infer: типы, обязательные поля и элементы массивов по всем образцам', () => {
+    const schema = inferSchema([
+        { port: 80, ratio: 1, tags: ['a'], db: { host: 'x' } },
+        { port: 81, ratio: 0.5, tags: [], db: { host: 'y', pool: null } },
+    ]);
+    assert.strictEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepStrictEqual(schema.required, ['port', 'ratio', 'tags', 'db']);
+    assert.deepStrictEqual(schema.properties.port, { type: 'integer' });
+    assert.deepStrictEqual(schema.properties.ratio, { type: 'number' });
+    assert.deepStrictEqual(schema.properties.tags, { type: 'array', items: { type: 'string' } });
+    assert.deepStrictEqual(schema.properties.db.required, ['host']);
+    assert.deepStrictEqual(schema.properties.db.properties.pool, { type: 'null' });
+});
+
+test('infer: enum только для повторяющихся строк и не для секретов', () => {
+    const documents = ['dev', 'prod', 'dev', 'prod'].map((mode, index) => ({ mode, name: `svc-${index}`, password: mode }));
+    const schema = inferSchema(documents, { secrets: createSecretMatcher() });
+    assert.deepStrictEqual(schema.properties.mode, { type: 'string', enum: ['dev', 'prod'] });
+    assert.deepStrictEqual(schema.properties.name, { type: 'string' });
+    assert.deepStrictEqual(schema.properties.password, { type: 'string' });
+    assert.deepStrictEqual(compileSchema(schema).validate(documents[0]), []);
+});
+
+test('diff: новое обязательное поле, сужение типа, удалённый enum и ужесточённый maximum — ломающие', () => {
+    const before = {
+        type: 'object',
+        properties: {
+            port: { type: 'integer', maximum: 65535 },
+            timeout: { type: ['integer', 'string'] },
+            mode: { enum: ['dev', 'prod', 'test'] },
+        },
+    };
+    const after = {
+        type: 'object',
+        required: ['port'],
+        properties: {
+            port: { type: 'integer', maximum: 1024 },
+            timeout: { type: 'integer' },
+            mode: { enum: ['dev', 'prod'] },
+        },
+    };
+    assert.deepStrictEqual(diff(before, after), [
+        ['port', 'required', true],
+        ['port', 'maximum', true],
+        ['timeout', 'type', true],
+        ['mode', 'enum', true],
+    ]);
+});
+
+test('diff: ослабления и новые поля — неломающие, integer → number — расширение', () => {
+    const before = { properties: { port: { type: 'integer', maximum: 1024 }, mode: { enum: ['dev'] } }, required: ['port'] };
+    const after = { properties: { port: { type: 'number' }, mode: { enum: ['dev', 'prod'] }, debug: { type: 'boolean' } } };
+    assert.deepStrictEqual(diff(before, after), [
+        ['port', 'required', false],
+        ['port', 'type', false],
+        ['port', 'maximum', false],
+        ['mode', 'enum', false],
+        ['debug', 'properties', false],
+    ]);
+});
+
+test('diff: $ref разрешается, рекурсивные схемы не зацикливаются', () => {
+    const node = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+    const before = { $defs: { port: { type: 'integer' } }, properties: { port: { $ref: '#/$defs/port' } } };
+    const after = { $defs: { port: { type: 'string' } }, properties: { port: { $ref: '#/$defs/port' } } };
+    assert.deepStrictEqual(diff(before, after), [['port', 'type', true]]);
+    assert.deepStrictEqual(diff(node, { ...node, required: ['children'] }), [['children', 'required', true]]);
+});
+
+test('schema diff: ломающие изменения завершают работу с кодом 2', t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-schema-diff-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'old.json'), JSON.stringify({ properties: { port: { type: 'integer' } } }));
+    fs.writeFileSync(path.join(root, 'new.json'), JSON.stringify({ properties: { port: { type: 'integer' } }, required: ['port'] }));
+    const run = files => spawnSync(process.execPath, [CLI, 'schema', 'diff', ...files, '--format=json'], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+        encoding: 'utf-8',
+    });
+
+    const breaking = run(['old.json', 'new.json']);
+    assert.strictEqual(breaking.status, 2);
+    assert.deepStrictEqual(JSON.parse(breaking.stdout).summary, { total: 1, breaking: 1, nonBreaking: 0 });
+    const relaxed = run(['new.json', 'old.json']);
+    assert.strictEqual(relaxed.status, 0);
+    assert.deepStrictEqual(JSON.parse(relaxed.stdout).summary, { total: 1, breaking: 0, nonBreaking: 1 });
+});
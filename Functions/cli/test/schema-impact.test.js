@@ -0,0 +1,78 @@
+/**
+ * Тесты оценки риска по аннотациям схемы: required, deprecated, readOnly,
+ * x-impact-level и x-impact-recommendation с наследованием от предков
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareDocuments } = require('../lib/compare');
+const { compileSchema } = require('../lib/schema');
+const { analyzeChanges } = require('../lib/analysis');
+
+const SCHEMA = compileSchema({
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', 'x-impact-level': 'low' },
+        legacyMode: { type: 'boolean', deprecated: true },
+        id: { type: 'string', readOnly: true },
+        cache: {
+            type: 'object',
+            'x-impact-level': 'high',
+            'x-impact-recommendation': 'Предупредите команду кэша',
+            properties: { ttl: { type: 'integer' } },
+        },
+        plugins: {
+            type: 'array',
+            items: { type: 'object', properties: { name: { type: 'string' }, secretMode: { deprecated: true } } },
+        },
+    },
+});
+
+function impactsOf(before, after, schema = SCHEMA) {
+    const docsA = Array.isArray(before) ? before : [before];
+    const docsB = Array.isArray(after) ? after : [after];
+    return analyzeChanges(compareDocuments(docsA, docsB), { schema }, { docsA, docsB }).impacts
+        .map(impact => ({ path: impact.path, level: impact.level, rule: impact.rule, recommendation: impact.recommendation }));
+}
+
+test('удаление обязательного поля критично, даже если x-impact-level ниже', () => {
+    const [impact] = impactsOf({ name: 'app' }, {});
+    assert.deepStrictEqual([impact.path, impact.level, impact.rule], ['name', 'critical', 'schema:required-removed']);
+});
+
+test('добавление deprecated-поля и изменение readOnly-поля', () => {
+    const impacts = impactsOf({ name: 'app', id: 'a1' }, { name: 'app', id: 'b2', legacyMode: true });
+    assert.deepStrictEqual(impacts.map(impact => [impact.path, impact.level, impact.rule]), [
+        ['id', 'high', 'schema:readonly-modified'],
+        ['legacyMode', 'medium', 'schema:deprecated-added'],
+    ]);
+});
+
+test('x-impact-level и x-impact-recommendation наследуются вложенными полями', () => {
+    const [impact] = impactsOf({ name: 'app', cache: { ttl: 60 } }, { name: 'app', cache: { ttl: 120 } });
+    assert.deepStrictEqual(impact, {
+        path: 'cache.ttl',
+        level: 'high',
+        rule: 'schema:x-impact',
+        recommendation: 'Предупредите команду кэша',
+    });
+    // name размечен как low — изменение не попадает в отчёт, хотя эвристики нашли бы его
+    assert.deepStrictEqual(impactsOf({ name: 'app' }, { name: 'other' }), []);
+});
+
+test('элементы массивов по ключу и многодокументные файлы находят аннотации', () => {
+    const before = { name: 'app', plugins: [{ name: 'auth' }, { name: 'log' }] };
+    const after = { name: 'app', plugins: [{ name: 'log' }, { name: 'auth', secretMode: 1 }] };
+    assert.deepStrictEqual(impactsOf(before, after).map(impact => [impact.path, impact.rule]), [
+        ['plugins[name=auth].secretMode', 'schema:deprecated-added'],
+    ]);
+    assert.deepStrictEqual(impactsOf([{ name: 'a' }, { name: 'b' }], [{ name: 'a' }, {}]).map(impact => [impact.path, impact.level]), [
+        ['[doc=1].name', 'critical'],
+    ]);
+});
+
+test('неизвестный x-impact-level — понятная ошибка', () => {
+    const schema = compileSchema({ properties: { port: { 'x-impact-level': 'severe' } } });
+    assert.throws(() => impactsOf({ port: 1 }, { port: 2 }, schema), /x-impact-level для port: неизвестный уровень «severe»/);
+});
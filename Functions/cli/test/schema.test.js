@@ -0,0 +1,84 @@
+/**
+ * Тесты валидации по JSON Schema: ключевые слова draft 2020-12, $ref на файлы,
+ * стороны A/B, новые нарушения и обнаружение зацикленных схем
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileSchema, validatePair } = require('../lib/schema');
+
+function errorsOf(schema, data) {
+    return compileSchema(schema).validate(data).map(error => [error.path, error.keyword]);
+}
+
+test('числа, строки, форматы и additionalProperties', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            port: { type: 'integer', minimum: 1, maximum: 65535 },
+            host: { type: 'string', format: 'hostname' },
+            mode: { enum: ['dev', 'prod'] },
+            name: { type: 'string', pattern: '^[a-z]+$' },
+        },
+        required: ['port'],
+        additionalProperties: false,
+    };
+    assert.deepStrictEqual(errorsOf(schema, { port: 70000, host: 'bad host', mode: 'test', name: 'X1', extra: 1 }), [
+        ['port', 'maximum'],
+        ['host', 'format'],
+        ['mode', 'enum'],
+        ['name', 'pattern'],
+        ['extra', 'additionalProperties'],
+    ]);
+    assert.deepStrictEqual(errorsOf(schema, { host: 'db.local' }).map(([, keyword]) => keyword), ['required']);
+});
+
+test('$defs, oneOf и if/then/else', () => {
+    const schema = {
+        $defs: { port: { type: 'integer', minimum: 1 } },
+        properties: {
+            port: { $ref: '#/$defs/port' },
+            tls: { oneOf: [{ type: 'boolean' }, { type: 'object', required: ['cert'] }] },
+        },
+        if: { properties: { mode: { const: 'prod' } } },
+        then: { required: ['tls'] },
+    };
+    assert.deepStrictEqual(errorsOf(schema, { port: 0, mode: 'prod' }), [['port', 'minimum'], ['tls', 'required']]);
+    assert.deepStrictEqual(errorsOf(schema, { port: 1, tls: {} }).map(([, keyword]) => keyword), ['oneOf']);
+    assert.deepStrictEqual(errorsOf(schema, { port: 1, mode: 'dev' }), []);
+});
+
+test('$ref на соседний файл схемы', t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-schema-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'common.json'), JSON.stringify({ $defs: { port: { type: 'integer', maximum: 65535 } } }));
+    fs.writeFileSync(path.join(root, 'app.json'), JSON.stringify({ properties: { port: { $ref: 'common.json#/$defs/port' } } }));
+    assert.deepStrictEqual(errorsOf(path.join(root, 'app.json'), { port: 70000 }), [['port', 'maximum']]);
+});
+
+test('нарушения помечены стороной, introduced — только новые в B', () => {
+    const schema = compileSchema({ properties: { port: { type: 'integer' }, host: { type: 'string' } } });
+    const { errorsA, errorsB, introduced } = validatePair(schema, [{ port: 'x', host: 1 }], [{ port: 'y', host: 'ok', extra: 1 }]);
+    assert.deepStrictEqual(errorsA.map(error => [error.side, error.path]), [['A', 'port'], ['A', 'host']]);
+    assert.deepStrictEqual(errorsB.map(error => [error.side, error.path]), [['B', 'port']]);
+    assert.deepStrictEqual(introduced, []);
+});
+
+test('рекурсивная схема проверяет глубоко вложенные данные', () => {
+    const schema = { type: 'object', properties: { value: { type: 'integer' }, next: { $ref: '#' } } };
+    let data = { value: 'last' };
+    for (let level = 0; level < 300; level++) data = { value: level, next: data };
+    const errors = compileSchema(schema).validate(data);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].keyword, 'type');
+    assert.match(errors[0].path, /^(next\.){300}value$/);
+});
+
+test('$ref на себя для того же значения — зацикленная схема', () => {
+    assert.throws(() => compileSchema({ $ref: '#' }).validate({ a: 1 }), /Схема зациклена/);
+    const mutual = { $defs: { a: { $ref: '#/$defs/b' }, b: { allOf: [{ $ref: '#/$defs/a' }] } }, $ref: '#/$defs/a' };
+    assert.throws(() => compileSchema(mutual).validate(1), /Схема зациклена/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Тесты режима наблюдения: отслеживаемые места файла правил, пересчёт
+ * после сохранения и переживание временно битого файла
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { rulesFileCandidates } = require('../lib/rules');
+
+const CLI = path.join(__dirname, '..', 'impact-cli.js');
+
+test('rulesFileCandidates: от каталога запуска до найденного файла или до корня', () => {
+    const root = path.resolve('/srv/app');
+    const nested = path.join(root, 'config', 'prod');
+    const found = rulesFileCandidates(nested, path.join(root, '.impactrc.json'));
+    assert.deepStrictEqual([...new Set(found.map(file => path.dirname(file)))], [nested, path.dirname(nested), root]);
+    assert.ok(found.includes(path.join(nested, '.impactrc')));
+    assert.ok(found.includes(path.join(root, 'impact.rules.json')));
+
+    const all = rulesFileCandidates(nested);
+    assert.strictEqual(path.dirname(all[all.length - 1]), path.parse(nested).root);
+});
+
+/**
+ * Ждёт, пока вывод процесса совпадёт с pattern начиная с позиции from.
+ * Возвращает позицию конца совпадения
+ */
+function waitForOutput(watcher, pattern, from) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Нет вывода ${pattern} за 10 с:\n${watcher.output.slice(from)}`));
+        }, 10000);
+        const check = () => {
+            const match = pattern.exec(watcher.output.slice(from));
+            if (!match) return;
+            cleanup();
+            resolve(from + match.index + match[0].length);
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            watcher.child.stdout.off('data', check);
+        };
+        watcher.child.stdout.on('data', check);
+        check();
+    });
+}
+
+test('diff --watch: пересчёт после сохранения, битый файл не прерывает наблюдение', async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-watch-'));
+    fs.writeFileSync(path.join(root, 'a.json'), '{"port": 80}');
+    fs.writeFileSync(path.join(root, 'b.json'), '{"port": 80}');
+    const child = spawn(process.execPath, [CLI, 'a.json', 'b.json', '--watch'], {
+        cwd: root,
+        env: { ...process.env, HOME: root },
+    });
+    const watcher = { child, output: '' };
+    child.stdout.setEncoding('utf-8');
+    // Цвета терминала мешают сопоставлению с текстом
+    child.stdout.on('data', chunk => { watcher.output += chunk.replace(/\x1b\[[\d;]*m/g, ''); });
+    t.after(() => {
+        if (child.exitCode === null) child.kill();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    let position = await waitForOutput(watcher, /Запуск 1[\s\S]*Ожидание изменений/, 0);
+
+    fs.writeFileSync(path.join(root, 'b.json'), '{"port": ');
+    position = await waitForOutput(watcher, /Запуск 2, .* · изменено: b\.json[\s\S]*b\.json: [\s\S]*Ожидание изменений/, position);
+    assert.strictEqual(child.exitCode, null);
+
+    fs.writeFileSync(path.join(root, 'b.json'), '{"port": 8080}');
+    position = await waitForOutput(watcher, /Запуск 3[\s\S]*С ПРОШЛОГО ЗАПУСКА[\s\S]*Новые различия: 1[\s\S]*port[\s\S]*Ожидание изменений/, position);
+
+    child.kill('SIGINT');
+    const code = await new Promise(resolve => child.on('exit', resolve));
+    assert.strictEqual(code, 0);
+    assert.match(watcher.output.slice(position), /Наблюдение остановлено/);
+});
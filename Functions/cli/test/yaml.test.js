@@ -0,0 +1,42 @@
+/**
+ * Тесты разбора YAML 1.2: скаляры, якоря, ключи слияния и ошибки с позицией
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const yaml = require('../lib/formats/yaml');
+
+test('YAML: якоря, блочные скаляры и скаляры YAML 1.2', () => {
+    const doc = yaml.parse('a: &x {b: 1}\nc: *x\nd: |\n  line\ne: 0x1F\nf: yes\ng: ~\n');
+    assert.deepStrictEqual(doc, { a: { b: 1 }, c: { b: 1 }, d: 'line\n', e: 31, f: 'yes', g: null });
+});
+
+test('YAML: несколько документов, кавычки и потоковые коллекции', () => {
+    const docs = yaml.parseAllDocuments('a: 1\n---\nb: "x: y"\nc: [1, {d: 2}]\n# комментарий\nk: \'it\'\'s\'\n');
+    assert.deepStrictEqual(docs, [{ a: 1 }, { b: 'x: y', c: [1, { d: 2 }], k: 'it\'s' }]);
+});
+
+test('YAML: ошибка разбора с номером строки', () => {
+    assert.throws(() => yaml.parse('a: 1\n a: 2'), error => error.line === 2);
+});
+
+test('YAML: ключ слияния << не перекрывает собственные ключи', () => {
+    const doc = yaml.parse('base: &base\n  host: db\n  port: 5432\napp:\n  <<: *base\n  port: 6432\n');
+    assert.deepStrictEqual(doc.app, { host: 'db', port: 6432 });
+});
+
+test('YAML: блочный скаляр со сворачиванием и сохранением строк', () => {
+    const doc = yaml.parse('a: >\n  one\n  two\nb: |-\n  x\n  y\n');
+    assert.deepStrictEqual(doc, { a: 'one two\n', b: 'x\ny' });
+});
+
+test('YAML: ключи слияния с именами toString и constructor не теряются', () => {
+    const doc = yaml.parse('base: &base\n  toString: 1\n  constructor: 2\napp:\n  <<: *base\n');
+    assert.deepStrictEqual(doc.app, { toString: 1, constructor: 2 });
+});
+
+test('YAML: ключ __proto__ отклоняется', () => {
+    assert.throws(() => yaml.parse('__proto__:\n  polluted: 1\n'), /Недопустимый ключ «__proto__»/);
+    assert.throws(() => yaml.parse('a: {__proto__: 1}\n'), /Недопустимый ключ «__proto__»/);
+    assert.strictEqual({}.polluted, undefined);
+});